@@ -0,0 +1,32 @@
+// Dealer licenses a shop can hold: Fertiliser Control Order, Seeds Act,
+// Insecticides Act and, for veterinary medicines, the Drugs and Cosmetics Act
+const LICENSE_TYPES = ['fertilizer', 'seed', 'insecticide', 'drug'];
+
+// Product categories. Products of a restricted category are billed only under
+// the dealer license named here, with the buyer's details entered in the
+// statutory sale register; licenseType is null where no license covers sales.
+const PRODUCT_CATEGORIES = {
+  Seeds: { restricted: false, licenseType: 'seed' },
+  Fertilizers: { restricted: false, licenseType: 'fertilizer' },
+  Pesticides: { restricted: true, licenseType: 'insecticide' },
+  Medicines: { restricted: true, licenseType: 'drug' },
+  Tools: { restricted: false, licenseType: null },
+  Equipment: { restricted: false, licenseType: null },
+  Other: { restricted: false, licenseType: null }
+};
+
+const CATEGORIES = Object.keys(PRODUCT_CATEGORIES);
+
+/**
+ * Whether products of a category go in the sale register
+ * @param {string} category - Product category, e.g. 'Pesticides'
+ * @returns {boolean}
+ */
+const isRestrictedCategory = (category) => Boolean(PRODUCT_CATEGORIES[category]?.restricted);
+
+module.exports = {
+  LICENSE_TYPES,
+  PRODUCT_CATEGORIES,
+  CATEGORIES,
+  isRestrictedCategory
+};
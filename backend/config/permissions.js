@@ -0,0 +1,119 @@
+// Everything a user can be allowed to do, grouped by the screen it belongs to.
+// Routes check these with requirePermission(); the sidebar shows what they allow.
+const PERMISSIONS = {
+  // Billing
+  'invoice.view': 'View invoices',
+  'invoice.create': 'Bill at the counter (POS, parked bills)',
+  'invoice.updateStatus': 'Change invoice status',
+  'invoice.cancel': 'Cancel or refund invoices',
+  'invoice.delete': 'Delete invoices',
+  'invoice.recordPayment': 'Record payments against invoices',
+  'invoice.export': 'Export invoices',
+  'credit.override': 'Approve bills over a customer\'s credit limit',
+  'creditNote.view': 'View credit notes',
+  'creditNote.create': 'Issue credit notes',
+  'estimate.view': 'View estimates',
+  'estimate.create': 'Create and edit estimates',
+  'estimate.convert': 'Convert estimates to invoices',
+  'estimate.delete': 'Delete estimates',
+  'payment.view': 'View payments',
+  'payment.create': 'Record customer payments',
+  'payment.reverse': 'Reverse payments',
+  'paymentLink.view': 'View payment links',
+  'paymentLink.create': 'Send payment links',
+  'parkedCart.viewAll': 'See every cashier\'s parked bills',
+  'shift.operate': 'Open and close own cashier shift',
+  'shift.viewAll': 'See every cashier\'s shifts',
+
+  // Catalogue and stock
+  'product.view': 'View products and batches',
+  'product.create': 'Add products',
+  'product.update': 'Edit products',
+  'product.editPrice': 'Change product prices',
+  'product.delete': 'Delete products',
+  'product.import': 'Import products',
+  'product.batch': 'Add and write off batches',
+  'inventory.view': 'View stock alerts and batch traces',
+  'promotion.view': 'View promotions',
+  'promotion.manage': 'Create and edit promotions',
+  'branch.view': 'View branches and their stock',
+  'branch.manage': 'Create and edit branches',
+  'branch.all': 'Work for any branch',
+  'stockTransfer.view': 'View stock transfers',
+  'stockTransfer.dispatch': 'Send and cancel stock transfers',
+  'stockTransfer.receive': 'Receive stock transfers',
+  'purchase.view': 'View purchase orders and goods receipts',
+  'purchase.order': 'Raise purchase orders',
+  'purchase.receive': 'Receive goods',
+  'supplier.view': 'View suppliers',
+  'supplier.manage': 'Create and edit suppliers',
+  'supplier.pay': 'Pay suppliers',
+
+  // Customers
+  'customer.view': 'View customers and statements',
+  'customer.create': 'Add customers',
+  'customer.update': 'Edit customers and share statements',
+  'customer.delete': 'Delete customers',
+  'customer.export': 'Export customers',
+  'creditScheme.view': 'View credit schemes',
+  'creditScheme.manage': 'Create and edit credit schemes',
+  'portal.view': 'Use the customer portal (own orders and profile)',
+
+  // Expenses
+  'expense.view': 'View expenses',
+  'expense.create': 'Submit expenses',
+  'expense.approve': 'Approve or reject expenses',
+  'expense.pay': 'Mark expenses paid',
+  'expense.delete': 'Delete expenses',
+  'expense.export': 'Export expenses',
+
+  // Reports
+  'report.sales.view': 'View sales reports',
+  'report.inventory.view': 'View inventory reports',
+  'report.profit.view': 'View profit and loss',
+  'report.customers.view': 'View customer reports',
+  'report.dayEnd.view': 'View own day-end report',
+  'report.dayEnd.viewAll': 'View day-end reports of every cashier',
+  'report.gst.view': 'View GST returns',
+  'report.compliance.view': 'View subsidy claims and the sale register',
+
+  // Administration
+  'user.view': 'View users',
+  'user.manage': 'Add, edit and remove users',
+  'role.manage': 'Create and edit roles',
+  'audit.view': 'View the audit trail of changes',
+  'license.view': 'View dealer licenses',
+  'license.manage': 'Record dealer licenses',
+  'notification.send': 'Send notifications',
+  'settings.manage': 'Change shop settings and document numbering'
+};
+
+// Built-in roles. Admins always hold every permission so a shop cannot lock itself out.
+const ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  staff: [
+    'invoice.view', 'invoice.create', 'invoice.updateStatus', 'invoice.recordPayment',
+    'creditNote.view', 'estimate.view', 'estimate.create', 'estimate.convert',
+    'payment.view', 'payment.create', 'paymentLink.view', 'paymentLink.create', 'shift.operate',
+    'product.view', 'promotion.view', 'branch.view',
+    'stockTransfer.view', 'stockTransfer.dispatch', 'stockTransfer.receive', 'supplier.view',
+    'customer.view', 'customer.create', 'customer.update', 'creditScheme.view',
+    'expense.view', 'expense.create',
+    'report.sales.view', 'report.inventory.view', 'report.profit.view', 'report.customers.view', 'report.dayEnd.view'
+  ],
+  customer: ['portal.view']
+};
+
+/**
+ * Whether a signed-in user may do something
+ * @param {Object} user - `req.user`
+ * @param {string} permission - Permission key, e.g. 'invoice.cancel'
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
@@ -1,5 +1,12 @@
 const Customer = require('../models/Customer');
 const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const PaymentService = require('../services/paymentService');
+const StatementService = require('../services/statementService');
+const CreditService = require('../services/creditService');
+const PDFGenerator = require('../utils/pdfGenerator');
+const smsService = require('../utils/sms');
+const SettingsService = require('../services/settingsService');
 const asyncHandler = require('../utils/asyncHandler');
 const { NotFoundError, BadRequestError } = require('../utils/errorResponse');
 const { validate } = require('../utils/validation');
@@ -305,16 +312,21 @@ exports.getCustomerBalance = asyncHandler(async (req, res, next) => {
 
   // Calculate total outstanding amount
   const totalOutstanding = invoices.reduce(
-    (sum, invoice) => sum + (invoice.total - (invoice.paidAmount || 0)),
+    (sum, invoice) => sum + invoice.balanceDue,
     0
   );
 
+  // Interest on invoices past their credit scheme's grace period
+  const interest = await CreditService.getOverdueInterest(customer._id);
+
   res.status(200).json({
     success: true,
     data: {
       customer: customer._id,
       customerName: customer.name,
       outstandingBalance: totalOutstanding,
+      interestAccrued: interest.total,
+      totalDue: totalOutstanding + interest.total,
       pendingInvoices: invoices.length,
       creditLimit: customer.creditLimit,
       availableCredit: customer.creditLimit - totalOutstanding,
@@ -322,6 +334,87 @@ exports.getCustomerBalance = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get customer's statement of account with running balance
+// @route   GET /api/v1/customers/:id/statement
+// @access  Private
+exports.getCustomerStatement = asyncHandler(async (req, res, next) => {
+  const customer = await Customer.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+  });
+
+  if (!customer) {
+    return next(
+      new NotFoundError(`Customer not found with id of ${req.params.id}`)
+    );
+  }
+
+  const period = StatementService.resolvePeriod(req.query.startDate, req.query.endDate);
+  if (isNaN(period.start.getTime()) || isNaN(period.end.getTime())) {
+    return next(new BadRequestError('Invalid date format. Use YYYY-MM-DD'));
+  }
+
+  const statement = await StatementService.buildStatement(customer, period);
+
+  if (req.query.format === 'pdf') {
+    const company = await SettingsService.getCompanyDetails();
+    const pdfBuffer = await PDFGenerator.generateStatement(statement, company);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename=statement-${customer.phone}.pdf`,
+      'Content-Length': pdfBuffer.length,
+    });
+    return res.send(pdfBuffer);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: statement,
+  });
+});
+
+// @desc    Send customer's statement of account by SMS or WhatsApp
+// @route   POST /api/v1/customers/:id/statement/share
+// @access  Private
+exports.shareCustomerStatement = [
+  // Validation
+  validate([
+    body('channel')
+      .isIn(['sms', 'whatsapp'])
+      .withMessage('Channel must be sms or whatsapp'),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601(),
+  ]),
+
+  // Request handler
+  asyncHandler(async (req, res, next) => {
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!customer) {
+      return next(
+        new NotFoundError(`Customer not found with id of ${req.params.id}`)
+      );
+    }
+
+    const period = StatementService.resolvePeriod(req.body.startDate, req.body.endDate);
+    const statement = await StatementService.buildStatement(customer, period);
+    const result = await smsService.sendStatement(customer.phone, statement, req.body.channel);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        channel: req.body.channel,
+        to: customer.phone,
+        messageId: result.messageId,
+        closingBalance: statement.closingBalance,
+      },
+    });
+  }),
+];
+
 // @desc    Update customer's credit limit
 // @route   PUT /api/v1/customers/:id/credit-limit
 // @access  Private
@@ -370,11 +463,12 @@ exports.recordCustomerPayment = [
       .isFloat({ min: 1 })
       .withMessage('Amount must be greater than 0'),
     body('paymentMethod')
-      .isIn(['cash', 'card', 'bank_transfer', 'upi', 'other'])
+      .isIn(['cash', 'card', 'bank_transfer', 'upi', 'cheque'])
       .withMessage('Invalid payment method'),
     body('paymentDate').optional().isISO8601().toDate(),
     body('referenceNumber').optional().trim(),
     body('notes').optional().trim(),
+    body('allocations').optional().isArray(),
   ]),
 
   // Request handler
@@ -390,26 +484,35 @@ exports.recordCustomerPayment = [
       );
     }
 
-    // Create payment record
-    const payment = {
-      amount: req.body.amount,
-      paymentMethod: req.body.paymentMethod,
-      paymentDate: req.body.paymentDate || Date.now(),
-      referenceNumber: req.body.referenceNumber,
-      notes: req.body.notes,
-      recordedBy: req.user.id,
-    };
-
-    // Add payment to customer's payment history
-    customer.paymentHistory.push(payment);
-
-    // Update customer's outstanding balance
-    customer.outstandingBalance = Math.max(
-      0,
-      customer.outstandingBalance - req.body.amount
-    );
+    // Lump payments go through the same ledger as invoice payments,
+    // settling the oldest open invoices first unless allocations are given
+    const session = await Payment.startSession();
+    session.startTransaction();
+
+    let payment;
+    try {
+      payment = await PaymentService.recordPayment(
+        {
+          customer: customer._id,
+          amount: req.body.amount,
+          paymentMethod: req.body.paymentMethod,
+          paymentDate: req.body.paymentDate,
+          reference: req.body.referenceNumber,
+          notes: req.body.notes,
+          allocations: req.body.allocations,
+          createdBy: req.user.id,
+        },
+        session
+      );
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      return next(error);
+    } finally {
+      session.endSession();
+    }
 
-    await customer.save();
+    const updated = await Customer.findById(customer._id);
 
     res.status(201).json({
       success: true,
@@ -417,7 +520,7 @@ exports.recordCustomerPayment = [
         customer: customer._id,
         customerName: customer.name,
         payment,
-        newOutstandingBalance: customer.outstandingBalance,
+        newOutstandingBalance: updated.outstandingBalance,
       },
     });
   }),
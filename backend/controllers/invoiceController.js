@@ -7,6 +7,7 @@ const { validate } = require('../utils/validation');
 const { body } = require('express-validator');
 const APIFeatures = require('../utils/apiFeatures');
 const PDFGenerator = require('../utils/pdfGenerator');
+const NumberingService = require('../services/numberingService');
 const Email = require('../utils/email');
 const fs = require('fs').promises;
 const path = require('path');
@@ -187,7 +188,7 @@ exports.createInvoice = [
     const invoice = await Invoice.create({
       user: req.user.id,
       customer: customer._id,
-      invoiceNumber: await generateInvoiceNumber(),
+      invoiceNumber: await NumberingService.nextNumber('invoice', { date: invoiceDate }),
       invoiceDate,
       dueDate: dueDate || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days from now
       items,
@@ -537,26 +538,6 @@ exports.getInvoiceStats = asyncHandler(async (req, res, next) => {
   });
 });
 
-// Helper function to generate invoice number
-async function generateInvoiceNumber() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  
-  // Find the latest invoice for this month
-  const latestInvoice = await Invoice.findOne({
-    invoiceNumber: new RegExp(`^INV-${year}${month}-`),
-  }).sort({ invoiceNumber: -1 });
-
-  let sequence = 1;
-  if (latestInvoice) {
-    const parts = latestInvoice.invoiceNumber.split('-');
-    sequence = parseInt(parts[2], 10) + 1;
-  }
-
-  return `INV-${year}${month}-${String(sequence).padStart(4, '0')}`;
-}
-
 // Helper function to send invoice email
 async function sendInvoiceEmail(invoice, req) {
   try {
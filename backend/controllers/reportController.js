@@ -1,4 +1,5 @@
 const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
 const Customer = require('../models/Customer');
 const Product = require('../models/Product');
 const Expense = require('../models/Expense');
@@ -104,6 +105,9 @@ exports.getSalesReport = asyncHandler(async (req, res, next) => {
         invoiceCount: { $sum: 1 },
         totalSales: { $sum: '$total' },
         totalTax: { $sum: '$taxAmount' },
+        totalCgst: { $sum: '$cgstAmount' },
+        totalSgst: { $sum: '$sgstAmount' },
+        totalIgst: { $sum: '$igstAmount' },
         totalDiscount: { $sum: '$discount' },
         totalShipping: { $sum: '$shipping' },
         avgOrderValue: { $avg: '$total' },
@@ -115,8 +119,70 @@ exports.getSalesReport = asyncHandler(async (req, res, next) => {
     },
   ]);
 
+  // Credit notes count as negative sales in the period they were issued
+  const returnsMatch = {
+    status: 'issued',
+    creditNoteDate: {
+      $gte: start,
+      $lte: end,
+    },
+  };
+
+  if (customer) {
+    returnsMatch.customer = customer;
+  }
+
+  const returnsData = await CreditNote.aggregate([
+    {
+      $match: returnsMatch,
+    },
+    {
+      $addFields: { invoiceDate: '$creditNoteDate' },
+    },
+    {
+      $group: {
+        _id: dateGroupFormat,
+        returnCount: { $sum: 1 },
+        totalReturns: { $sum: '$total' },
+        returnTax: { $sum: '$taxAmount' },
+      },
+    },
+  ]);
+
+  const returnsByPeriod = {};
+  returnsData.forEach((item) => {
+    returnsByPeriod[JSON.stringify(item._id)] = item;
+  });
+
+  // Periods with returns but no sales still need a row
+  returnsData.forEach((item) => {
+    if (!salesData.some((sale) => JSON.stringify(sale._id) === JSON.stringify(item._id))) {
+      salesData.push({
+        _id: item._id,
+        invoiceCount: 0,
+        totalSales: 0,
+        totalTax: 0,
+        totalCgst: 0,
+        totalSgst: 0,
+        totalIgst: 0,
+        totalDiscount: 0,
+        totalShipping: 0,
+        avgOrderValue: 0,
+      });
+    }
+  });
+
+  salesData.sort((a, b) =>
+    (a._id.year - b._id.year) ||
+    ((a._id.quarter || 0) - (b._id.quarter || 0)) ||
+    ((a._id.month || 0) - (b._id.month || 0)) ||
+    ((a._id.week || 0) - (b._id.week || 0)) ||
+    ((a._id.day || 0) - (b._id.day || 0))
+  );
+
   // Format the response
   const formattedData = salesData.map((item) => {
+    const returns = returnsByPeriod[JSON.stringify(item._id)] || {};
     let period;
     let date;
 
@@ -146,9 +212,16 @@ exports.getSalesReport = asyncHandler(async (req, res, next) => {
       invoiceCount: item.invoiceCount,
       totalSales: item.totalSales,
       totalTax: item.totalTax,
+      totalCgst: item.totalCgst,
+      totalSgst: item.totalSgst,
+      totalIgst: item.totalIgst,
       totalDiscount: item.totalDiscount,
       totalShipping: item.totalShipping,
       avgOrderValue: item.avgOrderValue,
+      returnCount: returns.returnCount || 0,
+      totalReturns: returns.totalReturns || 0,
+      returnTax: returns.returnTax || 0,
+      netSales: item.totalSales - (returns.totalReturns || 0),
     };
   });
 
@@ -157,8 +230,14 @@ exports.getSalesReport = asyncHandler(async (req, res, next) => {
     totalInvoices: formattedData.reduce((sum, item) => sum + item.invoiceCount, 0),
     totalSales: formattedData.reduce((sum, item) => sum + item.totalSales, 0),
     totalTax: formattedData.reduce((sum, item) => sum + item.totalTax, 0),
+    totalCgst: formattedData.reduce((sum, item) => sum + item.totalCgst, 0),
+    totalSgst: formattedData.reduce((sum, item) => sum + item.totalSgst, 0),
+    totalIgst: formattedData.reduce((sum, item) => sum + item.totalIgst, 0),
     totalDiscount: formattedData.reduce((sum, item) => sum + item.totalDiscount, 0),
     totalShipping: formattedData.reduce((sum, item) => sum + item.totalShipping, 0),
+    totalReturns: formattedData.reduce((sum, item) => sum + item.totalReturns, 0),
+    returnTax: formattedData.reduce((sum, item) => sum + item.returnTax, 0),
+    netSales: formattedData.reduce((sum, item) => sum + item.netSales, 0),
     avgOrderValue: formattedData.length > 0
       ? formattedData.reduce((sum, item) => sum + item.avgOrderValue, 0) / formattedData.length
       : 0,
@@ -305,6 +384,9 @@ exports.getProfitAndLossReport = asyncHandler(async (req, res, next) => {
         _id: null,
         totalRevenue: { $sum: '$total' },
         totalTax: { $sum: '$taxAmount' },
+        totalCgst: { $sum: '$cgstAmount' },
+        totalSgst: { $sum: '$sgstAmount' },
+        totalIgst: { $sum: '$igstAmount' },
         totalDiscount: { $sum: '$discount' },
         totalShipping: { $sum: '$shipping' },
         invoiceCount: { $sum: 1 },
@@ -353,6 +435,65 @@ exports.getProfitAndLossReport = asyncHandler(async (req, res, next) => {
     },
   ]);
 
+  // Get returns and the cost of the goods that came back into stock
+  const returnsMatch = {
+    status: 'issued',
+    creditNoteDate: {
+      $gte: start,
+      $lte: end,
+    },
+  };
+
+  const returnsData = await CreditNote.aggregate([
+    {
+      $match: returnsMatch,
+    },
+    {
+      $group: {
+        _id: null,
+        totalReturns: { $sum: '$total' },
+        totalTax: { $sum: '$taxAmount' },
+        totalCgst: { $sum: '$cgstAmount' },
+        totalSgst: { $sum: '$sgstAmount' },
+        totalIgst: { $sum: '$igstAmount' },
+        returnCount: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const returnsCostData = await CreditNote.aggregate([
+    {
+      $match: returnsMatch,
+    },
+    {
+      $unwind: '$items',
+    },
+    {
+      $lookup: {
+        from: 'products',
+        localField: 'items.product',
+        foreignField: '_id',
+        as: 'product',
+      },
+    },
+    {
+      $unwind: '$product',
+    },
+    {
+      $group: {
+        _id: null,
+        totalCost: {
+          $sum: {
+            $multiply: [
+              '$items.quantity',
+              { $ifNull: ['$product.costPrice', 0] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
   // Get total expenses
   const expenseData = await Expense.aggregate([
     {
@@ -376,12 +517,18 @@ exports.getProfitAndLossReport = asyncHandler(async (req, res, next) => {
     },
   ]);
 
-  // Calculate totals
-  const totalRevenue = revenueData[0]?.totalRevenue || 0;
-  const totalTax = revenueData[0]?.totalTax || 0;
+  // Calculate totals, net of returns
+  const returns = returnsData[0] || {};
+  const totalReturns = returns.totalReturns || 0;
+  const grossRevenue = revenueData[0]?.totalRevenue || 0;
+  const totalRevenue = grossRevenue - totalReturns;
+  const totalTax = (revenueData[0]?.totalTax || 0) - (returns.totalTax || 0);
+  const totalCgst = (revenueData[0]?.totalCgst || 0) - (returns.totalCgst || 0);
+  const totalSgst = (revenueData[0]?.totalSgst || 0) - (returns.totalSgst || 0);
+  const totalIgst = (revenueData[0]?.totalIgst || 0) - (returns.totalIgst || 0);
   const totalDiscount = revenueData[0]?.totalDiscount || 0;
   const totalShipping = revenueData[0]?.totalShipping || 0;
-  const totalCOGS = cogsData[0]?.totalCOGS || 0;
+  const totalCOGS = (cogsData[0]?.totalCOGS || 0) - (returnsCostData[0]?.totalCost || 0);
   const totalExpenses = expenseData.reduce((sum, item) => sum + item.total, 0);
 
   // Calculate gross profit and net profit
@@ -397,8 +544,14 @@ exports.getProfitAndLossReport = asyncHandler(async (req, res, next) => {
       end,
     },
     revenue: {
+      gross: grossRevenue,
+      returns: totalReturns,
+      returnCount: returns.returnCount || 0,
       total: totalRevenue,
       tax: totalTax,
+      cgst: totalCgst,
+      sgst: totalSgst,
+      igst: totalIgst,
       discount: totalDiscount,
       shipping: totalShipping,
       invoiceCount: revenueData[0]?.invoiceCount || 0,
@@ -724,6 +877,9 @@ function addSalesDataToWorksheet(worksheet, data) {
     'Total Invoices',
     'Total Sales',
     'Total Tax',
+    'CGST',
+    'SGST',
+    'IGST',
     'Total Discount',
     'Total Shipping',
     'Avg. Order Value',
@@ -732,6 +888,9 @@ function addSalesDataToWorksheet(worksheet, data) {
     data.summary.totalInvoices,
     data.summary.totalSales,
     data.summary.totalTax,
+    data.summary.totalCgst,
+    data.summary.totalSgst,
+    data.summary.totalIgst,
     data.summary.totalDiscount,
     data.summary.totalShipping,
     data.summary.avgOrderValue,
@@ -745,6 +904,9 @@ function addSalesDataToWorksheet(worksheet, data) {
     'Invoices',
     'Total Sales',
     'Tax',
+    'CGST',
+    'SGST',
+    'IGST',
     'Discount',
     'Shipping',
     'Avg. Order Value',
@@ -756,6 +918,9 @@ function addSalesDataToWorksheet(worksheet, data) {
       item.invoiceCount,
       item.totalSales,
       item.totalTax,
+      item.totalCgst,
+      item.totalSgst,
+      item.totalIgst,
       item.totalDiscount,
       item.totalShipping,
       item.avgOrderValue,
@@ -803,6 +968,9 @@ function addProfitAndLossDataToWorksheet(worksheet, data) {
   worksheet.addRow(['REVENUE']);
   worksheet.addRow(['Total Revenue', data.revenue.total]);
   worksheet.addRow(['Tax', data.revenue.tax]);
+  worksheet.addRow(['CGST', data.revenue.cgst]);
+  worksheet.addRow(['SGST', data.revenue.sgst]);
+  worksheet.addRow(['IGST', data.revenue.igst]);
   worksheet.addRow(['Discount', data.revenue.discount]);
   worksheet.addRow(['Shipping', data.revenue.shipping]);
   worksheet.addRow(['Total Invoices', data.revenue.invoiceCount]);
@@ -929,6 +1097,9 @@ async function getSalesReportData(params, userId) {
       totalInvoices: 0,
       totalSales: 0,
       totalTax: 0,
+      totalCgst: 0,
+      totalSgst: 0,
+      totalIgst: 0,
       totalDiscount: 0,
       totalShipping: 0,
       avgOrderValue: 0,
@@ -952,6 +1123,9 @@ async function getProfitAndLossReportData(params, userId) {
     revenue: {
       total: 0,
       tax: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
       discount: 0,
       shipping: 0,
       invoiceCount: 0,
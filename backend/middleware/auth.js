@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { runWithTenant } = require('../utils/tenantContext');
+const { hasPermission } = require('../config/permissions');
 
 // Middleware to protect routes
 const auth = async (req, res, next) => {
@@ -30,13 +33,25 @@ const auth = async (req, res, next) => {
       });
     }
 
+    // Without a shop the tenant plugin would scope nothing, so such accounts are refused
+    if (!user.organization) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not linked to a shop'
+      });
+    }
+
     req.user = {
       userId: user._id,
       role: user.role,
-      email: user.email
+      email: user.email,
+      organization: user.organization,
+      branch: user.branch || null,
+      permissions: await user.getPermissions()
     };
 
-    next();
+    // Everything the request does from here on is confined to the user's shop
+    runWithTenant(user.organization, next, { user: user._id, ip: req.ip });
 
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -47,34 +62,41 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin
-const adminAuth = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Admin role required.'
-    });
+// Middleware for public pages: signed-in users see their own shop, visitors the shop named in the X-Shop header
+const shopContext = async (req, res, next) => {
+  if (req.header('Authorization')) {
+    return auth(req, res, next);
   }
-  next();
-};
 
-// Middleware to check if user is admin or staff
-const staffAuth = (req, res, next) => {
-  if (!['admin', 'staff'].includes(req.user.role)) {
-    return res.status(403).json({
+  try {
+    const slug = req.header('X-Shop');
+    const organization = slug && await Organization.findOne({ slug: slug.toLowerCase(), isActive: true });
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found'
+      });
+    }
+
+    runWithTenant(organization._id, next, { user: null, ip: req.ip });
+
+  } catch (error) {
+    console.error('Shop context error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Access denied. Staff or Admin role required.'
+      message: 'Server error'
     });
   }
-  next();
 };
 
-// Middleware to check if user is customer
-const customerAuth = (req, res, next) => {
-  if (req.user.role !== 'customer') {
+// Middleware to check the signed-in user holds every permission given
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.find(permission => !hasPermission(req.user, permission));
+  if (missing) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Customer role required.'
+      message: `Access denied. ${missing} permission required.`
     });
   }
   next();
@@ -82,7 +104,6 @@ const customerAuth = (req, res, next) => {
 
 module.exports = {
   auth,
-  adminAuth,
-  staffAuth,
-  customerAuth
+  shopContext,
+  requirePermission
 };
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Organization = require('./models/Organization');
+const Setting = require('./models/Setting');
+
+// One-off move of a single-shop database to organizations: documents saved
+// before tenancy are given to the shop named on the command line (created from
+// COMPANY_NAME when there is none yet), which takes over the COMPANY_* details
+// and UPI ID, and unique indexes are rebuilt per shop.
+//   node migrateTenants.js [shop-slug]
+
+const migrate = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/agroshop');
+    console.log('MongoDB connected for tenant migration');
+
+    fs.readdirSync(path.join(__dirname, 'models'))
+      .filter(file => file.endsWith('.js'))
+      .forEach(file => require(`./models/${file}`));
+
+    const slug = process.argv[2];
+    let organization = slug
+      ? await Organization.findOne({ slug })
+      : await Organization.findOne().sort('createdAt');
+
+    if (!organization) {
+      const name = process.env.COMPANY_NAME || 'Agro Billing System';
+      organization = await Organization.create({
+        name,
+        slug: slug || await Organization.uniqueSlug(name),
+        phone: process.env.COMPANY_PHONE,
+        email: process.env.COMPANY_EMAIL
+      });
+      console.log(`Created organization ${organization.slug}`);
+    }
+
+    // The shop keeps the address, GSTIN and state it was configured with, unless already set
+    const details = {
+      address: process.env.COMPANY_ADDRESS,
+      gstin: process.env.COMPANY_GSTIN,
+      state: process.env.COMPANY_STATE
+    };
+    Object.entries(details)
+      .filter(([field, value]) => value && !organization[field])
+      .forEach(([field, value]) => {
+        organization[field] = value;
+      });
+    await organization.save();
+
+    for (const Model of Object.values(mongoose.models)) {
+      if (!Model.schema.path('organization')) continue;
+
+      // Straight to the collection: Mongoose drops updates to the immutable organization path
+      const result = await Model.collection.updateMany(
+        { organization: { $exists: false } },
+        { $set: { organization: organization._id } }
+      );
+      // Drops the old shop-wide unique indexes such as sku_1 in favour of per-organization ones
+      await Model.syncIndexes();
+      console.log(`${Model.modelName}: ${result.modifiedCount} documents moved to ${organization.slug}`);
+    }
+
+    // The single shop keeps the UPI ID it was configured with; no other shop inherits it
+    if (process.env.COMPANY_UPI_ID) {
+      await Setting.updateOne(
+        { organization: organization._id, key: 'upiVpa' },
+        { $setOnInsert: { value: process.env.COMPANY_UPI_ID } },
+        { upsert: true }
+      );
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating to organizations:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
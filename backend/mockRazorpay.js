@@ -0,0 +1,182 @@
+const express = require('express');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Stand-in for the Razorpay payment links API so the payment flow can be
+// exercised offline. Run it, set RAZORPAY_API_URL=http://localhost:5055/v1
+// and open a link's short_url to "pay"; the signed webhook is sent to the app.
+
+const PORT = process.env.MOCK_RAZORPAY_PORT || 5055;
+const WEBHOOK_URL = process.env.MOCK_RAZORPAY_WEBHOOK_URL || 'http://localhost:5000/api/payment-links/webhook';
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+// Links live in memory for as long as the mock runs
+const links = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+const requireKey = (req, res, next) => {
+  if (!(req.get('Authorization') || '').startsWith('Basic ')) {
+    return res.status(401).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Authentication failed' } });
+  }
+  next();
+};
+
+/**
+ * Sign and deliver a webhook event to the app
+ * @param {string} event - Event name, e.g. payment_link.paid
+ * @param {Object} payload - Event payload
+ * @returns {Promise<Object>} Status and body returned by the app
+ */
+const sendWebhook = async (event, payload) => {
+  const body = JSON.stringify({
+    entity: 'event',
+    account_id: 'acc_mock',
+    event,
+    contains: Object.keys(payload),
+    payload,
+    created_at: now()
+  });
+  const signature = crypto.createHmac('sha256', WEBHOOK_SECRET || '').update(body).digest('hex');
+
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': signature,
+        'X-Razorpay-Event-Id': randomId('evt')
+      },
+      body
+    });
+    return { status: response.status, body: await response.text() };
+  } catch (error) {
+    return { status: 'unreachable', body: error.message };
+  }
+};
+
+// Create a payment link
+app.post('/v1/payment_links', requireKey, (req, res) => {
+  const { amount, currency = 'INR', reference_id: referenceId } = req.body;
+
+  if (!Number.isInteger(amount) || amount < 100) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'amount must be at least 100 paise' } });
+  }
+  if ([...links.values()].some(link => referenceId && link.reference_id === referenceId)) {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'reference_id already exists' } });
+  }
+
+  const id = randomId('plink');
+  const link = {
+    ...req.body,
+    id,
+    amount,
+    currency,
+    amount_paid: 0,
+    status: 'created',
+    short_url: `http://localhost:${PORT}/pay/${id}`,
+    created_at: now()
+  };
+  links.set(id, link);
+
+  res.json(link);
+});
+
+// Fetch a payment link
+app.get('/v1/payment_links/:id', requireKey, (req, res) => {
+  const link = links.get(req.params.id);
+  if (!link) {
+    return res.status(404).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'The id provided does not exist' } });
+  }
+  res.json(link);
+});
+
+// Cancel a payment link
+app.post('/v1/payment_links/:id/cancel', requireKey, async (req, res) => {
+  const link = links.get(req.params.id);
+  if (!link || link.status !== 'created') {
+    return res.status(400).json({ error: { code: 'BAD_REQUEST_ERROR', description: 'Link cannot be cancelled' } });
+  }
+
+  link.status = 'cancelled';
+  await sendWebhook('payment_link.cancelled', { payment_link: { entity: link } });
+  res.json(link);
+});
+
+// Checkout page the customer lands on
+app.get('/pay/:id', (req, res) => {
+  const link = links.get(req.params.id);
+  if (!link) {
+    return res.status(404).send('Payment link not found');
+  }
+
+  res.send(`<!doctype html>
+<html>
+  <body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+    <h2>Mock Razorpay checkout</h2>
+    <p>${link.description || ''}</p>
+    <p><strong>₹${(link.amount / 100).toFixed(2)}</strong> &middot; status: ${link.status}</p>
+    <form method="post">
+      <p>
+        <label><input type="radio" name="method" value="upi" checked> UPI</label>
+        <label><input type="radio" name="method" value="card"> Card</label>
+        <label><input type="radio" name="method" value="netbanking"> Netbanking</label>
+      </p>
+      <p><label>Deliver webhook <input type="number" name="deliveries" value="2" min="1" max="5"> times</label></p>
+      <button type="submit"${link.status === 'created' ? '' : ' disabled'}>Pay</button>
+    </form>
+  </body>
+</html>`);
+});
+
+// "Pay" the link and deliver the paid webhook, by default twice to exercise idempotency
+app.post('/pay/:id', async (req, res) => {
+  const link = links.get(req.params.id);
+  if (!link || link.status !== 'created') {
+    return res.status(400).send('This link cannot be paid');
+  }
+
+  link.status = 'paid';
+  link.amount_paid = link.amount;
+
+  const payment = {
+    id: randomId('pay'),
+    entity: 'payment',
+    amount: link.amount,
+    currency: link.currency,
+    status: 'captured',
+    method: req.body.method || 'upi',
+    created_at: now()
+  };
+
+  const deliveries = Math.min(Math.max(parseInt(req.body.deliveries, 10) || 1, 1), 5);
+  const results = [];
+  for (let i = 0; i < deliveries; i++) {
+    results.push(await sendWebhook('payment_link.paid', {
+      payment_link: { entity: link },
+      payment: { entity: payment }
+    }));
+  }
+
+  res.send(`<!doctype html>
+<html>
+  <body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+    <h2>Paid ${payment.id}</h2>
+    <ol>${results.map(result => `<li>${result.status}: ${result.body}</li>`).join('')}</ol>
+  </body>
+</html>`);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock Razorpay listening on http://localhost:${PORT}, sending webhooks to ${WEBHOOK_URL}`);
+  if (!WEBHOOK_SECRET) {
+    console.warn('RAZORPAY_WEBHOOK_SECRET is not set; the app will reject every webhook');
+  }
+});
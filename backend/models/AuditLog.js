@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+// One create, update or delete of an audited document, written by the audit
+// plugin. Entries are never edited; each keeps the fields that changed.
+const auditLogSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Human-readable name of the document when the entry was written, e.g. an invoice number
+  label: String,
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete'],
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Who made the change; empty for webhooks, seeding and visitors who are not signed in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ organization: 1, model: 1, documentId: 1, createdAt: -1 });
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ user: 1, createdAt: -1 });
+
+auditLogSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
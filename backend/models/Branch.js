@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+// A shop of the business; stock, staff, bills and reports are kept per branch
+const branchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Branch name is required'],
+    trim: true,
+    maxlength: [100, 'Branch name cannot exceed 100 characters']
+  },
+  // Short code printed on transfers, e.g. MAIN or KRP
+  code: {
+    type: String,
+    required: [true, 'Branch code is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [10, 'Branch code cannot exceed 10 characters']
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    pincode: String
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+branchSchema.index({ organization: 1, code: 1 }, { unique: true });
+branchSchema.index({ isActive: 1 });
+
+branchSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('Branch', branchSchema);
@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+const { splitTax, roundTax } = require('../utils/gst');
+
+const creditNoteItemSchema = new mongoose.Schema({
+  invoiceItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  hsnCode: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  unit: {
+    type: String
+  },
+  batches: [{
+    batch: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    batchNumber: String,
+    expiryDate: Date,
+    quantity: {
+      type: Number,
+      min: [0, 'Batch quantity cannot be negative']
+    }
+  }],
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgstRate: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstRate: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstRate: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  }
+});
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: true
+  },
+  creditNoteDate: {
+    type: Date,
+    default: Date.now
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  invoiceDate: {
+    type: Date
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  placeOfSupply: {
+    type: String,
+    trim: true
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    default: 'intra_state'
+  },
+  items: [creditNoteItemSchema],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  roundOff: {
+    type: Number,
+    default: 0
+  },
+  finalTotal: {
+    type: Number,
+    default: 0
+  },
+  // 'adjust' credits the customer's account, 'refund' pays the amount back
+  settlement: {
+    type: String,
+    enum: ['adjust', 'refund'],
+    default: 'adjust'
+  },
+  refundMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'bank_transfer']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required'],
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'cancelled'],
+    default: 'issued'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+creditNoteSchema.index({ organization: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ invoice: 1 });
+creditNoteSchema.index({ customer: 1 });
+creditNoteSchema.index({ creditNoteDate: -1 });
+creditNoteSchema.index({ status: 1 });
+
+// Pre-save middleware to calculate totals, mirroring the invoice calculation
+creditNoteSchema.pre('save', function(next) {
+  const interState = this.supplyType === 'inter_state';
+
+  this.items.forEach(item => {
+    const taxableValue = (item.price * item.quantity) - item.discount;
+    const split = splitTax(taxableValue, item.taxRate, interState);
+
+    item.taxableValue = taxableValue;
+    Object.assign(item, split);
+    item.total = taxableValue + split.cgstAmount + split.sgstAmount + split.igstAmount;
+  });
+
+  this.subtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  this.discount = roundTax(this.items.reduce((sum, item) => sum + item.discount, 0));
+  this.cgstAmount = roundTax(this.items.reduce((sum, item) => sum + item.cgstAmount, 0));
+  this.sgstAmount = roundTax(this.items.reduce((sum, item) => sum + item.sgstAmount, 0));
+  this.igstAmount = roundTax(this.items.reduce((sum, item) => sum + item.igstAmount, 0));
+  this.taxAmount = roundTax(this.cgstAmount + this.sgstAmount + this.igstAmount);
+  this.total = roundTax(this.subtotal - this.discount + this.taxAmount);
+
+  this.roundOff = Math.round(this.total) - this.total;
+  this.finalTotal = Math.round(this.total);
+
+  next();
+});
+
+creditNoteSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
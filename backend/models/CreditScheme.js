@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const seasonSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Season name is required'],
+    trim: true
+  },
+  // Sales made from startMonth to endMonth (inclusive, may wrap past December) fall in this season
+  startMonth: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  endMonth: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  // Dues for the season are settled after harvest on this day
+  dueMonth: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  dueDay: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 31
+  }
+}, { _id: false });
+
+const creditSchemeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Scheme name is required'],
+    trim: true,
+    maxlength: [100, 'Scheme name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: ['days', 'season'],
+    default: 'days'
+  },
+  // Credit period for 'days' schemes, and for sales outside every season
+  creditDays: {
+    type: Number,
+    default: 30,
+    min: [0, 'Credit days cannot be negative']
+  },
+  seasons: [seasonSchema],
+  graceDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Grace days cannot be negative']
+  },
+  // Simple interest per month on dues left unpaid after the grace period
+  monthlyInterestRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Interest rate cannot be negative'],
+    max: [10, 'Interest rate cannot exceed 10% per month']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const inSeason = (season, month) => {
+  if (season.startMonth <= season.endMonth) {
+    return month >= season.startMonth && month <= season.endMonth;
+  }
+  return month >= season.startMonth || month <= season.endMonth;
+};
+
+// Instance method to work out when a sale made on a given date falls due
+creditSchemeSchema.methods.dueDateFor = function(saleDate = new Date()) {
+  const sale = new Date(saleDate);
+
+  if (this.type === 'season') {
+    const season = this.seasons.find(s => inSeason(s, sale.getMonth() + 1));
+    if (season) {
+      const due = new Date(sale.getFullYear(), season.dueMonth - 1, season.dueDay);
+      if (due < sale) {
+        due.setFullYear(due.getFullYear() + 1);
+      }
+      return due;
+    }
+  }
+
+  const due = new Date(sale);
+  due.setDate(due.getDate() + this.creditDays);
+  return due;
+};
+
+creditSchemeSchema.index({ organization: 1, name: 1 }, { unique: true });
+creditSchemeSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('CreditScheme', creditSchemeSchema);
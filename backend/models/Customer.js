@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+const auditPlugin = require('./plugins/audit');
 
 const customerSchema = new mongoose.Schema({
   name: {
@@ -66,6 +68,17 @@ const customerSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Credit limit cannot be negative']
   },
+  // Pricing group; promotions can be limited to some groups
+  group: {
+    type: String,
+    enum: ['retail', 'farmer', 'farmer_group', 'wholesale', 'dealer', 'institution'],
+    default: 'retail'
+  },
+  // Credit terms used for due dates and overdue interest on credit sales
+  creditScheme: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditScheme'
+  },
   outstandingBalance: {
     type: Number,
     default: 0,
@@ -125,4 +138,7 @@ customerSchema.methods.recordPurchase = function(amount, invoiceId) {
   return this.save();
 };
 
+customerSchema.plugin(tenantPlugin);
+customerSchema.plugin(auditPlugin, { label: 'name' });
+
 module.exports = mongoose.model('Customer', customerSchema);
@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+const { splitTax, roundTax } = require('../utils/gst');
+
+const estimateItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  hsnCode: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  unit: {
+    type: String
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  // Percentage as quoted; carried over to the invoice on conversion
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgstRate: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstRate: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstRate: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  }
+});
+
+const estimateSchema = new mongoose.Schema({
+  estimateNumber: {
+    type: String,
+    required: true
+  },
+  estimateDate: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: [true, 'Validity date is required']
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  placeOfSupply: {
+    type: String,
+    trim: true
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    default: 'intra_state'
+  },
+  items: [estimateItemSchema],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  roundOff: {
+    type: Number,
+    default: 0
+  },
+  finalTotal: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'accepted', 'expired'],
+    default: 'draft'
+  },
+  // Set once the estimate has been billed; an estimate converts only once
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  invoiceNumber: {
+    type: String
+  },
+  convertedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  terms: {
+    type: String,
+    maxlength: [1000, 'Terms cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+estimateSchema.index({ organization: 1, estimateNumber: 1 }, { unique: true });
+estimateSchema.index({ customer: 1 });
+estimateSchema.index({ estimateDate: -1 });
+estimateSchema.index({ status: 1, validUntil: 1 });
+
+// Virtual for whether the quote can no longer be accepted (valid through the whole validUntil day)
+estimateSchema.virtual('isExpired').get(function() {
+  if (this.status === 'expired') return true;
+  if (this.invoice || !this.validUntil) return false;
+
+  const endOfValidity = new Date(this.validUntil);
+  endOfValidity.setHours(23, 59, 59, 999);
+  return endOfValidity < new Date();
+});
+
+estimateSchema.set('toJSON', { virtuals: true });
+estimateSchema.set('toObject', { virtuals: true });
+
+// Static method to mark open estimates past their validity date as expired
+estimateSchema.statics.expireOverdue = function() {
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+
+  return this.updateMany(
+    { status: { $in: ['draft', 'sent'] }, validUntil: { $lt: startOfToday } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+// Pre-save middleware to calculate totals, mirroring the invoice calculation
+estimateSchema.pre('save', function(next) {
+  const interState = this.supplyType === 'inter_state';
+
+  this.items.forEach(item => {
+    item.discount = roundTax(item.price * item.quantity * (item.discountPercent / 100));
+    const taxableValue = (item.price * item.quantity) - item.discount;
+    const split = splitTax(taxableValue, item.taxRate, interState);
+
+    item.taxableValue = taxableValue;
+    Object.assign(item, split);
+    item.total = taxableValue + split.cgstAmount + split.sgstAmount + split.igstAmount;
+  });
+
+  this.subtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  this.discount = roundTax(this.items.reduce((sum, item) => sum + item.discount, 0));
+  this.cgstAmount = roundTax(this.items.reduce((sum, item) => sum + item.cgstAmount, 0));
+  this.sgstAmount = roundTax(this.items.reduce((sum, item) => sum + item.sgstAmount, 0));
+  this.igstAmount = roundTax(this.items.reduce((sum, item) => sum + item.igstAmount, 0));
+  this.taxAmount = roundTax(this.cgstAmount + this.sgstAmount + this.igstAmount);
+  this.total = roundTax(this.subtotal - this.discount + this.taxAmount);
+
+  this.roundOff = Math.round(this.total) - this.total;
+  this.finalTotal = Math.round(this.total);
+
+  next();
+});
+
+estimateSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('Estimate', estimateSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+const auditPlugin = require('./plugins/audit');
 
 const expenseSchema = new mongoose.Schema({
   title: {
@@ -100,4 +102,7 @@ expenseSchema.methods.markAsPaid = function() {
   return this.save();
 };
 
+expenseSchema.plugin(tenantPlugin);
+expenseSchema.plugin(auditPlugin, { label: 'title' });
+
 module.exports = mongoose.model('Expense', expenseSchema);
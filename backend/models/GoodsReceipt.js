@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+const { splitTax, roundTax } = require('../utils/gst');
+
+const goodsReceiptItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  hsnCode: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  batchNumber: {
+    type: String,
+    trim: true
+  },
+  mfgDate: {
+    type: Date
+  },
+  expiryDate: {
+    type: Date
+  }
+});
+
+const supplierPaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'bank_transfer', 'cheque'],
+    required: true
+  },
+  reference: String,
+  notes: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
+const goodsReceiptSchema = new mongoose.Schema({
+  grnNumber: {
+    type: String,
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  // Branch the goods were taken into
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  receivedDate: {
+    type: Date,
+    default: Date.now
+  },
+  supplierInvoiceNumber: {
+    type: String,
+    required: [true, 'Supplier invoice number is required'],
+    trim: true
+  },
+  supplierInvoiceDate: {
+    type: Date,
+    required: [true, 'Supplier invoice date is required']
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    default: 'intra_state'
+  },
+  items: [goodsReceiptItemSchema],
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  inputTax: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Paid amount cannot be negative']
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['paid', 'pending', 'partial'],
+    default: 'pending'
+  },
+  payments: [supplierPaymentSchema],
+  dueDate: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+goodsReceiptSchema.index({ organization: 1, grnNumber: 1 }, { unique: true });
+goodsReceiptSchema.index({ supplier: 1 });
+goodsReceiptSchema.index({ purchaseOrder: 1 });
+goodsReceiptSchema.index({ supplierInvoiceDate: -1 });
+goodsReceiptSchema.index({ paymentStatus: 1 });
+goodsReceiptSchema.index({ supplier: 1, supplierInvoiceNumber: 1 }, { unique: true });
+
+// Virtual for amount still payable to the supplier
+goodsReceiptSchema.virtual('balance').get(function() {
+  return roundTax(this.total - this.paidAmount);
+});
+
+// Pre-save middleware to calculate input GST and totals
+goodsReceiptSchema.pre('save', function(next) {
+  const interState = this.supplyType === 'inter_state';
+
+  this.items.forEach(item => {
+    const taxableValue = item.unitCost * item.quantity;
+    const split = splitTax(taxableValue, item.taxRate, interState);
+
+    item.taxableValue = taxableValue;
+    item.cgstAmount = split.cgstAmount;
+    item.sgstAmount = split.sgstAmount;
+    item.igstAmount = split.igstAmount;
+    item.total = taxableValue + split.cgstAmount + split.sgstAmount + split.igstAmount;
+  });
+
+  this.taxableValue = roundTax(this.items.reduce((sum, item) => sum + item.taxableValue, 0));
+  this.cgstAmount = roundTax(this.items.reduce((sum, item) => sum + item.cgstAmount, 0));
+  this.sgstAmount = roundTax(this.items.reduce((sum, item) => sum + item.sgstAmount, 0));
+  this.igstAmount = roundTax(this.items.reduce((sum, item) => sum + item.igstAmount, 0));
+  this.inputTax = roundTax(this.cgstAmount + this.sgstAmount + this.igstAmount);
+  this.total = roundTax(this.taxableValue + this.inputTax);
+
+  this.paidAmount = roundTax(this.payments.reduce((sum, payment) => sum + payment.amount, 0));
+  if (this.paidAmount <= 0) {
+    this.paymentStatus = 'pending';
+  } else if (this.paidAmount >= this.total) {
+    this.paymentStatus = 'paid';
+  } else {
+    this.paymentStatus = 'partial';
+  }
+
+  next();
+});
+
+goodsReceiptSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('GoodsReceipt', goodsReceiptSchema);
@@ -1,4 +1,72 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+const auditPlugin = require('./plugins/audit');
+const { splitTax, roundTax } = require('../utils/gst');
+const { LICENSE_TYPES } = require('../config/categories');
+
+// A promotion applied to a line; its amount is part of the line discount
+const appliedPromotionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['buy_x_get_y', 'percent_off', 'quantity_slab', 'subsidy', 'group_price'],
+    required: true
+  },
+  schemeReference: String,
+  // Units given free by a buy-X-get-Y offer
+  freeQuantity: Number,
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Promotion amount cannot be negative']
+  }
+}, { _id: false });
+
+// Subsidy on a line of a subsidised product, and the farmer it was sold to
+const lineSubsidySchema = new mongoose.Schema({
+  scheme: String,
+  // Unsubsidised price per unit, for the record
+  mrp: Number,
+  amountPerUnit: {
+    type: Number,
+    required: true,
+    min: [0, 'Subsidy cannot be negative']
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Subsidy cannot be negative']
+  },
+  // Crop season the sale counts against, e.g. kharif-2026
+  season: {
+    type: String,
+    required: true
+  },
+  farmer: {
+    idType: {
+      type: String,
+      enum: ['aadhaar', 'kisan_card', 'farmer_registry', 'other'],
+      required: true
+    },
+    idMasked: {
+      type: String,
+      required: true
+    },
+    // Keyed hash of the full ID, linking a farmer's purchases for the season caps
+    idHash: {
+      type: String,
+      required: true
+    },
+    name: String
+  }
+}, { _id: false });
 
 const invoiceItemSchema = new mongoose.Schema({
   product: {
@@ -19,26 +87,82 @@ const invoiceItemSchema = new mongoose.Schema({
     required: true,
     min: [0.001, 'Quantity must be greater than 0']
   },
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned quantity cannot be negative']
+  },
   unit: {
     type: String,
     required: true
   },
+  batches: [{
+    batch: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    batchNumber: String,
+    expiryDate: Date,
+    quantity: {
+      type: Number,
+      min: [0, 'Batch quantity cannot be negative']
+    }
+  }],
   price: {
     type: Number,
     required: true,
     min: [0, 'Price cannot be negative']
   },
+  // Manual discount plus every promotion on the line
   discount: {
     type: Number,
     default: 0,
     min: [0, 'Discount cannot be negative']
   },
+  promotions: [appliedPromotionSchema],
+  subsidy: lineSubsidySchema,
+  // Dealer license a restricted product was sold under, for the sale register
+  license: {
+    licenseType: {
+      type: String,
+      enum: LICENSE_TYPES
+    },
+    licenseNumber: String
+  },
   taxRate: {
     type: Number,
     default: 0,
     min: [0, 'Tax rate cannot be negative'],
     max: [100, 'Tax rate cannot exceed 100%']
   },
+  taxableValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Taxable value cannot be negative']
+  },
+  cgstRate: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstRate: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstRate: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
   total: {
     type: Number,
     required: true,
@@ -46,17 +170,57 @@ const invoiceItemSchema = new mongoose.Schema({
   }
 });
 
+// One way the customer paid at the counter; whatever the tenders leave unpaid goes on credit
+const tenderSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'bank_transfer'],
+    required: true
+  },
+  // Amount applied to the bill
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Tender amount must be greater than 0']
+  },
+  // Cash handed over, which may exceed the amount applied
+  tendered: {
+    type: Number
+  },
+  change: {
+    type: Number,
+    default: 0
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  // Ledger entry recording this tender
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }
+}, { _id: false });
+
 const invoiceSchema = new mongoose.Schema({
   invoiceNumber: {
     type: String,
-    unique: true,
     required: true
   },
+  invoiceDate: {
+    type: Date,
+    default: Date.now
+  },
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Customer',
     required: true
   },
+  // Shop the bill was made at; its stock was drawn there
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
   customerDetails: {
     name: String,
     phone: String,
@@ -64,7 +228,23 @@ const invoiceSchema = new mongoose.Schema({
     address: String,
     gstin: String
   },
+  placeOfSupply: {
+    type: String,
+    trim: true
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    default: 'intra_state'
+  },
   items: [invoiceItemSchema],
+  // Buyer details taken for the sale register when the bill has restricted products
+  restrictedSale: {
+    buyerName: String,
+    village: String,
+    crop: String,
+    purpose: String
+  },
   subtotal: {
     type: Number,
     required: true,
@@ -75,11 +255,29 @@ const invoiceSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Discount cannot be negative']
   },
+  // Total given by promotions across the lines
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Promotion discount cannot be negative']
+  },
   taxAmount: {
     type: Number,
     default: 0,
     min: [0, 'Tax amount cannot be negative']
   },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
   total: {
     type: Number,
     required: true,
@@ -99,25 +297,70 @@ const invoiceSchema = new mongoose.Schema({
     enum: ['paid', 'pending', 'partial'],
     default: 'pending'
   },
+  // Single method paid, or 'split' when the bill was paid several ways
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'upi', 'bank_transfer', 'credit'],
+    enum: ['cash', 'card', 'upi', 'bank_transfer', 'credit', 'split'],
     required: true
   },
+  tenders: [tenderSchema],
+  changeDue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Change due cannot be negative']
+  },
+  // Maintained from the payment ledger, never set directly
   paidAmount: {
     type: Number,
     default: 0,
     min: [0, 'Paid amount cannot be negative']
   },
+  // Credit notes settled against this invoice rather than refunded
+  creditedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credited amount cannot be negative']
+  },
   dueDate: {
     type: Date,
     default: function() {
-      // Default due date is 30 days from invoice date
+      // Default due date is 30 days from invoice date unless a credit scheme sets it
       const date = new Date();
       date.setDate(date.getDate() + 30);
       return date;
     }
   },
+  // Snapshot of the customer's credit scheme when the invoice was raised
+  creditTerms: {
+    scheme: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditScheme'
+    },
+    graceDays: {
+      type: Number,
+      default: 0
+    },
+    monthlyInterestRate: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Set when an admin approved billing this invoice over the customer's credit limit
+  creditOverride: {
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date,
+    method: {
+      type: String,
+      enum: ['pin', 'session']
+    },
+    reason: String,
+    creditLimit: Number,
+    outstandingBalance: Number,
+    requested: Number
+  },
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
@@ -151,12 +394,16 @@ const invoiceSchema = new mongoose.Schema({
 });
 
 // Indexes for better query performance
-invoiceSchema.index({ invoiceNumber: 1 });
+invoiceSchema.index({ organization: 1, invoiceNumber: 1 }, { unique: true });
 invoiceSchema.index({ customer: 1 });
+invoiceSchema.index({ branch: 1, invoiceDate: -1 });
+invoiceSchema.index({ 'items.batches.batchNumber': 1 });
+invoiceSchema.index({ 'items.subsidy.season': 1, 'items.subsidy.farmer.idHash': 1 });
 invoiceSchema.index({ createdBy: 1 });
 invoiceSchema.index({ paymentStatus: 1 });
 invoiceSchema.index({ dueDate: 1 });
 invoiceSchema.index({ status: 1 });
+invoiceSchema.index({ invoiceDate: -1 });
 invoiceSchema.index({ createdAt: -1 });
 
 // Virtual for amount in words
@@ -164,6 +411,11 @@ invoiceSchema.virtual('amountInWords').get(function() {
   return numberToWords(this.finalTotal);
 });
 
+// Virtual for the amount still owed on the invoice
+invoiceSchema.virtual('balanceDue').get(function() {
+  return Math.max(0, roundTax(this.finalTotal - this.creditedAmount - this.paidAmount));
+});
+
 // Virtual for days overdue
 invoiceSchema.virtual('daysOverdue').get(function() {
   if (this.paymentStatus === 'paid' || !this.dueDate) return 0;
@@ -173,26 +425,61 @@ invoiceSchema.virtual('daysOverdue').get(function() {
   return Math.ceil((today - dueDate) / (1000 * 60 * 60 * 24));
 });
 
+// Instance method to compute simple interest on the unpaid balance once the
+// grace period after the due date has passed
+invoiceSchema.methods.accruedInterest = function(asOf = new Date()) {
+  const rate = this.creditTerms?.monthlyInterestRate || 0;
+  if (!rate || !this.dueDate || this.status === 'cancelled' || this.balanceDue <= 0) return 0;
+
+  const interestFrom = new Date(this.dueDate);
+  interestFrom.setDate(interestFrom.getDate() + (this.creditTerms.graceDays || 0));
+  if (asOf <= interestFrom) return 0;
+
+  const days = Math.ceil((asOf - interestFrom) / (1000 * 60 * 60 * 24));
+  return roundTax(this.balanceDue * (rate / 100) * (days / 30));
+};
+
 // Pre-save middleware to calculate totals
 invoiceSchema.pre('save', function(next) {
-  // Calculate item totals
+  const interState = this.supplyType === 'inter_state';
+
+  // Calculate item totals with the GST split for the place of supply
   this.items.forEach(item => {
-    const itemTotal = (item.price * item.quantity) - item.discount;
-    const taxAmount = (itemTotal * item.taxRate) / 100;
-    item.total = itemTotal + taxAmount;
+    const taxableValue = (item.price * item.quantity) - item.discount;
+    const split = splitTax(taxableValue, item.taxRate, interState);
+
+    item.taxableValue = taxableValue;
+    Object.assign(item, split);
+    item.total = taxableValue + split.cgstAmount + split.sgstAmount + split.igstAmount;
   });
 
   // Calculate invoice totals
   this.subtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  this.taxAmount = this.items.reduce((sum, item) => {
-    const itemTotal = (item.price * item.quantity) - item.discount;
-    return sum + ((itemTotal * item.taxRate) / 100);
-  }, 0);
+  this.promotionDiscount = roundTax(this.items.reduce(
+    (sum, item) => sum + item.promotions.reduce((lineSum, promotion) => lineSum + promotion.amount, 0),
+    0
+  ));
+  this.cgstAmount = roundTax(this.items.reduce((sum, item) => sum + item.cgstAmount, 0));
+  this.sgstAmount = roundTax(this.items.reduce((sum, item) => sum + item.sgstAmount, 0));
+  this.igstAmount = roundTax(this.items.reduce((sum, item) => sum + item.igstAmount, 0));
+  this.taxAmount = roundTax(this.cgstAmount + this.sgstAmount + this.igstAmount);
 
-  const totalBeforeRoundOff = this.subtotal - this.discount + this.taxAmount;
+  // Line discounts, promotions included, are already out of the taxable value
+  const taxableValue = this.items.reduce((sum, item) => sum + item.taxableValue, 0);
+  const totalBeforeRoundOff = taxableValue - this.discount + this.taxAmount;
   this.roundOff = Math.round(totalBeforeRoundOff) - totalBeforeRoundOff;
   this.finalTotal = Math.round(totalBeforeRoundOff);
 
+  // Payment status follows from what has been paid or credited
+  const settled = this.paidAmount + this.creditedAmount;
+  if (settled <= 0) {
+    this.paymentStatus = 'pending';
+  } else if (settled >= this.finalTotal) {
+    this.paymentStatus = 'paid';
+  } else {
+    this.paymentStatus = 'partial';
+  }
+
   next();
 });
 
@@ -245,4 +532,7 @@ function numberToWords(num) {
   return words.trim();
 }
 
+invoiceSchema.plugin(tenantPlugin);
+invoiceSchema.plugin(auditPlugin, { label: 'invoiceNumber' });
+
 module.exports = mongoose.model('Invoice', invoiceSchema);
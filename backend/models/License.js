@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+const { LICENSE_TYPES } = require('../config/categories');
+
+// Dealer license the shop holds; the types are listed in config/categories
+const licenseSchema = new mongoose.Schema({
+  licenseType: {
+    type: String,
+    enum: LICENSE_TYPES,
+    required: [true, 'License type is required']
+  },
+  licenseNumber: {
+    type: String,
+    required: [true, 'License number is required'],
+    trim: true,
+    maxlength: [50, 'License number cannot exceed 50 characters']
+  },
+  issuingAuthority: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Issuing authority cannot exceed 100 characters']
+  },
+  issueDate: {
+    type: Date
+  },
+  expiryDate: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Last expiry reminder sent to admins, so reminders go out at most once a week
+  lastRemindedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+licenseSchema.index({ licenseType: 1, expiryDate: -1 });
+licenseSchema.index({ isActive: 1, expiryDate: 1 });
+
+// Virtual for days left until expiry; negative once expired
+licenseSchema.virtual('daysToExpiry').get(function() {
+  if (!this.expiryDate) return null;
+  return Math.ceil((this.expiryDate - Date.now()) / (24 * 60 * 60 * 1000));
+});
+
+licenseSchema.set('toJSON', { virtuals: true });
+licenseSchema.set('toObject', { virtuals: true });
+
+licenseSchema.pre('validate', function(next) {
+  if (this.issueDate && this.expiryDate && this.expiryDate < this.issueDate) {
+    this.invalidate('expiryDate', 'Expiry date must be after the issue date');
+  }
+  next();
+});
+
+// Static method to get the license of a type in force on a date, latest expiry first
+licenseSchema.statics.validOn = function(licenseType, date = new Date(), session) {
+  return this.findOne({
+    licenseType,
+    isActive: true,
+    expiryDate: { $gte: date },
+    $or: [{ issueDate: null }, { issueDate: { $lte: date } }]
+  }).sort('-expiryDate').session(session || null);
+};
+
+licenseSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('License', licenseSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
 
 const notificationSchema = new mongoose.Schema({
   title: {
@@ -117,4 +118,6 @@ notificationSchema.statics.getForAdmin = function() {
   }).sort({ createdAt: -1 });
 };
 
+notificationSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Notification', notificationSchema);
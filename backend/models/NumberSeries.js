@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+// GST rules cap document numbers at 16 characters: PREFIX/YY-YY/NNNNN
+const MAX_NUMBER_LENGTH = 16;
+const FINANCIAL_YEAR_PART = '/26-27/'.length;
+
+const numberSeriesSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: ['invoice', 'credit_note', 'receipt', 'estimate', 'purchase_order', 'goods_receipt', 'stock_transfer'],
+    required: true
+  },
+  // Indian financial year the series runs in, e.g. '2026-27'
+  financialYear: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}$/, 'Financial year must look like 2026-27']
+  },
+  prefix: {
+    type: String,
+    required: [true, 'Prefix is required'],
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9-]+$/, 'Prefix may only contain letters, digits and hyphens']
+  },
+  padding: {
+    type: Number,
+    default: 5,
+    min: [3, 'Padding must be at least 3 digits'],
+    max: [8, 'Padding cannot exceed 8 digits']
+  },
+  // Last number issued; only ever moved forward with an atomic $inc
+  lastNumber: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+numberSeriesSchema.index({ organization: 1, documentType: 1, financialYear: 1 }, { unique: true });
+
+numberSeriesSchema.pre('validate', function(next) {
+  if (this.prefix && this.prefix.length + FINANCIAL_YEAR_PART + this.padding > MAX_NUMBER_LENGTH) {
+    this.invalidate('prefix', `Prefix and padding together cannot make numbers longer than ${MAX_NUMBER_LENGTH} characters`);
+  }
+  next();
+});
+
+// Instance method to format a number from this series
+numberSeriesSchema.methods.format = function(sequence = this.lastNumber) {
+  const [startYear, endYear] = this.financialYear.split('-');
+  return `${this.prefix}/${startYear.slice(2)}-${endYear}/${String(sequence).padStart(this.padding, '0')}`;
+};
+
+numberSeriesSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('NumberSeries', numberSeriesSchema);
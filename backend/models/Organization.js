@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { getStateCode } = require('../utils/gst');
+
+// A shop using the system. Every other document belongs to exactly one
+// organization and is only ever visible to that organization's users.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Shop name is required'],
+    trim: true,
+    maxlength: [100, 'Shop name cannot exceed 100 characters']
+  },
+  // Identifies the shop on public pages, sent as the X-Shop header
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]+$/, 'Slug may only contain lowercase letters, digits and hyphens']
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Printed on the shop's documents
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address cannot exceed 200 characters']
+  },
+  // The shop's GST registration; it files its returns and is named on its bills under it
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/, 'Please enter a valid GSTIN']
+  },
+  // State the shop supplies from, for shops without a GSTIN
+  state: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// GST state code the shop supplies from; the GSTIN's takes precedence over the state name
+organizationSchema.virtual('stateCode').get(function() {
+  return getStateCode(this.gstin) || getStateCode(this.state);
+});
+
+// Static method to turn a shop name into a slug no other shop uses
+organizationSchema.statics.uniqueSlug = async function(name) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'shop';
+  let slug = base;
+  for (let suffix = 2; await this.exists({ slug }); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+// How long a parked bill holds its stock before it is released
+const PARKED_CART_TTL_MINUTES = parseInt(process.env.PARKED_CART_TTL_MINUTES, 10) || 120;
+
+const parkedItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+  // Line discount in percent, as entered in the POS
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const parkedCartSchema = new mongoose.Schema({
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  // Branch whose stock the bill holds
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  items: {
+    type: [parkedItemSchema],
+    validate: [items => items.length > 0, 'A parked bill needs at least one item']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'bank_transfer', 'credit', 'split'],
+    default: 'cash'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  status: {
+    type: String,
+    enum: ['parked', 'resumed', 'discarded', 'expired'],
+    default: 'parked'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + PARKED_CART_TTL_MINUTES * 60 * 1000)
+  },
+  resumedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+parkedCartSchema.index({ cashier: 1, status: 1 });
+parkedCartSchema.index({ status: 1, expiresAt: 1, 'items.product': 1 });
+
+// Only parked bills that have not run out hold stock
+const holdingStock = () => ({ status: 'parked', expiresAt: { $gt: new Date() } });
+
+// Static method to mark parked bills past their expiry as expired
+parkedCartSchema.statics.expireOverdue = function() {
+  return this.updateMany(
+    { status: 'parked', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+// Static method to get the quantity of products soft-reserved by parked bills, at one branch when given
+parkedCartSchema.statics.reservedQuantities = async function(productIds, session, branch = null) {
+  const ids = productIds.map(id => new mongoose.Types.ObjectId(String(id)));
+
+  const rows = await this.aggregate([
+    { $match: { ...holdingStock(), ...(branch && { branch }), 'items.product': { $in: ids } } },
+    { $unwind: '$items' },
+    { $match: { 'items.product': { $in: ids } } },
+    { $group: { _id: '$items.product', quantity: { $sum: '$items.quantity' } } }
+  ]).session(session || null);
+
+  const reserved = {};
+  rows.forEach(row => {
+    reserved[row._id.toString()] = row.quantity;
+  });
+  return reserved;
+};
+
+parkedCartSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('ParkedCart', parkedCartSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const allocationSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Allocated amount must be greater than 0']
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Payment amount must be greater than 0']
+  },
+  paymentDate: {
+    type: Date,
+    default: Date.now
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'bank_transfer', 'cheque'],
+    required: true
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Invoices settled by this payment; anything left over is held as an advance
+  allocations: [allocationSchema],
+  unallocatedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Unallocated amount cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'reversed'],
+    default: 'active'
+  },
+  reversedAt: {
+    type: Date
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reversalReason: {
+    type: String,
+    maxlength: [500, 'Reversal reason cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+paymentSchema.index({ organization: 1, receiptNumber: 1 }, { unique: true });
+paymentSchema.index({ customer: 1, paymentDate: -1 });
+paymentSchema.index({ 'allocations.invoice': 1 });
+paymentSchema.index({ status: 1 });
+
+// Pre-save middleware to keep the advance in step with the allocations
+paymentSchema.pre('save', function(next) {
+  const allocated = this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+
+  if (allocated - this.amount > 0.005) {
+    return next(new Error('Allocated amount exceeds payment amount'));
+  }
+
+  this.unallocatedAmount = Math.round((this.amount - allocated) * 100) / 100;
+  next();
+});
+
+paymentSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const paymentLinkSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  gateway: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  // Rupees requested; the gateway works in paise
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Payment link amount must be at least 1']
+  },
+  // Gateway's id for the link (plink_...) and the URL sent to the customer
+  linkId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  shortUrl: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'expired', 'cancelled'],
+    default: 'created'
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Set once from the paid webhook; a repeated webhook finds the link already paid
+  gatewayPaymentId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  paidAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+paymentLinkSchema.index({ invoice: 1, status: 1 });
+
+paymentLinkSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('PaymentLink', paymentLinkSchema);
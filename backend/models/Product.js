@@ -1,4 +1,65 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+const auditPlugin = require('./plugins/audit');
+const { CATEGORIES, isRestrictedCategory } = require('../config/categories');
+
+const batchSchema = new mongoose.Schema({
+  batchNumber: {
+    type: String,
+    required: [true, 'Batch number is required'],
+    trim: true
+  },
+  mfgDate: {
+    type: Date
+  },
+  expiryDate: {
+    type: Date
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Batch quantity is required'],
+    min: [0, 'Batch quantity cannot be negative']
+  },
+  costPrice: {
+    type: Number,
+    min: [0, 'Cost price cannot be negative']
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  writtenOffQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Written off quantity cannot be negative']
+  },
+  writeOffReason: {
+    type: String,
+    trim: true
+  },
+  writtenOffAt: {
+    type: Date
+  },
+  // Branch holding the batch; none for stock taken in before branches were set up
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  }
+});
+
+// Stock held at one branch; `stock` on the product is the total across branches
+const branchStockSchema = new mongoose.Schema({
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Branch stock cannot be negative']
+  }
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -14,7 +75,7 @@ const productSchema = new mongoose.Schema({
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: ['Seeds', 'Fertilizers', 'Pesticides', 'Medicines', 'Tools', 'Equipment', 'Other']
+    enum: CATEGORIES
   },
   subcategory: {
     type: String,
@@ -22,7 +83,6 @@ const productSchema = new mongoose.Schema({
   },
   sku: {
     type: String,
-    unique: true,
     required: [true, 'SKU is required'],
     uppercase: true,
     trim: true
@@ -46,6 +106,28 @@ const productSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'MRP cannot be negative']
   },
+  // Government-subsidised fertilisers (urea, DAP) sell at `price`; the subsidy per unit is claimed back
+  subsidy: {
+    isSubsidized: {
+      type: Boolean,
+      default: false
+    },
+    amountPerUnit: {
+      type: Number,
+      default: 0,
+      min: [0, 'Subsidy cannot be negative']
+    },
+    // Most units one farmer may buy at the subsidised price in a season; 0 for no cap
+    seasonCap: {
+      type: Number,
+      default: 0,
+      min: [0, 'Season cap cannot be negative']
+    },
+    scheme: {
+      type: String,
+      trim: true
+    }
+  },
   taxRate: {
     type: Number,
     default: 0,
@@ -63,6 +145,12 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Stock cannot be negative'],
     default: 0
   },
+  // Units sold net of returns, kept by stockUpdateOp; ranks the top-selling products
+  sold: {
+    type: Number,
+    default: 0
+  },
+  branchStock: [branchStockSchema],
   minStockLevel: {
     type: Number,
     default: 10,
@@ -79,6 +167,7 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  batches: [batchSchema],
   manufacturer: {
     type: String,
     trim: true
@@ -107,11 +196,15 @@ const productSchema = new mongoose.Schema({
 // Indexes for better query performance
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ category: 1 });
-productSchema.index({ sku: 1 });
+productSchema.index({ organization: 1, sku: 1 }, { unique: true });
+productSchema.index({ barcode: 1 }, { sparse: true });
 productSchema.index({ hsnCode: 1 });
 productSchema.index({ isActive: 1 });
 productSchema.index({ stock: 1 });
 productSchema.index({ expiryDate: 1 });
+productSchema.index({ 'batches.batchNumber': 1 });
+productSchema.index({ 'batches.expiryDate': 1 });
+productSchema.index({ 'branchStock.branch': 1 });
 
 // Virtual for stock status
 productSchema.virtual('stockStatus').get(function() {
@@ -126,6 +219,15 @@ productSchema.virtual('profitMargin').get(function() {
   return ((this.price - this.costPrice) / this.costPrice * 100).toFixed(2);
 });
 
+// Restricted products are billed only with the buyer's details entered in the
+// statutory sale register; whether a product is restricted follows its category
+productSchema.virtual('restricted').get(function() {
+  return isRestrictedCategory(this.category);
+});
+
+// Sent with the product so the counter knows to ask for the register details
+productSchema.set('toJSON', { virtuals: true });
+
 // Instance method to check if product is expiring soon
 productSchema.methods.isExpiringSoon = function(days = 30) {
   if (!this.expiryDate) return false;
@@ -136,4 +238,115 @@ productSchema.methods.isExpiringSoon = function(days = 30) {
   return diffDays <= days && diffDays > 0;
 };
 
+// Instance method to get the stock on hand at a branch, or in total without one
+productSchema.methods.stockAt = function(branch) {
+  if (!branch) return this.stock;
+  const entry = this.branchStock.find(level => level.branch.equals(branch));
+  return entry ? entry.quantity : 0;
+};
+
+// Instance method for stock not held in any batch, e.g. opening stock taken in before batches
+productSchema.methods.unbatchedStock = function(branch) {
+  const batched = this.batches
+    .filter(batch => !branch || (batch.branch && batch.branch.equals(branch)))
+    .reduce((sum, batch) => sum + batch.quantity, 0);
+  return Math.max(0, this.stockAt(branch) - batched);
+};
+
+// Instance method to move a branch's stock level by a quantity, adding the branch if new
+productSchema.methods.adjustBranchStock = function(branch, quantity) {
+  if (!branch) return this;
+  const entry = this.branchStock.find(level => level.branch.equals(branch));
+  if (entry) {
+    entry.quantity = Math.max(0, entry.quantity + quantity);
+  } else {
+    this.branchStock.push({ branch, quantity: Math.max(0, quantity) });
+  }
+  return this;
+};
+
+// Instance method to allocate a quantity across batches first-expiry-first-out.
+// Expired batches are never sold; batches without an expiry date go last.
+// With a branch, only batches held at that branch are drawn.
+productSchema.methods.allocateBatches = function(quantity, asOf = new Date(), branch = null) {
+  const sellable = this.batches
+    .filter(batch => !branch || (batch.branch && batch.branch.equals(branch)))
+    .filter(batch => batch.quantity > 0 && (!batch.expiryDate || batch.expiryDate > asOf))
+    .sort((a, b) => {
+      if (!a.expiryDate) return 1;
+      if (!b.expiryDate) return -1;
+      return a.expiryDate - b.expiryDate;
+    });
+
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const batch of sellable) {
+    if (remaining <= 0) break;
+    const take = Math.min(batch.quantity, remaining);
+    allocations.push({
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      expiryDate: batch.expiryDate,
+      quantity: take
+    });
+    remaining -= take;
+  }
+
+  return { allocations, shortfall: remaining > 0 ? remaining : 0 };
+};
+
+// Instance method to take a goods receipt into stock, at a branch when given.
+// Cost price moves to the weighted average of the stock on hand and the received quantity.
+productSchema.methods.receiveStock = function({ quantity, unitCost, batchNumber, mfgDate, expiryDate, branch }) {
+  const onHand = Math.max(0, this.stock);
+  const currentCost = this.costPrice || 0;
+
+  this.costPrice = onHand + quantity > 0
+    ? Math.round(((onHand * currentCost + quantity * unitCost) / (onHand + quantity)) * 100) / 100
+    : unitCost;
+  this.stock = onHand + quantity;
+  this.adjustBranchStock(branch, quantity);
+
+  if (batchNumber) {
+    const batch = this.batches.find(existing => existing.batchNumber === batchNumber
+      && String(existing.branch || '') === String(branch || ''));
+    if (batch) {
+      batch.quantity += quantity;
+    } else {
+      this.batches.push({ batchNumber, quantity, mfgDate, expiryDate, costPrice: unitCost, ...(branch && { branch }) });
+    }
+  }
+
+  return this;
+};
+
+// Static method to build a bulkWrite operation that moves stock in or out,
+// keeping the batch sub-ledger and the branch's level in step with the product total
+productSchema.statics.stockUpdateOp = function(productId, quantity, allocations = [], direction = -1, branch = null) {
+  const inc = { stock: direction * quantity, sold: -direction * quantity };
+  const arrayFilters = [];
+
+  if (branch) {
+    inc['branchStock.$[level].quantity'] = direction * quantity;
+    arrayFilters.push({ 'level.branch': branch });
+  }
+
+  allocations.forEach((allocation, index) => {
+    inc[`batches.$[b${index}].quantity`] = direction * allocation.quantity;
+    arrayFilters.push({ [`b${index}._id`]: allocation.batch });
+  });
+
+  return {
+    updateOne: {
+      filter: { _id: productId },
+      update: { $inc: inc },
+      ...(arrayFilters.length > 0 && { arrayFilters })
+    }
+  };
+};
+
+productSchema.plugin(tenantPlugin);
+productSchema.plugin(auditPlugin, { label: 'name' });
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+// Quantity slab: buying at least minQuantity earns the slab's discount on every unit
+const slabSchema = new mongoose.Schema({
+  minQuantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Slab quantity must be greater than 0']
+  },
+  percent: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  amountPerUnit: {
+    type: Number,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // buy_x_get_y:    every buyQuantity + freeQuantity units, freeQuantity are free
+  // percent_off:    percent off the line
+  // quantity_slab:  highest slab reached by the line quantity
+  // subsidy:        government scheme, amountPerUnit or percent borne by the scheme
+  // group_price:    percent or amountPerUnit off for the listed customer groups
+  type: {
+    type: String,
+    enum: ['buy_x_get_y', 'percent_off', 'quantity_slab', 'subsidy', 'group_price'],
+    required: [true, 'Promotion type is required']
+  },
+  // Products the promotion covers, by product or by category; neither means every product
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: String,
+    enum: ['Seeds', 'Fertilizers', 'Pesticides', 'Medicines', 'Tools', 'Equipment', 'Other']
+  }],
+  // Customer groups the promotion is limited to; empty means every customer
+  customerGroups: [{
+    type: String,
+    enum: ['retail', 'farmer', 'farmer_group', 'wholesale', 'dealer', 'institution']
+  }],
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  freeQuantity: {
+    type: Number,
+    min: [1, 'Free quantity must be at least 1']
+  },
+  percent: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  amountPerUnit: {
+    type: Number,
+    min: [0, 'Discount cannot be negative']
+  },
+  slabs: [slabSchema],
+  // Government order or scheme reference printed on the invoice for subsidies
+  schemeReference: {
+    type: String,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date
+  },
+  // Stackable promotions apply on top of the best non-stackable one on a line
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+promotionSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+promotionSchema.index({ products: 1 });
+promotionSchema.index({ categories: 1 });
+
+// Each type needs its own settings
+promotionSchema.pre('validate', function(next) {
+  const hasDiscount = this.percent > 0 || this.amountPerUnit > 0;
+
+  if (this.type === 'buy_x_get_y' && !(this.buyQuantity && this.freeQuantity)) {
+    this.invalidate('buyQuantity', 'Buy and free quantities are required');
+  }
+  if (['percent_off', 'subsidy', 'group_price'].includes(this.type) && !hasDiscount) {
+    this.invalidate('percent', 'A percentage or amount per unit is required');
+  }
+  if (this.type === 'percent_off' && !(this.percent > 0)) {
+    this.invalidate('percent', 'A percentage is required');
+  }
+  if (this.type === 'quantity_slab' && this.slabs.length === 0) {
+    this.invalidate('slabs', 'At least one quantity slab is required');
+  }
+  if (this.type === 'group_price' && this.customerGroups.length === 0) {
+    this.invalidate('customerGroups', 'Customer groups are required for group pricing');
+  }
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+
+  next();
+});
+
+// Static method to get the promotions running on a date
+promotionSchema.statics.runningOn = function(date = new Date(), session) {
+  return this.find({
+    isActive: true,
+    startDate: { $lte: date },
+    $or: [{ endDate: null }, { endDate: { $gte: date } }]
+  }).session(session || null);
+};
+
+promotionSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Received quantity cannot be negative']
+  },
+  unitCost: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  orderDate: {
+    type: Date,
+    default: Date.now
+  },
+  expectedDate: {
+    type: Date
+  },
+  items: [purchaseOrderItemSchema],
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Subtotal cannot be negative']
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax amount cannot be negative']
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: [0, 'Total cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'ordered', 'partially_received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+purchaseOrderSchema.index({ organization: 1, poNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ supplier: 1 });
+purchaseOrderSchema.index({ status: 1 });
+purchaseOrderSchema.index({ orderDate: -1 });
+
+// Pre-save middleware to calculate totals
+purchaseOrderSchema.pre('save', function(next) {
+  this.subtotal = this.items.reduce((sum, item) => sum + (item.unitCost * item.quantity), 0);
+  this.taxAmount = this.items.reduce((sum, item) => sum + (item.unitCost * item.quantity * item.taxRate / 100), 0);
+  this.total = this.subtotal + this.taxAmount;
+  next();
+});
+
+// Instance method to refresh status from received quantities
+purchaseOrderSchema.methods.updateReceiptStatus = function() {
+  if (this.status === 'cancelled') return this.status;
+
+  const received = this.items.filter(item => item.receivedQuantity > 0).length;
+  const complete = this.items.every(item => item.receivedQuantity >= item.quantity);
+
+  if (complete) {
+    this.status = 'received';
+  } else if (received > 0) {
+    this.status = 'partially_received';
+  }
+  return this.status;
+};
+
+purchaseOrderSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+const { PERMISSIONS } = require('../config/permissions');
+
+// A shop's own role, e.g. "Senior cashier" or "Godown keeper". Users given a
+// custom role get exactly its permissions in place of their built-in role's.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    trim: true,
+    maxlength: [50, 'Role name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: {
+        values: Object.keys(PERMISSIONS),
+        message: '{VALUE} is not a known permission'
+      }
+    }],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+roleSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+roleSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+// One document per shop-wide setting; known keys and defaults live in the settings service
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+settingSchema.index({ organization: 1, key: 1 }, { unique: true });
+settingSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const cashMovementSchema = new mongoose.Schema({
+  // Cash put into (float top-up) or taken out of (drop to the safe, petty spend) the drawer
+  type: {
+    type: String,
+    enum: ['in', 'out'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const shiftSchema = new mongoose.Schema({
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: [0, 'Opening float cannot be negative']
+  },
+  cashMovements: [cashMovementSchema],
+  closedAt: {
+    type: Date
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set on close: what the drawer should hold, what was counted and the difference (counted - expected)
+  expectedCash: {
+    type: Number
+  },
+  countedCash: {
+    type: Number,
+    min: [0, 'Counted cash cannot be negative']
+  },
+  variance: {
+    type: Number
+  },
+  // Z-report figures frozen at close
+  report: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+shiftSchema.index({ cashier: 1, openedAt: -1 });
+shiftSchema.index({ status: 1 });
+
+// A cashier can have only one open shift
+shiftSchema.index({ cashier: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+shiftSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const transferItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  unit: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than 0']
+  },
+  // Batches drawn at the sending branch, recreated at the receiving branch
+  batches: [{
+    batch: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    batchNumber: String,
+    mfgDate: Date,
+    expiryDate: Date,
+    costPrice: Number,
+    quantity: {
+      type: Number,
+      min: [0, 'Batch quantity cannot be negative']
+    }
+  }]
+});
+
+// Goods sent from one branch to another. Stock leaves the sending branch on
+// dispatch and is in transit, in neither branch, until it is received.
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    required: true
+  },
+  fromBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Sending branch is required']
+  },
+  toBranch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch',
+    required: [true, 'Receiving branch is required']
+  },
+  items: [transferItemSchema],
+  status: {
+    type: String,
+    enum: ['in_transit', 'received', 'cancelled'],
+    default: 'in_transit'
+  },
+  dispatchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receivedAt: {
+    type: Date
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+stockTransferSchema.index({ organization: 1, transferNumber: 1 }, { unique: true });
+stockTransferSchema.index({ fromBranch: 1, status: 1 });
+stockTransferSchema.index({ toBranch: 1, status: 1 });
+stockTransferSchema.index({ createdAt: -1 });
+
+stockTransferSchema.pre('validate', function(next) {
+  if (this.fromBranch && this.toBranch && this.fromBranch.equals(this.toBranch)) {
+    this.invalidate('toBranch', 'Receiving branch must differ from the sending branch');
+  }
+  if (this.items.length === 0) {
+    this.invalidate('items', 'At least one item is required');
+  }
+  next();
+});
+
+stockTransferSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
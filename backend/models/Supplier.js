@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: [100, 'Supplier name cannot exceed 100 characters']
+  },
+  contactPerson: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    match: [/^[6-9]\d{9}$/, 'Please enter a valid 10-digit phone number']
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/, 'Please enter a valid GSTIN']
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    pincode: {
+      type: String,
+      match: [/^[1-9][0-9]{5}$/, 'Please enter a valid 6-digit pincode']
+    },
+    country: {
+      type: String,
+      default: 'India'
+    }
+  },
+  paymentTermsDays: {
+    type: Number,
+    default: 30,
+    min: [0, 'Payment terms cannot be negative']
+  },
+  outstandingBalance: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+supplierSchema.index({ name: 'text' });
+supplierSchema.index({ phone: 1 });
+supplierSchema.index({ gstin: 1 });
+supplierSchema.index({ isActive: 1 });
+supplierSchema.index({ outstandingBalance: -1 });
+
+supplierSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('Supplier', supplierSchema);
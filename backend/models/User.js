@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+const auditPlugin = require('./plugins/audit');
 const bcrypt = require('bcryptjs');
+const Role = require('./Role');
+const { ROLE_PERMISSIONS } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -26,6 +30,11 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'staff', 'customer'],
     default: 'customer'
   },
+  // Shop-defined role whose permissions replace the built-in role's; not used for admins
+  customRole: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  },
   phone: {
     type: String,
     required: [true, 'Phone number is required'],
@@ -57,6 +66,16 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Shop the user works at; staff bill, stock and report for their branch only
+  branch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Branch'
+  },
+  // Hashed PIN an admin enters at the counter to approve billing over a credit limit
+  overridePin: {
+    type: String,
+    select: false
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date
 }, {
@@ -81,18 +100,57 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Hash override PIN before saving
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('overridePin') || !this.overridePin) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.overridePin = await bcrypt.hash(this.overridePin, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Compare override PIN method
+userSchema.methods.compareOverridePin = async function(candidatePin) {
+  if (!this.overridePin) return false;
+  return await bcrypt.compare(String(candidatePin), this.overridePin);
+};
+
+// Permissions method: admins hold all, a custom role replaces the built-in role's
+userSchema.methods.getPermissions = async function() {
+  if (this.role === 'admin') return ROLE_PERMISSIONS.admin;
+
+  if (this.customRole) {
+    const role = this.populated('customRole') ? this.customRole : await Role.findById(this.customRole);
+    if (role) return role.permissions;
+  }
+
+  return ROLE_PERMISSIONS[this.role] || [];
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.overridePin;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpire;
   return userObject;
 };
 
+userSchema.plugin(tenantPlugin);
+userSchema.plugin(auditPlugin, {
+  label: 'email',
+  ignore: ['lastLogin'],
+  redact: ['password', 'overridePin', 'resetPasswordToken', 'resetPasswordExpire']
+});
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../AuditLog');
+const { currentActor } = require('../../utils/tenantContext');
+
+const UPDATE_HOOKS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_HOOKS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const MANY_DOCUMENT_HOOKS = ['updateMany', 'deleteMany'];
+const BULK_UPDATES = ['updateOne', 'updateMany', 'replaceOne'];
+const BULK_DELETES = ['deleteOne', 'deleteMany'];
+
+// Bookkeeping every document has; changes to it alone are not worth an entry
+const UNTRACKED_FIELDS = ['_id', '__v', 'organization', 'createdAt', 'updatedAt'];
+
+// Plain JSON copy so ObjectIds and dates compare and are stored as strings
+const plain = (value) => JSON.parse(JSON.stringify(value || {}));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects become dotted fields such as address.city; arrays are compared whole
+const flatten = (value, prefix = '', fields = {}) => {
+  Object.entries(value).forEach(([key, child]) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (isObject(child) && Object.keys(child).length > 0) {
+      flatten(child, field, fields);
+    } else {
+      fields[field] = child;
+    }
+  });
+  return fields;
+};
+
+const rootOf = (field) => field.split('.')[0];
+
+/**
+ * Field-level differences between two versions of a document
+ * @param {Object} before - Document before the change (empty for a create)
+ * @param {Object} after - Document after the change (empty for a delete)
+ * @param {Object} settings - Plugin settings
+ * @returns {Array} `{ field, before, after }` for every field that changed
+ */
+const diff = (before, after, settings) => {
+  const left = flatten(plain(before));
+  const right = flatten(plain(after));
+  const fields = [...new Set([...Object.keys(left), ...Object.keys(right)])];
+
+  return fields
+    .filter(field => !UNTRACKED_FIELDS.includes(rootOf(field)) && !settings.ignore.includes(rootOf(field)))
+    .filter(field => JSON.stringify(left[field]) !== JSON.stringify(right[field]))
+    .map(field => (settings.redact.includes(rootOf(field))
+      ? { field, before: left[field] === undefined ? undefined : '[redacted]', after: right[field] === undefined ? undefined : '[redacted]' }
+      : { field, before: left[field], after: right[field] }));
+};
+
+/**
+ * Write audit entries for changed documents. Inside a session a failed write
+ * throws, so the transaction aborts instead of committing an unaudited change;
+ * outside one the change is already stored and the failure is only logged.
+ * @param {Model} Model - Audited model
+ * @param {Object} settings - Plugin settings
+ * @param {Array} changes - `{ action, before, after }` per document
+ * @param {ClientSession} session - Session of the change, so entries commit or abort with it
+ */
+const record = async (Model, settings, changes, session) => {
+  const actor = currentActor();
+
+  const entries = changes
+    .map(({ action, before, after }) => {
+      const document = action === 'delete' ? before : after;
+      return {
+        organization: document.organization,
+        model: Model.modelName,
+        documentId: document._id,
+        label: settings.label ? document[settings.label] : undefined,
+        action,
+        changes: diff(before, after, settings),
+        user: actor?.user || null,
+        ip: actor?.ip
+      };
+    })
+    .filter(entry => entry.action !== 'update' || entry.changes.length > 0);
+
+  if (entries.length === 0) return;
+
+  try {
+    await AuditLog.insertMany(entries, { session: session || null });
+  } catch (error) {
+    if (session) throw error;
+    console.error(`Audit log error for ${Model.modelName}:`, error);
+  }
+};
+
+/**
+ * Model.bulkWrite that records what its operations changed. Mongoose hands
+ * bulkWrite post hooks only the result, so the documents the operations match
+ * are read here before the write and again after it.
+ * @param {Object} settings - Plugin settings
+ * @returns {Function} bulkWrite static for an audited model
+ */
+const auditedBulkWrite = (settings) => async function(ops, options = {}) {
+  if (options.skipAudit) {
+    return mongoose.Model.bulkWrite.call(this, ops, options);
+  }
+
+  const session = options.session || null;
+  const matched = await Promise.all(ops.map((op) => {
+    const [type] = Object.keys(op);
+    if (![...BULK_UPDATES, ...BULK_DELETES].includes(type)) return [];
+
+    const query = this.find(op[type].filter).session(session).lean();
+    return MANY_DOCUMENT_HOOKS.includes(type) ? query : query.limit(1);
+  }));
+
+  // The first match of a document holds it as it was before any operation
+  const before = new Map();
+  const deleted = new Set();
+  ops.forEach((op, index) => {
+    const [type] = Object.keys(op);
+    matched[index].forEach((doc) => {
+      const id = String(doc._id);
+      if (!before.has(id)) before.set(id, doc);
+      if (BULK_DELETES.includes(type)) deleted.add(id);
+    });
+  });
+
+  const result = await mongoose.Model.bulkWrite.call(this, ops, options);
+
+  const ids = [
+    ...[...before.values()].filter(doc => !deleted.has(String(doc._id))).map(doc => doc._id),
+    ...Object.values(result?.insertedIds || {}),
+    ...Object.values(result?.upsertedIds || {})
+  ];
+  const after = ids.length > 0 ? await this.find({ _id: { $in: ids } }).session(session).lean() : [];
+
+  await record(this, settings, [
+    ...after.map(doc => ({
+      action: before.has(String(doc._id)) ? 'update' : 'create',
+      before: before.get(String(doc._id)) || {},
+      after: doc
+    })),
+    ...[...deleted].map(id => ({ action: 'delete', before: before.get(id), after: {} }))
+  ], session);
+
+  return result;
+};
+
+/**
+ * Records who created, changed or deleted a model's documents, from where and
+ * which fields changed, in the AuditLog collection. Saves, insertMany,
+ * update/delete queries (which document deletes run too) and bulkWrite, which
+ * carries the stock movements of billing and returns, are covered. A query or
+ * bulkWrite can opt out with the `skipAudit` option.
+ * @param {Schema} schema - Schema of an audited model
+ * @param {Object} [options]
+ * @param {string} [options.label] - Field naming a document in the trail, e.g. 'invoiceNumber'
+ * @param {string[]} [options.ignore] - Fields whose changes are not recorded, e.g. 'lastLogin'
+ * @param {string[]} [options.redact] - Fields recorded as changed without their values, e.g. 'password'
+ */
+const auditPlugin = (schema, options = {}) => {
+  const settings = {
+    label: options.label,
+    ignore: options.ignore || [],
+    redact: options.redact || []
+  };
+
+  schema.pre('save', async function() {
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+    this.$locals.auditBefore = null;
+
+    const tracked = this.modifiedPaths().some(path => !settings.ignore.includes(rootOf(path)));
+    if (!this.isNew && tracked) {
+      this.$locals.auditBefore = await this.constructor.findById(this._id).session(this.$session()).lean();
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    const action = doc.$locals.auditAction;
+    let before = doc.$locals.auditBefore;
+    doc.$locals.auditBefore = null;
+
+    if (action === 'update' && !before) return;
+
+    // Fields left out by the query that loaded the document are not changes
+    if (before) {
+      before = Object.fromEntries(Object.entries(before).filter(([key]) => doc.isSelected(key)));
+    }
+
+    await record(doc.constructor, settings, [{ action, before: before || {}, after: doc.toObject({ depopulate: true }) }], doc.$session());
+  });
+
+  schema.post('insertMany', async function(docs) {
+    await record(this, settings, docs.map(doc => ({
+      action: 'create',
+      before: {},
+      after: typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc
+    })));
+  });
+
+  schema.pre([...UPDATE_HOOKS, ...DELETE_HOOKS], { document: false, query: true }, async function() {
+    this._auditBefore = null;
+    if (this.getOptions().skipAudit) return;
+
+    let query = this.model.find(this.getFilter()).session(this.getOptions().session || null).lean();
+    if (!MANY_DOCUMENT_HOOKS.includes(this.op)) {
+      query = query.sort(this.getOptions().sort).limit(1);
+    }
+    this._auditBefore = await query;
+  });
+
+  schema.post(UPDATE_HOOKS, { document: false, query: true }, async function(result) {
+    if (!this._auditBefore) return;
+
+    const before = new Map(this._auditBefore.map(doc => [String(doc._id), doc]));
+    const upserted = before.size === 0 && (result?.upsertedId || result?._id);
+    const ids = upserted ? [upserted] : [...before.values()].map(doc => doc._id);
+    if (ids.length === 0) return;
+
+    const session = this.getOptions().session;
+    const after = await this.model.find({ _id: { $in: ids } }).session(session || null).lean();
+
+    await record(this.model, settings, after.map(doc => ({
+      action: before.has(String(doc._id)) ? 'update' : 'create',
+      before: before.get(String(doc._id)) || {},
+      after: doc
+    })), session);
+  });
+
+  schema.post(DELETE_HOOKS, { document: false, query: true }, async function() {
+    if (!this._auditBefore || this._auditBefore.length === 0) return;
+
+    await record(this.model, settings, this._auditBefore.map(doc => ({ action: 'delete', before: doc, after: {} })), this.getOptions().session);
+  });
+
+  schema.static('bulkWrite', auditedBulkWrite(settings));
+};
+
+module.exports = auditPlugin;
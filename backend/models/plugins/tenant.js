@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { currentTenant } = require('../../utils/tenantContext');
+
+const QUERY_HOOKS = [
+  'countDocuments', 'deleteMany', 'deleteOne', 'distinct', 'find', 'findOne',
+  'findOneAndDelete', 'findOneAndReplace', 'findOneAndUpdate', 'replaceOne', 'updateMany', 'updateOne'
+];
+
+const FILTERED_BULK_OPS = ['updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'];
+
+/**
+ * Keeps a model's documents inside the organization (shop) they belong to.
+ * Within a request new documents are stamped with the current organization and
+ * every query, aggregation and bulk write is limited to it, upserts included.
+ * Code running outside a request sees every organization; a query can also opt
+ * out on purpose with the `skipTenant` option.
+ * @param {Schema} schema - Schema of a tenant-owned model
+ */
+const tenantPlugin = (schema) => {
+  schema.add({
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: [true, 'Organization is required'],
+      immutable: true,
+      index: true
+    }
+  });
+
+  schema.pre('validate', function(next) {
+    const tenant = currentTenant();
+    if (tenant && !this.organization) {
+      this.organization = tenant;
+    }
+    if (tenant && !this.organization.equals(tenant)) {
+      this.invalidate('organization', 'Document belongs to another organization');
+    }
+    next();
+  });
+
+  schema.pre(QUERY_HOOKS, function() {
+    const tenant = currentTenant();
+    if (tenant && !this.getOptions().skipTenant) {
+      this.where({ organization: tenant });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const tenant = currentTenant();
+    if (tenant && !this.options.skipTenant) {
+      this.pipeline().unshift({ $match: { organization: tenant } });
+    }
+  });
+
+  schema.pre('bulkWrite', function(next, ops) {
+    const tenant = currentTenant();
+    if (tenant) {
+      ops.forEach(op => {
+        const [type] = Object.keys(op);
+        if (FILTERED_BULK_OPS.includes(type)) {
+          op[type].filter = { ...op[type].filter, organization: tenant };
+        } else if (type === 'insertOne' && !op.insertOne.document.organization) {
+          op.insertOne.document.organization = tenant;
+        }
+      });
+    }
+    next();
+  });
+};
+
+module.exports = tenantPlugin;
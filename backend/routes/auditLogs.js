@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const AuditLog = require('../models/AuditLog');
+
+const AUDITED_MODELS = ['Invoice', 'Product', 'Customer', 'Expense', 'User'];
+
+// @route   GET /api/audit-logs
+// @desc    Search the audit trail by model, action, user, record and date
+// @access  Private (audit.view)
+router.get('/', [
+  auth,
+  requirePermission('audit.view'),
+  check('model', `Model must be one of ${AUDITED_MODELS.join(', ')}`).optional().isIn(AUDITED_MODELS),
+  check('action', 'Action must be create, update or delete').optional().isIn(['create', 'update', 'delete']),
+  check('user', 'Invalid user').optional().isMongoId(),
+  check('documentId', 'Invalid document id').optional().isMongoId(),
+  check('startDate', 'Start date must be a valid date').optional().isISO8601(),
+  check('endDate', 'End date must be a valid date').optional().isISO8601()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const query = {};
+    ['model', 'action', 'user', 'documentId'].forEach(field => {
+      if (req.query[field]) query[field] = req.query[field];
+    });
+
+    if (req.query.startDate || req.query.endDate) {
+      query.createdAt = {};
+      if (req.query.startDate) query.createdAt.$gte = new Date(req.query.startDate);
+      if (req.query.endDate) query.createdAt.$lte = new Date(req.query.endDate);
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+    const total = await AuditLog.countDocuments(query);
+
+    const logs = await AuditLog.find(query)
+      .populate('user', 'name email')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: logs.length,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      data: logs
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/audit-logs/:model/:id
+// @desc    Get the history of one record, oldest change first
+// @access  Private (audit.view)
+router.get('/:model/:id', [
+  auth,
+  requirePermission('audit.view'),
+  check('model', `Model must be one of ${AUDITED_MODELS.join(', ')}`).isIn(AUDITED_MODELS),
+  check('id', 'Invalid document id').isMongoId()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const logs = await AuditLog.find({ model: req.params.model, documentId: req.params.id })
+      .populate('user', 'name email')
+      .sort('createdAt');
+
+    res.json({
+      success: true,
+      count: logs.length,
+      data: logs
+    });
+  } catch (error) {
+    console.error('Get record history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
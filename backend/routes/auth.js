@@ -3,7 +3,9 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Organization = require('../models/Organization');
+const { auth, shopContext, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -14,10 +16,15 @@ const generateToken = (userId) => {
   });
 };
 
+// New shops sign up with a shop name; everyone else registers with the shop they belong to
+const registrationShop = (req, res, next) => (req.body.shopName ? next() : shopContext(req, res, next));
+
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new user, or a new shop with its first admin when a shop name is given
 // @access  Public
 router.post('/register', [
+  registrationShop,
+  body('shopName').optional({ checkFalsy: true }).trim().isLength({ min: 2, max: 100 }).withMessage('Shop name must be between 2 and 100 characters'),
   body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
@@ -34,10 +41,26 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, phone, role = 'customer' } = req.body;
+    const { name, email, password, phone, shopName } = req.body;
+    let { role = 'customer' } = req.body;
+
+    // Staff accounts are added by users who manage the shop's users; visitors can only join as customers
+    if (!shopName && role !== 'customer' && !hasPermission(req.user, 'user.manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only users who manage accounts can add staff accounts'
+      });
+    }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
+    if (!shopName && role === 'admin' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can add admin accounts'
+      });
+    }
+
+    // Emails sign in to exactly one shop, so they are checked across all shops
+    const existingUser = await User.findOne({ email }).setOptions({ skipTenant: true });
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -54,6 +77,18 @@ router.post('/register', [
       });
     }
 
+    // A new shop's first user is its admin
+    let organization = null;
+    if (shopName) {
+      organization = new Organization({
+        name: shopName,
+        slug: await Organization.uniqueSlug(shopName),
+        phone,
+        email
+      });
+      role = 'admin';
+    }
+
     // Create new user
     const user = new User({
       name,
@@ -61,9 +96,14 @@ router.post('/register', [
       password,
       phone,
       role,
+      ...(organization && { organization: organization._id }),
       createdBy: req.user ? req.user.userId : null // If created by admin/staff
     });
 
+    if (organization) {
+      await user.validate();
+      await organization.save();
+    }
     await user.save();
 
     // Update last login
@@ -77,12 +117,14 @@ router.post('/register', [
       success: true,
       message: 'User registered successfully',
       token,
+      ...(organization && { shop: organization.slug }),
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
-        phone: user.phone
+        phone: user.phone,
+        permissions: await user.getPermissions()
       }
     });
 
@@ -140,6 +182,14 @@ router.post('/login', [
       });
     }
 
+    // Accounts from before shops were introduced wait for migrate:tenants
+    if (!user.organization) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not linked to a shop'
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
@@ -156,7 +206,9 @@ router.post('/login', [
         name: user.name,
         email: user.email,
         role: user.role,
-        phone: user.phone
+        phone: user.phone,
+        branch: user.branch,
+        permissions: await user.getPermissions()
       }
     });
 
@@ -190,6 +242,8 @@ router.get('/me', auth, async (req, res) => {
         email: user.email,
         role: user.role,
         phone: user.phone,
+        branch: user.branch,
+        permissions: await user.getPermissions(),
         address: user.address,
         profileImage: user.profileImage,
         lastLogin: user.lastLogin
@@ -318,6 +372,56 @@ router.post('/change-password', auth, [
   }
 });
 
+// @route   PUT /api/auth/override-pin
+// @desc    Set the PIN used to approve credit limit overrides at billing
+// @access  Private (credit.override)
+router.put('/override-pin', auth, requirePermission('credit.override'), [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('pin').matches(/^\d{4,6}$/).withMessage('PIN must be 4 to 6 digits')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.overridePin = req.body.pin;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Override PIN updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Set override PIN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while setting override PIN'
+    });
+  }
+});
+
 // @route   POST /api/auth/forgot-password
 // @desc    Send password reset email
 // @access  Public
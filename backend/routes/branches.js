@@ -0,0 +1,353 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const Branch = require('../models/Branch');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const BranchService = require('../services/branchService');
+const { hasPermission } = require('../config/permissions');
+
+const branchValidators = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('name', 'Branch name is required').trim().notEmpty(),
+    field('code', 'Branch code is required').trim().notEmpty(),
+    check('phone', 'Phone must be a string').optional().isString(),
+    check('isActive', 'Active must be true or false').optional().isBoolean()
+  ];
+};
+
+const validationMessage = (error) => Object.values(error.errors).map(err => err.message).join(', ');
+
+// @route   GET /api/branches
+// @desc    Get branches
+// @access  Private (branch.view)
+router.get('/', [auth, requirePermission('branch.view')], async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const branches = await Branch.find(query).sort('name');
+
+    res.json({
+      success: true,
+      count: branches.length,
+      data: branches
+    });
+  } catch (error) {
+    console.error('Get branches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/branches/:id
+// @desc    Get single branch with its staff
+// @access  Private (branch.manage)
+router.get('/:id', [auth, requirePermission('branch.manage')], async (req, res) => {
+  try {
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    const staff = await User.find({ branch: branch._id }).select('name email role isActive');
+
+    res.json({
+      success: true,
+      data: { ...branch.toObject(), staff }
+    });
+  } catch (error) {
+    console.error('Get branch error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/branches/:id/stock
+// @desc    Get stock held at a branch
+// @access  Private (branch.view)
+router.get('/:id/stock', [auth, requirePermission('branch.view')], async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'branch.all') && String(req.user.branch) !== req.params.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own branch stock'
+      });
+    }
+
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    const products = await Product.find({ 'branchStock.branch': branch._id })
+      .select('name sku unit minStockLevel branchStock batches')
+      .sort('name');
+
+    const data = products.map(product => ({
+      _id: product._id,
+      name: product.name,
+      sku: product.sku,
+      unit: product.unit,
+      stock: product.stockAt(branch._id),
+      minStockLevel: product.minStockLevel || 0,
+      batches: product.batches.filter(batch => batch.branch && batch.branch.equals(branch._id) && batch.quantity > 0)
+    }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Get branch stock error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/branches
+// @desc    Create a branch
+// @access  Private (branch.manage)
+router.post('/', [auth, requirePermission('branch.manage'), branchValidators(false)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { name, code, address, phone } = req.body;
+
+    const exists = await Branch.findOne({ code: code.toUpperCase() });
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: 'A branch with this code already exists'
+      });
+    }
+
+    const branch = new Branch({
+      name,
+      code,
+      address,
+      phone,
+      createdBy: req.user.userId
+    });
+
+    await branch.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Branch created successfully',
+      data: branch
+    });
+  } catch (error) {
+    console.error('Create branch error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/branches/:id
+// @desc    Update a branch
+// @access  Private (branch.manage)
+router.put('/:id', [auth, requirePermission('branch.manage'), branchValidators(true)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    const updates = Object.keys(req.body);
+    const allowedUpdates = ['name', 'code', 'address', 'phone', 'isActive'];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid updates'
+      });
+    }
+
+    if (req.body.code) {
+      const exists = await Branch.findOne({ code: req.body.code.toUpperCase(), _id: { $ne: branch._id } });
+      if (exists) {
+        return res.status(400).json({
+          success: false,
+          message: 'A branch with this code already exists'
+        });
+      }
+    }
+
+    updates.forEach(update => branch[update] = req.body[update]);
+    await branch.save();
+
+    res.json({
+      success: true,
+      message: 'Branch updated successfully',
+      data: branch
+    });
+  } catch (error) {
+    console.error('Update branch error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/branches/:id/adopt-stock
+// @desc    Move stock taken in before branches were set up into this branch
+// @access  Private (branch.manage)
+router.post('/:id/adopt-stock', [auth, requirePermission('branch.manage')], async (req, res) => {
+  const session = await Branch.startSession();
+  session.startTransaction();
+
+  try {
+    const branch = await Branch.findOne({ _id: req.params.id, isActive: true }).session(session);
+
+    if (!branch) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    const updated = await BranchService.adoptUnassignedStock(branch._id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({
+      success: true,
+      message: `Stock of ${updated} products moved into ${branch.name}`,
+      data: { updated }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    console.error('Adopt branch stock error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/branches/:id
+// @desc    Close a branch; it is deactivated so its bills and transfers keep their history
+// @access  Private (branch.manage)
+router.delete('/:id', [auth, requirePermission('branch.manage')], async (req, res) => {
+  try {
+    const branch = await Branch.findById(req.params.id);
+
+    if (!branch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    if (await Product.exists({ branchStock: { $elemMatch: { branch: branch._id, quantity: { $gt: 0 } } } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer the branch stock out before closing it'
+      });
+    }
+
+    branch.isActive = false;
+    await branch.save();
+
+    res.json({
+      success: true,
+      message: 'Branch closed successfully'
+    });
+  } catch (error) {
+    console.error('Delete branch error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
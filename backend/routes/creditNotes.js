@@ -0,0 +1,334 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { roundTax } = require('../utils/gst');
+const PDFGenerator = require('../utils/pdfGenerator');
+const CreditNote = require('../models/CreditNote');
+const Invoice = require('../models/Invoice');
+const Product = require('../models/Product');
+const PaymentService = require('../services/paymentService');
+const NumberingService = require('../services/numberingService');
+const BranchService = require('../services/branchService');
+const SettingsService = require('../services/settingsService');
+
+/**
+ * Work out which batches returned goods go back to. Earlier returns are taken
+ * to have emptied the invoice allocations from the last batch backwards, so
+ * the remaining capacity can be derived from the returned quantity alone.
+ * @param {Array} batches - Batch allocations on the invoice item
+ * @param {number} alreadyReturned - Quantity returned by earlier credit notes
+ * @param {number} quantity - Quantity being returned now
+ * @returns {Array} Batch allocations for the return
+ */
+const allocateReturn = (batches = [], alreadyReturned, quantity) => {
+  const allocations = [];
+  let skip = alreadyReturned;
+  let remaining = quantity;
+
+  for (let i = batches.length - 1; i >= 0 && remaining > 0; i--) {
+    const batch = batches[i];
+    const available = Math.max(0, batch.quantity - skip);
+    skip = Math.max(0, skip - batch.quantity);
+    if (available <= 0) continue;
+
+    const take = Math.min(available, remaining);
+    allocations.push({
+      batch: batch.batch,
+      batchNumber: batch.batchNumber,
+      expiryDate: batch.expiryDate,
+      quantity: take
+    });
+    remaining -= take;
+  }
+
+  return allocations;
+};
+
+/**
+ * Whether a user may see a credit note: it goes with the invoice it was issued against
+ * @param {Object} creditNote - Credit note document
+ * @param {Object} user - `req.user`
+ * @returns {Promise<boolean>} True when the invoice is within the user's branch scope
+ */
+const canSeeCreditNote = async (creditNote, user) => Boolean(await Invoice.exists({
+  _id: creditNote.populated('invoice') || creditNote.invoice,
+  ...BranchService.scopeFilter(user)
+}));
+
+// @route   GET /api/credit-notes
+// @desc    Get all credit notes
+// @access  Private (creditNote.view)
+router.get('/', [auth, requirePermission('creditNote.view')], async (req, res) => {
+  try {
+    const { customer, invoice, startDate, endDate } = req.query;
+    const query = {};
+
+    if (customer) query.customer = customer;
+    if (invoice) query.invoice = invoice;
+    if (startDate || endDate) {
+      query.creditNoteDate = {};
+      if (startDate) query.creditNoteDate.$gte = new Date(startDate);
+      if (endDate) query.creditNoteDate.$lte = new Date(endDate);
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+    const total = await CreditNote.countDocuments(query);
+
+    const creditNotes = await CreditNote.find(query)
+      .populate('customer', 'name phone')
+      .sort('-creditNoteDate')
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: creditNotes.length,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      data: creditNotes
+    });
+  } catch (error) {
+    console.error('Get credit notes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/credit-notes/:id
+// @desc    Get single credit note
+// @access  Private (creditNote.view)
+router.get('/:id', [auth, requirePermission('creditNote.view')], async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate('customer', 'name phone email address gstin')
+      .populate('invoice', 'invoiceNumber invoiceDate finalTotal');
+
+    if (!creditNote || !(await canSeeCreditNote(creditNote, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: creditNote
+    });
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/credit-notes
+// @desc    Issue a credit note for goods returned against an invoice
+// @access  Private (creditNote.create)
+router.post('/', [
+  auth,
+  requirePermission('creditNote.create'),
+  [
+    check('invoice', 'Invoice is required').isMongoId(),
+    check('reason', 'Return reason is required').not().isEmpty(),
+    check('items', 'At least one item is required').isArray({ min: 1 }),
+    check('items.*.invoiceItem', 'Invoice item is required').isMongoId(),
+    check('items.*.quantity', 'Quantity must be greater than 0').isFloat({ gt: 0 }),
+    check('settlement', 'Settlement must be adjust or refund').optional().isIn(['adjust', 'refund']),
+    check('refundMethod', 'Refund method is required for refunds').if(
+      (value, { req }) => req.body.settlement === 'refund'
+    ).isIn(['cash', 'card', 'upi', 'bank_transfer'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const session = await CreditNote.startSession();
+  session.startTransaction();
+
+  try {
+    const { items, reason, settlement = 'adjust', refundMethod } = req.body;
+
+    const invoice = await Invoice.findOne({
+      _id: req.body.invoice,
+      ...BranchService.scopeFilter(req.user)
+    }).session(session);
+    if (!invoice) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.status !== 'active') {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Cannot return goods on an invoice that is ${invoice.status}`
+      });
+    }
+
+    const noteItems = [];
+    const productUpdates = [];
+
+    for (const line of items) {
+      const invoiceItem = invoice.items.id(line.invoiceItem);
+      if (!invoiceItem) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(404).json({
+          success: false,
+          message: `Item not found on invoice: ${line.invoiceItem}`
+        });
+      }
+
+      const returnable = invoiceItem.quantity - invoiceItem.returnedQuantity;
+      if (line.quantity > returnable) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          success: false,
+          message: `Only ${returnable} ${invoiceItem.unit} of ${invoiceItem.name} can be returned`
+        });
+      }
+
+      const batches = allocateReturn(invoiceItem.batches, invoiceItem.returnedQuantity, line.quantity);
+
+      // The invoice discount is an amount, so credit it back in proportion
+      noteItems.push({
+        invoiceItem: invoiceItem._id,
+        product: invoiceItem.product,
+        name: invoiceItem.name,
+        hsnCode: invoiceItem.hsnCode,
+        quantity: line.quantity,
+        unit: invoiceItem.unit,
+        batches,
+        price: invoiceItem.price,
+        discount: roundTax(invoiceItem.discount * (line.quantity / invoiceItem.quantity)),
+        taxRate: invoiceItem.taxRate
+      });
+
+      invoiceItem.returnedQuantity += line.quantity;
+      productUpdates.push(Product.stockUpdateOp(invoiceItem.product, line.quantity, batches, 1, invoice.branch));
+    }
+
+    if (productUpdates.length > 0) {
+      await Product.bulkWrite(productUpdates, { session });
+    }
+
+    const creditNoteNumber = await NumberingService.nextNumber('credit_note', { session });
+
+    const creditNote = new CreditNote({
+      creditNoteNumber,
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate,
+      customer: invoice.customer,
+      placeOfSupply: invoice.placeOfSupply,
+      supplyType: invoice.supplyType,
+      items: noteItems,
+      settlement,
+      refundMethod: settlement === 'refund' ? refundMethod : undefined,
+      reason,
+      createdBy: req.user.userId
+    });
+
+    await creditNote.save({ session });
+
+    // A fully returned invoice no longer counts as an open sale
+    if (invoice.items.every(item => item.returnedQuantity >= item.quantity)) {
+      invoice.status = 'returned';
+    }
+
+    // Refunds are paid out, so only account adjustments reduce what the customer owes
+    if (settlement === 'adjust') {
+      invoice.creditedAmount += creditNote.finalTotal;
+    }
+    await invoice.save({ session });
+
+    await PaymentService.syncCustomerBalance(invoice.customer, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: 'Credit note issued successfully',
+      data: creditNote
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    console.error('Create credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/credit-notes/:id/download
+// @desc    Download credit note as PDF
+// @access  Private (creditNote.view)
+router.get('/:id/download', [auth, requirePermission('creditNote.view')], async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findById(req.params.id)
+      .populate('customer', 'name phone email address gstin');
+
+    if (!creditNote || !(await canSeeCreditNote(creditNote, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    const company = await SettingsService.getCompanyDetails();
+    const pdfBuffer = await PDFGenerator.generateCreditNote(creditNote, company);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename=credit-note-${NumberingService.toFileName(creditNote.creditNoteNumber)}.pdf`,
+      'Content-Length': pdfBuffer.length
+    });
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Download credit note error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate PDF'
+    });
+  }
+});
+
+module.exports = router;
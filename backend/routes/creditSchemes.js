@@ -0,0 +1,244 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const CreditScheme = require('../models/CreditScheme');
+const Customer = require('../models/Customer');
+
+const schemeValidators = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('name', 'Scheme name is required').notEmpty(),
+    check('type', 'Type must be days or season').optional().isIn(['days', 'season']),
+    check('creditDays', 'Credit days must be a positive number').optional().isInt({ min: 0 }),
+    check('graceDays', 'Grace days must be a positive number').optional().isInt({ min: 0 }),
+    check('monthlyInterestRate', 'Interest rate must be between 0 and 10% per month').optional().isFloat({ min: 0, max: 10 }),
+    check('seasons', 'Seasons must be an array').optional().isArray(),
+    check('seasons.*.name', 'Season name is required').notEmpty(),
+    check(['seasons.*.startMonth', 'seasons.*.endMonth', 'seasons.*.dueMonth'], 'Season months must be between 1 and 12').isInt({ min: 1, max: 12 }),
+    check('seasons.*.dueDay', 'Due day must be between 1 and 31').optional().isInt({ min: 1, max: 31 })
+  ];
+};
+
+// @route   GET /api/credit-schemes
+// @desc    Get all credit schemes
+// @access  Private (creditScheme.view)
+router.get('/', [auth, requirePermission('creditScheme.view')], async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const schemes = await CreditScheme.find(query).sort('name');
+
+    res.json({
+      success: true,
+      count: schemes.length,
+      data: schemes
+    });
+  } catch (error) {
+    console.error('Get credit schemes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/credit-schemes/:id
+// @desc    Get single credit scheme
+// @access  Private (creditScheme.view)
+router.get('/:id', [auth, requirePermission('creditScheme.view')], async (req, res) => {
+  try {
+    const scheme = await CreditScheme.findById(req.params.id);
+
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit scheme not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: scheme
+    });
+  } catch (error) {
+    console.error('Get credit scheme error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit scheme not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/credit-schemes
+// @desc    Create a credit scheme
+// @access  Private (creditScheme.manage)
+router.post('/', [auth, requirePermission('creditScheme.manage'), schemeValidators(false)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    if (req.body.type === 'season' && !(req.body.seasons && req.body.seasons.length)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A season scheme needs at least one season'
+      });
+    }
+
+    const existingScheme = await CreditScheme.findOne({ name: req.body.name });
+    if (existingScheme) {
+      return res.status(400).json({
+        success: false,
+        message: 'Credit scheme with this name already exists'
+      });
+    }
+
+    const scheme = new CreditScheme({
+      ...req.body,
+      createdBy: req.user.userId
+    });
+
+    await scheme.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Credit scheme created successfully',
+      data: scheme
+    });
+  } catch (error) {
+    console.error('Create credit scheme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/credit-schemes/:id
+// @desc    Update a credit scheme
+// @access  Private (creditScheme.manage)
+router.put('/:id', [auth, requirePermission('creditScheme.manage'), schemeValidators(true)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const scheme = await CreditScheme.findById(req.params.id);
+
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit scheme not found'
+      });
+    }
+
+    // Invoices keep the terms they were raised on, so edits only affect new sales
+    const updates = Object.keys(req.body);
+    const allowedUpdates = [
+      'name', 'description', 'type', 'creditDays', 'seasons',
+      'graceDays', 'monthlyInterestRate', 'isActive'
+    ];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid updates'
+      });
+    }
+
+    updates.forEach(update => scheme[update] = req.body[update]);
+
+    if (scheme.type === 'season' && scheme.seasons.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A season scheme needs at least one season'
+      });
+    }
+
+    await scheme.save();
+
+    res.json({
+      success: true,
+      message: 'Credit scheme updated successfully',
+      data: scheme
+    });
+  } catch (error) {
+    console.error('Update credit scheme error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit scheme not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/credit-schemes/:id
+// @desc    Delete a credit scheme
+// @access  Private (creditScheme.manage)
+router.delete('/:id', [auth, requirePermission('creditScheme.manage')], async (req, res) => {
+  try {
+    const scheme = await CreditScheme.findById(req.params.id);
+
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit scheme not found'
+      });
+    }
+
+    const inUse = await Customer.exists({ creditScheme: scheme._id });
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a credit scheme assigned to customers. Mark it inactive instead.'
+      });
+    }
+
+    await CreditScheme.deleteOne({ _id: scheme._id });
+
+    res.json({
+      success: true,
+      message: 'Credit scheme removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete credit scheme error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit scheme not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
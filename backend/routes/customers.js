@@ -1,16 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const { auth, adminAuth: admin } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const Customer = require('../models/Customer');
+const StatementService = require('../services/statementService');
+const PaymentService = require('../services/paymentService');
+const CreditService = require('../services/creditService');
+const PDFGenerator = require('../utils/pdfGenerator');
+const smsService = require('../utils/sms');
+const SettingsService = require('../services/settingsService');
 
 // @route   GET /api/customers
 // @desc    Get all customers
-// @access  Private
-router.get('/', auth, async (req, res) => {
+// @access  Private (customer.view)
+router.get('/', [auth, requirePermission('customer.view')], async (req, res) => {
   try {
     // Build query object
-    const queryObj = { ...req.query, user: req.user.userId };
+    const queryObj = { ...req.query };
     const excludedFields = ['page', 'sort', 'limit', 'fields'];
     excludedFields.forEach(el => delete queryObj[el]);
 
@@ -40,7 +46,7 @@ router.get('/', auth, async (req, res) => {
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
     const skip = (page - 1) * limit;
-    const total = await Customer.countDocuments({ ...JSON.parse(queryStr), user: req.user.userId });
+    const total = await Customer.countDocuments(JSON.parse(queryStr));
     
     query = query.skip(skip).limit(limit);
 
@@ -72,12 +78,11 @@ router.get('/', auth, async (req, res) => {
 
 // @route   GET /api/customers/:id
 // @desc    Get single customer
-// @access  Private
-router.get('/:id', auth, async (req, res) => {
+// @access  Private (customer.view)
+router.get('/:id', [auth, requirePermission('customer.view')], async (req, res) => {
   try {
     const customer = await Customer.findOne({
-      _id: req.params.id,
-      user: req.user.userId
+      _id: req.params.id
     });
     
     if (!customer) {
@@ -108,8 +113,8 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   GET /api/customers/me
 // @desc    Get logged-in customer's profile (customer role only)
-// @access  Private (Customer)
-router.get('/me', auth, async (req, res) => {
+// @access  Private (portal.view)
+router.get('/me', [auth, requirePermission('portal.view')], async (req, res) => {
   try {
     if (req.user.role !== 'customer') {
       return res.status(403).json({
@@ -142,9 +147,10 @@ router.get('/me', auth, async (req, res) => {
 
 // @route   POST /api/customers
 // @desc    Create a customer
-// @access  Private
+// @access  Private (customer.create)
 router.post('/', [
   auth,
+  requirePermission('customer.create'),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('phone', 'Phone number is required').matches(/^[6-9]\d{9}$/),
@@ -155,7 +161,9 @@ router.post('/', [
     check('address.state', 'State is required').optional().notEmpty(),
     check('address.pincode', 'Pincode is required').optional().notEmpty(),
     check('address.country', 'Country is required').optional().notEmpty(),
-    check('creditLimit', 'Credit limit must be a positive number').optional().isFloat({ min: 0 })
+    check('creditLimit', 'Credit limit must be a positive number').optional().isFloat({ min: 0 }),
+    check('creditScheme', 'Invalid credit scheme').optional({ nullable: true }).isMongoId(),
+    check('group', 'Invalid customer group').optional().isIn(['retail', 'farmer', 'farmer_group', 'wholesale', 'dealer', 'institution'])
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -170,8 +178,8 @@ router.post('/', [
     // Check if customer with same phone or email already exists
     const existingCustomer = await Customer.findOne({
       $or: [
-        { phone: req.body.phone, user: req.user.userId },
-        { email: req.body.email, user: req.user.userId, email: { $ne: null } }
+        { phone: req.body.phone },
+        { email: { $eq: req.body.email, $ne: null } }
       ]
     });
 
@@ -186,7 +194,6 @@ router.post('/', [
     // Create new customer
     const customer = new Customer({
       ...req.body,
-      user: req.user.userId,
       createdBy: req.user.userId
     });
 
@@ -208,15 +215,18 @@ router.post('/', [
 
 // @route   PUT /api/customers/:id
 // @desc    Update a customer
-// @access  Private
+// @access  Private (customer.update)
 router.put('/:id', [
   auth,
+  requirePermission('customer.update'),
   [
     check('name', 'Name is required').optional().notEmpty(),
     check('phone', 'Please provide a valid phone number').optional().matches(/^[6-9]\d{9}$/),
     check('email', 'Please include a valid email').optional().isEmail(),
     check('gstin', 'Please provide a valid GSTIN').optional().matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/),
-    check('creditLimit', 'Credit limit must be a positive number').optional().isFloat({ min: 0 })
+    check('creditLimit', 'Credit limit must be a positive number').optional().isFloat({ min: 0 }),
+    check('creditScheme', 'Invalid credit scheme').optional({ nullable: true }).isMongoId(),
+    check('group', 'Invalid customer group').optional().isIn(['retail', 'farmer', 'farmer_group', 'wholesale', 'dealer', 'institution'])
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -229,8 +239,7 @@ router.put('/:id', [
 
   try {
     let customer = await Customer.findOne({
-      _id: req.params.id,
-      user: req.user.userId
+      _id: req.params.id
     });
     
     if (!customer) {
@@ -245,11 +254,10 @@ router.put('/:id', [
       const existingCustomer = await Customer.findOne({
         $and: [
           { _id: { $ne: req.params.id } },
-          { user: req.user.userId },
           {
             $or: [
               { phone: req.body.phone || customer.phone },
-              { email: req.body.email || customer.email, email: { $ne: null } }
+              { email: { $eq: req.body.email || customer.email, $ne: null } }
             ]
           }
         ]
@@ -268,7 +276,7 @@ router.put('/:id', [
     const updates = Object.keys(req.body);
     const allowedUpdates = [
       'name', 'email', 'phone', 'gstin', 'pan', 'address', 'shippingAddress',
-      'creditLimit', 'outstandingBalance', 'totalPurchases', 'lastPurchaseDate',
+      'creditLimit', 'creditScheme', 'group', 'outstandingBalance', 'totalPurchases', 'lastPurchaseDate',
       'isActive', 'notes', 'tags'
     ];
     const isValidOperation = updates.every(update => allowedUpdates.includes(update));
@@ -307,12 +315,11 @@ router.put('/:id', [
 
 // @route   DELETE /api/customers/:id
 // @desc    Delete a customer
-// @access  Private/Admin
-router.delete('/:id', [auth, admin], async (req, res) => {
+// @access  Private (customer.delete)
+router.delete('/:id', [auth, requirePermission('customer.delete')], async (req, res) => {
   try {
     const customer = await Customer.findOne({
-      _id: req.params.id,
-      user: req.user.userId
+      _id: req.params.id
     });
     
     if (!customer) {
@@ -354,8 +361,8 @@ router.delete('/:id', [auth, admin], async (req, res) => {
 
 // @route   GET /api/customers/search/suggestions
 // @desc    Get customer search suggestions
-// @access  Private
-router.get('/search/suggestions', auth, async (req, res) => {
+// @access  Private (customer.view)
+router.get('/search/suggestions', [auth, requirePermission('customer.view')], async (req, res) => {
   try {
     const { q } = req.query;
     
@@ -367,7 +374,6 @@ router.get('/search/suggestions', auth, async (req, res) => {
     }
 
     const customers = await Customer.find({
-      user: req.user.userId,
       $or: [
         { name: { $regex: q, $options: 'i' } },
         { phone: { $regex: q, $options: 'i' } },
@@ -392,13 +398,12 @@ router.get('/search/suggestions', auth, async (req, res) => {
 
 // @route   GET /api/customers/:id/invoices
 // @desc    Get customer invoices
-// @access  Private
-router.get('/:id/invoices', auth, async (req, res) => {
+// @access  Private (customer.view)
+router.get('/:id/invoices', [auth, requirePermission('customer.view')], async (req, res) => {
   try {
-    // Check if customer exists and belongs to user
+    // Check if customer exists
     const customer = await Customer.findOne({
-      _id: req.params.id,
-      user: req.user.userId
+      _id: req.params.id
     });
     
     if (!customer) {
@@ -410,8 +415,7 @@ router.get('/:id/invoices', auth, async (req, res) => {
 
     // In a real app, you would fetch invoices for this customer
     // const invoices = await Invoice.find({ 
-    //   customer: req.params.id,
-    //   user: req.user.userId 
+    //   customer: req.params.id
     // }).sort('-invoiceDate');
 
     res.json({
@@ -433,32 +437,191 @@ router.get('/:id/invoices', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/customers/:id/balance
+// @desc    Get customer outstanding balance, overdue interest and available credit
+// @access  Private (customer.view)
+router.get('/:id/balance', [auth, requirePermission('customer.view')], async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.params.id).populate('creditScheme', 'name type graceDays monthlyInterestRate');
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const balance = await PaymentService.getCustomerBalance(customer._id);
+    const interest = await CreditService.getOverdueInterest(customer._id);
+    const credit = CreditService.checkCreditLimit(customer, balance);
+
+    res.json({
+      success: true,
+      data: {
+        customer: customer._id,
+        customerName: customer.name,
+        outstandingBalance: balance,
+        interestAccrued: interest.total,
+        totalDue: balance + interest.total,
+        overdueInvoices: interest.invoices,
+        creditScheme: customer.creditScheme,
+        creditLimit: credit.creditLimit,
+        availableCredit: credit.availableCredit
+      }
+    });
+  } catch (error) {
+    console.error('Get customer balance error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/customers/:id/statement
+// @desc    Get customer statement of account (khata) as JSON or PDF
+// @access  Private (customer.view)
+router.get('/:id/statement', [
+  auth,
+  requirePermission('customer.view'),
+  [
+    check('startDate', 'Start date must be a valid date').optional().isISO8601(),
+    check('endDate', 'End date must be a valid date').optional().isISO8601(),
+    check('format', 'Invalid format').optional().isIn(['json', 'pdf'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const period = StatementService.resolvePeriod(req.query.startDate, req.query.endDate);
+    const statement = await StatementService.buildStatement(customer, period);
+
+    if (req.query.format === 'pdf') {
+      const company = await SettingsService.getCompanyDetails();
+      const pdfBuffer = await PDFGenerator.generateStatement(statement, company);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename=statement-${customer.phone}.pdf`,
+        'Content-Length': pdfBuffer.length
+      });
+      return res.send(pdfBuffer);
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('Get customer statement error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/customers/:id/statement/share
+// @desc    Send customer statement summary by SMS or WhatsApp
+// @access  Private (customer.update)
+router.post('/:id/statement/share', [
+  auth,
+  requirePermission('customer.update'),
+  [
+    check('channel', 'Channel must be sms or whatsapp').isIn(['sms', 'whatsapp']),
+    check('startDate', 'Start date must be a valid date').optional().isISO8601(),
+    check('endDate', 'End date must be a valid date').optional().isISO8601()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const customer = await Customer.findById(req.params.id);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const period = StatementService.resolvePeriod(req.body.startDate, req.body.endDate);
+    const statement = await StatementService.buildStatement(customer, period);
+    const result = await smsService.sendStatement(customer.phone, statement, req.body.channel);
+
+    res.json({
+      success: true,
+      message: `Statement sent by ${req.body.channel === 'whatsapp' ? 'WhatsApp' : 'SMS'}`,
+      data: {
+        to: customer.phone,
+        messageId: result.messageId,
+        closingBalance: statement.closingBalance
+      }
+    });
+  } catch (error) {
+    console.error('Share customer statement error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/customers/stats/overview
 // @desc    Get customer statistics overview
-// @access  Private
-router.get('/stats/overview', auth, async (req, res) => {
+// @access  Private (customer.view)
+router.get('/stats/overview', [auth, requirePermission('customer.view')], async (req, res) => {
   try {
-    const totalCustomers = await Customer.countDocuments({ user: req.user.userId });
+    const totalCustomers = await Customer.countDocuments();
     const activeCustomers = await Customer.countDocuments({ 
-      user: req.user.userId, 
       isActive: true 
     });
     
     // Get customers with outstanding balance
     const customersWithBalance = await Customer.countDocuments({ 
-      user: req.user.userId,
       outstandingBalance: { $gt: 0 }
     });
 
     // Get customers by type (if applicable)
     const customersByType = await Customer.aggregate([
-      { $match: { user: req.user.userId } },
       { $group: { _id: '$type', count: { $sum: 1 } } },
       { $project: { _id: 0, type: '$_id', count: 1 } }
     ]);
 
     // Get recent customers
-    const recentCustomers = await Customer.find({ user: req.user.userId })
+    const recentCustomers = await Customer.find()
       .sort('-createdAt')
       .limit(5)
       .select('name email phone createdAt');
@@ -484,10 +647,10 @@ router.get('/stats/overview', auth, async (req, res) => {
 
 // @route   GET /api/customers/export
 // @desc    Export customers to CSV/Excel
-// @access  Private/Admin
-router.get('/export', [auth, admin], async (req, res) => {
+// @access  Private (customer.export)
+router.get('/export', [auth, requirePermission('customer.export')], async (req, res) => {
   try {
-    const customers = await Customer.find({ user: req.user.userId })
+    const customers = await Customer.find()
       .select('name email phone gstin address createdAt')
       .sort('name');
 
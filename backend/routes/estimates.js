@@ -0,0 +1,594 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { getPlaceOfSupply } = require('../utils/gst');
+const { NotFoundError } = require('../utils/errorResponse');
+const PDFGenerator = require('../utils/pdfGenerator');
+const Estimate = require('../models/Estimate');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const InvoiceService = require('../services/invoiceService');
+const NumberingService = require('../services/numberingService');
+const SettingsService = require('../services/settingsService');
+
+const itemValidators = [
+  check('items', 'Estimate items are required').isArray({ min: 1 }),
+  check('items.*.product', 'Product ID is required').not().isEmpty(),
+  check('items.*.quantity', 'Quantity is required and must be greater than 0').isFloat({ min: 0.01 }),
+  check('items.*.price', 'Price must be a positive number').optional().isFloat({ min: 0 }),
+  check('items.*.discount', 'Discount must be between 0 and 100%').optional().isFloat({ min: 0, max: 100 })
+];
+
+/**
+ * Build estimate lines from requested items. Stock is not checked or reserved
+ * until the estimate is converted into an invoice.
+ * @param {Array} items - [{ product, quantity, price, discount }] with discount in percent
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Array>} Estimate items
+ */
+const buildItems = async (items, session) => {
+  const estimateItems = [];
+
+  for (const item of items) {
+    const product = await Product.findById(item.product).session(session || null);
+    if (!product) {
+      throw new NotFoundError(`Product not found: ${item.product}`);
+    }
+
+    estimateItems.push({
+      product: product._id,
+      name: product.name,
+      hsnCode: product.hsnCode,
+      quantity: item.quantity,
+      unit: product.unit,
+      price: item.price !== undefined ? item.price : product.price,
+      discountPercent: item.discount || 0,
+      taxRate: product.taxRate || 0
+    });
+  }
+
+  return estimateItems;
+};
+
+// @route   GET /api/estimates
+// @desc    Get all estimates
+// @access  Private (estimate.view)
+router.get('/', [auth, requirePermission('estimate.view')], async (req, res) => {
+  try {
+    await Estimate.expireOverdue();
+
+    const { customer, status, startDate, endDate } = req.query;
+    const query = {};
+
+    if (customer) query.customer = customer;
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.estimateDate = {};
+      if (startDate) query.estimateDate.$gte = new Date(startDate);
+      if (endDate) query.estimateDate.$lte = new Date(endDate);
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+    const total = await Estimate.countDocuments(query);
+
+    const estimates = await Estimate.find(query)
+      .populate('customer', 'name phone')
+      .sort('-estimateDate')
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: estimates.length,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      data: estimates
+    });
+  } catch (error) {
+    console.error('Get estimates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/estimates/:id
+// @desc    Get single estimate
+// @access  Private (estimate.view)
+router.get('/:id', [auth, requirePermission('estimate.view')], async (req, res) => {
+  try {
+    const estimate = await Estimate.findById(req.params.id)
+      .populate('customer', 'name phone email address gstin')
+      .populate('invoice', 'invoiceNumber invoiceDate finalTotal');
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: estimate
+    });
+  } catch (error) {
+    console.error('Get estimate error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/estimates
+// @desc    Create an estimate
+// @access  Private (estimate.create)
+router.post('/', [
+  auth,
+  requirePermission('estimate.create'),
+  [
+    check('customer', 'Customer is required').not().isEmpty(),
+    check('estimateDate', 'Estimate date must be a valid date').optional().isISO8601(),
+    check('validUntil', 'Validity date is required').isISO8601(),
+    ...itemValidators,
+    check('status', 'Status must be draft or sent').optional().isIn(['draft', 'sent']),
+    check('notes', 'Notes must be a string').optional().isString(),
+    check('terms', 'Terms must be a string').optional().isString()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const session = await Estimate.startSession();
+  session.startTransaction();
+
+  try {
+    const { customer, estimateDate, validUntil, items, status, notes, terms } = req.body;
+
+    const customerDoc = await Customer.findById(customer).session(session);
+    if (!customerDoc) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (new Date(validUntil) < new Date(estimateDate || Date.now()).setHours(0, 0, 0, 0)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Validity date cannot be before the estimate date'
+      });
+    }
+
+    // Quote with the same GST split the invoice will carry
+    const company = await SettingsService.getCompanyDetails();
+    const placeOfSupply = getPlaceOfSupply(customerDoc) || company.stateCode;
+    const interState = Boolean(company.stateCode) && placeOfSupply !== company.stateCode;
+
+    const estimate = new Estimate({
+      estimateNumber: await NumberingService.nextNumber('estimate', { date: estimateDate, session }),
+      estimateDate: estimateDate || new Date(),
+      validUntil,
+      customer,
+      placeOfSupply,
+      supplyType: interState ? 'inter_state' : 'intra_state',
+      items: await buildItems(items, session),
+      status: status || 'draft',
+      notes,
+      terms,
+      createdBy: req.user.userId
+    });
+
+    await estimate.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: 'Estimate created successfully',
+      data: estimate
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create estimate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/estimates/:id
+// @desc    Revise an estimate that has not been accepted
+// @access  Private (estimate.create)
+router.put('/:id', [
+  auth,
+  requirePermission('estimate.create'),
+  [
+    check('validUntil', 'Validity date must be a valid date').optional().isISO8601(),
+    check('items', 'Estimate items are required').optional().isArray({ min: 1 }),
+    check('items.*.product', 'Product ID is required').not().isEmpty(),
+    check('items.*.quantity', 'Quantity is required and must be greater than 0').isFloat({ min: 0.01 }),
+    check('items.*.price', 'Price must be a positive number').optional().isFloat({ min: 0 }),
+    check('items.*.discount', 'Discount must be between 0 and 100%').optional().isFloat({ min: 0, max: 100 }),
+    check('notes', 'Notes must be a string').optional().isString(),
+    check('terms', 'Terms must be a string').optional().isString()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const estimate = await Estimate.findById(req.params.id);
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+
+    if (estimate.invoice || estimate.status === 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot revise an accepted estimate'
+      });
+    }
+
+    const { validUntil, items, notes, terms } = req.body;
+
+    if (validUntil !== undefined) estimate.validUntil = validUntil;
+    if (items !== undefined) estimate.items = await buildItems(items);
+    if (notes !== undefined) estimate.notes = notes;
+    if (terms !== undefined) estimate.terms = terms;
+
+    // Extending the validity of an expired estimate reopens it as a draft
+    if (estimate.status === 'expired' && validUntil !== undefined) {
+      estimate.status = 'draft';
+      if (estimate.isExpired) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validity date must be today or later'
+        });
+      }
+    }
+
+    await estimate.save();
+
+    res.json({
+      success: true,
+      message: 'Estimate updated successfully',
+      data: estimate
+    });
+  } catch (error) {
+    console.error('Update estimate error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/estimates/:id/status
+// @desc    Update estimate status
+// @access  Private (estimate.create)
+router.put('/:id/status', [
+  auth,
+  requirePermission('estimate.create'),
+  [
+    check('status', 'Status must be draft, sent, accepted or expired').isIn(['draft', 'sent', 'accepted', 'expired'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const estimate = await Estimate.findById(req.params.id);
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+
+    if (estimate.invoice) {
+      return res.status(400).json({
+        success: false,
+        message: `Estimate has already been converted to invoice ${estimate.invoiceNumber}`
+      });
+    }
+
+    if (req.body.status !== 'expired' && estimate.isExpired) {
+      return res.status(400).json({
+        success: false,
+        message: 'Estimate has expired. Extend its validity date first.'
+      });
+    }
+
+    estimate.status = req.body.status;
+    await estimate.save();
+
+    res.json({
+      success: true,
+      message: 'Estimate status updated successfully',
+      data: estimate
+    });
+  } catch (error) {
+    console.error('Update estimate status error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/estimates/:id/convert
+// @desc    Convert an estimate into an invoice, deducting stock and billing the customer
+// @access  Private (estimate.convert)
+router.post('/:id/convert', [
+  auth,
+  requirePermission('estimate.convert'),
+  [
+    check('invoiceDate', 'Invoice date must be a valid date').optional().isISO8601(),
+    check('paymentMethod', 'Payment method is required').isIn(['cash', 'card', 'upi', 'bank_transfer', 'credit']),
+    check('paymentTerms', 'Invalid payment terms').optional().isIn(['cod', '7days', '15days', '30days', '60days', '90days']),
+    check('amountPaid', 'Amount paid must be a positive number').optional().isFloat({ min: 0 }),
+    check('branch', 'Invalid branch').optional().isMongoId(),
+    check('farmer.idType', 'Invalid farmer ID type').optional().isIn(['aadhaar', 'kisan_card', 'farmer_registry', 'other']),
+    check('farmer.idNumber', 'Farmer ID must be a string').optional().isString(),
+    check(['restrictedSale.buyerName', 'restrictedSale.village', 'restrictedSale.crop', 'restrictedSale.purpose'], 'Sale register details must be text up to 100 characters')
+      .optional().isString().isLength({ max: 100 }),
+    check('creditOverride.approverEmail', 'Approver email must be valid').optional().isEmail(),
+    check('creditOverride.pin', 'Override PIN must be 4 to 6 digits').optional().matches(/^\d{4,6}$/)
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const session = await Estimate.startSession();
+  session.startTransaction();
+
+  try {
+    const estimate = await Estimate.findById(req.params.id).session(session);
+
+    if (!estimate) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+
+    if (estimate.invoice) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: `Estimate has already been converted to invoice ${estimate.invoiceNumber}`
+      });
+    }
+
+    if (estimate.isExpired) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Estimate has expired. Extend its validity date before converting.'
+      });
+    }
+
+    const { invoiceDate, paymentMethod, paymentTerms, amountPaid, creditOverride, farmer, restrictedSale, branch } = req.body;
+
+    // Same path as POST /api/invoices, at the quoted prices and discounts
+    const invoice = await InvoiceService.createInvoice({
+      customer: estimate.customer,
+      items: estimate.items.map(item => ({
+        product: item.product,
+        quantity: item.quantity,
+        price: item.price,
+        discount: item.discountPercent
+      })),
+      invoiceDate: invoiceDate || new Date(),
+      paymentMethod,
+      paymentTerms: paymentTerms || (paymentMethod === 'credit' ? '30days' : 'cod'),
+      ...(amountPaid !== undefined && { amountPaid }),
+      creditOverride,
+      farmer,
+      restrictedSale,
+      branch,
+      notes: `Against estimate ${estimate.estimateNumber}`
+    }, req.user, session);
+
+    estimate.status = 'accepted';
+    estimate.invoice = invoice._id;
+    estimate.invoiceNumber = invoice.invoiceNumber;
+    estimate.convertedAt = new Date();
+    await estimate.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: `Estimate converted to invoice ${invoice.invoiceNumber}`,
+      data: {
+        estimate,
+        invoice
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Convert estimate error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/estimates/:id/download
+// @desc    Download estimate as PDF
+// @access  Private (estimate.view)
+router.get('/:id/download', [auth, requirePermission('estimate.view')], async (req, res) => {
+  try {
+    const estimate = await Estimate.findById(req.params.id)
+      .populate('customer', 'name phone email address gstin');
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+
+    const company = await SettingsService.getCompanyDetails();
+    const pdfBuffer = await PDFGenerator.generateEstimate(estimate, company);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename=estimate-${NumberingService.toFileName(estimate.estimateNumber)}.pdf`,
+      'Content-Length': pdfBuffer.length
+    });
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Download estimate error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate PDF'
+    });
+  }
+});
+
+// @route   DELETE /api/estimates/:id
+// @desc    Delete an estimate
+// @access  Private (estimate.delete)
+router.delete('/:id', [auth, requirePermission('estimate.delete')], async (req, res) => {
+  try {
+    const estimate = await Estimate.findById(req.params.id);
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+
+    if (estimate.invoice) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete an estimate that has been converted to an invoice'
+      });
+    }
+
+    await Estimate.deleteOne({ _id: estimate._id });
+
+    res.json({
+      success: true,
+      message: 'Estimate removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete estimate error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Estimate not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
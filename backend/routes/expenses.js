@@ -1,16 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const { auth, adminAuth: admin } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const Expense = require('../models/Expense');
 
 // @route   GET /api/expenses
 // @desc    Get all expenses
-// @access  Private
-router.get('/', auth, async (req, res) => {
+// @access  Private (expense.view)
+router.get('/', [auth, requirePermission('expense.view')], async (req, res) => {
   try {
     // Build query object
-    const queryObj = { ...req.query, user: req.user.userId };
+    const queryObj = { ...req.query };
     const excludedFields = ['page', 'sort', 'limit', 'fields'];
     excludedFields.forEach(el => delete queryObj[el]);
 
@@ -40,7 +40,7 @@ router.get('/', auth, async (req, res) => {
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
     const skip = (page - 1) * limit;
-    const total = await Expense.countDocuments({ ...JSON.parse(queryStr), user: req.user.userId });
+    const total = await Expense.countDocuments(JSON.parse(queryStr));
     
     query = query.skip(skip).limit(limit);
 
@@ -74,12 +74,11 @@ router.get('/', auth, async (req, res) => {
 
 // @route   GET /api/expenses/:id
 // @desc    Get single expense
-// @access  Private
-router.get('/:id', auth, async (req, res) => {
+// @access  Private (expense.view)
+router.get('/:id', [auth, requirePermission('expense.view')], async (req, res) => {
   try {
     const expense = await Expense.findOne({
-      _id: req.params.id,
-      user: req.user.userId
+      _id: req.params.id
     })
     .populate('category', 'name')
     .populate('approvedBy', 'name')
@@ -113,9 +112,10 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   POST /api/expenses
 // @desc    Create an expense
-// @access  Private
+// @access  Private (expense.create)
 router.post('/', [
   auth,
+  requirePermission('expense.create'),
   [
     check('description', 'Description is required').not().isEmpty(),
     check('amount', 'Amount is required and must be a positive number').isFloat({ min: 0.01 }),
@@ -139,7 +139,6 @@ router.post('/', [
     // Create new expense
     const expense = new Expense({
       ...req.body,
-      user: req.user.userId,
       submittedBy: req.user.userId
     });
 
@@ -167,9 +166,10 @@ router.post('/', [
 
 // @route   PUT /api/expenses/:id
 // @desc    Update an expense
-// @access  Private
+// @access  Private (expense.create)
 router.put('/:id', [
   auth,
+  requirePermission('expense.create'),
   [
     check('description', 'Description is required').optional().notEmpty(),
     check('amount', 'Amount must be a positive number').optional().isFloat({ min: 0.01 }),
@@ -191,8 +191,7 @@ router.put('/:id', [
 
   try {
     const expense = await Expense.findOne({
-      _id: req.params.id,
-      user: req.user.userId
+      _id: req.params.id
     });
     
     if (!expense) {
@@ -267,12 +266,11 @@ router.put('/:id', [
 
 // @route   DELETE /api/expenses/:id
 // @desc    Delete an expense
-// @access  Private/Admin
-router.delete('/:id', [auth, admin], async (req, res) => {
+// @access  Private (expense.delete)
+router.delete('/:id', [auth, requirePermission('expense.delete')], async (req, res) => {
   try {
     const expense = await Expense.findOne({
-      _id: req.params.id,
-      user: req.user.userId
+      _id: req.params.id
     });
     
     if (!expense) {
@@ -313,12 +311,11 @@ router.delete('/:id', [auth, admin], async (req, res) => {
 
 // @route   PUT /api/expenses/:id/approve
 // @desc    Approve an expense
-// @access  Private/Admin
-router.put('/:id/approve', [auth, admin], async (req, res) => {
+// @access  Private (expense.approve)
+router.put('/:id/approve', [auth, requirePermission('expense.approve')], async (req, res) => {
   try {
     const expense = await Expense.findOne({
       _id: req.params.id,
-      user: req.user.userId,
       status: 'pending'
     });
     
@@ -366,10 +363,10 @@ router.put('/:id/approve', [auth, admin], async (req, res) => {
 
 // @route   PUT /api/expenses/:id/reject
 // @desc    Reject an expense
-// @access  Private/Admin
+// @access  Private (expense.approve)
 router.put('/:id/reject', [
   auth,
-  admin,
+  requirePermission('expense.approve'),
   [
     check('rejectionReason', 'Rejection reason is required').not().isEmpty()
   ]
@@ -385,7 +382,6 @@ router.put('/:id/reject', [
   try {
     const expense = await Expense.findOne({
       _id: req.params.id,
-      user: req.user.userId,
       status: 'pending'
     });
     
@@ -425,12 +421,11 @@ router.put('/:id/reject', [
 
 // @route   PUT /api/expenses/:id/mark-paid
 // @desc    Mark an expense as paid
-// @access  Private/Admin
-router.put('/:id/mark-paid', [auth, admin], async (req, res) => {
+// @access  Private (expense.pay)
+router.put('/:id/mark-paid', [auth, requirePermission('expense.pay')], async (req, res) => {
   try {
     const expense = await Expense.findOne({
       _id: req.params.id,
-      user: req.user.userId,
       status: 'approved'
     });
     
@@ -483,8 +478,8 @@ router.put('/:id/mark-paid', [auth, admin], async (req, res) => {
 
 // @route   GET /api/expenses/stats/overview
 // @desc    Get expense statistics overview
-// @access  Private
-router.get('/stats/overview', auth, async (req, res) => {
+// @access  Private (expense.view)
+router.get('/stats/overview', [auth, requirePermission('expense.view')], async (req, res) => {
   try {
     const today = new Date();
     const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
@@ -492,7 +487,6 @@ router.get('/stats/overview', auth, async (req, res) => {
 
     // Get total expenses count and amount
     const totalExpenses = await Expense.aggregate([
-      { $match: { user: req.user.userId } },
       { 
         $group: { 
           _id: null, 
@@ -506,7 +500,6 @@ router.get('/stats/overview', auth, async (req, res) => {
     const monthlyExpenses = await Expense.aggregate([
       { 
         $match: { 
-          user: req.user.userId,
           date: { $gte: startOfMonth }
         } 
       },
@@ -524,7 +517,6 @@ router.get('/stats/overview', auth, async (req, res) => {
     const yearlyExpenses = await Expense.aggregate([
       { 
         $match: { 
-          user: req.user.userId,
           date: { $gte: startOfYear }
         } 
       },
@@ -540,7 +532,6 @@ router.get('/stats/overview', auth, async (req, res) => {
 
     // Get expenses by status
     const expensesByStatus = await Expense.aggregate([
-      { $match: { user: req.user.userId } },
       { 
         $group: { 
           _id: '$status',
@@ -560,7 +551,6 @@ router.get('/stats/overview', auth, async (req, res) => {
 
     // Get expenses by category
     const expensesByCategory = await Expense.aggregate([
-      { $match: { user: req.user.userId } },
       {
         $lookup: {
           from: 'expensecategories',
@@ -591,7 +581,7 @@ router.get('/stats/overview', auth, async (req, res) => {
     ]);
 
     // Get recent expenses
-    const recentExpenses = await Expense.find({ user: req.user.userId })
+    const recentExpenses = await Expense.find()
       .sort('-date')
       .limit(5)
       .populate('category', 'name')
@@ -620,13 +610,13 @@ router.get('/stats/overview', auth, async (req, res) => {
 
 // @route   GET /api/expenses/export
 // @desc    Export expenses to Excel/CSV
-// @access  Private/Admin
-router.get('/export', [auth, admin], async (req, res) => {
+// @access  Private (expense.export)
+router.get('/export', [auth, requirePermission('expense.export')], async (req, res) => {
   try {
     const { startDate, endDate, status, category } = req.query;
     
     // Build query
-    const query = { user: req.user.userId };
+    const query = {};
     
     if (startDate || endDate) {
       query.date = {};
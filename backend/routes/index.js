@@ -10,6 +10,23 @@ const invoiceRoutes = require('./invoices');
 const expenseRoutes = require('./expenses');
 const notificationRoutes = require('./notifications');
 const reportRoutes = require('./reports');
+const supplierRoutes = require('./suppliers');
+const purchaseRoutes = require('./purchases');
+const creditNoteRoutes = require('./creditNotes');
+const paymentRoutes = require('./payments');
+const creditSchemeRoutes = require('./creditSchemes');
+const numberSeriesRoutes = require('./numberSeries');
+const estimateRoutes = require('./estimates');
+const parkedCartRoutes = require('./parkedCarts');
+const settingRoutes = require('./settings');
+const paymentLinkRoutes = require('./paymentLinks');
+const shiftRoutes = require('./shifts');
+const promotionRoutes = require('./promotions');
+const licenseRoutes = require('./licenses');
+const branchRoutes = require('./branches');
+const stockTransferRoutes = require('./stockTransfers');
+const roleRoutes = require('./roles');
+const auditLogRoutes = require('./auditLogs');
 
 // Health check route
 router.get('/health', (req, res) => {
@@ -30,6 +47,23 @@ router.use('/invoices', invoiceRoutes);
 router.use('/expenses', expenseRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/reports', reportRoutes);
+router.use('/suppliers', supplierRoutes);
+router.use('/purchases', purchaseRoutes);
+router.use('/credit-notes', creditNoteRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/credit-schemes', creditSchemeRoutes);
+router.use('/number-series', numberSeriesRoutes);
+router.use('/estimates', estimateRoutes);
+router.use('/parked-carts', parkedCartRoutes);
+router.use('/settings', settingRoutes);
+router.use('/payment-links', paymentLinkRoutes);
+router.use('/shifts', shiftRoutes);
+router.use('/promotions', promotionRoutes);
+router.use('/licenses', licenseRoutes);
+router.use('/branches', branchRoutes);
+router.use('/stock-transfers', stockTransferRoutes);
+router.use('/roles', roleRoutes);
+router.use('/audit-logs', auditLogRoutes);
 
 // 404 handler for API routes
 router.use((req, res, next) => {
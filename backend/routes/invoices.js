@@ -1,19 +1,28 @@
 const express = require('express');
 const router = express.Router();
-const { check, validationResult } = require('express-validator');
-const { auth, adminAuth: admin } = require('../middleware/auth');
+const { check, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
 const Invoice = require('../models/Invoice');
 const Customer = require('../models/Customer');
 const Product = require('../models/Product');
 const PDFGenerator = require('../utils/pdfGenerator');
+const ESCPOS = require('../utils/escpos');
+const { getInvoicePaymentLink, generateQrPng, generateQrDataUrl } = require('../utils/upi');
+const PaymentService = require('../services/paymentService');
+const NumberingService = require('../services/numberingService');
+const InvoiceService = require('../services/invoiceService');
+const SettingsService = require('../services/settingsService');
+const BranchService = require('../services/branchService');
+const { hasPermission } = require('../config/permissions');
 
 // @route   GET /api/invoices
 // @desc    Get all invoices
-// @access  Private
-router.get('/', auth, async (req, res) => {
+// @access  Private (invoice.view)
+router.get('/', [auth, requirePermission('invoice.view')], async (req, res) => {
   try {
-    // Build query object
-    const queryObj = { ...req.query, user: req.user.userId };
+    // Build query object; staff see their branch's bills
+    const scope = BranchService.scopeFilter(req.user, req.query.branch);
+    const queryObj = { ...req.query, ...scope };
     const excludedFields = ['page', 'sort', 'limit', 'fields'];
     excludedFields.forEach(el => delete queryObj[el]);
 
@@ -43,7 +52,7 @@ router.get('/', auth, async (req, res) => {
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
     const skip = (page - 1) * limit;
-    const total = await Invoice.countDocuments({ ...JSON.parse(queryStr), user: req.user.userId });
+    const total = await Invoice.countDocuments({ ...JSON.parse(queryStr), ...scope });
     
     query = query.skip(skip).limit(limit);
 
@@ -75,14 +84,48 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/invoices/credit-overrides
+// @desc    Get invoices billed over the customer's credit limit
+// @access  Private (credit.override)
+router.get('/credit-overrides', [auth, requirePermission('credit.override')], async (req, res) => {
+  try {
+    const query = { 'creditOverride.approvedBy': { $exists: true } };
+
+    if (req.query.startDate || req.query.endDate) {
+      query['creditOverride.approvedAt'] = {};
+      if (req.query.startDate) query['creditOverride.approvedAt'].$gte = new Date(req.query.startDate);
+      if (req.query.endDate) query['creditOverride.approvedAt'].$lte = new Date(req.query.endDate);
+    }
+
+    const invoices = await Invoice.find(query)
+      .select('invoiceNumber invoiceDate customer finalTotal creditOverride createdBy')
+      .populate('customer', 'name phone')
+      .populate('creditOverride.approvedBy', 'name email')
+      .populate('createdBy', 'name')
+      .sort('-creditOverride.approvedAt');
+
+    res.json({
+      success: true,
+      count: invoices.length,
+      data: invoices
+    });
+  } catch (error) {
+    console.error('Get credit overrides error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/invoices/:id
 // @desc    Get single invoice
-// @access  Private
-router.get('/:id', auth, async (req, res) => {
+// @access  Private (invoice.view)
+router.get('/:id', [auth, requirePermission('invoice.view')], async (req, res) => {
   try {
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.user.userId
+      ...BranchService.scopeFilter(req.user)
     })
     .populate('customer', 'name phone email address gstin')
     .populate('items.product', 'name sku price gstRate hsnCode unit')
@@ -116,8 +159,8 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   GET /api/invoices/customer/:customerId
 // @desc    Get invoices for a specific customer (customer role only)
-// @access  Private (Customer)
-router.get('/customer/:customerId', auth, async (req, res) => {
+// @access  Private (portal.view)
+router.get('/customer/:customerId', [auth, requirePermission('portal.view')], async (req, res) => {
   try {
     if (req.user.role !== 'customer') {
       return res.status(403).json({
@@ -126,7 +169,7 @@ router.get('/customer/:customerId', auth, async (req, res) => {
       });
     }
 
-    if (req.params.customerId !== req.user.userId) {
+    if (req.params.customerId !== String(req.user.userId)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -153,21 +196,34 @@ router.get('/customer/:customerId', auth, async (req, res) => {
 
 // @route   POST /api/invoices
 // @desc    Create an invoice
-// @access  Private
+// @access  Private (invoice.create)
 router.post('/', [
   auth,
+  requirePermission('invoice.create'),
   [
     check('customer', 'Customer is required').not().isEmpty(),
     check('invoiceDate', 'Invoice date is required').isISO8601(),
-    check('dueDate', 'Due date is required').isISO8601(),
+    check('dueDate', 'Due date must be a valid date').optional().isISO8601(),
     check('items', 'Invoice items are required').isArray({ min: 1 }),
     check('items.*.product', 'Product ID is required').not().isEmpty(),
     check('items.*.quantity', 'Quantity is required and must be greater than 0').isFloat({ min: 0.01 }),
     check('items.*.price', 'Price is required and must be a positive number').isFloat({ min: 0 }),
     check('paymentTerms', 'Payment terms are required').isIn(['cod', '7days', '15days', '30days', '60days', '90days']),
     check('taxInclusive', 'Tax inclusive flag is required').isBoolean(),
+    check('paymentMethod', 'Invalid payment method').optional().isIn(['cash', 'card', 'upi', 'bank_transfer', 'credit']),
+    check('tenders', 'Tenders must be a list').optional().isArray(),
+    check('tenders.*.method', 'Tender method must be cash, card, upi or bank_transfer').isIn(['cash', 'card', 'upi', 'bank_transfer']),
+    check('tenders.*.amount', 'Tender amount must be a positive number').isFloat({ min: 0.01 }),
+    check('tenders.*.reference', 'Tender reference must be a string').optional().isString(),
+    check('branch', 'Invalid branch').optional().isMongoId(),
+    check(['farmer.idType', 'items.*.farmer.idType'], 'Invalid farmer ID type').optional().isIn(['aadhaar', 'kisan_card', 'farmer_registry', 'other']),
+    check(['farmer.idNumber', 'items.*.farmer.idNumber'], 'Farmer ID must be a string').optional().isString(),
+    check(['restrictedSale.buyerName', 'restrictedSale.village', 'restrictedSale.crop', 'restrictedSale.purpose'], 'Sale register details must be text up to 100 characters')
+      .optional().isString().isLength({ max: 100 }),
     check('notes', 'Notes must be a string').optional().isString(),
-    check('terms', 'Terms must be a string').optional().isString()
+    check('terms', 'Terms must be a string').optional().isString(),
+    check('creditOverride.approverEmail', 'Approver email must be valid').optional().isEmail(),
+    check('creditOverride.pin', 'Override PIN must be 4 to 6 digits').optional().matches(/^\d{4,6}$/)
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -182,138 +238,7 @@ router.post('/', [
   session.startTransaction();
 
   try {
-    const { customer, items, ...invoiceData } = req.body;
-    const userId = req.user.userId;
-
-    // Check if customer exists and belongs to user
-    const customerExists = await Customer.findOne({
-      _id: customer,
-      user: userId
-    }).session(session);
-
-    if (!customerExists) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(404).json({
-        success: false,
-        message: 'Customer not found'
-      });
-    }
-
-    // Process invoice items and validate products
-    let subtotal = 0;
-    let totalTax = 0;
-    let totalAmount = 0;
-    const processedItems = [];
-    const productUpdates = [];
-
-    for (const item of items) {
-      const product = await Product.findById(item.product).session(session);
-
-      if (!product) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(404).json({
-          success: false,
-          message: `Product not found: ${item.product}`
-        });
-      }
-
-      // Check if product has sufficient stock
-      if (product.stock < item.quantity) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for product: ${product.name}`,
-          product: {
-            id: product._id,
-            name: product.name,
-            availableStock: product.stock
-          }
-        });
-      }
-
-      // Calculate item total with discount, then tax
-      const discount = item.discount || 0;
-      const itemTotal = item.quantity * item.price * (1 - discount / 100);
-      const itemTax = (itemTotal * (product.gstRate || 0)) / 100;
-
-      subtotal += itemTotal;
-      totalTax += itemTax;
-      totalAmount += itemTotal + itemTax;
-
-      // Add to processed items
-      processedItems.push({
-        product: product._id,
-        name: product.name,
-        hsnCode: product.hsnCode,
-        quantity: item.quantity,
-        price: item.price,
-        discount: discount,
-        gstRate: product.gstRate || 0,
-        unit: product.unit,
-        total: itemTotal,
-        tax: itemTax
-      });
-
-      // Prepare product stock update
-      productUpdates.push({
-        updateOne: {
-          filter: { _id: product._id },
-          update: {
-            $inc: { stock: -item.quantity, sold: item.quantity }
-          }
-        }
-      });
-    }
-
-    // Update products stock
-    if (productUpdates.length > 0) {
-      await Product.bulkWrite(productUpdates, { session });
-    }
-
-    // Generate invoice number (format: INV-YYYYMMDD-XXXX)
-    const today = new Date();
-    const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
-    const count = await Invoice.countDocuments({
-      user: userId,
-      createdAt: {
-        $gte: new Date(today.getFullYear(), today.getMonth(), 1),
-        $lt: new Date(today.getFullYear(), today.getMonth() + 1, 1)
-      }
-    }).session(session);
-    
-    const invoiceNumber = `INV-${dateStr}-${(count + 1).toString().padStart(4, '0')}`;
-
-    // Create invoice
-    const invoice = new Invoice({
-      ...invoiceData,
-      invoiceNumber,
-      customer,
-      items: processedItems,
-      subtotal,
-      tax: totalTax,
-      total: totalAmount,
-      balance: totalAmount - (invoiceData.amountPaid || 0),
-      user: userId,
-      createdBy: userId
-    });
-
-    await invoice.save({ session });
-
-    // Update customer's outstanding balance
-    await Customer.findByIdAndUpdate(
-      customer,
-      { 
-        $inc: { 
-          outstandingBalance: totalAmount,
-          totalPurchases: 1
-        },
-        $set: { lastPurchaseDate: new Date() }
-      },
-      { session }
-    );
+    const invoice = await InvoiceService.createInvoice(req.body, req.user, session);
 
     await session.commitTransaction();
     session.endSession();
@@ -340,7 +265,15 @@ router.post('/', [
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
-    
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Create invoice error:', error);
     res.status(500).json({ 
       success: false, 
@@ -352,9 +285,10 @@ router.post('/', [
 
 // @route   PUT /api/invoices/:id/status
 // @desc    Update invoice status
-// @access  Private
+// @access  Private (invoice.updateStatus)
 router.put('/:id/status', [
   auth,
+  requirePermission('invoice.updateStatus'),
   [
     check('status', 'Status is required').isIn(['draft', 'sent', 'paid', 'overdue', 'cancelled', 'refunded']),
     check('paymentDate', 'Payment date is required if status is paid').if(
@@ -370,6 +304,13 @@ router.put('/:id/status', [
     });
   }
 
+  if (['cancelled', 'refunded'].includes(req.body.status) && !hasPermission(req.user, 'invoice.cancel')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. invoice.cancel permission required.'
+    });
+  }
+
   const session = await Invoice.startSession();
   session.startTransaction();
 
@@ -378,7 +319,7 @@ router.put('/:id/status', [
     
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.user.userId
+      ...BranchService.scopeFilter(req.user)
     }).session(session);
     
     if (!invoice) {
@@ -390,35 +331,37 @@ router.put('/:id/status', [
       });
     }
 
-    // If marking as paid, update payment details
+    // Marking as paid receipts the remaining balance through the payment ledger
     if (status === 'paid') {
-      invoice.paymentDate = paymentDate || new Date();
-      invoice.paymentMethod = paymentMethod || invoice.paymentMethod || 'cash';
-      invoice.amountPaid = invoice.total;
-      invoice.balance = 0;
-      
-      // Update customer's outstanding balance
-      await Customer.findByIdAndUpdate(
-        invoice.customer,
-        { $inc: { outstandingBalance: -invoice.total } },
-        { session }
-      );
-    }
-    
-    // Update status and notes
-    invoice.status = status;
-    if (notes) {
-      invoice.notes = notes;
+      if (invoice.balanceDue > 0) {
+        await PaymentService.recordPayment({
+          customer: invoice.customer,
+          amount: invoice.balanceDue,
+          paymentDate: paymentDate || new Date(),
+          paymentMethod: paymentMethod || (['credit', 'split'].includes(invoice.paymentMethod) ? 'cash' : invoice.paymentMethod),
+          allocations: [{ invoice: invoice._id, amount: invoice.balanceDue }],
+          notes,
+          createdBy: req.user.userId
+        }, session);
+      }
+    } else {
+      invoice.status = status;
+      if (notes) {
+        invoice.notes = notes;
+      }
+
+      await invoice.save({ session });
+
+      // Cancelled invoices drop out of the customer's balance
+      await PaymentService.syncCustomerBalance(invoice.customer, session);
     }
-    
-    await invoice.save({ session });
     await session.commitTransaction();
     session.endSession();
 
     res.json({
       success: true,
       message: `Invoice marked as ${status}`,
-      data: invoice
+      data: await Invoice.findById(invoice._id)
     });
   } catch (error) {
     await session.abortTransaction();
@@ -440,13 +383,14 @@ router.put('/:id/status', [
 
 // @route   PUT /api/invoices/:id/payment
 // @desc    Record payment for an invoice
-// @access  Private
+// @access  Private (invoice.recordPayment)
 router.put('/:id/payment', [
   auth,
+  requirePermission('invoice.recordPayment'),
   [
     check('amount', 'Amount is required and must be a positive number').isFloat({ min: 0.01 }),
     check('paymentDate', 'Payment date is required').isISO8601(),
-    check('paymentMethod', 'Payment method is required').isIn(['cash', 'card', 'bank_transfer', 'upi', 'cheque', 'other']),
+    check('paymentMethod', 'Payment method is required').isIn(['cash', 'card', 'bank_transfer', 'upi', 'cheque']),
     check('reference', 'Reference must be a string').optional().isString(),
     check('notes', 'Notes must be a string').optional().isString()
   ]
@@ -467,7 +411,7 @@ router.put('/:id/payment', [
     
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.user.userId
+      ...BranchService.scopeFilter(req.user)
     }).session(session);
     
     if (!invoice) {
@@ -480,7 +424,7 @@ router.put('/:id/payment', [
     }
 
     // Check if payment amount is valid
-    if (amount > (invoice.total - invoice.amountPaid)) {
+    if (amount > invoice.balanceDue) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
@@ -489,39 +433,19 @@ router.put('/:id/payment', [
       });
     }
 
-    // Update invoice payment
-    invoice.amountPaid += amount;
-    invoice.balance = invoice.total - invoice.amountPaid;
-    
-    if (invoice.balance <= 0) {
-      invoice.status = 'paid';
-      invoice.paymentDate = paymentDate;
-    } else {
-      invoice.status = 'partially_paid';
-    }
-
-    // Add payment to history
-    const payment = {
+    const payment = await PaymentService.recordPayment({
+      customer: invoice.customer,
       amount,
-      date: paymentDate,
-      method: paymentMethod,
-      reference: reference || '',
-      notes: notes || '',
-      recordedBy: req.user.userId
-    };
-
-    invoice.payments = invoice.payments || [];
-    invoice.payments.push(payment);
-    
-    await invoice.save({ session });
+      paymentDate,
+      paymentMethod,
+      reference,
+      notes,
+      allocations: [{ invoice: invoice._id, amount }],
+      createdBy: req.user.userId
+    }, session);
+
+    const updatedInvoice = await Invoice.findById(invoice._id).session(session);
 
-    // Update customer's outstanding balance
-    await Customer.findByIdAndUpdate(
-      invoice.customer,
-      { $inc: { outstandingBalance: -amount } },
-      { session }
-    );
-    
     await session.commitTransaction();
     session.endSession();
 
@@ -530,9 +454,11 @@ router.put('/:id/payment', [
       message: 'Payment recorded successfully',
       data: {
         invoice: invoice._id,
+        payment: payment._id,
+        receiptNumber: payment.receiptNumber,
         amountPaid: amount,
-        remainingBalance: invoice.balance,
-        status: invoice.status
+        remainingBalance: updatedInvoice.balanceDue,
+        paymentStatus: updatedInvoice.paymentStatus
       }
     });
   } catch (error) {
@@ -555,15 +481,15 @@ router.put('/:id/payment', [
 
 // @route   DELETE /api/invoices/:id
 // @desc    Delete an invoice
-// @access  Private/Admin
-router.delete('/:id', [auth, admin], async (req, res) => {
+// @access  Private (invoice.delete)
+router.delete('/:id', [auth, requirePermission('invoice.delete')], async (req, res) => {
   const session = await Invoice.startSession();
   session.startTransaction();
 
   try {
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.user.userId
+      ...BranchService.scopeFilter(req.user)
     }).session(session);
     
     if (!invoice) {
@@ -576,7 +502,7 @@ router.delete('/:id', [auth, admin], async (req, res) => {
     }
 
     // Check if invoice has payments
-    if (invoice.amountPaid > 0) {
+    if (invoice.paidAmount > 0) {
       await session.abortTransaction();
       session.endSession();
       return res.status(400).json({
@@ -585,37 +511,31 @@ router.delete('/:id', [auth, admin], async (req, res) => {
       });
     }
 
-    // Restore product stock
+    // Returned goods are already back in stock through their credit notes
+    if (invoice.items.some(item => item.returnedQuantity > 0)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete invoice with credit notes issued against it.'
+      });
+    }
+
+    // Restore product stock to the batches it was drawn from
     const productUpdates = [];
     for (const item of invoice.items) {
-      productUpdates.push({
-        updateOne: {
-          filter: { _id: item.product },
-          update: { 
-            $inc: { 
-              stock: item.quantity,
-              sold: -item.quantity
-            } 
-          }
-        }
-      });
+      productUpdates.push(Product.stockUpdateOp(item.product, item.quantity, item.batches, 1, invoice.branch));
     }
 
     if (productUpdates.length > 0) {
       await Product.bulkWrite(productUpdates, { session });
     }
 
-    // Update customer's outstanding balance if needed
-    if (invoice.status !== 'paid' && invoice.balance > 0) {
-      await Customer.findByIdAndUpdate(
-        invoice.customer,
-        { $inc: { outstandingBalance: -invoice.balance } },
-        { session }
-      );
-    }
-
     // Delete the invoice
     await Invoice.deleteOne({ _id: invoice._id }).session(session);
+
+    // Update customer's outstanding balance
+    await PaymentService.syncCustomerBalance(invoice.customer, session);
     
     await session.commitTransaction();
     session.endSession();
@@ -643,13 +563,38 @@ router.delete('/:id', [auth, admin], async (req, res) => {
 });
 
 // @route   GET /api/invoices/:id/download
-// @desc    Download invoice as PDF
-// @access  Private
-router.get('/:id/download', auth, async (req, res) => {
+// @desc    Download invoice as an A4 PDF, a 58mm/80mm thermal receipt PDF or raw ESC/POS
+// @access  Private (invoice.view)
+router.get('/:id/download', [
+  auth,
+  requirePermission('invoice.view'),
+  [
+    query('format', 'Format must be a4, 58mm or 80mm').optional().isIn(['a4', '58mm', '80mm']),
+    query('output', 'Output must be pdf or escpos').optional().isIn(['pdf', 'escpos'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
   try {
+    const printFormat = req.query.format || 'a4';
+    const output = req.query.output || 'pdf';
+
+    if (output === 'escpos' && printFormat === 'a4') {
+      return res.status(400).json({
+        success: false,
+        message: 'ESC/POS output is only available for 58mm and 80mm receipts'
+      });
+    }
+
     const invoice = await Invoice.findOne({
       _id: req.params.id,
-      user: req.user.userId
+      ...BranchService.scopeFilter(req.user)
     })
     .populate('customer', 'name phone email address gstin')
     .populate('items.product', 'name sku price gstRate hsnCode unit');
@@ -661,13 +606,46 @@ router.get('/:id/download', auth, async (req, res) => {
       });
     }
 
+    const fileName = `invoice-${NumberingService.toFileName(invoice.invoiceNumber)}`;
+    const company = await SettingsService.getCompanyDetails();
+    const upiLink = getInvoicePaymentLink(invoice, company);
+
+    if (printFormat !== 'a4') {
+      const width = parseInt(printFormat, 10);
+
+      // ESC/POS jobs go straight to the printer, which draws the QR itself
+      if (output === 'escpos') {
+        const job = ESCPOS.generateReceipt(invoice, company, { width, upiLink });
+
+        res.set({
+          'Content-Type': 'application/octet-stream',
+          'Content-Disposition': `attachment; filename=${fileName}-${printFormat}.bin`,
+          'Content-Length': job.length
+        });
+
+        return res.send(job);
+      }
+
+      const upiQr = upiLink && await generateQrPng(upiLink);
+      const receiptBuffer = await PDFGenerator.generateThermalReceipt(invoice, company, { width, upiQr });
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename=${fileName}-${printFormat}.pdf`,
+        'Content-Length': receiptBuffer.length
+      });
+
+      return res.send(receiptBuffer);
+    }
+
     // Generate PDF
-    const pdfBuffer = await PDFGenerator.generateInvoicePDF(invoice);
+    const upiQr = upiLink && await generateQrPng(upiLink);
+    const pdfBuffer = await PDFGenerator.generateInvoice(invoice, company, { upiQr });
 
     // Set response headers
     res.set({
       'Content-Type': 'application/pdf',
-      'Content-Disposition': `attachment; filename=invoice-${invoice.invoiceNumber}.pdf`,
+      'Content-Disposition': `attachment; filename=${fileName}.pdf`,
       'Content-Length': pdfBuffer.length
     });
 
@@ -688,21 +666,87 @@ router.get('/:id/download', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/invoices/:id/upi
+// @desc    Get the UPI payment link and QR code for the balance due on an invoice
+// @access  Private (invoice.view, or portal.view for own invoices)
+router.get('/:id/upi', auth, async (req, res) => {
+  try {
+    // Staff reach the invoices of their branch; customers, who have no
+    // branch, may only pay their own invoices
+    let filter = null;
+    if (hasPermission(req.user, 'invoice.view')) {
+      filter = { _id: req.params.id, ...BranchService.scopeFilter(req.user) };
+    } else if (hasPermission(req.user, 'portal.view')) {
+      filter = { _id: req.params.id, customer: req.user.userId };
+    }
+
+    const invoice = filter && await Invoice.findOne(filter);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const company = await SettingsService.getCompanyDetails();
+    if (!company.upiId) {
+      return res.status(400).json({
+        success: false,
+        message: 'UPI payments are not set up for this shop'
+      });
+    }
+
+    const upiLink = getInvoicePaymentLink(invoice, company);
+    if (!upiLink) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing is due on this invoice'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invoiceNumber: invoice.invoiceNumber,
+        amount: invoice.balanceDue,
+        vpa: company.upiId,
+        payeeName: company.upiPayeeName,
+        upiLink,
+        qrCode: await generateQrDataUrl(upiLink)
+      }
+    });
+  } catch (error) {
+    console.error('Get invoice UPI QR error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/invoices/stats/overview
 // @desc    Get invoice statistics overview
-// @access  Private
-router.get('/stats/overview', auth, async (req, res) => {
+// @access  Private (invoice.view)
+router.get('/stats/overview', [auth, requirePermission('invoice.view')], async (req, res) => {
   try {
     const today = new Date();
     const startOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
     const startOfYear = new Date(today.getFullYear(), 0, 1);
 
+    const scope = BranchService.scopeFilter(req.user, req.query.branch);
+
     // Get total invoices count
-    const totalInvoices = await Invoice.countDocuments({ user: req.user.userId });
+    const totalInvoices = await Invoice.countDocuments(scope);
     
     // Get total sales amount
     const totalSales = await Invoice.aggregate([
-      { $match: { user: req.user.userId } },
+      { $match: scope },
       { $group: { _id: null, total: { $sum: '$total' } } }
     ]);
 
@@ -710,7 +754,7 @@ router.get('/stats/overview', auth, async (req, res) => {
     const monthlySales = await Invoice.aggregate([
       { 
         $match: { 
-          user: req.user.userId,
+          ...scope,
           invoiceDate: { $gte: startOfMonth }
         } 
       },
@@ -728,7 +772,7 @@ router.get('/stats/overview', auth, async (req, res) => {
     const yearlySales = await Invoice.aggregate([
       { 
         $match: { 
-          user: req.user.userId,
+          ...scope,
           invoiceDate: { $gte: startOfYear }
         } 
       },
@@ -744,7 +788,7 @@ router.get('/stats/overview', auth, async (req, res) => {
 
     // Get sales by status
     const salesByStatus = await Invoice.aggregate([
-      { $match: { user: req.user.userId } },
+      { $match: scope },
       { 
         $group: { 
           _id: '$status',
@@ -764,7 +808,7 @@ router.get('/stats/overview', auth, async (req, res) => {
 
     // Get top customers
     const topCustomers = await Invoice.aggregate([
-      { $match: { user: req.user.userId } },
+      { $match: scope },
       {
         $group: {
           _id: '$customer',
@@ -817,13 +861,13 @@ router.get('/stats/overview', auth, async (req, res) => {
 
 // @route   GET /api/invoices/export
 // @desc    Export invoices to Excel/CSV
-// @access  Private/Admin
-router.get('/export', [auth, admin], async (req, res) => {
+// @access  Private (invoice.export)
+router.get('/export', [auth, requirePermission('invoice.export')], async (req, res) => {
   try {
     const { startDate, endDate, status } = req.query;
     
     // Build query
-    const query = { user: req.user.userId };
+    const query = BranchService.scopeFilter(req.user, req.query.branch);
     
     if (startDate || endDate) {
       query.invoiceDate = {};
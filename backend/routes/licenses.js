@@ -0,0 +1,244 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const License = require('../models/License');
+const { LICENSE_TYPES } = require('../config/categories');
+
+const licenseValidators = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('licenseType', `License type must be one of ${LICENSE_TYPES.join(', ')}`).isIn(LICENSE_TYPES),
+    field('licenseNumber', 'License number is required').trim().notEmpty(),
+    field('expiryDate', 'Expiry date is required').isISO8601(),
+    check('issueDate', 'Issue date must be a valid date').optional({ nullable: true }).isISO8601(),
+    check('issuingAuthority', 'Issuing authority must be a string').optional().isString(),
+    check('isActive', 'Active must be true or false').optional().isBoolean()
+  ];
+};
+
+const validationMessage = (error) => Object.values(error.errors).map(err => err.message).join(', ');
+
+// @route   GET /api/licenses
+// @desc    Get the shop's dealer licenses
+// @access  Private (license.view)
+router.get('/', [auth, requirePermission('license.view')], async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.licenseType) query.licenseType = req.query.licenseType;
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const licenses = await License.find(query).sort('licenseType -expiryDate');
+
+    res.json({
+      success: true,
+      count: licenses.length,
+      data: licenses
+    });
+  } catch (error) {
+    console.error('Get licenses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/licenses/expiring
+// @desc    Get active licenses expired or expiring within a number of days
+// @access  Private (license.view)
+router.get('/expiring', [auth, requirePermission('license.view')], async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10) || parseInt(process.env.LICENSE_REMINDER_DAYS, 10) || 30;
+    const cutoff = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const licenses = await License.find({ isActive: true, expiryDate: { $lte: cutoff } }).sort('expiryDate');
+
+    res.json({
+      success: true,
+      count: licenses.length,
+      data: licenses
+    });
+  } catch (error) {
+    console.error('Get expiring licenses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/licenses/:id
+// @desc    Get single license
+// @access  Private (license.view)
+router.get('/:id', [auth, requirePermission('license.view')], async (req, res) => {
+  try {
+    const license = await License.findById(req.params.id);
+
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: license
+    });
+  } catch (error) {
+    console.error('Get license error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/licenses
+// @desc    Record a dealer license
+// @access  Private (license.manage)
+router.post('/', [auth, requirePermission('license.manage'), licenseValidators(false)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const license = new License({
+      ...req.body,
+      createdBy: req.user.userId
+    });
+
+    await license.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'License recorded successfully',
+      data: license
+    });
+  } catch (error) {
+    console.error('Create license error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/licenses/:id
+// @desc    Update a license, e.g. after renewal
+// @access  Private (license.manage)
+router.put('/:id', [auth, requirePermission('license.manage'), licenseValidators(true)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const license = await License.findById(req.params.id);
+
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    const updates = Object.keys(req.body);
+    const allowedUpdates = [
+      'licenseType', 'licenseNumber', 'issuingAuthority', 'issueDate', 'expiryDate', 'notes', 'isActive'
+    ];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid updates'
+      });
+    }
+
+    updates.forEach(update => license[update] = req.body[update]);
+    // A renewed license starts its reminders afresh
+    if (license.isModified('expiryDate')) license.lastRemindedAt = undefined;
+    await license.save();
+
+    res.json({
+      success: true,
+      message: 'License updated successfully',
+      data: license
+    });
+  } catch (error) {
+    console.error('Update license error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/licenses/:id
+// @desc    Delete a license record
+// @access  Private (license.manage)
+router.delete('/:id', [auth, requirePermission('license.manage')], async (req, res) => {
+  try {
+    const license = await License.findByIdAndDelete(req.params.id);
+
+    if (!license) {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'License removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete license error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'License not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const { auth, adminAuth: admin } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const Notification = require('../models/Notification');
 
 // @route   GET /api/notifications
@@ -170,9 +170,10 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   POST /api/notifications
 // @desc    Create a new notification
-// @access  Private
+// @access  Private (notification.send)
 router.post('/', [
   auth,
+  requirePermission('notification.send'),
   [
     check('title', 'Title is required').not().isEmpty(),
     check('message', 'Message is required').not().isEmpty(),
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const NumberingService = require('../services/numberingService');
+
+const describe = (series) => ({
+  documentType: series.documentType,
+  financialYear: series.financialYear,
+  prefix: series.prefix,
+  padding: series.padding,
+  lastNumber: series.lastNumber,
+  nextNumber: series.format(series.lastNumber + 1)
+});
+
+// @route   GET /api/number-series
+// @desc    Get the numbering series of every document type for the current financial year
+// @access  Private (settings.manage)
+router.get('/', [auth, requirePermission('settings.manage')], async (req, res) => {
+  try {
+    const documentTypes = Object.keys(NumberingService.DEFAULT_SERIES);
+    const series = await Promise.all(documentTypes.map(type => NumberingService.getCurrentSeries(type)));
+
+    res.json({
+      success: true,
+      financialYear: NumberingService.getFinancialYear(),
+      data: series.map(describe)
+    });
+  } catch (error) {
+    console.error('Get number series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/number-series/:documentType
+// @desc    Change the prefix or padding of a series for the current financial year
+// @access  Private (settings.manage)
+router.put('/:documentType', [
+  auth,
+  requirePermission('settings.manage'),
+  [
+    check('prefix', 'Prefix may only contain letters, digits and hyphens').optional().matches(/^[A-Za-z0-9-]+$/),
+    check('padding', 'Padding must be between 3 and 8 digits').optional().isInt({ min: 3, max: 8 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    if (!NumberingService.DEFAULT_SERIES[req.params.documentType]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown document type'
+      });
+    }
+
+    // The counter itself is never edited, so a changed prefix carries on from the last number
+    const series = await NumberingService.getCurrentSeries(req.params.documentType);
+    if (req.body.prefix !== undefined) series.prefix = req.body.prefix;
+    if (req.body.padding !== undefined) series.padding = req.body.padding;
+
+    await series.save();
+
+    res.json({
+      success: true,
+      message: 'Number series updated successfully',
+      data: describe(series)
+    });
+  } catch (error) {
+    console.error('Update number series error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
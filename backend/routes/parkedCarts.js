@@ -0,0 +1,228 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const ParkedCart = require('../models/ParkedCart');
+const Product = require('../models/Product');
+const BranchService = require('../services/branchService');
+
+// A parked bill belongs to the cashier who parked it; supervisors can see every counter
+const canAccess = (cart, user) => hasPermission(user, 'parkedCart.viewAll') || cart.cashier.toString() === user.userId.toString();
+
+// @route   GET /api/parked-carts
+// @desc    Get parked bills for the current cashier
+// @access  Private (invoice.create)
+router.get('/', [auth, requirePermission('invoice.create')], async (req, res) => {
+  try {
+    await ParkedCart.expireOverdue();
+
+    const query = { status: 'parked' };
+    if (!(hasPermission(req.user, 'parkedCart.viewAll') && req.query.all === 'true')) {
+      query.cashier = req.user.userId;
+    }
+
+    const carts = await ParkedCart.find(query)
+      .populate('customer', 'name phone')
+      .populate('cashier', 'name')
+      .sort('-createdAt');
+
+    res.json({
+      success: true,
+      count: carts.length,
+      data: carts
+    });
+  } catch (error) {
+    console.error('Get parked carts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/parked-carts
+// @desc    Park the current bill, holding its stock until it expires
+// @access  Private (invoice.create)
+router.post('/', [
+  auth,
+  requirePermission('invoice.create'),
+  [
+    check('customer', 'Invalid customer').optional({ nullable: true }).isMongoId(),
+    check('items', 'Cart items are required').isArray({ min: 1 }),
+    check('items.*.product', 'Product ID is required').isMongoId(),
+    check('items.*.quantity', 'Quantity must be greater than 0').isFloat({ min: 0.01 }),
+    check('items.*.price', 'Price must be a positive number').isFloat({ min: 0 }),
+    check('items.*.discount', 'Discount must be between 0 and 100%').optional().isFloat({ min: 0, max: 100 }),
+    check('discount', 'Discount must be between 0 and 100%').optional().isFloat({ min: 0, max: 100 }),
+    check('note', 'Note must be a string').optional().isString(),
+    check('branch', 'Invalid branch').optional().isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { customer, items, discount, paymentMethod, note } = req.body;
+
+    const branch = await BranchService.resolveBranch(req.body.branch, req.user);
+    const reserved = await ParkedCart.reservedQuantities(items.map(item => item.product), null, branch);
+    const parkedItems = [];
+
+    for (const item of items) {
+      const product = await Product.findById(item.product);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: `Product not found: ${item.product}`
+        });
+      }
+
+      const availableStock = product.stockAt(branch) - (reserved[product._id.toString()] || 0);
+      if (availableStock < item.quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient stock for product: ${product.name}`,
+          product: {
+            id: product._id,
+            name: product.name,
+            availableStock: Math.max(0, availableStock)
+          }
+        });
+      }
+
+      parkedItems.push({
+        product: product._id,
+        name: product.name,
+        quantity: item.quantity,
+        price: item.price,
+        discount: item.discount || 0
+      });
+    }
+
+    const cart = new ParkedCart({
+      cashier: req.user.userId,
+      customer: customer || undefined,
+      ...(branch && { branch }),
+      items: parkedItems,
+      discount,
+      paymentMethod,
+      note
+    });
+
+    await cart.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Bill parked successfully',
+      data: cart
+    });
+  } catch (error) {
+    console.error('Park cart error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/parked-carts/:id/resume
+// @desc    Resume a parked bill, releasing its hold on stock
+// @access  Private (invoice.create)
+router.post('/:id/resume', [auth, requirePermission('invoice.create')], async (req, res) => {
+  try {
+    const cart = await ParkedCart.findById(req.params.id);
+
+    if (!cart || !canAccess(cart, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parked bill not found'
+      });
+    }
+
+    if (cart.status !== 'parked' || cart.expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: cart.status === 'parked' ? 'Parked bill has expired' : `Parked bill has already been ${cart.status}`
+      });
+    }
+
+    cart.status = 'resumed';
+    cart.resumedAt = new Date();
+    await cart.save();
+
+    await cart.populate([
+      { path: 'customer' },
+      { path: 'items.product', select: 'name sku price stock taxRate unit image' }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Bill resumed',
+      data: cart
+    });
+  } catch (error) {
+    console.error('Resume parked cart error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Parked bill not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/parked-carts/:id
+// @desc    Discard a parked bill
+// @access  Private (invoice.create)
+router.delete('/:id', [auth, requirePermission('invoice.create')], async (req, res) => {
+  try {
+    const cart = await ParkedCart.findById(req.params.id);
+
+    if (!cart || !canAccess(cart, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parked bill not found'
+      });
+    }
+
+    if (cart.status !== 'parked') {
+      return res.status(400).json({
+        success: false,
+        message: `Parked bill has already been ${cart.status}`
+      });
+    }
+
+    cart.status = 'discarded';
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Parked bill discarded'
+    });
+  } catch (error) {
+    console.error('Discard parked cart error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Parked bill not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
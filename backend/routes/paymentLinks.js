@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const PaymentLink = require('../models/PaymentLink');
+const RazorpayService = require('../services/razorpayService');
+
+// @route   GET /api/payment-links
+// @desc    Get payment links, optionally for one invoice
+// @access  Private (paymentLink.view)
+router.get('/', [auth, requirePermission('paymentLink.view')], async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.invoice) query.invoice = req.query.invoice;
+    if (req.query.status) query.status = req.query.status;
+
+    const links = await PaymentLink.find(query)
+      .populate('customer', 'name phone')
+      .sort('-createdAt');
+
+    res.json({
+      success: true,
+      count: links.length,
+      data: links
+    });
+  } catch (error) {
+    console.error('Get payment links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/payment-links
+// @desc    Create a Razorpay payment link for the balance due on an invoice
+// @access  Private (paymentLink.create)
+router.post('/', [
+  auth,
+  requirePermission('paymentLink.create'),
+  [
+    check('invoice', 'Invoice is required').isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const link = await RazorpayService.createPaymentLink(req.body.invoice, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment link created successfully',
+      data: link
+    });
+  } catch (error) {
+    console.error('Create payment link error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/payment-links/webhook
+// @desc    Razorpay webhook; records paid links in the payment ledger
+// @access  Public (signed by Razorpay)
+router.post('/webhook', async (req, res) => {
+  if (!RazorpayService.verifyWebhookSignature(req.rawBody, req.get('X-Razorpay-Signature'))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  const session = await PaymentLink.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await RazorpayService.handleWebhookEvent(req.body, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({
+      success: true,
+      message: `Webhook ${result.status}`
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    // A webhook for the same payment racing this one claimed the link first
+    if (error.code === 11000) {
+      return res.json({
+        success: true,
+        message: 'Webhook duplicate'
+      });
+    }
+
+    // Anything but a 2xx makes Razorpay retry later
+    console.error('Razorpay webhook error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+module.exports = router;
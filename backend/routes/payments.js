@@ -0,0 +1,246 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const PDFGenerator = require('../utils/pdfGenerator');
+const PaymentService = require('../services/paymentService');
+const NumberingService = require('../services/numberingService');
+const SettingsService = require('../services/settingsService');
+const Payment = require('../models/Payment');
+
+// @route   GET /api/payments
+// @desc    Get all payments received
+// @access  Private (payment.view)
+router.get('/', [auth, requirePermission('payment.view')], async (req, res) => {
+  try {
+    const { customer, invoice, status, startDate, endDate } = req.query;
+    const query = {};
+
+    if (customer) query.customer = customer;
+    if (invoice) query['allocations.invoice'] = invoice;
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.paymentDate = {};
+      if (startDate) query.paymentDate.$gte = new Date(startDate);
+      if (endDate) query.paymentDate.$lte = new Date(endDate);
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+    const total = await Payment.countDocuments(query);
+
+    const payments = await Payment.find(query)
+      .populate('customer', 'name phone')
+      .sort('-paymentDate')
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: payments.length,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      data: payments
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/payments/:id
+// @desc    Get single payment
+// @access  Private (payment.view)
+router.get('/:id', [auth, requirePermission('payment.view')], async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('customer', 'name phone email address')
+      .populate('allocations.invoice', 'invoiceNumber invoiceDate finalTotal paidAmount paymentStatus');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/payments
+// @desc    Receive a customer payment, allocated oldest invoice first unless allocations are given
+// @access  Private (payment.create)
+router.post('/', [
+  auth,
+  requirePermission('payment.create'),
+  [
+    check('customer', 'Customer is required').isMongoId(),
+    check('amount', 'Amount is required and must be a positive number').isFloat({ min: 0.01 }),
+    check('paymentMethod', 'Payment method is required').isIn(['cash', 'card', 'upi', 'bank_transfer', 'cheque']),
+    check('paymentDate', 'Payment date must be a valid date').optional().isISO8601(),
+    check('allocations', 'Allocations must be a list').optional().isArray(),
+    check('allocations.*.invoice', 'Invoice is required').isMongoId(),
+    check('allocations.*.amount', 'Allocated amount must be a positive number').isFloat({ min: 0.01 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const session = await Payment.startSession();
+  session.startTransaction();
+
+  try {
+    const { customer, amount, paymentDate, paymentMethod, reference, notes, allocations } = req.body;
+
+    const payment = await PaymentService.recordPayment({
+      customer,
+      amount,
+      paymentDate,
+      paymentMethod,
+      reference,
+      notes,
+      allocations,
+      createdBy: req.user.userId
+    }, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: payment
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    console.error('Record payment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/payments/:id/reverse
+// @desc    Reverse a payment, reopening the invoices it settled
+// @access  Private (payment.reverse)
+router.post('/:id/reverse', [
+  auth,
+  requirePermission('payment.reverse'),
+  [
+    check('reason', 'Reversal reason is required').not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const session = await Payment.startSession();
+  session.startTransaction();
+
+  try {
+    const payment = await PaymentService.reversePayment(req.params.id, {
+      reason: req.body.reason,
+      userId: req.user.userId
+    }, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({
+      success: true,
+      message: 'Payment reversed successfully',
+      data: payment
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    console.error('Reverse payment error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/payments/:id/download
+// @desc    Download payment receipt as PDF
+// @access  Private (payment.view)
+router.get('/:id/download', [auth, requirePermission('payment.view')], async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id)
+      .populate('customer', 'name phone email address gstin');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const company = await SettingsService.getCompanyDetails();
+    const pdfBuffer = await PDFGenerator.generateReceipt(payment, company);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename=receipt-${NumberingService.toFileName(payment.receiptNumber)}.pdf`,
+      'Content-Length': pdfBuffer.length
+    });
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Download receipt error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate PDF'
+    });
+  }
+});
+
+module.exports = router;
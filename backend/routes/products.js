@@ -1,13 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const { auth, adminAuth: admin } = require('../middleware/auth');
+const { auth, shopContext, requirePermission } = require('../middleware/auth');
 const Product = require('../models/Product');
+const Invoice = require('../models/Invoice');
+const PDFGenerator = require('../utils/pdfGenerator');
+const { parseWeighedBarcode, encode } = require('../utils/barcode');
+const BranchService = require('../services/branchService');
+const SettingsService = require('../services/settingsService');
+const { hasPermission } = require('../config/permissions');
 
 // @route   GET /api/products
 // @desc    Get all products
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', shopContext, async (req, res) => {
   try {
     // Build query object
     const queryObj = { ...req.query };
@@ -70,7 +76,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/products/:id
 // @desc    Get single product
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', shopContext, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -102,10 +108,10 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/products
 // @desc    Create a product
-// @access  Private/Admin
+// @access  Private (product.create)
 router.post('/', [
   auth, 
-  admin,
+  requirePermission('product.create'),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('description', 'Description is required').not().isEmpty(),
@@ -116,7 +122,11 @@ router.post('/', [
     check('hsnCode', 'HSN code is required').not().isEmpty(),
     check('gstRate', 'GST rate is required and must be a number').isNumeric(),
     check('mrp', 'MRP is required and must be a positive number').isFloat({ min: 0 }),
-    check('unit', 'Unit is required').not().isEmpty()
+    check('unit', 'Unit is required').not().isEmpty(),
+    check('subsidy.isSubsidized', 'Subsidy flag must be true or false').optional().isBoolean(),
+    check('subsidy.amountPerUnit', 'Subsidy per unit must be a positive number').optional().isFloat({ min: 0 }),
+    check('subsidy.seasonCap', 'Season cap must be a positive number').optional().isFloat({ min: 0 }),
+    check('branch', 'Invalid branch').optional().isMongoId()
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -138,11 +148,17 @@ router.post('/', [
     }
 
     // Create new product
+    const { branch, branchStock, ...fields } = req.body;
     const product = new Product({
-      ...req.body,
-      user: req.user.userId
+      ...fields,
+      createdBy: req.user.userId
     });
 
+    // Opening stock is held at the branch it is entered for
+    if (product.stock > 0) {
+      product.adjustBranchStock(await BranchService.resolveBranch(branch, req.user), product.stock);
+    }
+
     await product.save();
 
     res.status(201).json({
@@ -152,25 +168,29 @@ router.post('/', [
     });
   } catch (error) {
     console.error('Create product error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: 'Server error' 
+      message: error.statusCode ? error.message : 'Server error' 
     });
   }
 });
 
 // @route   PUT /api/products/:id
 // @desc    Update a product
-// @access  Private/Admin
+// @access  Private (product.update)
 router.put('/:id', [
   auth, 
-  admin,
+  requirePermission('product.update'),
   [
     check('name', 'Name is required').optional().not().isEmpty(),
     check('price', 'Price must be a positive number').optional().isFloat({ min: 0 }),
     check('stock', 'Stock must be a positive integer').optional().isInt({ min: 0 }),
     check('gstRate', 'GST rate must be a number').optional().isNumeric(),
-    check('mrp', 'MRP must be a positive number').optional().isFloat({ min: 0 })
+    check('mrp', 'MRP must be a positive number').optional().isFloat({ min: 0 }),
+    check('subsidy.isSubsidized', 'Subsidy flag must be true or false').optional().isBoolean(),
+    check('subsidy.amountPerUnit', 'Subsidy per unit must be a positive number').optional().isFloat({ min: 0 }),
+    check('subsidy.seasonCap', 'Season cap must be a positive number').optional().isFloat({ min: 0 }),
+    check('branch', 'Invalid branch').optional().isMongoId()
   ]
 ], async (req, res) => {
   const errors = validationResult(req);
@@ -202,12 +222,12 @@ router.put('/:id', [
       }
     }
 
-    // Update product
-    const updates = Object.keys(req.body);
+    // Update product; `branch` only says where a stock count was taken
+    const updates = Object.keys(req.body).filter(update => update !== 'branch');
     const allowedUpdates = [
       'name', 'description', 'category', 'price', 'costPrice', 'stock', 
       'sku', 'barcode', 'hsnCode', 'gstRate', 'mrp', 'unit', 'minStockLevel',
-      'manufacturer', 'brand', 'weight', 'dimensions', 'isActive', 'tags'
+      'manufacturer', 'brand', 'weight', 'dimensions', 'isActive', 'tags', 'subsidy'
     ];
     const isValidOperation = updates.every(update => allowedUpdates.includes(update));
 
@@ -218,7 +238,25 @@ router.put('/:id', [
       });
     }
 
+    // Forms send every field back, so only a changed price needs the permission
+    const priceChanged = ['price', 'costPrice', 'mrp'].some(field => updates.includes(field) && Number(req.body[field]) !== product[field]);
+    if (priceChanged && !hasPermission(req.user, 'product.editPrice')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. product.editPrice permission required.'
+      });
+    }
+
+    // With branches, the stock entered is the count at one branch and the total moves by the difference
+    const branch = updates.includes('stock') ? await BranchService.resolveBranch(req.body.branch, req.user) : null;
+    const difference = branch ? Number(req.body.stock) - product.stockAt(branch) : 0;
+    const previousStock = product.stock;
+
     updates.forEach(update => product[update] = req.body[update]);
+    if (branch) {
+      product.stock = previousStock + difference;
+      product.adjustBranchStock(branch, difference);
+    }
     product.updatedBy = req.user.userId;
     
     await product.save();
@@ -236,17 +274,17 @@ router.put('/:id', [
         message: 'Product not found' 
       });
     }
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: 'Server error' 
+      message: error.statusCode ? error.message : 'Server error' 
     });
   }
 });
 
 // @route   DELETE /api/products/:id
 // @desc    Delete a product
-// @access  Private/Admin
-router.delete('/:id', [auth, admin], async (req, res) => {
+// @access  Private (product.delete)
+router.delete('/:id', [auth, requirePermission('product.delete')], async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -290,7 +328,7 @@ router.delete('/:id', [auth, admin], async (req, res) => {
 // @route   GET /api/products/categories
 // @desc    Get all product categories
 // @access  Public
-router.get('/categories', async (req, res) => {
+router.get('/categories', shopContext, async (req, res) => {
   try {
     const categories = await Product.distinct('category');
     
@@ -310,8 +348,8 @@ router.get('/categories', async (req, res) => {
 
 // @route   GET /api/products/stats/low-stock
 // @desc    Get low stock products
-// @access  Private/Admin
-router.get('/stats/low-stock', [auth, admin], async (req, res) => {
+// @access  Private (inventory.view)
+router.get('/stats/low-stock', [auth, requirePermission('inventory.view')], async (req, res) => {
   try {
     const products = await Product.find({
       $expr: { $lte: ['$stock', '$minStockLevel'] },
@@ -334,8 +372,8 @@ router.get('/stats/low-stock', [auth, admin], async (req, res) => {
 
 // @route   GET /api/products/stats/out-of-stock
 // @desc    Get out of stock products
-// @access  Private/Admin
-router.get('/stats/out-of-stock', [auth, admin], async (req, res) => {
+// @access  Private (inventory.view)
+router.get('/stats/out-of-stock', [auth, requirePermission('inventory.view')], async (req, res) => {
   try {
     const products = await Product.find({
       stock: { $lte: 0 },
@@ -358,8 +396,8 @@ router.get('/stats/out-of-stock', [auth, admin], async (req, res) => {
 
 // @route   GET /api/products/stats/top-selling
 // @desc    Get top selling products
-// @access  Private/Admin
-router.get('/stats/top-selling', [auth, admin], async (req, res) => {
+// @access  Private (inventory.view)
+router.get('/stats/top-selling', [auth, requirePermission('inventory.view')], async (req, res) => {
   try {
     // This is a simplified version - in a real app, you would aggregate from order items
     const limit = parseInt(req.query.limit, 10) || 10;
@@ -382,10 +420,403 @@ router.get('/stats/top-selling', [auth, admin], async (req, res) => {
   }
 });
 
+// @route   GET /api/products/stats/expiring-batches
+// @desc    Get stocked batches expiring within a number of days
+// @access  Private (inventory.view)
+router.get('/stats/expiring-batches', [auth, requirePermission('inventory.view')], async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10) || 30;
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() + days);
+
+    const batches = await Product.aggregate([
+      { $match: { isActive: true } },
+      { $unwind: '$batches' },
+      {
+        $match: {
+          'batches.quantity': { $gt: 0 },
+          'batches.expiryDate': { $lte: cutoff }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          productId: '$_id',
+          name: 1,
+          sku: 1,
+          unit: 1,
+          batchId: '$batches._id',
+          batchNumber: '$batches.batchNumber',
+          expiryDate: '$batches.expiryDate',
+          quantity: '$batches.quantity',
+          costPrice: '$batches.costPrice'
+        }
+      },
+      { $sort: { expiryDate: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      count: batches.length,
+      data: batches
+    });
+  } catch (error) {
+    console.error('Get expiring batches error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/products/barcode/:code
+// @desc    Look up a product by a scanned barcode, including weighed-item barcodes
+// @access  Private (invoice.create)
+router.get('/barcode/:code', [auth, requirePermission('invoice.create')], async (req, res) => {
+  try {
+    const code = req.params.code.trim();
+    let product = await Product.findOne({ barcode: code, isActive: true });
+    let quantity = null;
+
+    // Scale labels carry the item code and weight rather than the product's own barcode
+    if (!product) {
+      const weighed = parseWeighedBarcode(code);
+      if (weighed) {
+        product = await Product.findOne({ barcode: weighed.itemCode, isActive: true });
+        quantity = weighed.quantity;
+      }
+    }
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: `No product found for barcode ${code}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        quantity
+      }
+    });
+  } catch (error) {
+    console.error('Barcode lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/products/labels
+// @desc    Generate a printable sheet of barcode labels for selected products
+// @access  Private (product.update)
+router.post('/labels', [
+  auth,
+  requirePermission('product.update'),
+  [
+    check('items', 'Select at least one product').isArray({ min: 1 }),
+    check('items.*.product', 'Product ID is required').isMongoId(),
+    check('items.*.copies', 'Copies must be between 1 and 100').optional().isInt({ min: 1, max: 100 }),
+    check('symbology', 'Symbology must be auto, ean13 or code128').optional().isIn(['auto', 'ean13', 'code128'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const symbology = req.body.symbology || 'auto';
+    const labels = [];
+
+    for (const item of req.body.items) {
+      const product = await Product.findById(item.product);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: `Product not found: ${item.product}`
+        });
+      }
+
+      // The label shows the expiry of the stock that will be sold first
+      const [nextBatch] = product.allocateBatches(product.stock).allocations;
+      const label = {
+        name: product.name,
+        code: product.barcode || product.sku,
+        price: product.mrp || product.price,
+        expiryDate: (nextBatch && nextBatch.expiryDate) || product.expiryDate,
+        symbology
+      };
+
+      try {
+        encode(label.code, symbology);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `${product.name}: ${error.message}`
+        });
+      }
+
+      for (let copy = 0; copy < (item.copies || 1); copy++) {
+        labels.push(label);
+      }
+    }
+
+    const company = await SettingsService.getCompanyDetails();
+    const pdfBuffer = await PDFGenerator.generateLabels(labels, company);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'attachment; filename=barcode-labels.pdf',
+      'Content-Length': pdfBuffer.length
+    });
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Generate labels error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate PDF'
+    });
+  }
+});
+
+// @route   GET /api/products/:id/batches
+// @desc    Get the batch sub-ledger of a product
+// @access  Private (product.view)
+router.get('/:id/batches', [auth, requirePermission('product.view')], async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name sku unit stock batches');
+
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Product not found' 
+      });
+    }
+
+    const batches = [...product.batches].sort((a, b) => (a.expiryDate || Infinity) - (b.expiryDate || Infinity));
+
+    res.json({
+      success: true,
+      count: batches.length,
+      data: {
+        product: { id: product._id, name: product.name, sku: product.sku, unit: product.unit, stock: product.stock },
+        batches
+      }
+    });
+  } catch (error) {
+    console.error('Get product batches error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Product not found' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/products/:id/batches
+// @desc    Receive a new batch into stock
+// @access  Private (product.batch)
+router.post('/:id/batches', [
+  auth,
+  requirePermission('product.batch'),
+  [
+    check('batchNumber', 'Batch number is required').not().isEmpty(),
+    check('quantity', 'Quantity must be a positive number').isFloat({ min: 0.001 }),
+    check('mfgDate', 'Manufacturing date must be a valid date').optional().isISO8601(),
+    check('expiryDate', 'Expiry date must be a valid date').optional().isISO8601(),
+    check('costPrice', 'Cost price must be a positive number').optional().isFloat({ min: 0 }),
+    check('branch', 'Invalid branch').optional().isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { batchNumber, quantity, mfgDate, expiryDate, costPrice } = req.body;
+    const product = await Product.findById(req.params.id);
+    const branch = await BranchService.resolveBranch(req.body.branch, req.user);
+
+    if (!product) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Product not found' 
+      });
+    }
+
+    if (product.batches.some(batch => batch.batchNumber === batchNumber
+      && String(batch.branch || '') === String(branch || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Batch with this number already exists for the product'
+      });
+    }
+
+    product.batches.push({ batchNumber, quantity, mfgDate, expiryDate, costPrice, ...(branch && { branch }) });
+    product.stock += Number(quantity);
+    product.adjustBranchStock(branch, Number(quantity));
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch added successfully',
+      data: product.batches[product.batches.length - 1]
+    });
+  } catch (error) {
+    console.error('Add product batch error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Product not found' 
+      });
+    }
+    res.status(error.statusCode || 500).json({ 
+      success: false, 
+      message: error.statusCode ? error.message : 'Server error' 
+    });
+  }
+});
+
+// @route   POST /api/products/:id/batches/:batchId/write-off
+// @desc    Write off expired or damaged stock from a batch
+// @access  Private (product.batch)
+router.post('/:id/batches/:batchId/write-off', [
+  auth,
+  requirePermission('product.batch'),
+  [
+    check('quantity', 'Quantity must be a positive number').optional().isFloat({ min: 0.001 }),
+    check('reason', 'Reason is required').not().isEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id);
+    const batch = product && product.batches.id(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Batch not found' 
+      });
+    }
+
+    // Default to writing off everything left in the batch
+    const quantity = req.body.quantity !== undefined ? Number(req.body.quantity) : batch.quantity;
+    if (quantity > batch.quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${batch.quantity} left in batch ${batch.batchNumber}`
+      });
+    }
+
+    batch.quantity -= quantity;
+    batch.writtenOffQuantity += quantity;
+    batch.writeOffReason = req.body.reason;
+    batch.writtenOffAt = new Date();
+    product.stock = Math.max(0, product.stock - quantity);
+    product.adjustBranchStock(batch.branch, -quantity);
+    await product.save();
+
+    res.json({
+      success: true,
+      message: `Written off ${quantity} from batch ${batch.batchNumber}`,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Write off batch error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Batch not found' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
+// @route   GET /api/products/:id/batches/:batchId/invoices
+// @desc    Trace the invoices a batch was sold on (for recalls)
+// @access  Private (inventory.view)
+router.get('/:id/batches/:batchId/invoices', [auth, requirePermission('inventory.view')], async (req, res) => {
+  try {
+    const invoices = await Invoice.find({
+      items: { $elemMatch: { product: req.params.id, 'batches.batch': req.params.batchId } }
+    })
+      .select('invoiceNumber invoiceDate customer items status')
+      .populate('customer', 'name phone address')
+      .sort('-invoiceDate')
+      .lean();
+
+    // Only report the quantity taken from this batch on each invoice
+    const data = invoices.map(invoice => {
+      const quantity = invoice.items
+        .filter(item => item.product.toString() === req.params.id)
+        .flatMap(item => item.batches)
+        .filter(allocation => allocation.batch && allocation.batch.toString() === req.params.batchId)
+        .reduce((sum, allocation) => sum + allocation.quantity, 0);
+
+      return {
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: invoice.invoiceDate,
+        status: invoice.status,
+        customer: invoice.customer,
+        quantity
+      };
+    });
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Trace batch invoices error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Batch not found' 
+      });
+    }
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error' 
+    });
+  }
+});
+
 // @route   POST /api/products/import
 // @desc    Import products from Excel/CSV
-// @access  Private/Admin
-router.post('/import', [auth, admin], async (req, res) => {
+// @access  Private (product.import)
+router.post('/import', [auth, requirePermission('product.import')], async (req, res) => {
   try {
     // In a real app, you would handle file upload and parsing here
     // This is a simplified version
@@ -426,7 +857,6 @@ router.post('/import', [auth, admin], async (req, res) => {
           // Create new product
           validatedProducts.push({
             ...product,
-            user: req.user.userId,
             createdBy: req.user.userId
           });
         }
@@ -0,0 +1,293 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const Promotion = require('../models/Promotion');
+const PromotionService = require('../services/promotionService');
+
+const PROMOTION_TYPES = ['buy_x_get_y', 'percent_off', 'quantity_slab', 'subsidy', 'group_price'];
+const CATEGORIES = ['Seeds', 'Fertilizers', 'Pesticides', 'Medicines', 'Tools', 'Equipment', 'Other'];
+const CUSTOMER_GROUPS = ['retail', 'farmer', 'farmer_group', 'wholesale', 'dealer', 'institution'];
+
+const promotionValidators = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('name', 'Promotion name is required').notEmpty(),
+    field('type', `Type must be one of ${PROMOTION_TYPES.join(', ')}`).isIn(PROMOTION_TYPES),
+    field('startDate', 'Start date is required').isISO8601(),
+    check('endDate', 'End date must be a valid date').optional({ nullable: true }).isISO8601(),
+    check('products', 'Products must be an array').optional().isArray(),
+    check('products.*', 'Invalid product').isMongoId(),
+    check('categories', 'Categories must be an array').optional().isArray(),
+    check('categories.*', 'Invalid category').isIn(CATEGORIES),
+    check('customerGroups', 'Customer groups must be an array').optional().isArray(),
+    check('customerGroups.*', 'Invalid customer group').isIn(CUSTOMER_GROUPS),
+    check(['buyQuantity', 'freeQuantity'], 'Quantities must be at least 1').optional().isInt({ min: 1 }),
+    check('percent', 'Percentage must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+    check('amountPerUnit', 'Amount per unit must be a positive number').optional().isFloat({ min: 0 }),
+    check('slabs', 'Slabs must be an array').optional().isArray(),
+    check('slabs.*.minQuantity', 'Slab quantity must be greater than 0').isFloat({ min: 0.001 }),
+    check('slabs.*.percent', 'Slab percentage must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }),
+    check('slabs.*.amountPerUnit', 'Slab amount per unit must be a positive number').optional().isFloat({ min: 0 }),
+    check('stackable', 'Stackable must be true or false').optional().isBoolean(),
+    check('isActive', 'Active must be true or false').optional().isBoolean()
+  ];
+};
+
+const validationMessage = (error) => Object.values(error.errors).map(err => err.message).join(', ');
+
+// @route   GET /api/promotions
+// @desc    Get promotions; `running=true` for those in force today
+// @access  Private (promotion.view)
+router.get('/', [auth, requirePermission('promotion.view')], async (req, res) => {
+  try {
+    let promotions;
+
+    if (req.query.running === 'true') {
+      promotions = await Promotion.runningOn(new Date()).populate('products', 'name sku');
+    } else {
+      const query = {};
+      if (req.query.type) query.type = req.query.type;
+      if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+      promotions = await Promotion.find(query)
+        .populate('products', 'name sku')
+        .sort('-startDate');
+    }
+
+    res.json({
+      success: true,
+      count: promotions.length,
+      data: promotions
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/promotions/evaluate
+// @desc    Preview the promotions a bill would get at checkout
+// @access  Private (invoice.create)
+router.post('/evaluate', [
+  auth,
+  requirePermission('invoice.create'),
+  [
+    check('customer', 'Invalid customer').optional({ nullable: true }).isMongoId(),
+    check('items', 'Items are required').isArray({ min: 1 }),
+    check('items.*.product', 'Product ID is required').isMongoId(),
+    check('items.*.quantity', 'Quantity must be greater than 0').isFloat({ min: 0.001 }),
+    check('items.*.price', 'Price must be a positive number').isFloat({ min: 0 }),
+    check('items.*.discount', 'Discount must be between 0 and 100%').optional().isFloat({ min: 0, max: 100 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const preview = await PromotionService.previewPromotions({
+      customer: req.body.customer,
+      items: req.body.items.map(item => ({
+        product: item.product,
+        quantity: Number(item.quantity),
+        price: Number(item.price),
+        discount: Number(item.discount) || 0
+      }))
+    });
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Evaluate promotions error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/promotions/:id
+// @desc    Get single promotion
+// @access  Private (promotion.view)
+router.get('/:id', [auth, requirePermission('promotion.view')], async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id).populate('products', 'name sku category');
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    console.error('Get promotion error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/promotions
+// @desc    Create a promotion
+// @access  Private (promotion.manage)
+router.post('/', [auth, requirePermission('promotion.manage'), promotionValidators(false)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const promotion = new Promotion({
+      ...req.body,
+      createdBy: req.user.userId
+    });
+
+    await promotion.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/promotions/:id
+// @desc    Update a promotion
+// @access  Private (promotion.manage)
+router.put('/:id', [auth, requirePermission('promotion.manage'), promotionValidators(true)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    // Invoices keep the promotions they were billed with, so edits only affect new sales
+    const updates = Object.keys(req.body);
+    const allowedUpdates = [
+      'name', 'description', 'type', 'products', 'categories', 'customerGroups',
+      'buyQuantity', 'freeQuantity', 'percent', 'amountPerUnit', 'slabs',
+      'schemeReference', 'startDate', 'endDate', 'stackable', 'isActive'
+    ];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid updates'
+      });
+    }
+
+    updates.forEach(update => promotion[update] = req.body[update]);
+    await promotion.save();
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion
+    });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/promotions/:id
+// @desc    Delete a promotion
+// @access  Private (promotion.manage)
+router.delete('/:id', [auth, requirePermission('promotion.manage')], async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,595 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { getPlaceOfSupply } = require('../utils/gst');
+const Supplier = require('../models/Supplier');
+const Product = require('../models/Product');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const NumberingService = require('../services/numberingService');
+const BranchService = require('../services/branchService');
+const SettingsService = require('../services/settingsService');
+
+// @route   GET /api/purchases/orders
+// @desc    Get all purchase orders
+// @access  Private (purchase.view)
+router.get('/orders', [auth, requirePermission('purchase.view')], async (req, res) => {
+  try {
+    const { supplier, status } = req.query;
+    const query = {};
+
+    if (supplier) query.supplier = supplier;
+    if (status) query.status = status;
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+    const total = await PurchaseOrder.countDocuments(query);
+
+    const orders = await PurchaseOrder.find(query)
+      .populate('supplier', 'name phone')
+      .sort('-orderDate')
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: orders.length,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      data: orders
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/purchases/orders/:id
+// @desc    Get single purchase order with its goods receipts
+// @access  Private (purchase.view)
+router.get('/orders/:id', [auth, requirePermission('purchase.view')], async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id)
+      .populate('supplier', 'name phone email gstin address')
+      .populate('items.product', 'name sku unit stock');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const receipts = await GoodsReceipt.find({ purchaseOrder: order._id })
+      .select('grnNumber receivedDate supplierInvoiceNumber total paymentStatus')
+      .sort('receivedDate');
+
+    res.json({
+      success: true,
+      data: {
+        ...order.toObject(),
+        receipts
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/purchases/orders
+// @desc    Create a purchase order
+// @access  Private (purchase.order)
+router.post('/orders', [
+  auth,
+  requirePermission('purchase.order'),
+  [
+    check('supplier', 'Supplier is required').isMongoId(),
+    check('items', 'At least one item is required').isArray({ min: 1 }),
+    check('items.*.product', 'Product ID is required').isMongoId(),
+    check('items.*.quantity', 'Quantity must be greater than 0').isFloat({ gt: 0 }),
+    check('items.*.unitCost', 'Unit cost must be a positive number').isFloat({ min: 0 }),
+    check('expectedDate', 'Expected date must be a valid date').optional().isISO8601(),
+    check('status', 'Invalid status').optional().isIn(['draft', 'ordered'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { supplier, items, expectedDate, status, notes } = req.body;
+
+    const supplierExists = await Supplier.findById(supplier);
+    if (!supplierExists || !supplierExists.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const orderItems = [];
+    for (const item of items) {
+      const product = await Product.findById(item.product);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: `Product not found: ${item.product}`
+        });
+      }
+
+      orderItems.push({
+        product: product._id,
+        name: product.name,
+        quantity: item.quantity,
+        unitCost: item.unitCost,
+        taxRate: item.taxRate !== undefined ? item.taxRate : product.taxRate
+      });
+    }
+
+    const order = new PurchaseOrder({
+      poNumber: await NumberingService.nextNumber('purchase_order'),
+      supplier,
+      items: orderItems,
+      expectedDate,
+      status: status || 'draft',
+      notes,
+      createdBy: req.user.userId
+    });
+
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: order
+    });
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/purchases/orders/:id/status
+// @desc    Place or cancel a purchase order
+// @access  Private (purchase.order)
+router.put('/orders/:id/status', [
+  auth,
+  requirePermission('purchase.order'),
+  [
+    check('status', 'Status must be ordered or cancelled').isIn(['ordered', 'cancelled'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    // Received quantities are already in stock, so only open orders can change
+    if (!['draft', 'ordered'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change a purchase order that is ${order.status.replace('_', ' ')}`
+      });
+    }
+
+    order.status = req.body.status;
+    await order.save();
+
+    res.json({
+      success: true,
+      message: `Purchase order marked as ${order.status}`,
+      data: order
+    });
+  } catch (error) {
+    console.error('Update purchase order status error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/purchases/receipts
+// @desc    Get all goods receipts
+// @access  Private (purchase.view)
+router.get('/receipts', [auth, requirePermission('purchase.view')], async (req, res) => {
+  try {
+    const { supplier, paymentStatus, startDate, endDate } = req.query;
+    const query = {};
+
+    if (supplier) query.supplier = supplier;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+    if (startDate || endDate) {
+      query.receivedDate = {};
+      if (startDate) query.receivedDate.$gte = new Date(startDate);
+      if (endDate) query.receivedDate.$lte = new Date(endDate);
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+    const total = await GoodsReceipt.countDocuments(query);
+
+    const receipts = await GoodsReceipt.find(query)
+      .populate('supplier', 'name phone gstin')
+      .populate('purchaseOrder', 'poNumber')
+      .sort('-receivedDate')
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: receipts.length,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      data: receipts
+    });
+  } catch (error) {
+    console.error('Get goods receipts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/purchases/receipts/:id
+// @desc    Get single goods receipt
+// @access  Private (purchase.view)
+router.get('/receipts/:id', [auth, requirePermission('purchase.view')], async (req, res) => {
+  try {
+    const receipt = await GoodsReceipt.findById(req.params.id)
+      .populate('supplier', 'name phone email gstin address')
+      .populate('purchaseOrder', 'poNumber orderDate')
+      .populate('items.product', 'name sku unit');
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goods receipt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    console.error('Get goods receipt error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Goods receipt not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/purchases/receipts
+// @desc    Receive goods against a supplier invoice, optionally for a purchase order
+// @access  Private (purchase.receive)
+router.post('/receipts', [
+  auth,
+  requirePermission('purchase.receive'),
+  [
+    check('supplier', 'Supplier is required').isMongoId(),
+    check('purchaseOrder', 'Invalid purchase order').optional().isMongoId(),
+    check('supplierInvoiceNumber', 'Supplier invoice number is required').not().isEmpty(),
+    check('supplierInvoiceDate', 'Supplier invoice date is required').isISO8601(),
+    check('items', 'At least one item is required').isArray({ min: 1 }),
+    check('items.*.product', 'Product ID is required').isMongoId(),
+    check('items.*.quantity', 'Quantity must be greater than 0').isFloat({ gt: 0 }),
+    check('items.*.unitCost', 'Unit cost must be a positive number').isFloat({ min: 0 }),
+    check('items.*.expiryDate', 'Expiry date must be a valid date').optional().isISO8601(),
+    check('branch', 'Invalid branch').optional().isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const session = await GoodsReceipt.startSession();
+  session.startTransaction();
+
+  try {
+    const { supplier, purchaseOrder, items, supplierInvoiceNumber, supplierInvoiceDate, notes } = req.body;
+
+    const supplierDoc = await Supplier.findById(supplier).session(session);
+    if (!supplierDoc) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const duplicate = await GoodsReceipt.exists({ supplier, supplierInvoiceNumber }).session(session);
+    if (duplicate) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'This supplier invoice has already been received'
+      });
+    }
+
+    let order = null;
+    if (purchaseOrder) {
+      order = await PurchaseOrder.findById(purchaseOrder).session(session);
+      if (!order || !order.supplier.equals(supplierDoc._id)) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase order not found for this supplier'
+        });
+      }
+      if (['draft', 'received', 'cancelled'].includes(order.status)) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(400).json({
+          success: false,
+          message: `Cannot receive goods against a purchase order that is ${order.status}`
+        });
+      }
+    }
+
+    // Goods are taken into the receiving branch's stock
+    const branch = await BranchService.resolveBranch(req.body.branch, req.user, session);
+
+    // Input tax is CGST + SGST from suppliers in our state, IGST otherwise
+    const company = await SettingsService.getCompanyDetails();
+    const supplierState = getPlaceOfSupply(supplierDoc) || company.stateCode;
+    const interState = Boolean(company.stateCode) && supplierState !== company.stateCode;
+
+    const receiptItems = [];
+    for (const item of items) {
+      const product = await Product.findById(item.product).session(session);
+      if (!product) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(404).json({
+          success: false,
+          message: `Product not found: ${item.product}`
+        });
+      }
+
+      if (order) {
+        const orderItem = order.items.find(line => line.product.equals(product._id));
+        if (!orderItem) {
+          await session.abortTransaction();
+          session.endSession();
+          return res.status(400).json({
+            success: false,
+            message: `${product.name} is not on purchase order ${order.poNumber}`
+          });
+        }
+        orderItem.receivedQuantity += item.quantity;
+      }
+
+      product.receiveStock({
+        quantity: item.quantity,
+        unitCost: item.unitCost,
+        batchNumber: item.batchNumber,
+        mfgDate: item.mfgDate,
+        expiryDate: item.expiryDate,
+        branch
+      });
+      await product.save({ session });
+
+      receiptItems.push({
+        product: product._id,
+        name: product.name,
+        hsnCode: product.hsnCode,
+        quantity: item.quantity,
+        unitCost: item.unitCost,
+        taxRate: item.taxRate !== undefined ? item.taxRate : product.taxRate,
+        batchNumber: item.batchNumber,
+        mfgDate: item.mfgDate,
+        expiryDate: item.expiryDate
+      });
+    }
+
+    if (order) {
+      order.updateReceiptStatus();
+      await order.save({ session });
+    }
+
+    const receivedDate = new Date();
+    const dueDate = new Date(supplierInvoiceDate);
+    dueDate.setDate(dueDate.getDate() + supplierDoc.paymentTermsDays);
+
+    const receipt = new GoodsReceipt({
+      grnNumber: await NumberingService.nextNumber('goods_receipt', { session }),
+      supplier,
+      purchaseOrder: order ? order._id : undefined,
+      ...(branch && { branch }),
+      receivedDate,
+      supplierInvoiceNumber,
+      supplierInvoiceDate,
+      supplyType: interState ? 'inter_state' : 'intra_state',
+      items: receiptItems,
+      dueDate,
+      notes,
+      createdBy: req.user.userId
+    });
+
+    await receipt.save({ session });
+
+    // The supplier is owed the bill total until payments are recorded
+    await Supplier.findByIdAndUpdate(
+      supplier,
+      { $inc: { outstandingBalance: receipt.total } },
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      success: true,
+      message: 'Goods received successfully',
+      data: receipt
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    console.error('Create goods receipt error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/purchases/receipts/:id/payments
+// @desc    Record a payment made to the supplier against a goods receipt
+// @access  Private (supplier.pay)
+router.post('/receipts/:id/payments', [
+  auth,
+  requirePermission('supplier.pay'),
+  [
+    check('amount', 'Amount is required and must be a positive number').isFloat({ min: 0.01 }),
+    check('method', 'Payment method is required').isIn(['cash', 'card', 'upi', 'bank_transfer', 'cheque']),
+    check('date', 'Payment date must be a valid date').optional().isISO8601(),
+    check('reference', 'Reference must be a string').optional().isString()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const session = await GoodsReceipt.startSession();
+  session.startTransaction();
+
+  try {
+    const { amount, method, date, reference, notes } = req.body;
+
+    const receipt = await GoodsReceipt.findById(req.params.id).session(session);
+    if (!receipt) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        message: 'Goods receipt not found'
+      });
+    }
+
+    if (amount > receipt.balance) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'Payment amount exceeds remaining balance'
+      });
+    }
+
+    receipt.payments.push({
+      amount,
+      method,
+      date: date || new Date(),
+      reference: reference || '',
+      notes: notes || '',
+      recordedBy: req.user.userId
+    });
+
+    await receipt.save({ session });
+
+    await Supplier.findByIdAndUpdate(
+      receipt.supplier,
+      { $inc: { outstandingBalance: -amount } },
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({
+      success: true,
+      message: 'Supplier payment recorded successfully',
+      data: {
+        receipt: receipt._id,
+        amountPaid: amount,
+        remainingBalance: receipt.balance,
+        paymentStatus: receipt.paymentStatus
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    console.error('Record supplier payment error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Goods receipt not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
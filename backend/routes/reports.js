@@ -1,19 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const { auth, adminAuth: admin } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const Invoice = require('../models/Invoice');
 const Customer = require('../models/Customer');
 const Product = require('../models/Product');
 const Expense = require('../models/Expense');
 // const ExcelJS = require('exceljs'); // Commented out as not installed
 const PDFGenerator = require('../utils/pdfGenerator');
+const GstReturnService = require('../services/gstReturnService');
+const DayEndService = require('../services/dayEndService');
+const SubsidyService = require('../services/subsidyService');
+const ComplianceService = require('../services/complianceService');
+const BranchService = require('../services/branchService');
+const SettingsService = require('../services/settingsService');
+const { hasPermission } = require('../config/permissions');
 
 // @route   GET /api/reports/sales
 // @desc    Generate sales report
-// @access  Private
+// @access  Private (report.sales.view)
 router.get('/sales', [
   auth,
+  requirePermission('report.sales.view'),
   [
     check('startDate', 'Start date is required').isISO8601(),
     check('endDate', 'End date is required').isISO8601(),
@@ -31,9 +39,9 @@ router.get('/sales', [
   try {
     const { startDate, endDate, format = 'json', customer, status } = req.query;
     
-    // Build query
+    // Build query; staff report on their own branch
     const query = { 
-      user: req.user.userId,
+      ...BranchService.scopeFilter(req.user, req.query.branch),
       invoiceDate: { 
         $gte: new Date(startDate), 
         $lte: new Date(endDate) 
@@ -59,6 +67,9 @@ router.get('/sales', [
       totalInvoices: invoices.length,
       totalAmount: 0,
       totalTax: 0,
+      totalCgst: 0,
+      totalSgst: 0,
+      totalIgst: 0,
       totalDiscount: 0,
       totalPaid: 0,
       totalOutstanding: 0,
@@ -102,10 +113,13 @@ router.get('/sales', [
       
       // Update totals
       summary.totalAmount += invoice.total;
-      summary.totalTax += invoice.tax || 0;
+      summary.totalTax += invoice.taxAmount || 0;
+      summary.totalCgst += invoice.cgstAmount || 0;
+      summary.totalSgst += invoice.sgstAmount || 0;
+      summary.totalIgst += invoice.igstAmount || 0;
       summary.totalDiscount += invoice.discount || 0;
-      summary.totalPaid += invoice.amountPaid || 0;
-      summary.totalOutstanding += invoice.balance || 0;
+      summary.totalPaid += invoice.paidAmount || 0;
+      summary.totalOutstanding += invoice.balanceDue || 0;
     });
 
     // Convert objects to arrays
@@ -152,9 +166,10 @@ router.get('/sales', [
 
 // @route   GET /api/reports/inventory
 // @desc    Generate inventory report
-// @access  Private
+// @access  Private (report.inventory.view)
 router.get('/inventory', [
   auth,
+  requirePermission('report.inventory.view'),
   [
     check('format', 'Invalid format').optional().isIn(['json', 'excel', 'pdf'])
   ]
@@ -162,21 +177,23 @@ router.get('/inventory', [
   try {
     const { format = 'json', category, lowStockOnly } = req.query;
     
-    // Build query
-    const query = { user: req.user.userId };
+    // Build query; stock is counted at the user's branch, or the one an admin asks for
+    const query = {};
+    const branch = BranchService.scopeFilter(req.user, req.query.branch).branch || null;
     
     if (category) {
       query.category = category;
     }
     
-    if (lowStockOnly === 'true') {
+    if (lowStockOnly === 'true' && !branch) {
       query.$expr = { $lte: ['$stock', '$minStockLevel'] };
     }
     
     // Get products with category details
-    const products = await Product.find(query)
+    const products = (await Product.find(query)
       .populate('category', 'name')
-      .sort('name');
+      .sort('name'))
+      .filter(product => !branch || lowStockOnly !== 'true' || product.stockAt(branch) <= (product.minStockLevel || 0));
     
     // Calculate summary
     const summary = {
@@ -190,7 +207,8 @@ router.get('/inventory', [
     
     // Process products
     products.forEach(product => {
-      const productValue = product.stock * (product.price || 0);
+      const stock = product.stockAt(branch);
+      const productValue = stock * (product.price || 0);
       
       // Update category summary
       const categoryId = product.category?._id?.toString() || 'uncategorized';
@@ -209,20 +227,20 @@ router.get('/inventory', [
         id: product._id,
         name: product.name,
         sku: product.sku,
-        stock: product.stock,
+        stock,
         price: product.price,
         value: productValue,
         minStockLevel: product.minStockLevel || 0,
-        status: product.stock === 0 ? 'out' : (product.stock <= (product.minStockLevel || 0) ? 'low' : 'normal')
+        status: stock === 0 ? 'out' : (stock <= (product.minStockLevel || 0) ? 'low' : 'normal')
       });
       
       // Update totals
-      summary.totalInStock += product.stock;
+      summary.totalInStock += stock;
       summary.totalValue += productValue;
       
-      if (product.stock === 0) {
+      if (stock === 0) {
         summary.outOfStock += 1;
-      } else if (product.stock <= (product.minStockLevel || 0)) {
+      } else if (stock <= (product.minStockLevel || 0)) {
         summary.lowStock += 1;
       }
     });
@@ -240,6 +258,7 @@ router.get('/inventory', [
     const reportData = {
       summary,
       products,
+      branch,
       generatedAt: new Date()
     };
     
@@ -266,9 +285,10 @@ router.get('/inventory', [
 
 // @route   GET /api/reports/profit-loss
 // @desc    Generate profit and loss report
-// @access  Private
+// @access  Private (report.profit.view)
 router.get('/profit-loss', [
   auth,
+  requirePermission('report.profit.view'),
   [
     check('startDate', 'Start date is required').isISO8601(),
     check('endDate', 'End date is required').isISO8601(),
@@ -292,14 +312,13 @@ router.get('/profit-loss', [
     
     // Get all invoices in the date range
     const invoices = await Invoice.find({
-      user: req.user.userId,
+      ...BranchService.scopeFilter(req.user, req.query.branch),
       invoiceDate: { $gte: start, $lte: end },
       status: { $ne: 'cancelled' }
     });
     
     // Get all expenses in the date range
     const expenses = await Expense.find({
-      user: req.user.userId,
       date: { $gte: start, $lte: end },
       status: 'paid'
     });
@@ -388,9 +407,10 @@ router.get('/profit-loss', [
 
 // @route   GET /api/reports/customers
 // @desc    Generate customer report
-// @access  Private
+// @access  Private (report.customers.view)
 router.get('/customers', [
   auth,
+  requirePermission('report.customers.view'),
   [
     check('format', 'Invalid format').optional().isIn(['json', 'excel', 'pdf'])
   ]
@@ -399,7 +419,7 @@ router.get('/customers', [
     const { format = 'json' } = req.query;
     
     // Get all customers with their invoices
-    const customers = await Customer.find({ user: req.user.userId })
+    const customers = await Customer.find()
       .sort('-totalPurchases')
       .lean();
     
@@ -418,7 +438,14 @@ router.get('/customers', [
           totalInvoices: { $sum: 1 },
           lastPurchase: { $max: '$invoiceDate' },
           averageOrderValue: { $avg: '$total' },
-          outstandingBalance: { $sum: '$balance' }
+          outstandingBalance: {
+            $sum: {
+              $subtract: [
+                '$finalTotal',
+                { $add: [{ $ifNull: ['$paidAmount', 0] }, { $ifNull: ['$creditedAmount', 0] }] }
+              ]
+            }
+          }
         }
       }
     ]);
@@ -495,6 +522,149 @@ router.get('/customers', [
   }
 });
 
+// @route   GET /api/reports/day-end
+// @desc    Day-end counter report with sales, per-tender totals, credit and expected cash
+// @access  Private (report.dayEnd.view)
+router.get('/day-end', [
+  auth,
+  requirePermission('report.dayEnd.view'),
+  [
+    check('date', 'Date must be a valid date').optional().isISO8601(),
+    check('cashier', 'Invalid cashier').optional().isMongoId()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const start = req.query.date ? new Date(req.query.date) : new Date();
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setHours(23, 59, 59, 999);
+
+    const cashier = hasPermission(req.user, 'report.dayEnd.viewAll') ? req.query.cashier : req.user.userId;
+    const report = await DayEndService.buildDayEndReport({ start, end, cashier });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Generate day-end report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reports/gstr1
+// @desc    Generate GSTR-1 return for a tax period
+// @access  Private (report.gst.view)
+router.get('/gstr1', [
+  auth,
+  requirePermission('report.gst.view'),
+  [
+    check('period', 'Tax period is required in YYYY-MM format').matches(/^\d{4}-(0[1-9]|1[0-2])$/),
+    check('format', 'Invalid format').optional().isIn(['json', 'excel'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { period, format = 'json' } = req.query;
+    const range = GstReturnService.parsePeriod(period);
+
+    // Returns of the same branches as the sales they net against
+    const scope = BranchService.scopeFilter(req.user, req.query.branch);
+    const invoices = await GstReturnService.getPeriodInvoices(range, scope);
+    const creditNotes = await GstReturnService.getPeriodCreditNotes(range, scope);
+    const company = await SettingsService.getCompanyDetails();
+    const gstr1 = GstReturnService.buildGstr1({ invoices, creditNotes, company, fp: range.fp });
+
+    if (format === 'excel') {
+      const buffer = GstReturnService.gstr1ToExcel(gstr1);
+      res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="GSTR1_${range.fp}.xlsx"`
+      });
+      return res.send(buffer);
+    }
+
+    // The JSON is uploadable to the GST offline tool as-is
+    res.set('Content-Disposition', `attachment; filename="GSTR1_${range.fp}.json"`);
+    res.json(gstr1);
+  } catch (error) {
+    console.error('Generate GSTR-1 error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reports/gstr3b
+// @desc    Generate GSTR-3B summary for a tax period
+// @access  Private (report.gst.view)
+router.get('/gstr3b', [
+  auth,
+  requirePermission('report.gst.view'),
+  [
+    check('period', 'Tax period is required in YYYY-MM format').matches(/^\d{4}-(0[1-9]|1[0-2])$/),
+    check('format', 'Invalid format').optional().isIn(['json', 'excel'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { period, format = 'json' } = req.query;
+    const range = GstReturnService.parsePeriod(period);
+
+    // Sales, returns and input tax of the same branches, so one nets against the other
+    const scope = BranchService.scopeFilter(req.user, req.query.branch);
+    const invoices = await GstReturnService.getPeriodInvoices(range, scope);
+    const creditNotes = await GstReturnService.getPeriodCreditNotes(range, scope);
+    const inputTax = await GstReturnService.getPeriodInputTax(range, scope);
+    const company = await SettingsService.getCompanyDetails();
+    const gstr3b = GstReturnService.buildGstr3b({ invoices, creditNotes, inputTax, company, fp: range.fp });
+
+    if (format === 'excel') {
+      const buffer = GstReturnService.gstr3bToExcel(gstr3b);
+      res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="GSTR3B_${range.fp}.xlsx"`
+      });
+      return res.send(buffer);
+    }
+
+    res.set('Content-Disposition', `attachment; filename="GSTR3B_${range.fp}.json"`);
+    res.json(gstr3b);
+  } catch (error) {
+    console.error('Generate GSTR-3B error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Helper function to generate Excel report
 async function generateExcelReport(data, res, reportType = 'Report') {
   try {
@@ -514,6 +684,9 @@ async function generateExcelReport(data, res, reportType = 'Report') {
       worksheet.addRow(['Total Invoices', data.summary.totalInvoices]);
       worksheet.addRow(['Total Amount', data.summary.totalAmount]);
       worksheet.addRow(['Total Tax', data.summary.totalTax]);
+      worksheet.addRow(['CGST', data.summary.totalCgst]);
+      worksheet.addRow(['SGST', data.summary.totalSgst]);
+      worksheet.addRow(['IGST', data.summary.totalIgst]);
       worksheet.addRow(['Total Paid', data.summary.totalPaid]);
       worksheet.addRow(['Total Outstanding', data.summary.totalOutstanding]);
       
@@ -713,4 +886,111 @@ async function generatePdfReport(data, title, res) {
   }
 }
 
+// @route   GET /api/reports/subsidy-claims
+// @desc    Subsidy claim for subsidised products sold, by product and month
+// @access  Private (report.compliance.view)
+router.get('/subsidy-claims', [
+  auth,
+  requirePermission('report.compliance.view'),
+  [
+    check('from', 'From period is required in YYYY-MM format').matches(/^\d{4}-(0[1-9]|1[0-2])$/),
+    check('to', 'To period must be in YYYY-MM format').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/),
+    check('format', 'Invalid format').optional().isIn(['json', 'excel'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { from, to = from, format = 'json' } = req.query;
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'To period must not be before the from period'
+      });
+    }
+
+    const report = await SubsidyService.buildClaimReport({
+      start: GstReturnService.parsePeriod(from).start,
+      end: GstReturnService.parsePeriod(to).end
+    });
+
+    if (format === 'excel') {
+      const buffer = SubsidyService.claimReportToExcel(report);
+      res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="Subsidy_Claim_${from}_${to}.xlsx"`
+      });
+      return res.send(buffer);
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Generate subsidy claim error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reports/sale-register
+// @desc    Statutory register of products sold from restricted categories (pesticides, medicines)
+// @access  Private (report.compliance.view)
+router.get('/sale-register', [
+  auth,
+  requirePermission('report.compliance.view'),
+  [
+    check('startDate', 'Start date is required').isISO8601(),
+    check('endDate', 'End date is required').isISO8601(),
+    check('format', 'Invalid format').optional().isIn(['json', 'excel'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { startDate, endDate, format = 'json' } = req.query;
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    end.setHours(23, 59, 59, 999);
+
+    const rows = await ComplianceService.buildSaleRegister({ start, end });
+
+    if (format === 'excel') {
+      const buffer = ComplianceService.saleRegisterToExcel(rows);
+      res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="Sale_Register_${startDate.slice(0, 10)}_${endDate.slice(0, 10)}.xlsx"`
+      });
+      return res.send(buffer);
+    }
+
+    res.json({
+      success: true,
+      count: rows.length,
+      data: rows
+    });
+  } catch (error) {
+    console.error('Generate sale register error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../config/permissions');
+
+const roleValidators = (optional) => {
+  const field = (name, message) => (optional ? check(name, message).optional() : check(name, message));
+
+  return [
+    field('name', 'Role name is required').trim().notEmpty(),
+    check('description', 'Description must be a string').optional().isString(),
+    field('permissions', 'Permissions must be a list').isArray(),
+    check('permissions.*', 'Unknown permission').isIn(Object.keys(PERMISSIONS))
+  ];
+};
+
+const validationMessage = (error) => Object.values(error.errors).map(err => err.message).join(', ');
+
+// @route   GET /api/roles/permissions
+// @desc    Get every permission a role can hold and what the built-in roles hold
+// @access  Private (role.manage)
+router.get('/permissions', [auth, requirePermission('role.manage')], (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: PERMISSIONS,
+      builtInRoles: ROLE_PERMISSIONS
+    }
+  });
+});
+
+// @route   GET /api/roles
+// @desc    Get the shop's custom roles
+// @access  Private (role.manage)
+router.get('/', [auth, requirePermission('role.manage')], async (req, res) => {
+  try {
+    const roles = await Role.find().sort('name');
+
+    res.json({
+      success: true,
+      count: roles.length,
+      data: roles
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/roles/:id
+// @desc    Get single role with the users holding it
+// @access  Private (role.manage)
+router.get('/:id', [auth, requirePermission('role.manage')], async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const users = await User.find({ customRole: role._id }).select('name email role isActive');
+
+    res.json({
+      success: true,
+      data: { ...role.toObject(), users }
+    });
+  } catch (error) {
+    console.error('Get role error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (role.manage)
+router.post('/', [auth, requirePermission('role.manage'), roleValidators(false)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const { name, description, permissions } = req.body;
+
+    const exists = await Role.findOne({ name });
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    const role = new Role({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user.userId
+    });
+
+    await role.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/roles/:id
+// @desc    Update a custom role; its users get the new permissions on their next request
+// @access  Private (role.manage)
+router.put('/:id', [auth, requirePermission('role.manage'), roleValidators(true)], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const updates = Object.keys(req.body);
+    const allowedUpdates = ['name', 'description', 'permissions'];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid updates'
+      });
+    }
+
+    if (req.body.name) {
+      const exists = await Role.findOne({ name: req.body.name, _id: { $ne: role._id } });
+      if (exists) {
+        return res.status(400).json({
+          success: false,
+          message: 'A role with this name already exists'
+        });
+      }
+    }
+
+    if (req.body.permissions) req.body.permissions = [...new Set(req.body.permissions)];
+
+    updates.forEach(update => role[update] = req.body[update]);
+    await role.save();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: validationMessage(error)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete a custom role no user holds any more
+// @access  Private (role.manage)
+router.delete('/:id', [auth, requirePermission('role.manage')], async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const holders = await User.countDocuments({ customRole: role._id });
+    if (holders > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Move the ${holders} user(s) holding this role to another role before deleting it`
+      });
+    }
+
+    await Role.deleteOne({ _id: role._id });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
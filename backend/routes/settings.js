@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const SettingsService = require('../services/settingsService');
+
+// A UPI ID looks like name@bank
+const VPA_PATTERN = /^[a-zA-Z0-9.\-_]{2,256}@[a-zA-Z]{2,64}$/;
+
+// @route   GET /api/settings
+// @desc    Get shop settings
+// @access  Private (settings.manage)
+router.get('/', [auth, requirePermission('settings.manage')], async (req, res) => {
+  try {
+    const settings = await SettingsService.getSettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/settings
+// @desc    Update shop settings
+// @access  Private (settings.manage)
+router.put('/', [
+  auth,
+  requirePermission('settings.manage'),
+  [
+    check('upiVpa', 'UPI ID must look like name@bank').optional().custom(value => value === '' || VPA_PATTERN.test(value)),
+    check('upiPayeeName', 'Payee name cannot exceed 50 characters').optional().isString().isLength({ max: 50 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const settings = await SettingsService.updateSettings(req.body, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/settings/company
+// @desc    Get the shop's details printed on its documents and used for GST
+// @access  Private (settings.manage)
+router.get('/company', [auth, requirePermission('settings.manage')], async (req, res) => {
+  try {
+    const company = await SettingsService.getCompanyDetails();
+
+    res.json({
+      success: true,
+      data: company
+    });
+  } catch (error) {
+    console.error('Get company details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/settings/company
+// @desc    Update the shop's name, address, contact details, GSTIN and state
+// @access  Private (settings.manage)
+router.put('/company', [
+  auth,
+  requirePermission('settings.manage'),
+  [
+    check('name', 'Shop name cannot be empty').optional().trim().notEmpty(),
+    check('address', 'Address cannot exceed 200 characters').optional().isString().isLength({ max: 200 }),
+    check('phone', 'Phone must be a string').optional().isString(),
+    check('email', 'Please include a valid email').optional({ checkFalsy: true }).isEmail(),
+    check('gstin', 'Please provide a valid GSTIN').optional({ checkFalsy: true }).matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/),
+    check('state', 'State must be a string').optional().isString()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const company = await SettingsService.updateCompanyDetails(req.body);
+
+    res.json({
+      success: true,
+      message: 'Shop details updated successfully',
+      data: company
+    });
+  } catch (error) {
+    console.error('Update company details error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+module.exports = router;
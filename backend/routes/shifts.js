@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+const { check, query, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const { hasPermission } = require('../config/permissions');
+const Shift = require('../models/Shift');
+const ShiftService = require('../services/shiftService');
+const SettingsService = require('../services/settingsService');
+const PDFGenerator = require('../utils/pdfGenerator');
+
+// @route   GET /api/shifts
+// @desc    Get shifts for the current cashier; shift supervisors can see every counter
+// @access  Private (shift.operate)
+router.get('/', [auth, requirePermission('shift.operate')], async (req, res) => {
+  try {
+    const filter = {};
+    if (!hasPermission(req.user, 'shift.viewAll')) {
+      filter.cashier = req.user.userId;
+    } else if (req.query.cashier) {
+      filter.cashier = req.query.cashier;
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+
+    const [shifts, total] = await Promise.all([
+      Shift.find(filter)
+        .select('-report')
+        .populate('cashier', 'name')
+        .sort('-openedAt')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Shift.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: shifts.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: shifts
+    });
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/shifts/current
+// @desc    Get the current cashier's open shift with its running Z-report
+// @access  Private (shift.operate)
+router.get('/current', [auth, requirePermission('shift.operate')], async (req, res) => {
+  try {
+    const shift = await Shift.findOne({ cashier: req.user.userId, status: 'open' })
+      .populate('cashier', 'name email');
+
+    res.json({
+      success: true,
+      data: shift && {
+        ...shift.toObject(),
+        report: await ShiftService.buildZReport(shift)
+      }
+    });
+  } catch (error) {
+    console.error('Get current shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/shifts/open
+// @desc    Open a shift with the cash float in the drawer
+// @access  Private (shift.operate)
+router.post('/open', [
+  auth,
+  requirePermission('shift.operate'),
+  [
+    check('openingFloat', 'Opening float must be a positive number').isFloat({ min: 0 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const shift = await ShiftService.openShift(req.user.userId, Number(req.body.openingFloat));
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift opened',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Open shift error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/shifts/:id/cash
+// @desc    Record cash put into or taken out of the drawer
+// @access  Private (shift.operate)
+router.post('/:id/cash', [
+  auth,
+  requirePermission('shift.operate'),
+  [
+    check('type', 'Type must be in or out').isIn(['in', 'out']),
+    check('amount', 'Amount must be greater than 0').isFloat({ min: 0.01 }),
+    check('reason', 'Reason is required').trim().notEmpty()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const shift = await ShiftService.addCashMovement(req.params.id, {
+      type: req.body.type,
+      amount: Number(req.body.amount),
+      reason: req.body.reason
+    }, req.user);
+
+    res.json({
+      success: true,
+      message: req.body.type === 'in' ? 'Cash in recorded' : 'Cash out recorded',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Record cash movement error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/shifts/:id/close
+// @desc    Close a shift against the counted drawer; variances are flagged to admins
+// @access  Private (shift.operate)
+router.post('/:id/close', [
+  auth,
+  requirePermission('shift.operate'),
+  [
+    check('countedCash', 'Counted cash must be a positive number').isFloat({ min: 0 }),
+    check('notes', 'Notes must be a string').optional().isString()
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const shift = await ShiftService.closeShift(req.params.id, {
+      countedCash: Number(req.body.countedCash),
+      notes: req.body.notes
+    }, req.user);
+
+    res.json({
+      success: true,
+      message: shift.variance === 0 ? 'Shift closed, drawer balanced' : 'Shift closed with a cash variance',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Close shift error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/shifts/:id
+// @desc    Get a shift with its Z-report (running totals while it is open)
+// @access  Private (shift.operate)
+router.get('/:id', [auth, requirePermission('shift.operate')], async (req, res) => {
+  try {
+    const shift = await ShiftService.getShift(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        ...shift.toObject(),
+        report: shift.status === 'closed' ? shift.report : await ShiftService.buildZReport(shift)
+      }
+    });
+  } catch (error) {
+    console.error('Get shift error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/shifts/:id/z-report
+// @desc    Download the Z-report of a closed shift as a 58mm/80mm thermal PDF
+// @access  Private (shift.operate)
+router.get('/:id/z-report', [
+  auth,
+  requirePermission('shift.operate'),
+  [
+    query('format', 'Format must be 58mm or 80mm').optional().isIn(['58mm', '80mm'])
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const shift = await ShiftService.getShift(req.params.id, req.user);
+
+    if (shift.status !== 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: 'The Z-report is available once the shift is closed'
+      });
+    }
+
+    const company = await SettingsService.getCompanyDetails();
+    const width = parseInt(req.query.format || '80mm', 10);
+    const pdfBuffer = await PDFGenerator.generateZReport(shift, company, { width });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename=z-report-${shift.closedAt.toISOString().split('T')[0]}-${shift._id}.pdf`,
+      'Content-Length': pdfBuffer.length
+    });
+
+    res.send(pdfBuffer);
+  } catch (error) {
+    console.error('Download Z-report error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+module.exports = router;
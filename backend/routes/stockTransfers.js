@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const StockTransfer = require('../models/StockTransfer');
+const StockTransferService = require('../services/stockTransferService');
+const BranchService = require('../services/branchService');
+const { hasPermission } = require('../config/permissions');
+
+const populateTransfer = (query) => query
+  .populate('fromBranch', 'name code')
+  .populate('toBranch', 'name code')
+  .populate('dispatchedBy', 'name')
+  .populate('receivedBy', 'name')
+  .populate('cancelledBy', 'name');
+
+// Runs a transfer step in a transaction and sends the populated transfer back
+const transferAction = (label, action, message, status = 200) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const session = await StockTransfer.startSession();
+  session.startTransaction();
+
+  try {
+    const transfer = await action(req, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(status).json({
+      success: true,
+      message,
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    console.error(`${label} error:`, error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+};
+
+// @route   GET /api/stock-transfers
+// @desc    Get stock transfers; staff see those to or from their branch
+// @access  Private (stockTransfer.view)
+router.get('/', [auth, requirePermission('stockTransfer.view')], async (req, res) => {
+  try {
+    const { status, direction, page = 1, limit = 20 } = req.query;
+    const query = {};
+
+    const allBranches = hasPermission(req.user, 'branch.all');
+    const branch = allBranches ? req.query.branch : req.user.branch;
+
+    if (!allBranches && !branch) {
+      return res.json({ success: true, count: 0, total: 0, data: [] });
+    }
+
+    if (branch) {
+      const branchId = BranchService.toObjectId(branch);
+      if (direction === 'in') query.toBranch = branchId;
+      else if (direction === 'out') query.fromBranch = branchId;
+      else query.$or = [{ fromBranch: branchId }, { toBranch: branchId }];
+    }
+    if (status) query.status = status;
+
+    const transfers = await populateTransfer(StockTransfer.find(query))
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await StockTransfer.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: transfers.length,
+      total,
+      pages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: transfers
+    });
+  } catch (error) {
+    console.error('Get stock transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/stock-transfers/:id
+// @desc    Get single stock transfer
+// @access  Private (stockTransfer.view)
+router.get('/:id', [auth, requirePermission('stockTransfer.view')], async (req, res) => {
+  try {
+    const transfer = await StockTransferService.getTransfer(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: await populateTransfer(StockTransfer.findById(transfer._id))
+    });
+  } catch (error) {
+    console.error('Get stock transfer error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock transfer not found'
+      });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/stock-transfers
+// @desc    Dispatch stock to another branch; it is in transit until received
+// @access  Private (stockTransfer.dispatch)
+router.post('/', [
+  auth,
+  requirePermission('stockTransfer.dispatch'),
+  [
+    check('toBranch', 'Receiving branch is required').isMongoId(),
+    check('fromBranch', 'Invalid sending branch').optional({ nullable: true }).isMongoId(),
+    check('items', 'At least one item is required').isArray({ min: 1 }),
+    check('items.*.product', 'Product is required').isMongoId(),
+    check('items.*.quantity', 'Quantity must be greater than 0').isFloat({ gt: 0 }).toFloat(),
+    check('notes', 'Notes must be a string').optional().isString()
+  ]
+], transferAction(
+  'Dispatch stock transfer',
+  (req, session) => StockTransferService.dispatchTransfer(req.body, req.user, session),
+  'Stock dispatched successfully',
+  201
+));
+
+// @route   POST /api/stock-transfers/:id/receive
+// @desc    Confirm a transfer at the receiving branch
+// @access  Private (stockTransfer.receive)
+router.post('/:id/receive', [auth, requirePermission('stockTransfer.receive')], transferAction(
+  'Receive stock transfer',
+  (req, session) => StockTransferService.receiveTransfer(req.params.id, req.user, session),
+  'Stock received successfully'
+));
+
+// @route   POST /api/stock-transfers/:id/cancel
+// @desc    Cancel a transfer in transit, returning the stock to the sending branch
+// @access  Private (stockTransfer.dispatch)
+router.post('/:id/cancel', [auth, requirePermission('stockTransfer.dispatch')], transferAction(
+  'Cancel stock transfer',
+  (req, session) => StockTransferService.cancelTransfer(req.params.id, req.user, session),
+  'Stock transfer cancelled'
+));
+
+module.exports = router;
@@ -0,0 +1,318 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const { auth, requirePermission } = require('../middleware/auth');
+const Supplier = require('../models/Supplier');
+const GoodsReceipt = require('../models/GoodsReceipt');
+
+// @route   GET /api/suppliers
+// @desc    Get all suppliers
+// @access  Private (supplier.view)
+router.get('/', [auth, requirePermission('supplier.view')], async (req, res) => {
+  try {
+    const { search, isActive } = req.query;
+    const query = {};
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } },
+        { gstin: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    // Pagination
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+    const total = await Supplier.countDocuments(query);
+
+    const suppliers = await Supplier.find(query)
+      .sort(req.query.sort ? req.query.sort.split(',').join(' ') : 'name')
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: suppliers.length,
+      page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      data: suppliers
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/suppliers/payables
+// @desc    Get outstanding supplier payables with ageing
+// @access  Private (supplier.pay)
+router.get('/payables', [auth, requirePermission('supplier.pay')], async (req, res) => {
+  try {
+    const receipts = await GoodsReceipt.find({
+      paymentStatus: { $in: ['pending', 'partial'] }
+    })
+      .populate('supplier', 'name phone gstin')
+      .sort('dueDate');
+
+    const today = new Date();
+    const bySupplier = {};
+
+    receipts.forEach(receipt => {
+      const supplierId = receipt.supplier._id.toString();
+      const balance = receipt.total - receipt.paidAmount;
+      const overdue = receipt.dueDate && receipt.dueDate < today;
+
+      if (!bySupplier[supplierId]) {
+        bySupplier[supplierId] = {
+          supplier: receipt.supplier,
+          outstanding: 0,
+          overdue: 0,
+          bills: []
+        };
+      }
+
+      bySupplier[supplierId].outstanding += balance;
+      if (overdue) {
+        bySupplier[supplierId].overdue += balance;
+      }
+      bySupplier[supplierId].bills.push({
+        id: receipt._id,
+        grnNumber: receipt.grnNumber,
+        supplierInvoiceNumber: receipt.supplierInvoiceNumber,
+        supplierInvoiceDate: receipt.supplierInvoiceDate,
+        dueDate: receipt.dueDate,
+        total: receipt.total,
+        paidAmount: receipt.paidAmount,
+        balance,
+        overdue
+      });
+    });
+
+    const data = Object.values(bySupplier).sort((a, b) => b.outstanding - a.outstanding);
+
+    res.json({
+      success: true,
+      count: data.length,
+      totalOutstanding: data.reduce((sum, row) => sum + row.outstanding, 0),
+      data
+    });
+  } catch (error) {
+    console.error('Get supplier payables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/suppliers/:id
+// @desc    Get single supplier
+// @access  Private (supplier.view)
+router.get('/:id', [auth, requirePermission('supplier.view')], async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: supplier
+    });
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/suppliers
+// @desc    Create a supplier
+// @access  Private (supplier.manage)
+router.post('/', [
+  auth,
+  requirePermission('supplier.manage'),
+  [
+    check('name', 'Name is required').not().isEmpty(),
+    check('phone', 'Phone number is required').matches(/^[6-9]\d{9}$/),
+    check('email', 'Please include a valid email').optional().isEmail(),
+    check('gstin', 'Please provide a valid GSTIN').optional().matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/),
+    check('paymentTermsDays', 'Payment terms must be a positive number of days').optional().isInt({ min: 0 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const existingSupplier = await Supplier.findOne({ phone: req.body.phone });
+
+    if (existingSupplier) {
+      return res.status(400).json({
+        success: false,
+        message: 'Supplier with this phone already exists'
+      });
+    }
+
+    const supplier = new Supplier({
+      ...req.body,
+      outstandingBalance: 0,
+      createdBy: req.user.userId
+    });
+
+    await supplier.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: supplier
+    });
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/suppliers/:id
+// @desc    Update a supplier
+// @access  Private (supplier.manage)
+router.put('/:id', [
+  auth,
+  requirePermission('supplier.manage'),
+  [
+    check('name', 'Name is required').optional().notEmpty(),
+    check('phone', 'Please provide a valid phone number').optional().matches(/^[6-9]\d{9}$/),
+    check('email', 'Please include a valid email').optional().isEmail(),
+    check('gstin', 'Please provide a valid GSTIN').optional().matches(/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/),
+    check('paymentTermsDays', 'Payment terms must be a positive number of days').optional().isInt({ min: 0 })
+  ]
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    // Payables are only changed through goods receipts and payments
+    const updates = Object.keys(req.body);
+    const allowedUpdates = [
+      'name', 'contactPerson', 'email', 'phone', 'gstin', 'address',
+      'paymentTermsDays', 'isActive', 'notes'
+    ];
+    const isValidOperation = updates.every(update => allowedUpdates.includes(update));
+
+    if (!isValidOperation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid updates'
+      });
+    }
+
+    updates.forEach(update => supplier[update] = req.body[update]);
+    await supplier.save();
+
+    res.json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: supplier
+    });
+  } catch (error) {
+    console.error('Update supplier error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/suppliers/:id
+// @desc    Delete a supplier
+// @access  Private (supplier.manage)
+router.delete('/:id', [auth, requirePermission('supplier.manage')], async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const hasReceipts = await GoodsReceipt.exists({ supplier: supplier._id });
+    if (hasReceipts) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete supplier with goods receipts. Mark it inactive instead.'
+      });
+    }
+
+    await Supplier.deleteOne({ _id: supplier._id });
+
+    res.json({
+      success: true,
+      message: 'Supplier removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
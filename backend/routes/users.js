@@ -1,13 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const { auth, adminAuth: admin } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
 const User = require('../models/User');
+const Branch = require('../models/Branch');
+const Role = require('../models/Role');
+const { ROLE_PERMISSIONS, hasPermission } = require('../config/permissions');
 
 // @route   GET /api/users
-// @desc    Get all users (Admin only)
-// @access  Private/Admin
-router.get('/', [auth, admin], async (req, res) => {
+// @desc    Get all users
+// @access  Private (user.view)
+router.get('/', [auth, requirePermission('user.view')], async (req, res) => {
   try {
     const users = await User.find().select('-password');
     res.json({
@@ -26,7 +29,7 @@ router.get('/', [auth, admin], async (req, res) => {
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private/Admin or Own profile
+// @access  Private (user.manage) or Own profile
 router.get('/:id', auth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
@@ -38,8 +41,8 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
-    // Allow access to own profile or admin
-    if (req.user.userId !== user._id.toString() && req.user.role !== 'admin') {
+    // Allow access to own profile or user managers
+    if (String(req.user.userId) !== user._id.toString() && !hasPermission(req.user, 'user.manage')) {
       return res.status(403).json({ 
         success: false, 
         message: 'Not authorized to access this user' 
@@ -67,13 +70,15 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   PUT /api/users/:id
 // @desc    Update user
-// @access  Private/Admin or Own profile
+// @access  Private (user.manage) or Own profile
 router.put('/:id', [
   auth,
   check('name', 'Name is required').optional().not().isEmpty(),
   check('email', 'Please include a valid email').optional().isEmail(),
   check('phone', 'Please include a valid phone number').optional().matches(/^[6-9]\d{9}$/),
-  check('role', 'Invalid role').optional().isIn(['admin', 'staff', 'customer'])
+  check('role', 'Invalid role').optional().isIn(Object.keys(ROLE_PERMISSIONS)),
+  check('branch', 'Invalid branch').optional({ nullable: true }).isMongoId(),
+  check('customRole', 'Invalid role').optional({ nullable: true }).isMongoId()
 ], async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -93,25 +98,42 @@ router.put('/:id', [
       });
     }
 
-    // Check if user is updating their own profile or is admin
-    if (req.user.userId !== user._id.toString() && req.user.role !== 'admin') {
+    // Check if user is updating their own profile or manages users
+    const canManage = hasPermission(req.user, 'user.manage');
+    if (String(req.user.userId) !== user._id.toString() && !canManage) {
       return res.status(403).json({ 
         success: false, 
         message: 'Not authorized to update this user' 
       });
     }
 
-    // Prevent non-admins from changing roles
-    if (req.body.role && req.user.role !== 'admin') {
+    // Prevent users without user.manage from changing roles
+    if ((req.body.role || req.body.customRole !== undefined) && !canManage) {
       return res.status(403).json({ 
         success: false, 
-        message: 'Only administrators can change user roles' 
+        message: 'Only user managers can change user roles' 
       });
     }
 
-    // Check if email already exists
+    // Nobody hands themselves a role, however many permissions they hold
+    if ((req.body.role || req.body.customRole !== undefined) && String(req.user.userId) === user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    // Admin accounts are granted and changed by admins only
+    if ((req.body.role === 'admin' || (user.role === 'admin' && String(req.user.userId) !== user._id.toString())) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can change admin accounts'
+      });
+    }
+
+    // Emails are unique across every shop, so the check looks beyond this one
     if (req.body.email) {
-      const existingUser = await User.findOne({ email: req.body.email });
+      const existingUser = await User.findOne({ email: req.body.email }).setOptions({ skipTenant: true });
       if (existingUser && existingUser._id.toString() !== req.params.id) {
         return res.status(400).json({ 
           success: false, 
@@ -120,16 +142,53 @@ router.put('/:id', [
       }
     }
 
+    if (req.body.branch && !(await Branch.exists({ _id: req.body.branch, isActive: true }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Branch not found'
+      });
+    }
+
+    let granted = [];
+    if (req.body.customRole) {
+      const customRoleDoc = await Role.findById(req.body.customRole).select('permissions');
+      if (!customRoleDoc) {
+        return res.status(400).json({
+          success: false,
+          message: 'Role not found'
+        });
+      }
+      granted = customRoleDoc.permissions;
+    } else if (req.body.role || req.body.customRole === null) {
+      // Without a custom role the user holds their built-in role's permissions
+      granted = ROLE_PERMISSIONS[req.body.role || user.role] || [];
+    }
+
+    // A user manager can only hand out permissions they hold themselves
+    const withheld = granted.filter(permission => !hasPermission(req.user, permission));
+    if (withheld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant permissions you do not hold: ${withheld.join(', ')}`
+      });
+    }
+
     // Update user
-    const { name, email, phone, role, isActive } = req.body;
+    const { name, email, phone, role, customRole, isActive, branch } = req.body;
     const userFields = {};
     if (name) userFields.name = name;
     if (email) userFields.email = email.toLowerCase();
     if (phone) userFields.phone = phone;
-    if (role && req.user.role === 'admin') userFields.role = role;
-    if (typeof isActive !== 'undefined' && req.user.role === 'admin') {
+    if (role && canManage) userFields.role = role;
+    // null puts the user back on their built-in role's permissions
+    if (typeof customRole !== 'undefined' && canManage) userFields.customRole = customRole;
+    if (typeof isActive !== 'undefined' && canManage) {
       userFields.isActive = isActive;
     }
+    // Only user managers move users between branches; null takes a user off every branch
+    if (typeof branch !== 'undefined' && canManage) {
+      userFields.branch = branch;
+    }
 
     user = await User.findByIdAndUpdate(
       req.params.id,
@@ -144,6 +203,12 @@ router.put('/:id', [
     });
   } catch (error) {
     console.error('Update user error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already in use'
+      });
+    }
     if (error.kind === 'ObjectId') {
       return res.status(404).json({ 
         success: false, 
@@ -159,8 +224,8 @@ router.put('/:id', [
 
 // @route   DELETE /api/users/:id
 // @desc    Delete user
-// @access  Private/Admin
-router.delete('/:id', [auth, admin], async (req, res) => {
+// @access  Private (user.manage)
+router.delete('/:id', [auth, requirePermission('user.manage')], async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -179,6 +244,13 @@ router.delete('/:id', [auth, admin], async (req, res) => {
       });
     }
 
+    if (user.role === 'admin' && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only administrators can change admin accounts'
+      });
+    }
+
     await user.remove();
 
     res.json({
@@ -281,8 +353,8 @@ router.put('/me/password', [
 
 // @route   GET /api/users/count
 // @desc    Get user count
-// @access  Private/Admin
-router.get('/count', [auth, admin], async (req, res) => {
+// @access  Private (user.view)
+router.get('/count', [auth, requirePermission('user.view')], async (req, res) => {
   try {
     const count = await User.countDocuments();
     res.json({
@@ -300,8 +372,8 @@ router.get('/count', [auth, admin], async (req, res) => {
 
 // @route   GET /api/users/stats/roles
 // @desc    Get user statistics by role
-// @access  Private/Admin
-router.get('/stats/roles', [auth, admin], async (req, res) => {
+// @access  Private (user.view)
+router.get('/stats/roles', [auth, requirePermission('user.view')], async (req, res) => {
   try {
     const stats = await User.aggregate([
       {
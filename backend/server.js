@@ -10,6 +10,8 @@ const path = require('path');
 // Load environment variables
 dotenv.config();
 
+const ComplianceService = require('./services/complianceService');
+
 const app = express();
 
 // Security middleware
@@ -30,7 +32,13 @@ app.use('/api/', limiter);
 app.use(morgan('combined'));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body for verifying payment gateway webhook signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
@@ -41,7 +49,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/agroshop'
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+  // Dealer license expiry reminders for every shop
+  ComplianceService.scheduleExpiryReminders();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -51,6 +63,23 @@ app.use('/api/products', require('./routes/products'));
 app.use('/api/customers', require('./routes/customers'));
 app.use('/api/invoices', require('./routes/invoices'));
 app.use('/api/reports', require('./routes/reports'));
+app.use('/api/suppliers', require('./routes/suppliers'));
+app.use('/api/purchases', require('./routes/purchases'));
+app.use('/api/credit-notes', require('./routes/creditNotes'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/credit-schemes', require('./routes/creditSchemes'));
+app.use('/api/number-series', require('./routes/numberSeries'));
+app.use('/api/estimates', require('./routes/estimates'));
+app.use('/api/parked-carts', require('./routes/parkedCarts'));
+app.use('/api/settings', require('./routes/settings'));
+app.use('/api/payment-links', require('./routes/paymentLinks'));
+app.use('/api/shifts', require('./routes/shifts'));
+app.use('/api/promotions', require('./routes/promotions'));
+app.use('/api/licenses', require('./routes/licenses'));
+app.use('/api/branches', require('./routes/branches'));
+app.use('/api/stock-transfers', require('./routes/stockTransfers'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/audit-logs', require('./routes/auditLogs'));
 app.use('/api/expenses', require('./routes/expenses'));
 app.use('/api/notifications', require('./routes/notifications'));
 
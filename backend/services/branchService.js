@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Branch = require('../models/Branch');
+const Product = require('../models/Product');
+const { hasPermission } = require('../config/permissions');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errorResponse');
+
+/**
+ * Branches of a business running several shops. Staff work at one branch and
+ * bill from its stock; users with branch.all may act for any branch. A shop
+ * that has not set up branches keeps working on the product-wide stock as before.
+ */
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Branch a stock movement or bill happens at
+ * @param {string} requested - Branch asked for in the request, if any
+ * @param {Object} user - `req.user`
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<ObjectId|null>} Branch id, or null when no branches are set up
+ */
+const resolveBranch = async (requested, user, session) => {
+  if (user.branch && !hasPermission(user, 'branch.all')) {
+    if (requested && !toObjectId(requested).equals(user.branch)) {
+      throw new ForbiddenError('You can only work for your own branch');
+    }
+    return toObjectId(user.branch);
+  }
+
+  const branchId = requested || user.branch;
+  if (branchId) {
+    const branch = await Branch.findOne({ _id: branchId, isActive: true }).session(session || null);
+    if (!branch) {
+      throw new NotFoundError('Branch not found');
+    }
+    return branch._id;
+  }
+
+  // Once branches exist every stock movement has to belong to one
+  if (await Branch.exists({ isActive: true }).session(session || null)) {
+    throw new BadRequestError('Select the branch to work for');
+  }
+  return null;
+};
+
+/**
+ * Query filter limiting branch-held documents (invoices) to what a user may see:
+ * staff see their branch, users with branch.all every branch or the one asked for
+ * @param {Object} user - `req.user`
+ * @param {string} requested - Branch asked for in the query, if any
+ * @returns {Object} Filter to merge into the query
+ */
+const scopeFilter = (user, requested) => {
+  if (!hasPermission(user, 'branch.all')) {
+    // Users not yet on a branch see only the bills they made
+    return user.branch ? { branch: toObjectId(user.branch) } : { createdBy: toObjectId(user.userId) };
+  }
+  return requested && mongoose.Types.ObjectId.isValid(requested) ? { branch: toObjectId(requested) } : {};
+};
+
+/**
+ * Move stock taken in before branches were set up into a branch, typically the first shop
+ * @param {ObjectId} branchId - Branch taking the stock
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<number>} Products updated
+ */
+const adoptUnassignedStock = async (branchId, session) => {
+  const products = await Product.find({ stock: { $gt: 0 } }).session(session || null);
+  let updated = 0;
+
+  for (const product of products) {
+    const held = product.branchStock.reduce((sum, level) => sum + level.quantity, 0);
+    const unassigned = product.stock - held;
+    const looseBatches = product.batches.filter(batch => !batch.branch);
+    if (unassigned <= 0 && looseBatches.length === 0) continue;
+
+    if (unassigned > 0) product.adjustBranchStock(branchId, unassigned);
+    looseBatches.forEach(batch => {
+      batch.branch = branchId;
+    });
+    await product.save({ session });
+    updated += 1;
+  }
+
+  return updated;
+};
+
+module.exports = {
+  toObjectId,
+  resolveBranch,
+  scopeFilter,
+  adoptUnassignedStock
+};
@@ -0,0 +1,234 @@
+const XLSX = require('xlsx');
+const cron = require('node-cron');
+const License = require('../models/License');
+const Invoice = require('../models/Invoice');
+const Notification = require('../models/Notification');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { runWithTenant } = require('../utils/tenantContext');
+const logger = require('../utils/logger');
+const { PRODUCT_CATEGORIES } = require('../config/categories');
+const { BadRequestError } = require('../utils/errorResponse');
+
+/**
+ * Dealer license compliance. The shop's fertilizer, seed, insecticide and
+ * drug licenses are kept on record with expiry reminders; products of a
+ * restricted category are billed only under the license the category names,
+ * in force, and with the buyer's details, which make up the statutory sale
+ * register.
+ */
+
+const REGISTER_FIELDS = {
+  buyerName: 'buyer name',
+  village: 'village',
+  crop: 'crop',
+  purpose: 'purpose'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check the register details the buyer of a restricted product must give
+ * @param {Object} entry - `{ buyerName, village, crop, purpose }` as entered at the counter
+ * @param {Object} product - Restricted product being billed
+ * @returns {Object} Trimmed entry
+ */
+const registerEntry = (entry = {}, product) => {
+  const missing = Object.keys(REGISTER_FIELDS).filter(field => !String(entry[field] || '').trim());
+
+  if (missing.length > 0) {
+    const error = new BadRequestError(
+      `Buyer ${missing.map(field => REGISTER_FIELDS[field]).join(', ')} required for restricted product: ${product.name}`
+    );
+    error.details = {
+      registerRequired: true,
+      missing,
+      product: { id: product._id, name: product.name }
+    };
+    throw error;
+  }
+
+  return Object.fromEntries(Object.keys(REGISTER_FIELDS).map(field => [field, String(entry[field]).trim()]));
+};
+
+/**
+ * License a restricted product is sold under
+ * @param {Object} product - Restricted product being billed
+ * @param {Date} date - Sale date
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} `{ licenseType, licenseNumber }`
+ */
+const saleLicense = async (product, date, session) => {
+  const licenseType = PRODUCT_CATEGORIES[product.category]?.licenseType;
+  if (!licenseType) {
+    const error = new BadRequestError(`No dealer license covers ${product.category || 'uncategorised'} products, so restricted product ${product.name} cannot be billed`);
+    error.details = { licenseRequired: null, category: product.category };
+    throw error;
+  }
+
+  const license = await License.validOn(licenseType, date, session);
+
+  if (!license) {
+    const error = new BadRequestError(`No valid ${licenseType} license on record to sell ${product.name}`);
+    error.details = { licenseRequired: licenseType };
+    throw error;
+  }
+
+  return { licenseType, licenseNumber: license.licenseNumber };
+};
+
+/**
+ * Remind admins of licenses expiring within the reminder window, at most once a week each
+ * @param {string} userId - User the reminders are created by
+ * @returns {Promise<number>} Reminders sent
+ */
+const sendExpiryReminders = async (userId) => {
+  const reminderDays = parseInt(process.env.LICENSE_REMINDER_DAYS, 10) || 30;
+  const now = new Date();
+
+  const due = await License.find({
+    isActive: true,
+    expiryDate: { $lte: new Date(now.getTime() + reminderDays * DAY) },
+    $or: [{ lastRemindedAt: null }, { lastRemindedAt: { $lte: new Date(now.getTime() - 7 * DAY) } }]
+  });
+
+  let sent = 0;
+  for (const license of due) {
+    const days = license.daysToExpiry;
+    try {
+      await Notification.create({
+        title: `${license.licenseType[0].toUpperCase()}${license.licenseType.slice(1)} license ${days < 0 ? 'expired' : 'expiring'}`,
+        message: days < 0
+          ? `License ${license.licenseNumber} expired on ${license.expiryDate.toLocaleDateString('en-IN')}. Restricted products cannot be billed until it is renewed.`
+          : `License ${license.licenseNumber} expires on ${license.expiryDate.toLocaleDateString('en-IN')} (${days} day${days === 1 ? '' : 's'} left). Apply for renewal.`,
+        type: 'reminder',
+        priority: days < 0 ? 'urgent' : days <= 7 ? 'high' : 'medium',
+        targetAudience: 'admin',
+        createdBy: userId
+      });
+      license.lastRemindedAt = now;
+      await license.save();
+      sent += 1;
+    } catch (error) {
+      // Reminders are best effort; one failure must not hold up the rest
+      logger.error('Failed to send license expiry reminder:', error);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Send every shop's license expiry reminders, from its longest-standing active admin
+ * @returns {Promise<number>} Reminders sent across all shops
+ */
+const sendAllExpiryReminders = async () => {
+  const organizations = await Organization.find({ isActive: true }).select('_id');
+
+  let sent = 0;
+  for (const organization of organizations) {
+    await runWithTenant(organization._id, async () => {
+      const admin = await User.findOne({ role: 'admin', isActive: true }).sort('createdAt').select('_id');
+      if (admin) {
+        sent += await sendExpiryReminders(admin._id);
+      }
+    });
+  }
+
+  return sent;
+};
+
+/**
+ * Check every shop's licenses daily, at LICENSE_REMINDER_CRON (default 8 am)
+ * @returns {ScheduledTask} The scheduled job
+ */
+const scheduleExpiryReminders = () => {
+  return cron.schedule(process.env.LICENSE_REMINDER_CRON || '0 8 * * *', async () => {
+    try {
+      const sent = await sendAllExpiryReminders();
+      logger.info(`License expiry reminders sent: ${sent}`);
+    } catch (error) {
+      logger.error('License expiry reminder job failed:', error);
+    }
+  });
+};
+
+/**
+ * Statutory sale register: one row per restricted line billed in the period
+ * @param {Object} range - `{ start, end }`, end exclusive
+ * @returns {Promise<Array>} Register rows in billing order
+ */
+const buildSaleRegister = async ({ start, end }) => {
+  const invoices = await Invoice.find({
+    status: { $ne: 'cancelled' },
+    invoiceDate: { $gte: start, $lt: end },
+    'items.license.licenseNumber': { $exists: true }
+  })
+    .populate('items.product', 'manufacturer category')
+    .sort('invoiceDate invoiceNumber');
+
+  return invoices.flatMap(invoice => invoice.items
+    .filter(item => item.license?.licenseNumber)
+    .map(item => ({
+      date: invoice.invoiceDate,
+      invoiceNumber: invoice.invoiceNumber,
+      buyerName: invoice.restrictedSale.buyerName,
+      village: invoice.restrictedSale.village,
+      crop: invoice.restrictedSale.crop,
+      purpose: invoice.restrictedSale.purpose,
+      phone: invoice.customerDetails?.phone || '',
+      product: item.name,
+      category: item.product?.category || '',
+      manufacturer: item.product?.manufacturer || '',
+      batchNumbers: item.batches.map(batch => batch.batchNumber).filter(Boolean).join(', '),
+      expiryDates: item.batches
+        .filter(batch => batch.expiryDate)
+        .map(batch => batch.expiryDate.toLocaleDateString('en-IN'))
+        .join(', '),
+      quantity: item.quantity,
+      returnedQuantity: item.returnedQuantity,
+      unit: item.unit,
+      licenseType: item.license.licenseType,
+      licenseNumber: item.license.licenseNumber
+    })));
+};
+
+/**
+ * Sale register as an Excel workbook
+ * @param {Array} rows - Output of buildSaleRegister
+ * @returns {Buffer} XLSX file
+ */
+const saleRegisterToExcel = (rows) => {
+  const sheet = XLSX.utils.json_to_sheet(rows.map((row, index) => ({
+    'S.No': index + 1,
+    Date: row.date.toLocaleDateString('en-IN'),
+    'Invoice No': row.invoiceNumber,
+    'Buyer Name': row.buyerName,
+    Village: row.village,
+    Phone: row.phone,
+    Crop: row.crop,
+    Purpose: row.purpose,
+    Product: row.product,
+    Manufacturer: row.manufacturer,
+    'Batch No': row.batchNumbers,
+    Expiry: row.expiryDates,
+    Quantity: row.quantity,
+    Returned: row.returnedQuantity,
+    Unit: row.unit,
+    'License No': row.licenseNumber
+  })));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Sale Register');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  registerEntry,
+  saleLicense,
+  sendExpiryReminders,
+  sendAllExpiryReminders,
+  scheduleExpiryReminders,
+  buildSaleRegister,
+  saleRegisterToExcel
+};
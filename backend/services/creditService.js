@@ -0,0 +1,134 @@
+const Invoice = require('../models/Invoice');
+const CreditScheme = require('../models/CreditScheme');
+const User = require('../models/User');
+const { roundTax } = require('../utils/gst');
+const { BadRequestError, ForbiddenError } = require('../utils/errorResponse');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Credit terms for customers buying on account: due dates from the
+ * customer's credit scheme, interest on overdue invoices and the credit limit.
+ */
+
+/**
+ * Work out the due date and credit terms for a new invoice
+ * @param {Object} customer - Customer document
+ * @param {Date} invoiceDate - Date of the sale
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} `dueDate` (undefined to keep the default) and `creditTerms`
+ */
+const resolveCreditTerms = async (customer, invoiceDate = new Date(), session) => {
+  if (!customer.creditScheme) {
+    return { dueDate: undefined, creditTerms: undefined };
+  }
+
+  const scheme = await CreditScheme.findById(customer.creditScheme).session(session || null);
+  if (!scheme || !scheme.isActive) {
+    return { dueDate: undefined, creditTerms: undefined };
+  }
+
+  return {
+    dueDate: scheme.dueDateFor(invoiceDate),
+    creditTerms: {
+      scheme: scheme._id,
+      graceDays: scheme.graceDays,
+      monthlyInterestRate: scheme.monthlyInterestRate
+    }
+  };
+};
+
+/**
+ * Interest accrued on a customer's overdue invoices
+ * @param {string} customerId - Customer
+ * @param {Date} asOf - Date to compute interest up to
+ * @returns {Promise<Object>} Total interest and the invoices it accrues on
+ */
+const getOverdueInterest = async (customerId, asOf = new Date()) => {
+  const invoices = await Invoice.find({
+    customer: customerId,
+    status: { $ne: 'cancelled' },
+    paymentStatus: { $in: ['pending', 'partial'] },
+    invoiceDate: { $lte: asOf },
+    'creditTerms.monthlyInterestRate': { $gt: 0 }
+  }).sort('dueDate');
+
+  const accruing = invoices
+    .map(invoice => ({
+      invoice: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      dueDate: invoice.dueDate,
+      balanceDue: invoice.balanceDue,
+      monthlyInterestRate: invoice.creditTerms.monthlyInterestRate,
+      interest: invoice.accruedInterest(asOf)
+    }))
+    .filter(row => row.interest > 0);
+
+  return {
+    total: roundTax(accruing.reduce((sum, row) => sum + row.interest, 0)),
+    invoices: accruing
+  };
+};
+
+/**
+ * Check a customer's balance against their credit limit
+ * @param {Object} customer - Customer document
+ * @param {number} balance - Balance the customer would owe
+ * @returns {Object} Whether the balance is within the limit and the credit left
+ */
+const checkCreditLimit = (customer, balance) => {
+  const creditLimit = customer.creditLimit || 0;
+
+  return {
+    withinLimit: balance <= creditLimit,
+    creditLimit,
+    balance: roundTax(balance),
+    availableCredit: roundTax(Math.max(0, creditLimit - balance))
+  };
+};
+
+/**
+ * Verify approval to bill over a credit limit. A biller holding credit.override
+ * approves in session; anyone else needs the email and PIN of someone who does.
+ * @param {Object} override - Override from the request
+ * @param {string} override.approverEmail - Approving user (not needed when the biller may override)
+ * @param {string} override.pin - Approving user's override PIN
+ * @param {string} override.reason - Why the limit is being exceeded
+ * @param {Object} requestedBy - `req.user` of the person billing
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} Approver id and how the override was approved
+ */
+const approveCreditOverride = async ({ approverEmail, pin, reason } = {}, requestedBy, session) => {
+  if (!reason || !String(reason).trim()) {
+    throw new BadRequestError('A reason is required to override the credit limit');
+  }
+
+  if (hasPermission(requestedBy, 'credit.override') && !approverEmail) {
+    return { approvedBy: requestedBy.userId, method: 'session', reason: String(reason).trim() };
+  }
+
+  if (!approverEmail || !pin) {
+    throw new BadRequestError('Approver email and PIN are required to override the credit limit');
+  }
+
+  const approver = await User.findOne({ email: String(approverEmail).toLowerCase() })
+    .select('+overridePin')
+    .session(session || null);
+
+  if (!approver || !approver.isActive || !(await approver.getPermissions()).includes('credit.override')) {
+    throw new ForbiddenError('Credit limit overrides must be approved by a user with credit.override permission');
+  }
+
+  const isMatch = await approver.compareOverridePin(pin);
+  if (!isMatch) {
+    throw new ForbiddenError('Invalid override PIN');
+  }
+
+  return { approvedBy: approver._id, method: 'pin', reason: String(reason).trim() };
+};
+
+module.exports = {
+  resolveCreditTerms,
+  getOverdueInterest,
+  checkCreditLimit,
+  approveCreditOverride
+};
@@ -0,0 +1,119 @@
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Payment = require('../models/Payment');
+const { roundTax } = require('../utils/gst');
+
+/**
+ * Day-end (counter) summary: what was billed, how it was paid tender by
+ * tender, what went on credit, what was refunded on returns and the cash that
+ * should be in the drawer.
+ * Works on any time window, optionally for a single cashier.
+ */
+
+const TENDER_METHODS = ['cash', 'card', 'upi', 'bank_transfer', 'cheque'];
+
+const emptyTotals = () => TENDER_METHODS.reduce((totals, method) => {
+  totals[method] = { count: 0, amount: 0 };
+  return totals;
+}, {});
+
+const addTo = (totals, method, amount) => {
+  totals[method] = totals[method] || { count: 0, amount: 0 };
+  totals[method].count += 1;
+  totals[method].amount = roundTax(totals[method].amount + amount);
+};
+
+const toRows = (totals) => Object.entries(totals).map(([method, total]) => ({ method, ...total }));
+
+/**
+ * Tenders of an invoice raised before tenders were recorded, read back from
+ * the ledger payments made against it in the same window
+ * @param {Object} invoice - Invoice without `tenders`
+ * @param {Array} payments - Payments in the window
+ * @returns {Array} Tenders with the payment they came from
+ */
+const legacyTenders = (invoice, payments) => {
+  const tenders = [];
+  payments.forEach(payment => {
+    const allocation = payment.allocations.find(line => line.invoice.toString() === invoice._id.toString());
+    if (allocation) {
+      tenders.push({ method: payment.paymentMethod, amount: allocation.amount, payment: payment._id });
+    }
+  });
+  return tenders;
+};
+
+/**
+ * Build the counter summary for a time window
+ * @param {Object} options - Report options
+ * @param {Date} options.start - Window start
+ * @param {Date} options.end - Window end
+ * @param {string} options.cashier - Only sales and receipts by this user
+ * @returns {Promise<Object>} Sales, per-tender totals, credit, collections, refunds and expected cash
+ */
+const buildDayEndReport = async ({ start, end, cashier }) => {
+  const window = { createdAt: { $gte: start, $lte: end } };
+  if (cashier) window.createdBy = cashier;
+
+  const invoices = await Invoice.find({ ...window, status: { $ne: 'cancelled' } })
+    .select('invoiceNumber finalTotal taxAmount discount paymentMethod tenders changeDue');
+  const payments = await Payment.find({ ...window, status: 'active' })
+    .select('paymentMethod amount allocations');
+  const refundNotes = await CreditNote.find({ ...window, status: 'issued', settlement: 'refund' })
+    .select('creditNoteNumber finalTotal refundMethod');
+
+  const sales = { invoices: invoices.length, total: 0, tax: 0, discount: 0 };
+  const tenders = emptyTotals();
+  const cash = { tendered: 0, change: 0, net: 0 };
+  let credit = 0;
+  const counterPayments = new Set();
+
+  invoices.forEach(invoice => {
+    sales.total = roundTax(sales.total + invoice.finalTotal);
+    sales.tax = roundTax(sales.tax + (invoice.taxAmount || 0));
+    sales.discount = roundTax(sales.discount + (invoice.discount || 0));
+
+    const invoiceTenders = invoice.tenders.length > 0 ? invoice.tenders : legacyTenders(invoice, payments);
+    let paid = 0;
+
+    invoiceTenders.forEach(tender => {
+      addTo(tenders, tender.method, tender.amount);
+      paid += tender.amount;
+      if (tender.payment) counterPayments.add(tender.payment.toString());
+
+      if (tender.method === 'cash') {
+        cash.tendered = roundTax(cash.tendered + (tender.tendered || tender.amount));
+        cash.change = roundTax(cash.change + (tender.change || 0));
+        cash.net = roundTax(cash.net + tender.amount);
+      }
+    });
+
+    credit = roundTax(credit + Math.max(0, invoice.finalTotal - paid));
+  });
+
+  // Money received against earlier bills in the same window
+  const collections = emptyTotals();
+  payments
+    .filter(payment => !counterPayments.has(payment._id.toString()))
+    .forEach(payment => addTo(collections, payment.paymentMethod, payment.amount));
+
+  // Money paid back on returns; cash refunds leave the drawer
+  const refunds = emptyTotals();
+  refundNotes.forEach(creditNote => addTo(refunds, creditNote.refundMethod, creditNote.finalTotal));
+
+  return {
+    period: { start, end },
+    cashier: cashier || null,
+    sales,
+    tenders: toRows(tenders),
+    credit,
+    cash,
+    collections: toRows(collections),
+    refunds: toRows(refunds),
+    expectedCash: roundTax(cash.net + collections.cash.amount - refunds.cash.amount)
+  };
+};
+
+module.exports = {
+  buildDayEndReport
+};
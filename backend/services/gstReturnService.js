@@ -0,0 +1,485 @@
+const XLSX = require('xlsx');
+const Invoice = require('../models/Invoice');
+const GoodsReceipt = require('../models/GoodsReceipt');
+const CreditNote = require('../models/CreditNote');
+const { roundTax } = require('../utils/gst');
+
+// Inter-state supplies to unregistered buyers above this value are reported invoice-wise (B2CL)
+const B2CL_LIMIT = 100000;
+
+// Unit Quantity Codes expected by the GST portal
+const UQC = {
+  kg: 'KGS',
+  g: 'GMS',
+  litre: 'LTR',
+  ml: 'MLT',
+  packet: 'PAC',
+  box: 'BOX',
+  piece: 'PCS',
+  meter: 'MTR',
+  bottle: 'BTL'
+};
+
+/**
+ * Parse a tax period in YYYY-MM form
+ * @param {string} period - Tax period
+ * @returns {Object} Start (inclusive), end (exclusive) and the portal `fp` code
+ */
+const parsePeriod = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return {
+    start: new Date(year, month - 1, 1),
+    end: new Date(year, month, 1),
+    fp: `${String(month).padStart(2, '0')}${year}`
+  };
+};
+
+/**
+ * Format a date as dd-mm-yyyy as required by the offline tool
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, '0')}-${String(d.getMonth() + 1).padStart(2, '0')}-${d.getFullYear()}`;
+};
+
+const emptyTax = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+const addTax = (target, item) => {
+  target.txval = roundTax(target.txval + (item.taxableValue || 0));
+  target.iamt = roundTax(target.iamt + (item.igstAmount || 0));
+  target.camt = roundTax(target.camt + (item.cgstAmount || 0));
+  target.samt = roundTax(target.samt + (item.sgstAmount || 0));
+  return target;
+};
+
+/**
+ * Group document lines by GST rate in the `itms` shape used by B2B/B2CL/CDN sections
+ * @param {Array} items - Invoice or credit note lines
+ * @returns {Array} Rate-wise items
+ */
+const rateWiseItems = (items) => {
+  const byRate = {};
+  items.forEach(item => {
+    const rate = item.taxRate || 0;
+    byRate[rate] = byRate[rate] || { rt: rate, ...emptyTax() };
+    addTax(byRate[rate], item);
+  });
+
+  return Object.values(byRate).map((itm_det, index) => ({
+    num: index + 1,
+    itm_det
+  }));
+};
+
+// Tax fields of a line, negated for credit notes so that they net off the sales
+const signedTax = (item, sign) => ({
+  taxableValue: sign * (item.taxableValue || 0),
+  igstAmount: sign * (item.igstAmount || 0),
+  cgstAmount: sign * (item.cgstAmount || 0),
+  sgstAmount: sign * (item.sgstAmount || 0)
+});
+
+const documentValue = (doc) => roundTax(doc.finalTotal || doc.total || 0);
+
+const buyerGstin = (doc) => doc.customer?.gstin || doc.customerDetails?.gstin;
+
+/**
+ * Load the invoices of a tax period; the tenant plugin keeps them to the shop
+ * @param {Object} range - Period start and end
+ * @param {Object} scope - Branch filter from BranchService.scopeFilter
+ * @returns {Promise<Array>} Invoices with customer details
+ */
+const getPeriodInvoices = ({ start, end }, scope = {}) => {
+  return Invoice.find({
+    ...scope,
+    status: { $ne: 'cancelled' },
+    invoiceDate: { $gte: start, $lt: end }
+  })
+    .populate('customer', 'name gstin address')
+    .sort('invoiceDate')
+    .lean();
+};
+
+/**
+ * Load the credit notes issued in a tax period. A credit note has no branch of
+ * its own, so it is in scope when the invoice it reverses is.
+ * @param {Object} range - Period start and end
+ * @param {Object} scope - Branch filter from BranchService.scopeFilter
+ * @returns {Promise<Array>} Credit notes with customer details
+ */
+const getPeriodCreditNotes = async ({ start, end }, scope = {}) => {
+  const query = {
+    status: 'issued',
+    creditNoteDate: { $gte: start, $lt: end }
+  };
+  if (Object.keys(scope).length > 0) {
+    query.invoice = { $in: await Invoice.distinct('_id', { ...scope, invoiceDate: { $lt: end } }) };
+  }
+
+  return CreditNote.find(query)
+    .populate('customer', 'name gstin address')
+    .populate('invoice', 'finalTotal')
+    .sort('creditNoteDate')
+    .lean();
+};
+
+/**
+ * Total the input tax on supplier bills dated in a tax period
+ * @param {Object} range - Period start and end
+ * @param {Object} scope - Branch filter from BranchService.scopeFilter
+ * @returns {Promise<Object>} Input tax in the GSTR-3B format
+ */
+const getPeriodInputTax = async ({ start, end }, scope = {}) => {
+  const [totals] = await GoodsReceipt.aggregate([
+    { $match: { ...scope, supplierInvoiceDate: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: null,
+        txval: { $sum: '$taxableValue' },
+        iamt: { $sum: '$igstAmount' },
+        camt: { $sum: '$cgstAmount' },
+        samt: { $sum: '$sgstAmount' }
+      }
+    }
+  ]);
+
+  if (!totals) return emptyTax();
+
+  return {
+    txval: roundTax(totals.txval),
+    iamt: roundTax(totals.iamt),
+    camt: roundTax(totals.camt),
+    samt: roundTax(totals.samt),
+    csamt: 0
+  };
+};
+
+/**
+ * Build the GSTR-1 return for a tax period
+ * @param {Object} options
+ * @param {Array} options.invoices - Invoices of the period
+ * @param {Array} options.creditNotes - Credit notes of the period
+ * @param {Object} options.company - Details of the shop filing, for its GSTIN and state
+ * @param {string} options.fp - Filing period (MMYYYY)
+ * @returns {Object} GSTR-1 in the offline tool JSON format
+ */
+const buildGstr1 = ({ invoices, creditNotes = [], company, fp }) => {
+  const b2b = {};
+  const b2cl = {};
+  const b2cs = {};
+  const hsn = {};
+  const cdnr = {};
+  const cdnur = [];
+
+  // Small supplies to unregistered buyers are reported net of their returns
+  const addB2cs = (doc, sign) => {
+    const pos = doc.placeOfSupply || company.stateCode;
+    const interState = doc.supplyType === 'inter_state';
+
+    doc.items.forEach(item => {
+      const rate = item.taxRate || 0;
+      const key = `${pos}-${rate}`;
+      b2cs[key] = b2cs[key] || {
+        sply_ty: interState ? 'INTER' : 'INTRA',
+        pos,
+        typ: 'OE',
+        rt: rate,
+        ...emptyTax()
+      };
+      addTax(b2cs[key], signedTax(item, sign));
+    });
+  };
+
+  // The HSN summary is net of returns as well
+  const addHsn = (items, sign) => {
+    items.forEach(item => {
+      const key = `${item.hsnCode}-${item.unit}-${item.taxRate || 0}`;
+      hsn[key] = hsn[key] || {
+        hsn_sc: item.hsnCode,
+        desc: item.name,
+        uqc: UQC[item.unit] || 'OTH',
+        qty: 0,
+        rt: item.taxRate || 0,
+        val: 0,
+        ...emptyTax()
+      };
+      hsn[key].qty = roundTax(hsn[key].qty + sign * item.quantity);
+      hsn[key].val = roundTax(hsn[key].val + sign * (item.total || 0));
+      addTax(hsn[key], signedTax(item, sign));
+    });
+  };
+
+  invoices.forEach(invoice => {
+    const ctin = buyerGstin(invoice);
+    const pos = invoice.placeOfSupply || company.stateCode;
+    const interState = invoice.supplyType === 'inter_state';
+    const inv = {
+      inum: invoice.invoiceNumber,
+      idt: formatDate(invoice.invoiceDate),
+      val: documentValue(invoice),
+      pos,
+      itms: rateWiseItems(invoice.items)
+    };
+
+    if (ctin) {
+      b2b[ctin] = b2b[ctin] || { ctin, inv: [] };
+      b2b[ctin].inv.push({ ...inv, rchrg: 'N', inv_typ: 'R' });
+    } else if (interState && inv.val > B2CL_LIMIT) {
+      b2cl[pos] = b2cl[pos] || { pos, inv: [] };
+      b2cl[pos].inv.push(inv);
+    } else {
+      addB2cs(invoice, 1);
+    }
+
+    addHsn(invoice.items, 1);
+  });
+
+  creditNotes.forEach(note => {
+    const ctin = buyerGstin(note);
+    const nt = {
+      ntty: 'C',
+      nt_num: note.creditNoteNumber,
+      nt_dt: formatDate(note.creditNoteDate),
+      val: documentValue(note),
+      pos: note.placeOfSupply || company.stateCode,
+      itms: rateWiseItems(note.items)
+    };
+
+    if (ctin) {
+      cdnr[ctin] = cdnr[ctin] || { ctin, nt: [] };
+      cdnr[ctin].nt.push({ ...nt, rchrg: 'N', inv_typ: 'R' });
+    } else if (note.supplyType === 'inter_state' && documentValue(note.invoice || {}) > B2CL_LIMIT) {
+      // Only returns against B2CL invoices are reported note-wise to unregistered buyers
+      cdnur.push({ ...nt, typ: 'B2CL' });
+    } else {
+      addB2cs(note, -1);
+    }
+
+    addHsn(note.items, -1);
+  });
+
+  return {
+    gstin: company.gstin,
+    fp,
+    b2b: Object.values(b2b),
+    b2cl: Object.values(b2cl),
+    b2cs: Object.values(b2cs),
+    cdnr: Object.values(cdnr),
+    cdnur,
+    hsn: {
+      data: Object.values(hsn).map((row, index) => ({ num: index + 1, ...row }))
+    }
+  };
+};
+
+/**
+ * Build the GSTR-3B summary for a tax period
+ * @param {Object} options
+ * @param {Array} options.invoices - Invoices of the period
+ * @param {Array} options.creditNotes - Credit notes of the period
+ * @param {Object} options.inputTax - Eligible input tax credit of the period
+ * @param {Object} options.company - Details of the shop filing, for its GSTIN
+ * @param {string} options.fp - Filing period (MMYYYY)
+ * @returns {Object} GSTR-3B in the offline tool JSON format
+ */
+const buildGstr3b = ({ invoices, creditNotes = [], inputTax = emptyTax(), company, fp }) => {
+  const osup_det = emptyTax();
+  const osup_nil_exmp = { txval: 0 };
+  const unregInterState = {};
+
+  const apply = (items, doc, sign) => {
+    items.forEach(item => {
+      const signed = signedTax(item, sign);
+
+      if (!item.taxRate) {
+        osup_nil_exmp.txval = roundTax(osup_nil_exmp.txval + signed.taxableValue);
+        return;
+      }
+
+      addTax(osup_det, signed);
+
+      if (doc.supplyType === 'inter_state' && !buyerGstin(doc)) {
+        const pos = doc.placeOfSupply;
+        unregInterState[pos] = unregInterState[pos] || { pos, txval: 0, iamt: 0 };
+        unregInterState[pos].txval = roundTax(unregInterState[pos].txval + signed.taxableValue);
+        unregInterState[pos].iamt = roundTax(unregInterState[pos].iamt + signed.igstAmount);
+      }
+    });
+  };
+
+  invoices.forEach(invoice => apply(invoice.items, invoice, 1));
+  creditNotes.forEach(note => apply(note.items, note, -1));
+
+  return {
+    gstin: company.gstin,
+    ret_period: fp,
+    sup_details: {
+      osup_det,
+      osup_zero: emptyTax(),
+      osup_nil_exmp,
+      isup_rev: emptyTax(),
+      osup_nongst: { txval: 0 }
+    },
+    inter_sup: {
+      unreg_details: Object.values(unregInterState),
+      comp_details: [],
+      uin_details: []
+    },
+    itc_elg: {
+      itc_avl: [
+        { ty: 'OTH', iamt: inputTax.iamt, camt: inputTax.camt, samt: inputTax.samt, csamt: inputTax.csamt }
+      ],
+      itc_rev: [],
+      itc_net: { iamt: inputTax.iamt, camt: inputTax.camt, samt: inputTax.samt, csamt: inputTax.csamt },
+      itc_inelg: []
+    }
+  };
+};
+
+/**
+ * Flatten a GSTR-1 return into an Excel workbook with one sheet per section
+ * @param {Object} gstr1 - GSTR-1 return
+ * @returns {Buffer} XLSX file contents
+ */
+const gstr1ToExcel = (gstr1) => {
+  const workbook = XLSX.utils.book_new();
+  const taxColumns = (t) => ({
+    'Taxable Value': t.txval,
+    'IGST': t.iamt,
+    'CGST': t.camt,
+    'SGST': t.samt,
+    'Cess': t.csamt
+  });
+
+  const b2b = [];
+  gstr1.b2b.forEach(party => party.inv.forEach(inv => inv.itms.forEach(({ itm_det }) => {
+    b2b.push({
+      'GSTIN of Recipient': party.ctin,
+      'Invoice Number': inv.inum,
+      'Invoice Date': inv.idt,
+      'Invoice Value': inv.val,
+      'Place Of Supply': inv.pos,
+      'Rate': itm_det.rt,
+      ...taxColumns(itm_det)
+    });
+  })));
+
+  const b2cl = [];
+  gstr1.b2cl.forEach(group => group.inv.forEach(inv => inv.itms.forEach(({ itm_det }) => {
+    b2cl.push({
+      'Invoice Number': inv.inum,
+      'Invoice Date': inv.idt,
+      'Invoice Value': inv.val,
+      'Place Of Supply': group.pos,
+      'Rate': itm_det.rt,
+      ...taxColumns(itm_det)
+    });
+  })));
+
+  const b2cs = gstr1.b2cs.map(row => ({
+    'Type': row.typ,
+    'Supply Type': row.sply_ty,
+    'Place Of Supply': row.pos,
+    'Rate': row.rt,
+    ...taxColumns(row)
+  }));
+
+  const cdn = [];
+  gstr1.cdnr.forEach(party => party.nt.forEach(nt => nt.itms.forEach(({ itm_det }) => {
+    cdn.push({
+      'GSTIN of Recipient': party.ctin,
+      'Note Number': nt.nt_num,
+      'Note Date': nt.nt_dt,
+      'Note Value': nt.val,
+      'Place Of Supply': nt.pos,
+      'Rate': itm_det.rt,
+      ...taxColumns(itm_det)
+    });
+  })));
+  gstr1.cdnur.forEach(nt => nt.itms.forEach(({ itm_det }) => {
+    cdn.push({
+      'GSTIN of Recipient': '',
+      'Note Number': nt.nt_num,
+      'Note Date': nt.nt_dt,
+      'Note Value': nt.val,
+      'Place Of Supply': nt.pos,
+      'Rate': itm_det.rt,
+      ...taxColumns(itm_det)
+    });
+  }));
+
+  const hsn = gstr1.hsn.data.map(row => ({
+    'HSN': row.hsn_sc,
+    'Description': row.desc,
+    'UQC': row.uqc,
+    'Total Quantity': row.qty,
+    'Rate': row.rt,
+    'Total Value': row.val,
+    ...taxColumns(row)
+  }));
+
+  [['b2b', b2b], ['b2cl', b2cl], ['b2cs', b2cs], ['cdnr', cdn], ['hsn', hsn]].forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), name);
+  });
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+/**
+ * Flatten a GSTR-3B summary into an Excel workbook
+ * @param {Object} gstr3b - GSTR-3B summary
+ * @returns {Buffer} XLSX file contents
+ */
+const gstr3bToExcel = (gstr3b) => {
+  const workbook = XLSX.utils.book_new();
+  const { sup_details: sup, inter_sup, itc_elg } = gstr3b;
+
+  const outward = [
+    ['(a) Outward taxable supplies', sup.osup_det],
+    ['(b) Zero rated supplies', sup.osup_zero],
+    ['(c) Nil rated / exempted supplies', sup.osup_nil_exmp],
+    ['(d) Inward supplies liable to reverse charge', sup.isup_rev],
+    ['(e) Non-GST outward supplies', sup.osup_nongst]
+  ].map(([nature, t]) => ({
+    'Nature of Supplies': nature,
+    'Taxable Value': t.txval,
+    'IGST': t.iamt || 0,
+    'CGST': t.camt || 0,
+    'SGST': t.samt || 0,
+    'Cess': t.csamt || 0
+  }));
+
+  const interState = inter_sup.unreg_details.map(row => ({
+    'Place Of Supply': row.pos,
+    'Taxable Value': row.txval,
+    'IGST': row.iamt
+  }));
+
+  const itc = [{
+    'Details': 'Net ITC available',
+    'IGST': itc_elg.itc_net.iamt,
+    'CGST': itc_elg.itc_net.camt,
+    'SGST': itc_elg.itc_net.samt,
+    'Cess': itc_elg.itc_net.csamt
+  }];
+
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(outward), '3.1 Outward');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(interState), '3.2 Inter-state');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(itc), '4 ITC');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  B2CL_LIMIT,
+  parsePeriod,
+  getPeriodInvoices,
+  getPeriodCreditNotes,
+  getPeriodInputTax,
+  buildGstr1,
+  buildGstr3b,
+  gstr1ToExcel,
+  gstr3bToExcel
+};
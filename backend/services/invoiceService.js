@@ -0,0 +1,363 @@
+const Invoice = require('../models/Invoice');
+const Customer = require('../models/Customer');
+const Product = require('../models/Product');
+const ParkedCart = require('../models/ParkedCart');
+const Promotion = require('../models/Promotion');
+const PaymentService = require('./paymentService');
+const CreditService = require('./creditService');
+const PromotionService = require('./promotionService');
+const SubsidyService = require('./subsidyService');
+const ComplianceService = require('./complianceService');
+const NumberingService = require('./numberingService');
+const BranchService = require('./branchService');
+const SettingsService = require('./settingsService');
+const { getPlaceOfSupply, splitTax, roundTax } = require('../utils/gst');
+const { BadRequestError, NotFoundError } = require('../utils/errorResponse');
+
+/**
+ * Invoice creation shared by POST /api/invoices and estimate conversion:
+ * stock is drawn first-expiry-first-out, running promotions are applied per
+ * line, subsidised products are sold to an identified farmer within the
+ * season cap, restricted products need a dealer license in force and the
+ * buyer's register details, each counter tender goes through
+ * the payment ledger and the unpaid part is checked against the credit limit.
+ * Errors carry `details` for the response body alongside the message.
+ */
+
+const withDetails = (error, details) => Object.assign(error, { details });
+
+const TENDER_LABELS = {
+  card: 'Card',
+  upi: 'UPI',
+  bank_transfer: 'Bank transfer'
+};
+
+/**
+ * Tenders for a request that gives a single payment method and optional amount paid
+ * @param {Object} data - `paymentMethod` and `amountPaid` from the request
+ * @param {number} total - Bill total
+ * @returns {Array} [{ method, amount }]
+ */
+const singleTender = ({ paymentMethod, amountPaid }, total) => {
+  if (paymentMethod === 'credit') {
+    return amountPaid > 0 ? [{ method: 'cash', amount: amountPaid }] : [];
+  }
+  return [{ method: paymentMethod || 'cash', amount: amountPaid !== undefined ? Math.min(amountPaid, total) : total }];
+};
+
+/**
+ * Apply tenders to a bill: card, UPI and bank transfers first, then cash,
+ * with change given on cash only. The remainder is left on credit.
+ * @param {Array} tenders - [{ method, amount, reference }] as paid by the customer
+ * @param {number} total - Bill total
+ * @returns {Object} `{ tenders, changeDue, remaining }` with the amounts applied per tender
+ */
+const planTenders = (tenders, total) => {
+  const applied = [];
+  let remaining = total;
+
+  tenders
+    .filter(tender => tender.method !== 'cash' && tender.amount > 0)
+    .forEach(tender => {
+      if (tender.amount - remaining > 0.005) {
+        throw new BadRequestError(`${TENDER_LABELS[tender.method] || tender.method} payment exceeds the amount due`);
+      }
+      applied.push({ method: tender.method, amount: roundTax(tender.amount), reference: tender.reference });
+      remaining = roundTax(remaining - tender.amount);
+    });
+
+  const cashGiven = roundTax(tenders
+    .filter(tender => tender.method === 'cash')
+    .reduce((sum, tender) => sum + Number(tender.amount || 0), 0));
+  const cash = roundTax(Math.min(cashGiven, remaining));
+  const changeDue = roundTax(cashGiven - cash);
+
+  if (cash > 0) {
+    applied.push({ method: 'cash', amount: cash, tendered: cashGiven, change: changeDue });
+    remaining = roundTax(remaining - cash);
+  }
+
+  return { tenders: applied, changeDue, remaining };
+};
+
+/**
+ * Invoice payment method summarising its tenders
+ * @param {Array} tenders - Applied tenders
+ * @param {number} remaining - Amount left on credit
+ * @returns {string} Single method, 'credit' or 'split'
+ */
+const summarizeTenders = (tenders, remaining) => {
+  const methods = new Set(tenders.map(tender => tender.method));
+  if (remaining > 0) methods.add('credit');
+  if (methods.size > 1) return 'split';
+  return methods.size === 1 ? [...methods][0] : 'cash';
+};
+
+/**
+ * Create an invoice and deduct its stock
+ * @param {Object} data - Invoice fields from the request
+ * @param {string} data.customer - Customer being billed
+ * @param {Array} data.items - [{ product, quantity, price, discount, farmer }]
+ * @param {Object} data.farmer - Farmer `{ idType, idNumber, name }` for subsidised lines without their own
+ * @param {Object} data.restrictedSale - Buyer `{ buyerName, village, crop, purpose }` when restricted products are billed
+ * @param {string} data.branch - Branch billing, for admins; staff always bill at their own branch
+ * @param {Array} data.tenders - Optional [{ method, amount, reference }]; otherwise `paymentMethod` and `amountPaid`
+ * @param {Object} data.creditOverride - Optional admin approval to exceed the credit limit
+ * @param {Object} requestedBy - `req.user` of the person billing
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} Saved invoice
+ */
+const createInvoice = async ({ customer, items, tenders, creditOverride, farmer, restrictedSale, branch: requestedBranch, ...invoiceData }, requestedBy, session) => {
+  const userId = requestedBy.userId;
+
+  // Check the customer exists; the tenant plugin keeps the lookup inside the shop
+  const customerExists = await Customer.findOne({ _id: customer }).session(session);
+
+  if (!customerExists) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  // Intra-state supplies carry CGST + SGST, inter-state supplies carry IGST,
+  // judged from the state of the shop billing
+  const company = await SettingsService.getCompanyDetails();
+  const placeOfSupply = getPlaceOfSupply(customerExists) || company.stateCode;
+  const interState = Boolean(company.stateCode) && placeOfSupply !== company.stateCode;
+
+  // Process invoice items and validate products
+  let subtotal = 0;
+  let totalTax = 0;
+  let totalAmount = 0;
+  const processedItems = [];
+  const productUpdates = [];
+
+  // Stock held by other cashiers' parked bills is not available to this sale
+  // Stock is drawn from the billing branch's own stock
+  const branch = await BranchService.resolveBranch(requestedBranch, requestedBy, session);
+  const reserved = await ParkedCart.reservedQuantities(items.map(item => item.product), session, branch);
+  const saleDate = invoiceData.invoiceDate ? new Date(invoiceData.invoiceDate) : new Date();
+  const promotions = await Promotion.runningOn(saleDate, session);
+  const season = SubsidyService.seasonOf(saleDate);
+  const subsidisedLines = [];
+  let registerEntry;
+
+  for (const item of items) {
+    const product = await Product.findById(item.product).session(session);
+
+    if (!product) {
+      throw new NotFoundError(`Product not found: ${item.product}`);
+    }
+
+    // Check if product has sufficient stock
+    const availableStock = product.stockAt(branch) - (reserved[product._id.toString()] || 0);
+    if (availableStock < item.quantity) {
+      throw withDetails(new BadRequestError(`Insufficient stock for product: ${product.name}`), {
+        product: {
+          id: product._id,
+          name: product.name,
+          availableStock: Math.max(0, availableStock)
+        }
+      });
+    }
+
+    // Draw batch-tracked stock first-expiry-first-out; stock outside any batch covers the rest
+    const { allocations, shortfall } = product.allocateBatches(item.quantity, new Date(), branch);
+    const unbatched = product.unbatchedStock(branch);
+    if (shortfall > unbatched) {
+      throw withDetails(new BadRequestError(`Insufficient unexpired stock for product: ${product.name}`), {
+        product: {
+          id: product._id,
+          name: product.name,
+          availableStock: item.quantity - shortfall + unbatched
+        }
+      });
+    }
+
+    // Subsidised fertiliser is sold only against a farmer's ID
+    let subsidy;
+    if (product.subsidy?.isSubsidized) {
+      if (!(item.farmer || farmer)) {
+        throw withDetails(new BadRequestError(`Farmer ID is required for subsidised product: ${product.name}`), {
+          farmerRequired: true,
+          product: { id: product._id, name: product.name }
+        });
+      }
+
+      const identity = SubsidyService.farmerIdentity(item.farmer || farmer);
+      subsidisedLines.push({ product, quantity: item.quantity, farmer: identity });
+      subsidy = {
+        scheme: product.subsidy.scheme,
+        mrp: product.mrp,
+        amountPerUnit: product.subsidy.amountPerUnit,
+        amount: roundTax(product.subsidy.amountPerUnit * item.quantity),
+        season: season.key,
+        farmer: identity
+      };
+    }
+
+    // Restricted products go in the statutory sale register under the shop's license
+    let license;
+    if (product.restricted) {
+      registerEntry = registerEntry || ComplianceService.registerEntry(restrictedSale, product);
+      license = await ComplianceService.saleLicense(product, saleDate, session);
+    }
+
+    // Calculate item total with the manual discount and promotions, then tax
+    const discount = item.discount || 0;
+    const manualDiscount = item.quantity * item.price * (discount / 100);
+    const promotion = PromotionService.applyToLine(promotions, product, {
+      quantity: item.quantity,
+      base: item.quantity * item.price - manualDiscount
+    }, customerExists);
+    const discountAmount = manualDiscount + promotion.discount;
+    const itemTotal = item.quantity * item.price - discountAmount;
+    const taxRate = product.taxRate || 0;
+    const split = splitTax(itemTotal, taxRate, interState);
+    const itemTax = split.cgstAmount + split.sgstAmount + split.igstAmount;
+
+    subtotal += itemTotal;
+    totalTax += itemTax;
+    totalAmount += itemTotal + itemTax;
+
+    // Add to processed items
+    processedItems.push({
+      product: product._id,
+      name: product.name,
+      hsnCode: product.hsnCode,
+      quantity: item.quantity,
+      price: item.price,
+      discount: discountAmount,
+      promotions: promotion.applied,
+      ...(subsidy && { subsidy }),
+      ...(license && { license }),
+      taxRate,
+      unit: product.unit,
+      batches: allocations,
+      taxableValue: itemTotal,
+      ...split,
+      total: itemTotal + itemTax
+    });
+
+    // Prepare product stock update
+    productUpdates.push(Product.stockUpdateOp(product._id, item.quantity, allocations, -1, branch));
+  }
+
+  await SubsidyService.checkSeasonCaps(subsidisedLines, saleDate, session);
+
+  // Update products stock
+  if (productUpdates.length > 0) {
+    await Product.bulkWrite(productUpdates, { session });
+  }
+
+  const invoiceNumber = await NumberingService.nextNumber('invoice', {
+    date: invoiceData.invoiceDate,
+    session
+  });
+
+  // Credit customers settle on their scheme's terms unless a due date is given
+  const { dueDate, creditTerms } = await CreditService.resolveCreditTerms(
+    customerExists,
+    invoiceData.invoiceDate,
+    session
+  );
+
+  // Create invoice
+  const invoice = new Invoice({
+    ...(dueDate && { dueDate }),
+    ...(creditTerms && { creditTerms }),
+    ...invoiceData,
+    invoiceNumber,
+    customer,
+    ...(branch && { branch }),
+    items: processedItems,
+    ...(registerEntry && { restrictedSale: registerEntry }),
+    placeOfSupply,
+    supplyType: interState ? 'inter_state' : 'intra_state',
+    subtotal,
+    taxAmount: totalTax,
+    total: totalAmount,
+    paymentMethod: invoiceData.paymentMethod || 'split',
+    createdBy: userId
+  });
+
+  await invoice.save({ session });
+
+  await Customer.findByIdAndUpdate(
+    customer,
+    {
+      $inc: { totalPurchases: 1 },
+      $set: { lastPurchaseDate: new Date() }
+    },
+    { session }
+  );
+
+  // Each tender paid at the counter goes through the payment ledger like any other receipt
+  const plan = planTenders(
+    tenders && tenders.length > 0 ? tenders : singleTender(invoiceData, invoice.finalTotal),
+    invoice.finalTotal
+  );
+
+  for (const tender of plan.tenders) {
+    const payment = await PaymentService.recordPayment({
+      customer,
+      amount: tender.amount,
+      paymentMethod: tender.method,
+      reference: tender.reference,
+      allocations: [{ invoice: invoice._id, amount: tender.amount }],
+      createdBy: userId
+    }, session);
+    tender.payment = payment._id;
+  }
+
+  // The invoice was re-saved by the payment ledger, so update it in place
+  const settlement = {
+    tenders: plan.tenders,
+    changeDue: plan.changeDue,
+    paymentMethod: summarizeTenders(plan.tenders, plan.remaining)
+  };
+  invoice.set(settlement);
+
+  const balance = await PaymentService.syncCustomerBalance(customer, session);
+
+  // Whatever is left unpaid must fit in the customer's credit limit unless an admin approves
+  const requested = plan.remaining;
+  if (requested > 0 && !CreditService.checkCreditLimit(customerExists, balance).withinLimit) {
+    const credit = CreditService.checkCreditLimit(customerExists, balance - requested);
+    const details = {
+      overrideRequired: true,
+      credit: {
+        creditLimit: credit.creditLimit,
+        outstandingBalance: credit.balance,
+        availableCredit: credit.availableCredit,
+        requested
+      }
+    };
+
+    if (!creditOverride) {
+      throw withDetails(new BadRequestError(`Credit limit exceeded for ${customerExists.name}`), details);
+    }
+
+    let approval;
+    try {
+      approval = await CreditService.approveCreditOverride(creditOverride, requestedBy, session);
+    } catch (approvalError) {
+      throw withDetails(approvalError, details);
+    }
+
+    settlement.creditOverride = {
+      ...approval,
+      approvedAt: new Date(),
+      creditLimit: credit.creditLimit,
+      outstandingBalance: credit.balance,
+      requested
+    };
+  }
+
+  await Invoice.updateOne({ _id: invoice._id }, { $set: settlement }, { session });
+
+  return invoice;
+};
+
+module.exports = {
+  planTenders,
+  createInvoice
+};
@@ -0,0 +1,116 @@
+const NumberSeries = require('../models/NumberSeries');
+
+/**
+ * Document numbering. Each document type has its own series per Indian
+ * financial year (April to March), kept as a counter that is only moved with
+ * an atomic $inc. Taking the number inside the same transaction as the
+ * document means an aborted sale rolls the counter back too, so numbers are
+ * never duplicated and never skipped.
+ */
+
+const DEFAULT_SERIES = {
+  invoice: { prefix: process.env.INVOICE_PREFIX || 'INV', padding: 5 },
+  credit_note: { prefix: process.env.CREDIT_NOTE_PREFIX || 'CN', padding: 5 },
+  receipt: { prefix: process.env.RECEIPT_PREFIX || 'RCT', padding: 5 },
+  estimate: { prefix: process.env.ESTIMATE_PREFIX || 'EST', padding: 5 },
+  purchase_order: { prefix: process.env.PURCHASE_ORDER_PREFIX || 'PO', padding: 5 },
+  goods_receipt: { prefix: process.env.GOODS_RECEIPT_PREFIX || 'GRN', padding: 5 },
+  stock_transfer: { prefix: process.env.STOCK_TRANSFER_PREFIX || 'STR', padding: 5 }
+};
+
+/**
+ * Indian financial year a date falls in
+ * @param {Date} date - Document date
+ * @returns {string} Financial year, e.g. '2026-27'
+ */
+const getFinancialYear = (date = new Date()) => {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Prefix and padding a new financial year starts with: whatever the series
+ * used last year, or the configured default
+ * @param {string} documentType - Document type
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} Prefix and padding
+ */
+const carriedOverSettings = async (documentType, session) => {
+  const previous = await NumberSeries.findOne({ documentType })
+    .sort('-financialYear')
+    .session(session || null);
+
+  return previous
+    ? { prefix: previous.prefix, padding: previous.padding }
+    : DEFAULT_SERIES[documentType];
+};
+
+/**
+ * Take the next number in a series
+ * @param {string} documentType - invoice, credit_note, receipt, estimate, purchase_order, goods_receipt or stock_transfer
+ * @param {Object} options - Numbering options
+ * @param {Date} options.date - Document date, which decides the financial year
+ * @param {ClientSession} options.session - Transaction the document is saved in
+ * @returns {Promise<string>} Document number, e.g. INV/26-27/00042
+ */
+const nextNumber = async (documentType, { date = new Date(), session } = {}) => {
+  if (!DEFAULT_SERIES[documentType]) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+
+  const financialYear = getFinancialYear(date);
+
+  let series = await NumberSeries.findOneAndUpdate(
+    { documentType, financialYear },
+    { $inc: { lastNumber: 1 } },
+    { new: true, session }
+  );
+
+  if (!series) {
+    series = await NumberSeries.findOneAndUpdate(
+      { documentType, financialYear },
+      {
+        $inc: { lastNumber: 1 },
+        $setOnInsert: await carriedOverSettings(documentType, session)
+      },
+      { new: true, upsert: true, session }
+    );
+  }
+
+  return series.format();
+};
+
+/**
+ * Document numbers contain slashes, which cannot appear in file names
+ * @param {string} number - Document number
+ * @returns {string} Number safe to use in a file name
+ */
+const toFileName = (number) => String(number).replace(/\//g, '-');
+
+/**
+ * Get the series for the current financial year, creating it if no document
+ * has been numbered yet
+ * @param {string} documentType - Document type
+ * @returns {Promise<Object>} Number series
+ */
+const getCurrentSeries = async (documentType) => {
+  const financialYear = getFinancialYear();
+
+  const series = await NumberSeries.findOne({ documentType, financialYear });
+  if (series) return series;
+
+  return new NumberSeries({
+    documentType,
+    financialYear,
+    ...(await carriedOverSettings(documentType))
+  });
+};
+
+module.exports = {
+  DEFAULT_SERIES,
+  getFinancialYear,
+  nextNumber,
+  getCurrentSeries,
+  toFileName
+};
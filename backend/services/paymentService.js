@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Customer = require('../models/Customer');
+const NumberingService = require('./numberingService');
+const { roundTax } = require('../utils/gst');
+const { BadRequestError, NotFoundError } = require('../utils/errorResponse');
+
+/**
+ * The payment ledger is the only place money received is recorded. Invoice
+ * `paidAmount`/`paymentStatus` and `Customer.outstandingBalance` are derived
+ * from it and recomputed whenever a payment, invoice or credit note changes.
+ */
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const sumOf = async (Model, match, field, session) => {
+  const [result] = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: field } } }
+  ]).session(session || null);
+  return result ? result.total : 0;
+};
+
+/**
+ * Recompute `paidAmount` (and through the pre-save hook `paymentStatus`) for
+ * invoices from their active payment allocations
+ * @param {Array} invoiceIds - Invoices to refresh
+ * @param {ClientSession} session - Active transaction
+ */
+const syncInvoices = async (invoiceIds, session) => {
+  const ids = [...new Set(invoiceIds.map(String))].map(toObjectId);
+  if (ids.length === 0) return;
+
+  const totals = await Payment.aggregate([
+    { $match: { status: 'active', 'allocations.invoice': { $in: ids } } },
+    { $unwind: '$allocations' },
+    { $match: { 'allocations.invoice': { $in: ids } } },
+    { $group: { _id: '$allocations.invoice', paid: { $sum: '$allocations.amount' } } }
+  ]).session(session || null);
+
+  const paidByInvoice = {};
+  totals.forEach(row => {
+    paidByInvoice[row._id.toString()] = row.paid;
+  });
+
+  for (const id of ids) {
+    const invoice = await Invoice.findById(id).session(session || null);
+    if (!invoice) continue;
+
+    invoice.paidAmount = roundTax(paidByInvoice[id.toString()] || 0);
+    await invoice.save({ session });
+  }
+};
+
+/**
+ * Compute a customer's balance from the ledger: invoiced less credit notes
+ * adjusted to the account less payments received
+ * @param {string} customerId - Customer
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<number>} Balance owed (negative when the customer is in advance)
+ */
+const getCustomerBalance = async (customerId, session) => {
+  const customer = toObjectId(customerId);
+
+  const invoiced = await sumOf(Invoice, { customer, status: { $ne: 'cancelled' } }, '$finalTotal', session);
+  const credited = await sumOf(CreditNote, { customer, status: 'issued', settlement: 'adjust' }, '$finalTotal', session);
+  const received = await sumOf(Payment, { customer, status: 'active' }, '$amount', session);
+
+  return roundTax(invoiced - credited - received);
+};
+
+/**
+ * Recompute and store a customer's outstanding balance
+ * @param {string} customerId - Customer to refresh
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<number>} Balance owed (negative when the customer is in advance)
+ */
+const syncCustomerBalance = async (customerId, session) => {
+  const balance = await getCustomerBalance(customerId, session);
+
+  // Advances are kept in the ledger; the stored balance never goes below zero
+  await Customer.updateOne(
+    { _id: toObjectId(customerId) },
+    { $set: { outstandingBalance: Math.max(0, balance) } },
+    { session }
+  );
+
+  return balance;
+};
+
+/**
+ * Plan how a payment settles invoices, either as requested or oldest first
+ * @param {string} customerId - Paying customer
+ * @param {number} amount - Amount received
+ * @param {Array} requested - Optional [{ invoice, amount }] allocations
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Array>} Allocations to store on the payment
+ */
+const planAllocations = async (customerId, amount, requested, session) => {
+  const allocations = [];
+
+  if (requested && requested.length > 0) {
+    for (const line of requested) {
+      const invoice = await Invoice.findOne({
+        _id: line.invoice,
+        customer: customerId,
+        status: { $ne: 'cancelled' }
+      }).session(session || null);
+
+      if (!invoice) {
+        throw new NotFoundError(`Invoice not found for this customer: ${line.invoice}`);
+      }
+
+      if (line.amount - invoice.balanceDue > 0.005) {
+        throw new BadRequestError(`Allocation exceeds balance of invoice ${invoice.invoiceNumber}`);
+      }
+
+      allocations.push({ invoice: invoice._id, invoiceNumber: invoice.invoiceNumber, amount: roundTax(line.amount) });
+    }
+
+    const allocated = allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+    if (allocated - amount > 0.005) {
+      throw new BadRequestError('Allocated amount exceeds payment amount');
+    }
+
+    return allocations;
+  }
+
+  const openInvoices = await Invoice.find({
+    customer: customerId,
+    status: { $ne: 'cancelled' },
+    paymentStatus: { $in: ['pending', 'partial'] }
+  })
+    .sort('invoiceDate createdAt')
+    .session(session || null);
+
+  let remaining = amount;
+  for (const invoice of openInvoices) {
+    if (remaining <= 0) break;
+
+    const portion = roundTax(Math.min(invoice.balanceDue, remaining));
+    if (portion <= 0) continue;
+
+    allocations.push({ invoice: invoice._id, invoiceNumber: invoice.invoiceNumber, amount: portion });
+    remaining = roundTax(remaining - portion);
+  }
+
+  return allocations;
+};
+
+/**
+ * Record money received from a customer and allocate it across invoices
+ * @param {Object} data - Payment details
+ * @param {string} data.customer - Paying customer
+ * @param {number} data.amount - Amount received
+ * @param {string} data.paymentMethod - How the money was received
+ * @param {Array} data.allocations - Optional manual [{ invoice, amount }]; oldest first when omitted
+ * @param {string} data.createdBy - User recording the payment
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} Saved payment
+ */
+const recordPayment = async (data, session) => {
+  const { customer, amount, paymentDate, paymentMethod, reference, notes, allocations, createdBy } = data;
+
+  const customerExists = await Customer.exists({ _id: customer }).session(session || null);
+  if (!customerExists) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  const planned = await planAllocations(customer, amount, allocations, session);
+
+  const payment = new Payment({
+    receiptNumber: await NumberingService.nextNumber('receipt', { date: paymentDate, session }),
+    customer,
+    amount,
+    paymentDate: paymentDate || new Date(),
+    paymentMethod,
+    reference,
+    notes,
+    allocations: planned,
+    createdBy
+  });
+
+  await payment.save({ session });
+
+  await syncInvoices(planned.map(allocation => allocation.invoice), session);
+  await syncCustomerBalance(customer, session);
+
+  return payment;
+};
+
+/**
+ * Reverse a payment, e.g. a bounced cheque, reopening the invoices it settled
+ * @param {string} paymentId - Payment to reverse
+ * @param {Object} options - Reason and user reversing it
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} Reversed payment
+ */
+const reversePayment = async (paymentId, { reason, userId }, session) => {
+  const payment = await Payment.findById(paymentId).session(session || null);
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+
+  if (payment.status === 'reversed') {
+    throw new BadRequestError('Payment has already been reversed');
+  }
+
+  payment.status = 'reversed';
+  payment.reversedAt = new Date();
+  payment.reversedBy = userId;
+  payment.reversalReason = reason;
+  await payment.save({ session });
+
+  await syncInvoices(payment.allocations.map(allocation => allocation.invoice), session);
+  await syncCustomerBalance(payment.customer, session);
+
+  return payment;
+};
+
+module.exports = {
+  syncInvoices,
+  getCustomerBalance,
+  syncCustomerBalance,
+  recordPayment,
+  reversePayment
+};
@@ -0,0 +1,153 @@
+const Promotion = require('../models/Promotion');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const { roundTax } = require('../utils/gst');
+const { NotFoundError } = require('../utils/errorResponse');
+
+/**
+ * Promotion engine. Running promotions are matched to each bill line by
+ * product, category and customer group. The best non-stackable promotion on a
+ * line applies, then every stackable one (typically government subsidies),
+ * never taking the line below zero.
+ */
+
+/**
+ * Whether a promotion covers a product and customer
+ * @param {Object} promotion - Promotion
+ * @param {Object} product - Product with `_id` and `category`
+ * @param {Object} customer - Customer with `group`, or null for a preview without one
+ * @returns {boolean} Whether it applies
+ */
+const appliesTo = (promotion, product, customer) => {
+  const byProduct = promotion.products.some(id => id.toString() === product._id.toString());
+  const byCategory = promotion.categories.includes(product.category);
+  const everyProduct = promotion.products.length === 0 && promotion.categories.length === 0;
+
+  if (!(byProduct || byCategory || everyProduct)) return false;
+  if (promotion.customerGroups.length === 0) return true;
+  return Boolean(customer) && promotion.customerGroups.includes(customer.group || 'retail');
+};
+
+/**
+ * Percentage of the line value, or an amount per unit
+ * @param {Object} rate - `{ percent, amountPerUnit }`
+ * @param {Object} line - `{ quantity, base }`
+ * @returns {number} Discount
+ */
+const rateDiscount = (rate, line) => (rate.percent > 0
+  ? line.base * (rate.percent / 100)
+  : (rate.amountPerUnit || 0) * line.quantity);
+
+/**
+ * Discount a promotion gives on a line
+ * @param {Object} promotion - Promotion
+ * @param {Object} line - `{ quantity, base }`; base is the line value after any manual discount
+ * @returns {Object} `{ amount, freeQuantity }`
+ */
+const discountFor = (promotion, line) => {
+  switch (promotion.type) {
+    case 'buy_x_get_y': {
+      // Free units are part of the quantity billed, charged at the line's unit value
+      const sets = Math.floor(line.quantity / (promotion.buyQuantity + promotion.freeQuantity));
+      const freeQuantity = sets * promotion.freeQuantity;
+      return { amount: line.base / line.quantity * freeQuantity, freeQuantity };
+    }
+    case 'quantity_slab': {
+      const slab = promotion.slabs
+        .filter(candidate => line.quantity >= candidate.minQuantity)
+        .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+      return { amount: slab ? rateDiscount(slab, line) : 0 };
+    }
+    default:
+      return { amount: rateDiscount(promotion, line) };
+  }
+};
+
+/**
+ * Apply running promotions to one bill line
+ * @param {Array} promotions - Running promotions
+ * @param {Object} product - Product with `_id` and `category`
+ * @param {Object} line - `{ quantity, base }`
+ * @param {Object} customer - Customer with `group`, or null
+ * @returns {Object} `{ discount, applied }` with one entry per promotion used
+ */
+const applyToLine = (promotions, product, line, customer) => {
+  const candidates = promotions
+    .filter(promotion => appliesTo(promotion, product, customer))
+    .map(promotion => ({ promotion, ...discountFor(promotion, line) }))
+    .filter(candidate => candidate.amount > 0);
+
+  const best = candidates
+    .filter(candidate => !candidate.promotion.stackable)
+    .sort((a, b) => b.amount - a.amount)[0];
+  const chosen = [
+    ...(best ? [best] : []),
+    ...candidates.filter(candidate => candidate.promotion.stackable)
+  ];
+
+  const applied = [];
+  let remaining = line.base;
+  chosen.forEach(({ promotion, amount, freeQuantity }) => {
+    const capped = roundTax(Math.min(amount, remaining));
+    if (capped <= 0) return;
+
+    remaining -= capped;
+    applied.push({
+      promotion: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      ...(promotion.schemeReference && { schemeReference: promotion.schemeReference }),
+      ...(freeQuantity && { freeQuantity }),
+      amount: capped
+    });
+  });
+
+  return {
+    discount: roundTax(applied.reduce((sum, promotion) => sum + promotion.amount, 0)),
+    applied
+  };
+};
+
+/**
+ * Preview the promotions a bill would get, for the POS before checkout
+ * @param {Object} bill - `{ customer, items: [{ product, quantity, price, discount }], date }`
+ * @returns {Promise<Object>} Lines with their promotions and the total promotion discount
+ */
+const previewPromotions = async ({ customer, items, date }) => {
+  const [promotions, products, customerDoc] = await Promise.all([
+    Promotion.runningOn(date ? new Date(date) : new Date()),
+    Product.find({ _id: { $in: items.map(item => item.product) } }).select('name category'),
+    customer ? Customer.findById(customer).select('group') : null
+  ]);
+
+  if (customer && !customerDoc) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  const lines = items.map(item => {
+    const product = products.find(candidate => candidate._id.toString() === item.product.toString());
+    if (!product) {
+      throw new NotFoundError(`Product not found: ${item.product}`);
+    }
+
+    const gross = item.quantity * item.price;
+    const base = gross - gross * ((item.discount || 0) / 100);
+    return {
+      product: product._id,
+      name: product.name,
+      ...applyToLine(promotions, product, { quantity: item.quantity, base }, customerDoc)
+    };
+  });
+
+  return {
+    lines,
+    totalDiscount: roundTax(lines.reduce((sum, line) => sum + line.discount, 0))
+  };
+};
+
+module.exports = {
+  appliesTo,
+  discountFor,
+  applyToLine,
+  previewPromotions
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const Invoice = require('../models/Invoice');
+const PaymentLink = require('../models/PaymentLink');
+const PaymentService = require('./paymentService');
+const logger = require('../utils/logger');
+const { roundTax } = require('../utils/gst');
+const { runWithTenant } = require('../utils/tenantContext');
+const { BadRequestError, NotFoundError, ServiceUnavailableError } = require('../utils/errorResponse');
+
+/**
+ * Razorpay payment links for open invoices. Money paid through a link reaches
+ * the books only through the `payment_link.paid` webhook, which is recorded
+ * in the payment ledger once per link however often the gateway retries it.
+ * Point RAZORPAY_API_URL at the mock gateway (mockRazorpay.js) to work offline.
+ */
+
+const API_URL = process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1';
+
+// How long a payment link stays payable
+const LINK_TTL_DAYS = parseInt(process.env.RAZORPAY_LINK_TTL_DAYS, 10) || 7;
+
+// Razorpay payment methods as recorded in the payment ledger
+const PAYMENT_METHODS = {
+  upi: 'upi',
+  card: 'card'
+};
+
+/**
+ * Call the Razorpay API with the shop's key
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the API root, e.g. /payment_links
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} Parsed response
+ */
+const request = async (method, path, body) => {
+  const credentials = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+
+  let response;
+  try {
+    response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/json'
+      },
+      body: body && JSON.stringify(body)
+    });
+  } catch (error) {
+    logger.error('Razorpay request failed:', error);
+    throw new ServiceUnavailableError('Payment gateway is unreachable');
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    logger.error(`Razorpay ${method} ${path} failed with ${response.status}:`, data);
+    throw new ServiceUnavailableError(data.error?.description || 'Payment gateway rejected the request');
+  }
+  return data;
+};
+
+/**
+ * Create a payment link for the balance due on an invoice, reusing a live link for the same amount
+ * @param {string} invoiceId - Invoice to collect
+ * @param {string} userId - User creating the link
+ * @returns {Promise<Object>} Payment link
+ */
+const createPaymentLink = async (invoiceId, userId) => {
+  const invoice = await Invoice.findById(invoiceId).populate('customer', 'name phone email');
+
+  if (!invoice) {
+    throw new NotFoundError('Invoice not found');
+  }
+  if (invoice.status === 'cancelled') {
+    throw new BadRequestError('Cannot collect payment on a cancelled invoice');
+  }
+
+  const amount = roundTax(invoice.balanceDue);
+  if (amount < 1) {
+    throw new BadRequestError('Nothing is due on this invoice');
+  }
+
+  const existing = await PaymentLink.findOne({
+    invoice: invoice._id,
+    status: 'created',
+    amount,
+    expiresAt: { $gt: new Date() }
+  });
+  if (existing) return existing;
+
+  const expiresAt = new Date(Date.now() + LINK_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const link = new PaymentLink({
+    invoice: invoice._id,
+    invoiceNumber: invoice.invoiceNumber,
+    customer: invoice.customer._id,
+    amount,
+    expiresAt,
+    createdBy: userId
+  });
+
+  // Our own id is the gateway reference, so a second link for the same invoice never clashes
+  const gatewayLink = await request('POST', '/payment_links', {
+    amount: Math.round(amount * 100),
+    currency: 'INR',
+    accept_partial: false,
+    reference_id: link._id.toString(),
+    description: `Invoice ${invoice.invoiceNumber}`,
+    expire_by: Math.floor(expiresAt.getTime() / 1000),
+    customer: {
+      name: invoice.customer.name,
+      contact: invoice.customer.phone,
+      ...(invoice.customer.email && { email: invoice.customer.email })
+    },
+    notify: {
+      sms: Boolean(invoice.customer.phone),
+      email: Boolean(invoice.customer.email)
+    },
+    notes: {
+      invoiceId: invoice._id.toString(),
+      invoiceNumber: invoice.invoiceNumber
+    }
+  });
+
+  link.linkId = gatewayLink.id;
+  link.shortUrl = gatewayLink.short_url;
+  await link.save();
+
+  return link;
+};
+
+/**
+ * Check a webhook body against its X-Razorpay-Signature header
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} signature - Hex HMAC-SHA256 from the header
+ * @returns {boolean} Whether the webhook came from Razorpay
+ */
+const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const received = Buffer.from(String(signature), 'utf8');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, Buffer.from(expected, 'utf8'));
+};
+
+/**
+ * Apply a verified webhook event
+ * @param {Object} event - Parsed webhook body
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} `{ status }`: 'processed', 'duplicate' or 'ignored'
+ */
+const handleWebhookEvent = async (event, session) => {
+  const linkEntity = event.payload?.payment_link?.entity;
+  if (!linkEntity) return { status: 'ignored' };
+
+  if (event.event === 'payment_link.expired' || event.event === 'payment_link.cancelled') {
+    await PaymentLink.updateOne(
+      { linkId: linkEntity.id, status: 'created' },
+      { $set: { status: event.event === 'payment_link.expired' ? 'expired' : 'cancelled' } },
+      { session }
+    );
+    return { status: 'processed' };
+  }
+
+  if (event.event !== 'payment_link.paid') return { status: 'ignored' };
+
+  const paymentEntity = event.payload.payment?.entity || {};
+
+  // Claim the link; a retried or replayed webhook finds it already paid
+  const link = await PaymentLink.findOneAndUpdate(
+    { linkId: linkEntity.id, status: { $ne: 'paid' } },
+    { $set: { status: 'paid', gatewayPaymentId: paymentEntity.id, paidAt: new Date() } },
+    { new: true, session }
+  );
+
+  // Links created outside this app are acknowledged but not recorded
+  if (!link) {
+    const known = await PaymentLink.exists({ linkId: linkEntity.id }).session(session);
+    return { status: known ? 'duplicate' : 'ignored' };
+  }
+
+  // The webhook is not signed in to any shop; what it records belongs to the link's shop
+  return runWithTenant(link.organization, async () => {
+    // Settle the linked invoice; any excess is held as an advance. If the invoice was
+    // settled some other way meanwhile, the money goes to the oldest open invoices instead.
+    const amount = roundTax((paymentEntity.amount || linkEntity.amount_paid) / 100);
+    const invoice = await Invoice.findById(link.invoice).session(session);
+    const applied = invoice && invoice.status !== 'cancelled' ? roundTax(Math.min(amount, invoice.balanceDue)) : 0;
+
+    const payment = await PaymentService.recordPayment({
+      customer: link.customer,
+      amount,
+      paymentDate: paymentEntity.created_at ? new Date(paymentEntity.created_at * 1000) : new Date(),
+      paymentMethod: PAYMENT_METHODS[paymentEntity.method] || 'bank_transfer',
+      reference: paymentEntity.id,
+      notes: `Razorpay payment link ${link.linkId}`,
+      allocations: applied > 0 ? [{ invoice: link.invoice, amount: applied }] : [],
+      createdBy: link.createdBy
+    }, session);
+
+    link.payment = payment._id;
+    await link.save({ session });
+
+    return { status: 'processed', payment };
+  });
+};
+
+module.exports = {
+  createPaymentLink,
+  verifyWebhookSignature,
+  handleWebhookEvent
+};
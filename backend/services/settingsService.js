@@ -0,0 +1,113 @@
+const Setting = require('../models/Setting');
+const Organization = require('../models/Organization');
+const { currentTenant } = require('../utils/tenantContext');
+const { NotFoundError } = require('../utils/errorResponse');
+
+/**
+ * Shop-wide settings kept in the database so they can be changed without a
+ * redeploy. Each known key reads as its default until it is first saved.
+ */
+
+const DEFAULTS = {
+  // UPI ID customers pay to; empty leaves UPI QR codes off bills. Never taken
+  // from the environment, which would send every shop's payments to one account
+  upiVpa: '',
+  // Payee name shown in the customer's UPI app; empty shows the shop name
+  upiPayeeName: ''
+};
+
+/**
+ * Get every known setting, stored values over defaults
+ * @returns {Promise<Object>} Settings keyed by name
+ */
+const getSettings = async () => {
+  const stored = await Setting.find({ key: { $in: Object.keys(DEFAULTS) } });
+
+  const settings = {};
+  Object.entries(DEFAULTS).forEach(([key, fallback]) => {
+    const setting = stored.find(doc => doc.key === key);
+    settings[key] = setting ? setting.value : fallback;
+  });
+  return settings;
+};
+
+/**
+ * Save settings; unknown keys are ignored
+ * @param {Object} values - New values keyed by name
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} All settings after the update
+ */
+const updateSettings = async (values, userId) => {
+  const updates = Object.keys(DEFAULTS)
+    .filter(key => values[key] !== undefined)
+    .map(key => ({
+      updateOne: {
+        filter: { key },
+        update: { $set: { value: values[key], updatedBy: userId } },
+        upsert: true
+      }
+    }));
+
+  if (updates.length > 0) {
+    await Setting.bulkWrite(updates);
+  }
+
+  return getSettings();
+};
+
+// Shop details an admin keeps up to date; the name also heads the shop's documents
+const COMPANY_FIELDS = ['name', 'address', 'phone', 'email', 'gstin', 'state'];
+
+/**
+ * Details of the current shop for printed documents and GST, with the
+ * configurable parts applied. Every shop gets its own name, GSTIN and state,
+ * so the CGST/SGST or IGST split and the returns follow the shop billing.
+ * @returns {Promise<Object>} Company details including `stateCode`, `upiId` and `upiPayeeName`
+ */
+const getCompanyDetails = async () => {
+  const [organization, settings] = await Promise.all([
+    Organization.findById(currentTenant()),
+    getSettings()
+  ]);
+
+  const company = {};
+  COMPANY_FIELDS.forEach(field => {
+    company[field] = organization?.[field];
+  });
+
+  return {
+    ...company,
+    stateCode: organization?.stateCode || null,
+    upiId: settings.upiVpa,
+    upiPayeeName: settings.upiPayeeName || company.name
+  };
+};
+
+/**
+ * Update the current shop's details; unknown fields are ignored
+ * @param {Object} values - New values keyed by field
+ * @returns {Promise<Object>} Company details after the update
+ */
+const updateCompanyDetails = async (values) => {
+  const organization = await Organization.findById(currentTenant());
+  if (!organization) {
+    throw new NotFoundError('Shop not found');
+  }
+
+  COMPANY_FIELDS
+    .filter(field => values[field] !== undefined)
+    .forEach(field => {
+      organization[field] = values[field];
+    });
+  await organization.save();
+
+  return getCompanyDetails();
+};
+
+module.exports = {
+  DEFAULTS,
+  getSettings,
+  updateSettings,
+  getCompanyDetails,
+  updateCompanyDetails
+};
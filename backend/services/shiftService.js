@@ -0,0 +1,192 @@
+const Shift = require('../models/Shift');
+const Expense = require('../models/Expense');
+const Notification = require('../models/Notification');
+const DayEndService = require('./dayEndService');
+const logger = require('../utils/logger');
+const { roundTax } = require('../utils/gst');
+const { hasPermission } = require('../config/permissions');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errorResponse');
+
+/**
+ * Cashier shifts: a shift opens with a cash float, records cash put into or
+ * taken out of the drawer, and closes against a count of the drawer. The
+ * Z-report is the day-end report for the shift window plus the drawer
+ * reconciliation; a variance beyond the tolerance is flagged to admins.
+ */
+
+// Drawer difference (in rupees) that is accepted without flagging admins
+const VARIANCE_TOLERANCE = parseFloat(process.env.SHIFT_VARIANCE_TOLERANCE) || 0;
+
+/**
+ * Find a shift the user may work with
+ * @param {string} shiftId - Shift ID
+ * @param {Object} user - `req.user`
+ * @returns {Promise<Object>} Shift
+ */
+const getShift = async (shiftId, user) => {
+  const shift = await Shift.findById(shiftId).populate('cashier', 'name email');
+
+  if (!shift) {
+    throw new NotFoundError('Shift not found');
+  }
+  if (!hasPermission(user, 'shift.viewAll') && shift.cashier._id.toString() !== user.userId.toString()) {
+    throw new ForbiddenError('Not authorized to access this shift');
+  }
+  return shift;
+};
+
+/**
+ * Open a shift for the user
+ * @param {string} cashierId - Cashier opening the shift
+ * @param {number} openingFloat - Cash in the drawer at the start
+ * @returns {Promise<Object>} New shift
+ */
+const openShift = async (cashierId, openingFloat) => {
+  if (await Shift.exists({ cashier: cashierId, status: 'open' })) {
+    throw new ConflictError('Close your current shift before opening a new one');
+  }
+
+  try {
+    return await Shift.create({ cashier: cashierId, openingFloat: roundTax(openingFloat) });
+  } catch (error) {
+    // Two opens racing each other; the partial unique index lets only one through
+    if (error.code === 11000) {
+      throw new ConflictError('Close your current shift before opening a new one');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Record cash put into or taken out of the drawer during an open shift
+ * @param {string} shiftId - Shift ID
+ * @param {Object} movement - `{ type: 'in' | 'out', amount, reason }`
+ * @param {Object} user - `req.user`
+ * @returns {Promise<Object>} Updated shift
+ */
+const addCashMovement = async (shiftId, { type, amount, reason }, user) => {
+  const shift = await getShift(shiftId, user);
+
+  if (shift.status !== 'open') {
+    throw new BadRequestError('Cash can only be moved during an open shift');
+  }
+
+  shift.cashMovements.push({ type, amount: roundTax(amount), reason, createdBy: user.userId });
+  await shift.save();
+
+  return shift;
+};
+
+/**
+ * Build the Z-report for a shift: sales and tenders for the cashier over the
+ * shift window, and the cash the drawer should hold
+ * @param {Object} shift - Shift with `cashier` populated or as an ID
+ * @param {Date} end - Window end; the close time, or now for an open shift
+ * @returns {Promise<Object>} Z-report
+ */
+const buildZReport = async (shift, end = shift.closedAt || new Date()) => {
+  const cashierId = shift.cashier._id || shift.cashier;
+  const dayEnd = await DayEndService.buildDayEndReport({ start: shift.openedAt, end, cashier: cashierId });
+
+  const expenses = await Expense.find({
+    createdBy: cashierId,
+    paymentMethod: 'cash',
+    status: 'paid',
+    createdAt: { $gte: shift.openedAt, $lte: end }
+  }).select('title amount');
+
+  const cashIn = roundTax(shift.cashMovements
+    .filter(movement => movement.type === 'in')
+    .reduce((sum, movement) => sum + movement.amount, 0));
+  const cashOut = roundTax(shift.cashMovements
+    .filter(movement => movement.type === 'out')
+    .reduce((sum, movement) => sum + movement.amount, 0));
+  const cashExpenses = roundTax(expenses.reduce((sum, expense) => sum + expense.amount, 0));
+
+  const drawer = {
+    openingFloat: shift.openingFloat,
+    cashSales: dayEnd.cash.net,
+    cashCollections: dayEnd.collections.find(row => row.method === 'cash').amount,
+    cashRefunds: dayEnd.refunds.find(row => row.method === 'cash').amount,
+    cashIn,
+    cashOut,
+    cashExpenses,
+    expectedCash: roundTax(shift.openingFloat + dayEnd.expectedCash + cashIn - cashOut - cashExpenses)
+  };
+
+  return {
+    ...dayEnd,
+    shift: shift._id,
+    drawer,
+    movements: shift.cashMovements,
+    expenses
+  };
+};
+
+/**
+ * Close a shift against the counted drawer, flagging any variance to admins
+ * @param {string} shiftId - Shift ID
+ * @param {Object} count - `{ countedCash, notes }`
+ * @param {Object} user - `req.user`
+ * @returns {Promise<Object>} Closed shift
+ */
+const closeShift = async (shiftId, { countedCash, notes }, user) => {
+  const shift = await getShift(shiftId, user);
+
+  if (shift.status !== 'open') {
+    throw new BadRequestError('Shift is already closed');
+  }
+
+  const closedAt = new Date();
+  const report = await buildZReport(shift, closedAt);
+  const variance = roundTax(countedCash - report.drawer.expectedCash);
+
+  // Claim the close so a double submit cannot close the shift twice
+  const closed = await Shift.findOneAndUpdate(
+    { _id: shift._id, status: 'open' },
+    {
+      $set: {
+        status: 'closed',
+        closedAt,
+        closedBy: user.userId,
+        expectedCash: report.drawer.expectedCash,
+        countedCash: roundTax(countedCash),
+        variance,
+        report: { ...report, drawer: { ...report.drawer, countedCash: roundTax(countedCash), variance } },
+        notes
+      }
+    },
+    { new: true }
+  ).populate('cashier', 'name email');
+
+  if (!closed) {
+    throw new BadRequestError('Shift is already closed');
+  }
+
+  if (Math.abs(variance) > VARIANCE_TOLERANCE) {
+    try {
+      await Notification.create({
+        title: `Cash ${variance < 0 ? 'short' : 'over'} on ${closed.cashier.name}'s shift`,
+        message: `Drawer counted ₹${roundTax(countedCash).toFixed(2)} against ₹${report.drawer.expectedCash.toFixed(2)} expected ` +
+          `(${variance < 0 ? 'short' : 'over'} by ₹${Math.abs(variance).toFixed(2)}) at shift close on ${closedAt.toLocaleString('en-IN')}.`,
+        type: 'warning',
+        priority: Math.abs(variance) >= 500 ? 'high' : 'medium',
+        targetAudience: 'admin',
+        createdBy: user.userId
+      });
+    } catch (error) {
+      // The shift is closed either way; a missing alert must not undo the count
+      logger.error('Failed to notify admins of shift variance:', error);
+    }
+  }
+
+  return closed;
+};
+
+module.exports = {
+  getShift,
+  openShift,
+  addCashMovement,
+  buildZReport,
+  closeShift
+};
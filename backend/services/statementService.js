@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const CreditNote = require('../models/CreditNote');
+const Payment = require('../models/Payment');
+const CreditService = require('./creditService');
+const { roundTax } = require('../utils/gst');
+
+/**
+ * Customer statement of account (khata). Uses the same ledger as
+ * PaymentService.syncCustomerBalance: invoices are debits, credit notes
+ * adjusted to the account and active payments are credits.
+ */
+
+const sumBefore = async (Model, match, field) => {
+  const [result] = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: field } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+/**
+ * Build a statement of account for a date range
+ * @param {Object} customer - Customer document
+ * @param {Object} range - Statement period
+ * @param {Date} range.start - First day of the statement
+ * @param {Date} range.end - Last day of the statement (inclusive)
+ * @returns {Promise<Object>} Opening balance, entries with running balance and closing balance
+ */
+const buildStatement = async (customer, { start, end }) => {
+  const customerId = new mongoose.Types.ObjectId(String(customer._id));
+
+  const invoiceMatch = { customer: customerId, status: { $ne: 'cancelled' } };
+  const creditMatch = { customer: customerId, status: 'issued', settlement: 'adjust' };
+  const paymentMatch = { customer: customerId, status: 'active' };
+
+  const openingDebits = await sumBefore(Invoice, { ...invoiceMatch, invoiceDate: { $lt: start } }, '$finalTotal');
+  const openingCredits = await sumBefore(CreditNote, { ...creditMatch, creditNoteDate: { $lt: start } }, '$finalTotal')
+    + await sumBefore(Payment, { ...paymentMatch, paymentDate: { $lt: start } }, '$amount');
+  const openingBalance = roundTax(openingDebits - openingCredits);
+
+  const [invoices, creditNotes, payments] = await Promise.all([
+    Invoice.find({ ...invoiceMatch, invoiceDate: { $gte: start, $lte: end } })
+      .select('invoiceNumber invoiceDate finalTotal dueDate')
+      .lean(),
+    CreditNote.find({ ...creditMatch, creditNoteDate: { $gte: start, $lte: end } })
+      .select('creditNoteNumber creditNoteDate invoiceNumber finalTotal')
+      .lean(),
+    Payment.find({ ...paymentMatch, paymentDate: { $gte: start, $lte: end } })
+      .select('receiptNumber paymentDate paymentMethod amount reference')
+      .lean()
+  ]);
+
+  const entries = [
+    ...invoices.map(invoice => ({
+      date: invoice.invoiceDate,
+      type: 'invoice',
+      reference: invoice.invoiceNumber,
+      description: 'Sale',
+      debit: invoice.finalTotal,
+      credit: 0
+    })),
+    ...creditNotes.map(note => ({
+      date: note.creditNoteDate,
+      type: 'credit_note',
+      reference: note.creditNoteNumber,
+      description: `Return against ${note.invoiceNumber}`,
+      debit: 0,
+      credit: note.finalTotal
+    })),
+    ...payments.map(payment => ({
+      date: payment.paymentDate,
+      type: 'payment',
+      reference: payment.receiptNumber,
+      description: `Payment received (${payment.paymentMethod.replace('_', ' ')})`,
+      debit: 0,
+      credit: payment.amount
+    }))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let balance = openingBalance;
+  entries.forEach(entry => {
+    balance = roundTax(balance + entry.debit - entry.credit);
+    entry.balance = balance;
+  });
+
+  // Interest is not posted to the ledger, it is shown alongside the closing balance
+  const interest = await CreditService.getOverdueInterest(customer._id, end);
+
+  const totalDebit = roundTax(entries.reduce((sum, entry) => sum + entry.debit, 0));
+  const totalCredit = roundTax(entries.reduce((sum, entry) => sum + entry.credit, 0));
+
+  return {
+    customer: {
+      id: customer._id,
+      name: customer.name,
+      phone: customer.phone,
+      email: customer.email,
+      address: customer.address,
+      creditLimit: customer.creditLimit
+    },
+    period: { start, end },
+    openingBalance,
+    entries,
+    totals: {
+      debit: totalDebit,
+      credit: totalCredit
+    },
+    closingBalance: balance,
+    interest,
+    totalDue: roundTax(balance + interest.total),
+    generatedAt: new Date()
+  };
+};
+
+/**
+ * Resolve the statement period from query values, defaulting to the current
+ * Indian financial year (April to March) up to today
+ * @param {string} startDate - Optional start date
+ * @param {string} endDate - Optional end date
+ * @returns {Object} Start and end of the period
+ */
+const resolvePeriod = (startDate, endDate) => {
+  const today = new Date();
+  const fyStartYear = today.getMonth() >= 3 ? today.getFullYear() : today.getFullYear() - 1;
+
+  const start = startDate ? new Date(startDate) : new Date(fyStartYear, 3, 1);
+  const end = endDate ? new Date(endDate) : today;
+  end.setHours(23, 59, 59, 999);
+
+  return { start, end };
+};
+
+module.exports = {
+  buildStatement,
+  resolvePeriod
+};
@@ -0,0 +1,217 @@
+const Branch = require('../models/Branch');
+const Product = require('../models/Product');
+const ParkedCart = require('../models/ParkedCart');
+const StockTransfer = require('../models/StockTransfer');
+const NumberingService = require('./numberingService');
+const BranchService = require('./branchService');
+const { hasPermission } = require('../config/permissions');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errorResponse');
+
+/**
+ * Inter-branch stock transfers. Dispatch takes the goods out of the sending
+ * branch batch by batch, first-expiry-first-out; they are in transit until the
+ * receiving branch confirms them, when the same batches are recreated there.
+ * A transfer still in transit can be cancelled back into the sending branch.
+ */
+
+/**
+ * Put a transfer's batches into a branch
+ * @param {Object} product - Product document
+ * @param {Object} item - Transfer item
+ * @param {ObjectId} branch - Branch receiving the goods
+ */
+const restock = (product, item, branch) => {
+  product.stock += item.quantity;
+  product.adjustBranchStock(branch, item.quantity);
+
+  item.batches.forEach(moved => {
+    const batch = product.batches.find(existing => existing.batchNumber === moved.batchNumber
+      && existing.branch && existing.branch.equals(branch));
+    if (batch) {
+      batch.quantity += moved.quantity;
+    } else {
+      product.batches.push({
+        batchNumber: moved.batchNumber,
+        mfgDate: moved.mfgDate,
+        expiryDate: moved.expiryDate,
+        costPrice: moved.costPrice,
+        quantity: moved.quantity,
+        branch
+      });
+    }
+  });
+};
+
+/**
+ * Get a transfer a user is involved in
+ * @param {string} id - Transfer id
+ * @param {Object} user - `req.user`; staff see transfers to or from their branch
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} Transfer
+ */
+const getTransfer = async (id, user, session) => {
+  const transfer = await StockTransfer.findById(id).session(session || null);
+
+  if (!transfer) {
+    throw new NotFoundError('Stock transfer not found');
+  }
+  if (!hasPermission(user, 'branch.all') && !(user.branch && (transfer.fromBranch.equals(user.branch) || transfer.toBranch.equals(user.branch)))) {
+    throw new NotFoundError('Stock transfer not found');
+  }
+
+  return transfer;
+};
+
+/**
+ * Dispatch goods from one branch to another
+ * @param {Object} data - `{ fromBranch, toBranch, items: [{ product, quantity }], notes }`
+ * @param {Object} user - `req.user`; staff send from their own branch
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} Transfer in transit
+ */
+const dispatchTransfer = async ({ fromBranch, toBranch, items, notes }, user, session) => {
+  const from = await BranchService.resolveBranch(fromBranch, user, session);
+  if (!from) {
+    throw new BadRequestError('Set up branches before transferring stock');
+  }
+
+  const to = await Branch.findOne({ _id: toBranch, isActive: true }).session(session);
+  if (!to) {
+    throw new NotFoundError('Receiving branch not found');
+  }
+  if (from.equals(to._id)) {
+    throw new BadRequestError('Stock cannot be transferred to the branch it is sent from');
+  }
+
+  // Stock held by parked bills at the sending branch cannot leave it
+  const reserved = await ParkedCart.reservedQuantities(items.map(item => item.product), session, from);
+
+  const transferItems = [];
+  for (const item of items) {
+    const product = await Product.findById(item.product).session(session);
+    if (!product) {
+      throw new NotFoundError(`Product not found: ${item.product}`);
+    }
+
+    const availableStock = product.stockAt(from) - (reserved[product._id.toString()] || 0);
+    if (availableStock < item.quantity) {
+      throw new BadRequestError(`Only ${Math.max(0, availableStock)} ${product.unit} of ${product.name} free at the sending branch`);
+    }
+
+    // Expired batches stay behind to be written off where they are
+    const { allocations, shortfall } = product.allocateBatches(item.quantity, new Date(), from);
+    const branchBatches = product.batches.filter(batch => batch.branch && batch.branch.equals(from));
+    if (branchBatches.length > 0 && shortfall > 0) {
+      throw new BadRequestError(`Insufficient unexpired stock of ${product.name} at the sending branch`);
+    }
+
+    const batches = allocations.map(allocation => {
+      const batch = product.batches.id(allocation.batch);
+      batch.quantity -= allocation.quantity;
+      return {
+        batch: batch._id,
+        batchNumber: batch.batchNumber,
+        mfgDate: batch.mfgDate,
+        expiryDate: batch.expiryDate,
+        costPrice: batch.costPrice,
+        quantity: allocation.quantity
+      };
+    });
+
+    product.stock -= item.quantity;
+    product.adjustBranchStock(from, -item.quantity);
+    await product.save({ session });
+
+    transferItems.push({
+      product: product._id,
+      name: product.name,
+      unit: product.unit,
+      quantity: item.quantity,
+      batches
+    });
+  }
+
+  const transfer = new StockTransfer({
+    transferNumber: await NumberingService.nextNumber('stock_transfer', { session }),
+    fromBranch: from,
+    toBranch: to._id,
+    items: transferItems,
+    notes,
+    dispatchedBy: user.userId
+  });
+
+  await transfer.save({ session });
+  return transfer;
+};
+
+/**
+ * Receive a transfer in transit at its destination
+ * @param {string} id - Transfer id
+ * @param {Object} user - `req.user`; staff receive at their own branch
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} Received transfer
+ */
+const receiveTransfer = async (id, user, session) => {
+  const transfer = await getTransfer(id, user, session);
+
+  if (!hasPermission(user, 'branch.all') && !transfer.toBranch.equals(user.branch)) {
+    throw new ForbiddenError('Only the receiving branch can confirm this transfer');
+  }
+  if (transfer.status !== 'in_transit') {
+    throw new BadRequestError(`Transfer is already ${transfer.status}`);
+  }
+
+  for (const item of transfer.items) {
+    const product = await Product.findById(item.product).session(session);
+    if (!product) {
+      throw new NotFoundError(`Product not found: ${item.name}`);
+    }
+    restock(product, item, transfer.toBranch);
+    await product.save({ session });
+  }
+
+  transfer.status = 'received';
+  transfer.receivedAt = new Date();
+  transfer.receivedBy = user.userId;
+  await transfer.save({ session });
+  return transfer;
+};
+
+/**
+ * Cancel a transfer in transit, returning the goods to the sending branch
+ * @param {string} id - Transfer id
+ * @param {Object} user - `req.user`; staff cancel transfers from their own branch
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<Object>} Cancelled transfer
+ */
+const cancelTransfer = async (id, user, session) => {
+  const transfer = await getTransfer(id, user, session);
+
+  if (!hasPermission(user, 'branch.all') && !transfer.fromBranch.equals(user.branch)) {
+    throw new ForbiddenError('Only the sending branch can cancel this transfer');
+  }
+  if (transfer.status !== 'in_transit') {
+    throw new BadRequestError(`Transfer is already ${transfer.status}`);
+  }
+
+  for (const item of transfer.items) {
+    const product = await Product.findById(item.product).session(session);
+    if (product) {
+      restock(product, item, transfer.fromBranch);
+      await product.save({ session });
+    }
+  }
+
+  transfer.status = 'cancelled';
+  transfer.cancelledAt = new Date();
+  transfer.cancelledBy = user.userId;
+  await transfer.save({ session });
+  return transfer;
+};
+
+module.exports = {
+  getTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer
+};
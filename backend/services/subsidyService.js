@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const { roundTax } = require('../utils/gst');
+const { BadRequestError } = require('../utils/errorResponse');
+
+/**
+ * Government fertiliser subsidy: subsidised products are sold at their
+ * subsidised price to an identified farmer, each farmer's purchases are
+ * capped per season, and the subsidy on every unit sold is claimed back.
+ * Farmer IDs are never stored in full: a keyed hash links a farmer's sales
+ * for the caps and only the last four digits are kept for the record.
+ */
+
+// Crop seasons by month (1-12); rabi runs across the new year
+const SEASONS = [
+  { name: 'Kharif', startMonth: 6, endMonth: 10 },
+  { name: 'Rabi', startMonth: 11, endMonth: 3 },
+  { name: 'Zaid', startMonth: 4, endMonth: 5 }
+];
+
+const FARMER_ID_TYPES = ['aadhaar', 'kisan_card', 'farmer_registry', 'other'];
+
+// Verhoeff tables for the Aadhaar check digit
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6], [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4], [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2], [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+const isValidAadhaar = (number) => {
+  if (!/^[2-9]\d{11}$/.test(number)) return false;
+  const check = number.split('').reverse().reduce(
+    (c, digit, index) => VERHOEFF_D[c][VERHOEFF_P[index % 8][Number(digit)]],
+    0
+  );
+  return check === 0;
+};
+
+/**
+ * Season a sale date falls in
+ * @param {Date} date - Sale date
+ * @returns {Object} `{ key, name }`, e.g. `{ key: 'rabi-2025', name: 'Rabi 2025-26' }`
+ */
+const seasonOf = (date) => {
+  const month = date.getMonth() + 1;
+  const season = SEASONS.find(candidate => (candidate.startMonth <= candidate.endMonth
+    ? month >= candidate.startMonth && month <= candidate.endMonth
+    : month >= candidate.startMonth || month <= candidate.endMonth));
+
+  // January to March belong to the rabi season that started the previous November
+  const year = season.startMonth > season.endMonth && month <= season.endMonth
+    ? date.getFullYear() - 1
+    : date.getFullYear();
+  const label = season.startMonth > season.endMonth ? `${year}-${String(year + 1).slice(2)}` : `${year}`;
+
+  return { key: `${season.name.toLowerCase()}-${year}`, name: `${season.name} ${label}` };
+};
+
+/**
+ * Check and anonymise a farmer's identification for the sale record
+ * @param {Object} farmer - `{ idType, idNumber, name }` as entered at the counter
+ * @returns {Object} `{ idType, idMasked, idHash, name }`
+ */
+const farmerIdentity = ({ idType = 'aadhaar', idNumber, name } = {}) => {
+  const number = String(idNumber || '').replace(/[\s-]/g, '').toUpperCase();
+
+  if (!FARMER_ID_TYPES.includes(idType)) {
+    throw new BadRequestError('Invalid farmer ID type');
+  }
+  if (idType === 'aadhaar' ? !isValidAadhaar(number) : number.length < 4) {
+    throw new BadRequestError(idType === 'aadhaar' ? 'Invalid Aadhaar number' : 'Invalid farmer ID');
+  }
+
+  const secret = process.env.FARMER_ID_SECRET || process.env.JWT_SECRET;
+  return {
+    idType,
+    idMasked: `${'X'.repeat(number.length - 4)}${number.slice(-4)}`,
+    idHash: crypto.createHmac('sha256', secret).update(`${idType}:${number}`).digest('hex'),
+    ...(name && { name })
+  };
+};
+
+/**
+ * Check subsidised lines against each product's per-farmer season cap
+ * @param {Array} lines - `[{ product, quantity, farmer }]`; product is the Product document, farmer from `farmerIdentity`
+ * @param {Date} date - Sale date
+ * @param {ClientSession} session - Active transaction
+ * @returns {Promise<void>}
+ */
+const checkSeasonCaps = async (lines, date, session) => {
+  const season = seasonOf(date);
+
+  // The same farmer may buy a product on several lines of one bill
+  const wanted = new Map();
+  lines.forEach(({ product, quantity, farmer }) => {
+    if (!(product.subsidy.seasonCap > 0)) return;
+    const key = `${product._id}:${farmer.idHash}`;
+    const entry = wanted.get(key) || { product, farmer, quantity: 0 };
+    entry.quantity += quantity;
+    wanted.set(key, entry);
+  });
+
+  for (const { product, farmer, quantity } of wanted.values()) {
+    const [bought] = await Invoice.aggregate([
+      { $match: { status: { $ne: 'cancelled' }, 'items.subsidy.season': season.key } },
+      { $unwind: '$items' },
+      {
+        $match: {
+          'items.product': new mongoose.Types.ObjectId(String(product._id)),
+          'items.subsidy.season': season.key,
+          'items.subsidy.farmer.idHash': farmer.idHash
+        }
+      },
+      { $group: { _id: null, quantity: { $sum: { $subtract: ['$items.quantity', '$items.returnedQuantity'] } } } }
+    ]).session(session || null);
+
+    const alreadyBought = bought ? bought.quantity : 0;
+    if (alreadyBought + quantity > product.subsidy.seasonCap) {
+      const error = new BadRequestError(
+        `Farmer ${farmer.idMasked} has reached the ${season.name} limit for ${product.name}`
+      );
+      error.details = {
+        subsidy: {
+          product: product._id,
+          season: season.name,
+          seasonCap: product.subsidy.seasonCap,
+          alreadyBought,
+          available: Math.max(0, product.subsidy.seasonCap - alreadyBought)
+        }
+      };
+      throw error;
+    }
+  }
+};
+
+/**
+ * Subsidy claim: subsidised units sold, net of returns, by product and month
+ * @param {Object} range - `{ start, end }`, end exclusive
+ * @returns {Promise<Object>} `{ period, rows, totals }`
+ */
+const buildClaimReport = async ({ start, end }) => {
+  const rows = await Invoice.aggregate([
+    { $match: { status: { $ne: 'cancelled' }, invoiceDate: { $gte: start, $lt: end }, 'items.subsidy.amountPerUnit': { $gt: 0 } } },
+    { $unwind: '$items' },
+    { $match: { 'items.subsidy.amountPerUnit': { $gt: 0 } } },
+    {
+      $project: {
+        month: { $dateToString: { format: '%Y-%m', date: '$invoiceDate', timezone: 'Asia/Kolkata' } },
+        product: '$items.product',
+        name: '$items.name',
+        hsnCode: '$items.hsnCode',
+        unit: '$items.unit',
+        scheme: '$items.subsidy.scheme',
+        invoice: '$_id',
+        farmer: '$items.subsidy.farmer.idHash',
+        quantity: { $subtract: ['$items.quantity', '$items.returnedQuantity'] },
+        saleValue: {
+          $multiply: [
+            '$items.taxableValue',
+            { $divide: [{ $subtract: ['$items.quantity', '$items.returnedQuantity'] }, '$items.quantity'] }
+          ]
+        },
+        amountPerUnit: '$items.subsidy.amountPerUnit'
+      }
+    },
+    {
+      $group: {
+        _id: { month: '$month', product: '$product' },
+        name: { $first: '$name' },
+        hsnCode: { $first: '$hsnCode' },
+        unit: { $first: '$unit' },
+        scheme: { $first: '$scheme' },
+        invoices: { $addToSet: '$invoice' },
+        farmers: { $addToSet: '$farmer' },
+        quantity: { $sum: '$quantity' },
+        saleValue: { $sum: '$saleValue' },
+        subsidyAmount: { $sum: { $multiply: ['$quantity', '$amountPerUnit'] } }
+      }
+    },
+    { $sort: { '_id.month': 1, name: 1 } }
+  ]);
+
+  const report = rows.map(row => ({
+    month: row._id.month,
+    product: row._id.product,
+    name: row.name,
+    hsnCode: row.hsnCode,
+    unit: row.unit,
+    scheme: row.scheme || '',
+    invoices: row.invoices.length,
+    farmers: row.farmers.length,
+    quantity: roundTax(row.quantity),
+    saleValue: roundTax(row.saleValue),
+    subsidyAmount: roundTax(row.subsidyAmount)
+  }));
+
+  return {
+    period: { start, end },
+    rows: report,
+    totals: {
+      quantity: roundTax(report.reduce((sum, row) => sum + row.quantity, 0)),
+      saleValue: roundTax(report.reduce((sum, row) => sum + row.saleValue, 0)),
+      subsidyAmount: roundTax(report.reduce((sum, row) => sum + row.subsidyAmount, 0))
+    }
+  };
+};
+
+/**
+ * Claim report as an Excel workbook
+ * @param {Object} report - Output of buildClaimReport
+ * @returns {Buffer} XLSX file
+ */
+const claimReportToExcel = (report) => {
+  const sheet = XLSX.utils.json_to_sheet([
+    ...report.rows.map(row => ({
+      Month: row.month,
+      Product: row.name,
+      HSN: row.hsnCode,
+      Scheme: row.scheme,
+      Unit: row.unit,
+      Quantity: row.quantity,
+      Invoices: row.invoices,
+      Farmers: row.farmers,
+      'Sale Value': row.saleValue,
+      'Subsidy Claimed': row.subsidyAmount
+    })),
+    {
+      Month: 'Total',
+      Quantity: report.totals.quantity,
+      'Sale Value': report.totals.saleValue,
+      'Subsidy Claimed': report.totals.subsidyAmount
+    }
+  ]);
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Subsidy Claim');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  FARMER_ID_TYPES,
+  seasonOf,
+  farmerIdentity,
+  checkSeasonCaps,
+  buildClaimReport,
+  claimReportToExcel
+};
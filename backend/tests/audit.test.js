@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const Product = require('../models/Product');
+const { runWithTenant } = require('../utils/tenantContext');
+
+// As in tenant.test.js, the driver collection is replaced by an in-memory one;
+// bulkWrite applies $inc and deletes to it so the audit sees the stock move
+const matches = (filter) => (doc) => Object.entries(filter).every(([key, value]) => (value?.$in
+  ? value.$in.map(String).includes(String(doc[key]))
+  : String(doc[key]) === String(value)));
+
+const fakeCollection = (docs) => {
+  jest.spyOn(Product.collection, 'find').mockImplementation(async (filter) => ({
+    toArray: async () => docs.filter(matches(filter)).map(doc => ({ ...doc }))
+  }));
+  jest.spyOn(Product.collection, 'bulkWrite').mockImplementation(async (ops) => {
+    ops.forEach((op) => {
+      if (op.updateOne) {
+        const doc = docs.find(matches(op.updateOne.filter));
+        Object.entries(op.updateOne.update.$inc || {}).forEach(([field, by]) => { doc[field] += by; });
+      }
+      if (op.deleteOne) {
+        docs.splice(docs.findIndex(matches(op.deleteOne.filter)), 1);
+      }
+    });
+    return { insertedIds: {}, upsertedIds: {} };
+  });
+};
+
+describe('audit plugin', () => {
+  const shop = new mongoose.Types.ObjectId();
+  let urea;
+  let dap;
+
+  beforeEach(() => {
+    urea = { _id: new mongoose.Types.ObjectId(), organization: shop, name: 'Urea 45kg', stock: 40 };
+    dap = { _id: new mongoose.Types.ObjectId(), organization: shop, name: 'DAP 50kg', stock: 12 };
+    fakeCollection([urea, dap]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the stock moved by a bulkWrite', async () => {
+    const insertMany = jest.spyOn(AuditLog, 'insertMany').mockResolvedValue([]);
+
+    await runWithTenant(shop, async () => await Product.bulkWrite([
+      { updateOne: { filter: { _id: urea._id }, update: { $inc: { stock: -3 } } } }
+    ]));
+
+    const [entries] = insertMany.mock.calls[0];
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      model: 'Product',
+      label: 'Urea 45kg',
+      action: 'update',
+      changes: [{ field: 'stock', before: 40, after: 37 }]
+    });
+  });
+
+  it('records documents a bulkWrite deletes', async () => {
+    const insertMany = jest.spyOn(AuditLog, 'insertMany').mockResolvedValue([]);
+
+    await runWithTenant(shop, async () => await Product.bulkWrite([
+      { deleteOne: { filter: { _id: dap._id } } }
+    ]));
+
+    const [entries] = insertMany.mock.calls[0];
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ action: 'delete', label: 'DAP 50kg' });
+  });
+
+  it('leaves a bulkWrite with skipAudit unrecorded', async () => {
+    const insertMany = jest.spyOn(AuditLog, 'insertMany').mockResolvedValue([]);
+
+    await runWithTenant(shop, async () => await Product.bulkWrite([
+      { updateOne: { filter: { _id: urea._id }, update: { $inc: { stock: -3 } } } }
+    ], { skipAudit: true }));
+
+    expect(insertMany).not.toHaveBeenCalled();
+    expect(urea.stock).toBe(37);
+  });
+
+  it('fails the write inside a session when its audit entry cannot be stored', async () => {
+    jest.spyOn(AuditLog, 'insertMany').mockRejectedValue(new Error('audit log unavailable'));
+    const client = new mongoose.mongo.MongoClient('mongodb://127.0.0.1:27017');
+    const session = client.startSession();
+
+    const error = await runWithTenant(shop, () => Product.bulkWrite([
+      { updateOne: { filter: { _id: urea._id }, update: { $inc: { stock: -3 } } } }
+    ], { session }).catch(err => err));
+    await session.endSession();
+    await client.close();
+
+    expect(error.message).toBe('audit log unavailable');
+  });
+
+  it('only logs a failed audit write outside a session', async () => {
+    jest.spyOn(AuditLog, 'insertMany').mockRejectedValue(new Error('audit log unavailable'));
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await runWithTenant(shop, async () => await Product.bulkWrite([
+      { updateOne: { filter: { _id: urea._id }, update: { $inc: { stock: -3 } } } }
+    ]));
+
+    expect(consoleError).toHaveBeenCalledWith('Audit log error for Product:', expect.any(Error));
+  });
+});
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const Setting = require('../models/Setting');
+const SettingsService = require('../services/settingsService');
+const { runWithTenant } = require('../utils/tenantContext');
+
+// As in tenant.test.js, the driver collections are replaced by in-memory ones
+describe('company details', () => {
+  const shopA = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Patil Krishi Kendra',
+    slug: 'patil',
+    gstin: '27ABCDE1234F1Z5',
+    address: 'Market Yard, Pune'
+  };
+  const shopB = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Reddy Agro Stores',
+    slug: 'reddy',
+    state: 'Karnataka'
+  };
+  const settings = [
+    { _id: new mongoose.Types.ObjectId(), organization: shopA._id, key: 'upiVpa', value: 'patil@okaxis' }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(Organization.collection, 'findOne').mockImplementation(async (filter) => [shopA, shopB]
+      .find(shop => String(shop._id) === String(filter._id)) || null);
+    jest.spyOn(Setting.collection, 'find').mockImplementation(async (filter) => ({
+      toArray: async () => settings.filter(setting => String(setting.organization) === String(filter.organization))
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('names the shop billing, with the state its GSTIN is registered in', async () => {
+    const company = await runWithTenant(shopA._id, async () => await SettingsService.getCompanyDetails());
+
+    expect(company).toMatchObject({
+      name: 'Patil Krishi Kendra',
+      address: 'Market Yard, Pune',
+      gstin: '27ABCDE1234F1Z5',
+      stateCode: '27',
+      upiId: 'patil@okaxis',
+      upiPayeeName: 'Patil Krishi Kendra'
+    });
+  });
+
+  it('gives every shop its own details and no other shop\'s UPI ID', async () => {
+    const company = await runWithTenant(shopB._id, async () => await SettingsService.getCompanyDetails());
+
+    expect(company.name).toBe('Reddy Agro Stores');
+    expect(company.gstin).toBeUndefined();
+    expect(company.stateCode).toBe('29');
+    expect(company.upiId).toBe('');
+  });
+});
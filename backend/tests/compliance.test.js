@@ -0,0 +1,33 @@
+const License = require('../models/License');
+const Product = require('../models/Product');
+const ComplianceService = require('../services/complianceService');
+
+describe('restricted categories', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('restricts pesticides and medicines by category', () => {
+    expect(new Product({ name: 'Chlorpyrifos 20% EC', category: 'Pesticides' }).restricted).toBe(true);
+    expect(new Product({ name: 'Ivermectin bolus', category: 'Medicines' }).restricted).toBe(true);
+    expect(new Product({ name: 'Urea 45kg', category: 'Fertilizers' }).restricted).toBe(false);
+  });
+
+  it('bills medicines under the drug license, not the insecticide license', async () => {
+    const validOn = jest.spyOn(License, 'validOn').mockResolvedValue({ licenseNumber: 'DL-20B-1234' });
+    const product = new Product({ name: 'Ivermectin bolus', category: 'Medicines' });
+
+    const license = await ComplianceService.saleLicense(product, new Date(), null);
+
+    expect(validOn).toHaveBeenCalledWith('drug', expect.any(Date), null);
+    expect(license).toEqual({ licenseType: 'drug', licenseNumber: 'DL-20B-1234' });
+  });
+
+  it('refuses a restricted sale without a license in force', async () => {
+    jest.spyOn(License, 'validOn').mockResolvedValue(null);
+    const product = new Product({ name: 'Chlorpyrifos 20% EC', category: 'Pesticides' });
+
+    await expect(ComplianceService.saleLicense(product, new Date(), null))
+      .rejects.toThrow('No valid insecticide license on record to sell Chlorpyrifos 20% EC');
+  });
+});
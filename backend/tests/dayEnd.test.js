@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+const DayEndService = require('../services/dayEndService');
+
+// As in tenant.test.js, the driver collections are replaced by in-memory ones;
+// the window filter is not applied as every fixture falls inside it
+const fakeFind = (Model, docs) => {
+  jest.spyOn(Model.collection, 'find').mockImplementation(async () => ({
+    toArray: async () => docs
+  }));
+};
+
+describe('day-end report', () => {
+  const start = new Date(2026, 9, 19, 9);
+  const end = new Date(2026, 9, 19, 18);
+
+  beforeEach(() => {
+    fakeFind(Invoice, [{
+      _id: new mongoose.Types.ObjectId(),
+      invoiceNumber: 'INV-1',
+      finalTotal: 1050,
+      taxAmount: 50,
+      tenders: [{ method: 'cash', amount: 1050, tendered: 1100, change: 50 }]
+    }]);
+    fakeFind(Payment, []);
+    fakeFind(CreditNote, [
+      { _id: new mongoose.Types.ObjectId(), creditNoteNumber: 'CN-1', finalTotal: 262.5, settlement: 'refund', refundMethod: 'cash' },
+      { _id: new mongoose.Types.ObjectId(), creditNoteNumber: 'CN-2', finalTotal: 100, settlement: 'refund', refundMethod: 'upi' }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes cash refunded on returns out of the expected drawer cash', async () => {
+    const report = await DayEndService.buildDayEndReport({ start, end });
+
+    expect(report.refunds.find(row => row.method === 'cash')).toEqual({ method: 'cash', count: 1, amount: 262.5 });
+    expect(report.refunds.find(row => row.method === 'upi')).toEqual({ method: 'upi', count: 1, amount: 100 });
+    expect(report.expectedCash).toBe(787.5);
+  });
+
+  it('only reads refunds, not returns credited to the customer\'s account', async () => {
+    await DayEndService.buildDayEndReport({ start, end });
+
+    expect(CreditNote.collection.find).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'issued', settlement: 'refund' }),
+      expect.anything()
+    );
+  });
+});
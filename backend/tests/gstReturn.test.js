@@ -0,0 +1,69 @@
+const GstReturnService = require('../services/gstReturnService');
+
+const company = { gstin: '27ABCDE1234F1Z5', stateCode: '27' };
+
+const line = (quantity, taxableValue, { intraState = true } = {}) => ({
+  name: 'Urea 45kg',
+  hsnCode: '3102',
+  unit: 'packet',
+  quantity,
+  taxRate: 5,
+  taxableValue,
+  cgstAmount: intraState ? taxableValue * 0.025 : 0,
+  sgstAmount: intraState ? taxableValue * 0.025 : 0,
+  igstAmount: intraState ? 0 : taxableValue * 0.05,
+  total: taxableValue * 1.05
+});
+
+describe('GSTR-1', () => {
+  it('nets returns from unregistered buyers into B2CS and the HSN summary', () => {
+    const gstr1 = GstReturnService.buildGstr1({
+      invoices: [{
+        invoiceNumber: 'INV-1',
+        invoiceDate: new Date(2026, 8, 2),
+        placeOfSupply: '27',
+        supplyType: 'intra_state',
+        finalTotal: 1050,
+        items: [line(4, 1000)]
+      }],
+      creditNotes: [{
+        creditNoteNumber: 'CN-1',
+        creditNoteDate: new Date(2026, 8, 9),
+        placeOfSupply: '27',
+        supplyType: 'intra_state',
+        invoice: { finalTotal: 1050 },
+        total: 262.5,
+        items: [line(1, 250)]
+      }],
+      company,
+      fp: '092026'
+    });
+
+    expect(gstr1.cdnur).toEqual([]);
+    expect(gstr1.b2cs).toEqual([
+      { sply_ty: 'INTRA', pos: '27', typ: 'OE', rt: 5, txval: 750, iamt: 0, camt: 18.75, samt: 18.75, csamt: 0 }
+    ]);
+    expect(gstr1.hsn.data[0]).toMatchObject({ hsn_sc: '3102', qty: 3, val: 787.5, txval: 750 });
+  });
+
+  it('reports returns against B2CL invoices note-wise', () => {
+    const gstr1 = GstReturnService.buildGstr1({
+      invoices: [],
+      creditNotes: [{
+        creditNoteNumber: 'CN-2',
+        creditNoteDate: new Date(2026, 8, 9),
+        placeOfSupply: '29',
+        supplyType: 'inter_state',
+        invoice: { finalTotal: 210000 },
+        total: 10500,
+        items: [line(40, 10000, { intraState: false })]
+      }],
+      company,
+      fp: '092026'
+    });
+
+    expect(gstr1.b2cs).toEqual([]);
+    expect(gstr1.cdnur).toHaveLength(1);
+    expect(gstr1.cdnur[0]).toMatchObject({ typ: 'B2CL', nt_num: 'CN-2', pos: '29' });
+  });
+});
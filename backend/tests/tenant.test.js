@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Product = require('../models/Product');
+const { runWithTenant } = require('../utils/tenantContext');
+
+// No database runs in tests: the driver collection is replaced by an in-memory
+// one that applies whatever filter Mongoose finally sends, so the assertions
+// see exactly what the tenant plugin lets through. Queries are awaited inside
+// runWithTenant, as they are in a route handler.
+const matches = (filter) => (doc) => Object.entries(filter).every(([key, value]) => String(doc[key]) === String(value));
+
+const fakeCollection = (Model, docs) => {
+  jest.spyOn(Model.collection, 'find').mockImplementation(async (filter) => ({
+    toArray: async () => docs.filter(matches(filter))
+  }));
+  jest.spyOn(Model.collection, 'findOne').mockImplementation(async (filter) => docs.find(matches(filter)) || null);
+  jest.spyOn(Model.collection, 'aggregate').mockImplementation(async (pipeline) => ({
+    toArray: async () => docs.filter(matches(pipeline.find(stage => stage.$match)?.$match || {}))
+  }));
+};
+
+const runPre = (Model, hook, context, args = []) => new Promise((resolve, reject) => {
+  Model.hooks.execPre(hook, context, args, error => (error ? reject(error) : resolve()));
+});
+
+describe('tenant plugin', () => {
+  const shopA = new mongoose.Types.ObjectId();
+  const shopB = new mongoose.Types.ObjectId();
+  const invoiceA = { _id: new mongoose.Types.ObjectId(), organization: shopA, invoiceNumber: 'INV-1' };
+  const invoiceB = { _id: new mongoose.Types.ObjectId(), organization: shopB, invoiceNumber: 'INV-1' };
+
+  beforeEach(() => {
+    fakeCollection(Invoice, [invoiceA, invoiceB]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('limits find to the current shop', async () => {
+    const invoices = await runWithTenant(shopA, async () => await Invoice.find({ invoiceNumber: 'INV-1' }).lean());
+
+    expect(invoices).toHaveLength(1);
+    expect(String(invoices[0].organization)).toBe(String(shopA));
+  });
+
+  it('never returns another shop\'s invoice, even by id', async () => {
+    const invoice = await runWithTenant(shopA, async () => await Invoice.findById(invoiceB._id).lean());
+
+    expect(invoice).toBeNull();
+  });
+
+  it('limits findOne to the current shop', async () => {
+    const invoice = await runWithTenant(shopB, async () => await Invoice.findOne({ invoiceNumber: 'INV-1' }).lean());
+
+    expect(String(invoice._id)).toBe(String(invoiceB._id));
+  });
+
+  it('matches the current shop first in aggregations', async () => {
+    const pipeline = [{ $group: { _id: null, count: { $sum: 1 } } }];
+    const aggregate = Invoice.aggregate(pipeline);
+
+    await runWithTenant(shopA, () => runPre(Invoice, 'aggregate', aggregate));
+
+    expect(aggregate.pipeline()[0]).toEqual({ $match: { organization: shopA } });
+  });
+
+  it('reads every shop outside a request and with skipTenant', async () => {
+    expect(await Invoice.find({ invoiceNumber: 'INV-1' }).lean()).toHaveLength(2);
+
+    const invoices = await runWithTenant(shopA, async () => await Invoice.find({ invoiceNumber: 'INV-1' }).setOptions({ skipTenant: true }).lean());
+    expect(invoices).toHaveLength(2);
+  });
+
+  it('scopes bulkWrite filters and stamps inserts', async () => {
+    const productId = new mongoose.Types.ObjectId();
+    const ops = [
+      { updateOne: { filter: { _id: productId }, update: { $inc: { stock: -1 } } } },
+      { deleteMany: { filter: { isActive: false } } },
+      { insertOne: { document: { name: 'Urea' } } }
+    ];
+
+    await runWithTenant(shopA, () => runPre(Product, 'bulkWrite', Product, [ops]));
+
+    expect(ops[0].updateOne.filter).toEqual({ _id: productId, organization: shopA });
+    expect(ops[1].deleteMany.filter).toEqual({ isActive: false, organization: shopA });
+    expect(ops[2].insertOne.document.organization).toBe(shopA);
+  });
+
+  it('stamps new documents with the current shop on save', async () => {
+    const product = new Product({ name: 'Urea' });
+
+    await runWithTenant(shopA, () => product.validate().catch(() => {}));
+
+    expect(String(product.organization)).toBe(String(shopA));
+  });
+
+  it('refuses to save another shop\'s document', async () => {
+    const product = new Product({ name: 'Urea', organization: shopB });
+
+    const error = await runWithTenant(shopA, () => product.validate().catch(err => err));
+
+    expect(error.errors.organization.message).toBe('Document belongs to another organization');
+  });
+});
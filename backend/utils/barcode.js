@@ -0,0 +1,137 @@
+/**
+ * Barcode helpers: EAN-13 check digits, in-store weighed-item barcodes and
+ * module patterns for drawing EAN-13 and Code-128 symbols. A pattern is a
+ * string of '1' (bar) and '0' (space) modules of equal width.
+ */
+
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_R = EAN_L.map(code => code.replace(/./g, bit => (bit === '1' ? '0' : '1')));
+const EAN_G = EAN_R.map(code => code.split('').reverse().join(''));
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Bar/space widths for Code-128 values 0-106 (103-105 are the start codes, 106 is stop)
+const CODE128_WIDTHS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+// Weighed items are labelled by the scale as 2F IIIII QQQQQ C: flag, item code, quantity in grams, check digit
+const WEIGHED_PREFIX = process.env.WEIGHED_BARCODE_PREFIX || '2';
+
+/**
+ * Compute the EAN-13 check digit
+ * @param {string} digits - First 12 digits
+ * @returns {number} Check digit
+ */
+const ean13CheckDigit = (digits) => {
+  const sum = digits
+    .slice(0, 12)
+    .split('')
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Check whether a code is a valid EAN-13
+ * @param {string} code - Scanned or stored code
+ * @returns {boolean} Whether the code is 13 digits with a correct check digit
+ */
+const isValidEan13 = (code) => /^\d{13}$/.test(code) && ean13CheckDigit(code) === Number(code[12]);
+
+/**
+ * Read the item code and quantity from a weighed-item barcode
+ * @param {string} code - Scanned code
+ * @returns {Object|null} `{ itemCode, quantity }` with quantity in kg, or null if not a weighed-item barcode
+ */
+const parseWeighedBarcode = (code) => {
+  if (!isValidEan13(code) || !code.startsWith(WEIGHED_PREFIX)) return null;
+
+  return {
+    itemCode: code.slice(2, 7),
+    quantity: Number(code.slice(7, 12)) / 1000
+  };
+};
+
+/**
+ * Module pattern for an EAN-13 symbol
+ * @param {string} code - 12 or 13 digits; the check digit is added when missing
+ * @returns {string} 95 modules
+ */
+const encodeEan13 = (code) => {
+  const digits = code.length === 12 ? `${code}${ean13CheckDigit(code)}` : code;
+  if (!isValidEan13(digits)) {
+    throw new Error(`Invalid EAN-13 code: ${code}`);
+  }
+
+  const parity = EAN_PARITY[Number(digits[0])];
+  const left = digits
+    .slice(1, 7)
+    .split('')
+    .map((digit, index) => (parity[index] === 'L' ? EAN_L : EAN_G)[Number(digit)])
+    .join('');
+  const right = digits
+    .slice(7)
+    .split('')
+    .map(digit => EAN_R[Number(digit)])
+    .join('');
+
+  return `101${left}01010${right}101`;
+};
+
+/**
+ * Module pattern for a Code-128 (code set B) symbol
+ * @param {string} text - Printable ASCII text
+ * @returns {string} Modules including start, check and stop characters
+ */
+const encodeCode128 = (text) => {
+  const values = String(text).split('').map(char => {
+    const value = char.charCodeAt(0) - 32;
+    if (value < 0 || value > 95) {
+      throw new Error(`Cannot encode character in Code-128: ${char}`);
+    }
+    return value;
+  });
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index + 1), CODE128_START_B) % 103;
+  const symbols = [CODE128_START_B, ...values, checksum, CODE128_STOP];
+
+  return symbols
+    .map(symbol => CODE128_WIDTHS[symbol]
+      .split('')
+      .map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width)))
+      .join(''))
+    .join('');
+};
+
+/**
+ * Pick the symbology for a code: EAN-13 for valid 13-digit codes, otherwise Code-128
+ * @param {string} code - Code to print
+ * @param {string} symbology - 'auto', 'ean13' or 'code128'
+ * @returns {Object} `{ symbology, modules }`
+ */
+const encode = (code, symbology = 'auto') => {
+  if (symbology === 'ean13' || (symbology === 'auto' && isValidEan13(code))) {
+    return { symbology: 'ean13', modules: encodeEan13(code) };
+  }
+  return { symbology: 'code128', modules: encodeCode128(code) };
+};
+
+module.exports = {
+  ean13CheckDigit,
+  isValidEan13,
+  parseWeighedBarcode,
+  encodeEan13,
+  encodeCode128,
+  encode
+};
@@ -0,0 +1,179 @@
+const { summarizeByRate } = require('./gst');
+
+/**
+ * Raw ESC/POS output for thermal receipt printers, for counters that print
+ * straight to the printer instead of through a PDF viewer. Text is plain
+ * ASCII in the printer's default font A.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Characters per line in font A for each roll width (mm)
+const COLUMNS = {
+  58: 32,
+  80: 48
+};
+
+const COMMANDS = {
+  init: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  doubleSize: [GS, 0x21, 0x11],
+  normalSize: [GS, 0x21, 0],
+  // Feed and partial cut
+  cut: [GS, 0x56, 0x42, 0x03]
+};
+
+const amount = (value) => Number(value || 0).toFixed(2);
+
+// The printer code page has no rupee sign or Indic characters
+const ascii = (text) => String(text)
+  .replace(/₹/g, 'Rs.')
+  .replace(/[^\x20-\x7e\n]/g, '?');
+
+/**
+ * Left and right text on one line, the left side truncated to fit
+ * @param {string} left - Left-aligned text
+ * @param {string} right - Right-aligned text
+ * @param {number} columns - Characters per line
+ * @returns {string} Padded line
+ */
+const columnsLine = (left, right, columns) => {
+  const space = columns - right.length - 1;
+  return `${left.slice(0, space).padEnd(space)} ${right}`;
+};
+
+/**
+ * Commands to print a UPI QR using the printer's own QR generator (GS ( k)
+ * @param {string} data - Content to encode
+ * @returns {Array} Command bytes
+ */
+const qrCommands = (data) => {
+  const bytes = Buffer.from(data, 'ascii');
+  const length = bytes.length + 3;
+
+  return [
+    // Model 2, module size 6, error correction M
+    GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0,
+    GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, 6,
+    GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31,
+    // Store, then print
+    GS, 0x28, 0x6b, length % 256, Math.floor(length / 256), 0x31, 0x50, 0x30, ...bytes,
+    GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30
+  ];
+};
+
+/**
+ * Build an ESC/POS job for an invoice receipt
+ * @param {Object} invoice - Invoice with customer populated
+ * @param {Object} company - Company details
+ * @param {Object} options - Print options
+ * @param {number} options.width - Roll width in mm (58 or 80)
+ * @param {string} options.upiLink - UPI payment link to print as a QR, if any
+ * @returns {Buffer} Bytes to send to the printer
+ */
+const generateReceipt = (invoice, company = {}, { width = 80, upiLink = null } = {}) => {
+  const columns = COLUMNS[width] || COLUMNS[80];
+  const rule = '-'.repeat(columns);
+  const chunks = [];
+
+  const command = (bytes) => chunks.push(Buffer.from(bytes));
+  const line = (text = '') => chunks.push(Buffer.from(`${ascii(text)}\n`, 'ascii'));
+  const pair = (left, right) => line(columnsLine(ascii(left), ascii(right), columns));
+
+  command(COMMANDS.init);
+
+  // Shop header
+  command(COMMANDS.alignCenter);
+  command(COMMANDS.boldOn);
+  command(COMMANDS.doubleSize);
+  line(company.name || '');
+  command(COMMANDS.normalSize);
+  command(COMMANDS.boldOff);
+  if (company.address) line(company.address);
+  if (company.phone) line(`Ph: ${company.phone}`);
+  if (company.gstin) line(`GSTIN: ${company.gstin}`);
+  line();
+  command(COMMANDS.boldOn);
+  line('TAX INVOICE');
+  command(COMMANDS.boldOff);
+
+  // Bill details
+  command(COMMANDS.alignLeft);
+  const invoiceDate = new Date(invoice.invoiceDate || invoice.createdAt);
+  pair(`Bill: ${invoice.invoiceNumber}`, invoiceDate.toLocaleDateString('en-GB'));
+  if (invoice.customer?.name) line(`Customer: ${invoice.customer.name}`);
+  if (invoice.customer?.gstin) line(`GSTIN: ${invoice.customer.gstin}`);
+  line(rule);
+
+  // Items: name on its own line, then quantity x rate and the line value
+  command(COMMANDS.boldOn);
+  pair('Item', 'Amount');
+  command(COMMANDS.boldOff);
+  invoice.items.forEach(item => {
+    line(item.name);
+    pair(`  ${item.quantity} ${item.unit || ''} x ${amount(item.price)}`, amount(item.taxableValue));
+    (item.promotions || []).forEach(promotion => pair(`  Saved: ${promotion.name}`, amount(promotion.amount)));
+    if (item.subsidy) pair(`  Subsidy (ID ..${item.subsidy.farmer.idMasked.slice(-4)})`, amount(item.subsidy.amount));
+  });
+  line(rule);
+
+  // Totals
+  pair('Taxable value', amount(invoice.subtotal));
+  if (invoice.discount > 0) pair('Discount', `-${amount(invoice.discount)}`);
+  if (invoice.cgstAmount > 0) pair('CGST', amount(invoice.cgstAmount));
+  if (invoice.sgstAmount > 0) pair('SGST', amount(invoice.sgstAmount));
+  if (invoice.igstAmount > 0) pair('IGST', amount(invoice.igstAmount));
+  if (invoice.roundOff) pair('Round off', amount(invoice.roundOff));
+  command(COMMANDS.boldOn);
+  pair('TOTAL Rs.', amount(invoice.finalTotal));
+  command(COMMANDS.boldOff);
+  if (invoice.tenders && invoice.tenders.length > 0) {
+    invoice.tenders.forEach(tender => {
+      pair(`Paid by ${tender.method.replace('_', ' ')}`, amount(tender.amount));
+      if (tender.change > 0) {
+        pair('  Cash tendered', amount(tender.tendered));
+        pair('  Change', amount(tender.change));
+      }
+    });
+  } else {
+    pair(`Paid (${invoice.paymentMethod})`, amount(invoice.paidAmount));
+  }
+  if (invoice.balanceDue > 0) pair('Balance due', amount(invoice.balanceDue));
+  line(rule);
+
+  // GST summary by rate
+  const interState = invoice.supplyType === 'inter_state';
+  command(COMMANDS.boldOn);
+  line('GST Summary');
+  command(COMMANDS.boldOff);
+  summarizeByRate(invoice.items).forEach(row => {
+    const tax = interState
+      ? `IGST ${amount(row.igstAmount)}`
+      : `C ${amount(row.cgstAmount)} S ${amount(row.sgstAmount)}`;
+    pair(`${row.rate}% on ${amount(row.taxableValue)}`, tax);
+  });
+  line(rule);
+
+  if (upiLink) {
+    command(COMMANDS.alignCenter);
+    line(`Scan to pay Rs.${amount(invoice.balanceDue)} by UPI`);
+    command(qrCommands(upiLink));
+    line(company.upiId || '');
+  }
+
+  command(COMMANDS.alignCenter);
+  line('Thank you! Visit again.');
+  line();
+  command(COMMANDS.cut);
+
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  COLUMNS,
+  generateReceipt
+};
@@ -0,0 +1,151 @@
+/**
+ * GST helpers for deciding place of supply and splitting tax into
+ * CGST/SGST (intra-state) or IGST (inter-state)
+ */
+
+// GST state codes as printed in the first two digits of a GSTIN
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Resolve a GST state code from a state name, a state code or a GSTIN
+ * @param {string} value - State name, two digit code or GSTIN
+ * @returns {string|null} Two digit state code
+ */
+const getStateCode = (value) => {
+  if (!value) return null;
+
+  const str = String(value).trim();
+  const prefix = str.slice(0, 2);
+  if (/^\d{2}/.test(str) && STATE_CODES[prefix]) {
+    return prefix;
+  }
+
+  const name = normalize(str);
+  const code = Object.keys(STATE_CODES).find(key => normalize(STATE_CODES[key]) === name);
+  return code || null;
+};
+
+/**
+ * Get the state name for a GST state code
+ * @param {string} code - Two digit state code
+ * @returns {string|null} State name
+ */
+const getStateName = (code) => STATE_CODES[code] || null;
+
+/**
+ * Determine the place of supply for a customer. The GSTIN state code wins
+ * over the billing address because it is what the return is filed against.
+ * @param {Object} customer - Customer document
+ * @returns {string|null} Two digit state code
+ */
+const getPlaceOfSupply = (customer = {}) => {
+  return getStateCode(customer.gstin) || getStateCode(customer.address?.state);
+};
+
+/**
+ * Round a tax figure to paise
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundTax = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Split GST on a taxable value into its CGST/SGST or IGST components
+ * @param {number} taxableValue - Value after discount
+ * @param {number} rate - Total GST rate in percent
+ * @param {boolean} interState - Whether the supply crosses state borders
+ * @returns {Object} Rates and amounts for each component
+ */
+const splitTax = (taxableValue, rate = 0, interState = false) => {
+  if (interState) {
+    return {
+      cgstRate: 0,
+      cgstAmount: 0,
+      sgstRate: 0,
+      sgstAmount: 0,
+      igstRate: rate,
+      igstAmount: roundTax((taxableValue * rate) / 100)
+    };
+  }
+
+  const halfRate = rate / 2;
+  const halfAmount = roundTax((taxableValue * halfRate) / 100);
+
+  return {
+    cgstRate: halfRate,
+    cgstAmount: halfAmount,
+    sgstRate: halfRate,
+    sgstAmount: halfAmount,
+    igstRate: 0,
+    igstAmount: 0
+  };
+};
+
+/**
+ * Summarise document lines by GST rate, as printed in the tax summary of a bill
+ * @param {Array} items - Lines with taxRate, taxableValue and tax component amounts
+ * @returns {Array} One row per rate, lowest rate first
+ */
+const summarizeByRate = (items = []) => {
+  const byRate = {};
+
+  items.forEach(item => {
+    const rate = item.taxRate || 0;
+    byRate[rate] = byRate[rate] || { rate, taxableValue: 0, cgstAmount: 0, sgstAmount: 0, igstAmount: 0 };
+    byRate[rate].taxableValue = roundTax(byRate[rate].taxableValue + (item.taxableValue || 0));
+    byRate[rate].cgstAmount = roundTax(byRate[rate].cgstAmount + (item.cgstAmount || 0));
+    byRate[rate].sgstAmount = roundTax(byRate[rate].sgstAmount + (item.sgstAmount || 0));
+    byRate[rate].igstAmount = roundTax(byRate[rate].igstAmount + (item.igstAmount || 0));
+  });
+
+  return Object.values(byRate).sort((a, b) => a.rate - b.rate);
+};
+
+module.exports = {
+  STATE_CODES,
+  getStateCode,
+  getStateName,
+  getPlaceOfSupply,
+  roundTax,
+  splitTax,
+  summarizeByRate
+};
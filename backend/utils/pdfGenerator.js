@@ -1,8 +1,5 @@
 const PDFDocument = require('pdfkit');
-const fs = require('fs').promises;
-const path = require('path');
 // const { format } = require('date-fns'); // Replaced with local function
-const { v4: uuidv4 } = require('uuid');
 
 // Simple date format function
 const format = (date, pattern) => {
@@ -13,93 +10,695 @@ const format = (date, pattern) => {
 };
 const logger = require('./logger');
 const { InternalServerError } = require('./errorResponse');
+const { getStateName, summarizeByRate } = require('./gst');
+const barcode = require('./barcode');
+
+// Thermal roll widths in points (1mm = 2.835pt) and the printable margin each side
+const THERMAL_PAPER = {
+  58: { width: 164, margin: 8 },
+  80: { width: 227, margin: 10 }
+};
 
 class PDFGenerator {
   constructor() {
-    this.doc = new PDFDocument({ size: 'A4', margin: 50 });
-    this.chunks = [];
-    this.fileName = `document-${uuidv4()}.pdf`;
-    this.filePath = path.join(__dirname, '../temp', this.fileName);
-    
-    // Ensure temp directory exists
-    this.ensureTempDirectory();
+    this.doc = null;
   }
 
   /**
-   * Ensure the temp directory exists
+   * Render a document into an in-memory buffer
+   * @param {Function} build - Receives the PDF document and draws on it
+   * @param {Object} options - PDFKit document options
+   * @returns {Promise<Buffer>} - PDF buffer
    */
-  async ensureTempDirectory() {
-    const tempDir = path.join(__dirname, '../temp');
-    try {
-      await fs.mkdir(tempDir, { recursive: true });
-    } catch (error) {
-      logger.error('Error creating temp directory:', error);
-      throw new InternalServerError('Failed to create temporary directory');
-    }
+  render(build, options = { size: 'A4', margin: 50 }) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument(options);
+        const chunks = [];
+
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', (error) => {
+          logger.error('Error writing PDF:', error);
+          reject(new InternalServerError('Failed to generate PDF'));
+        });
+
+        this.doc = doc;
+        build(doc);
+        doc.end();
+      } catch (error) {
+        logger.error('Error generating PDF:', error);
+        reject(new InternalServerError('Failed to generate PDF'));
+      }
+    });
   }
 
   /**
    * Generate an invoice PDF
    * @param {Object} invoice - Invoice data
    * @param {Object} company - Company details
+   * @param {Object} options - Print options
+   * @param {Buffer} options.upiQr - PNG of a UPI payment QR to print, if any
    * @returns {Promise<Buffer>} - PDF buffer
    */
-  async generateInvoice(invoice, company = {}) {
-    return new Promise((resolve, reject) => {
-      try {
-        const writeStream = fs.createWriteStream(this.filePath);
-        
-        // Handle PDF events
-        this.doc.on('data', (chunk) => this.chunks.push(chunk));
-        
-        this.doc.pipe(writeStream);
-        
-        // Add header
-        this.addHeader(company);
-        
-        // Add customer information
-        this.addCustomerInfo(invoice.customer, invoice.invoiceNumber, invoice.date, invoice.dueDate);
-        
-        // Add invoice items table
-        this.addInvoiceTable(invoice.items);
-        
-        // Add invoice totals
-        this.addInvoiceTotals(invoice);
-        
-        // Add footer
-        this.addFooter(company);
-        
-        // Finalize the PDF
-        this.doc.end();
-        
-        // When PDF generation is complete
-        writeStream.on('finish', async () => {
-          try {
-            // Read the generated file
-            const pdfBuffer = await fs.readFile(this.filePath);
-            
-            // Clean up the temporary file
-            await fs.unlink(this.filePath);
-            
-            resolve(pdfBuffer);
-          } catch (error) {
-            logger.error('Error reading generated PDF:', error);
-            reject(new InternalServerError('Failed to generate PDF'));
-          }
+  async generateInvoice(invoice, company = {}, { upiQr = null } = {}) {
+    return this.render(() => {
+      // Add header
+      this.addHeader(company);
+
+      // Add customer information
+      this.addCustomerInfo(
+        invoice.customer,
+        invoice.invoiceNumber,
+        invoice.invoiceDate || invoice.createdAt,
+        invoice.dueDate,
+        invoice.placeOfSupply
+      );
+
+      // Add invoice items table
+      this.addInvoiceTable(invoice.items, invoice.supplyType === 'inter_state');
+
+      // Add promotions and subsidies given on the lines
+      this.addPromotionLines(invoice.items);
+      this.addSubsidyLines(invoice.items);
+
+      // Add invoice totals
+      this.addInvoiceTotals(invoice);
+
+      // Add payment QR for the balance due
+      if (upiQr) {
+        this.addUpiQr(upiQr, invoice, company);
+      }
+
+      // Add footer
+      this.addFooter(company);
+    });
+  }
+
+  /**
+   * Generate a credit note PDF
+   * @param {Object} creditNote - Credit note data
+   * @param {Object} company - Company details
+   * @returns {Promise<Buffer>} - PDF buffer
+   */
+  async generateCreditNote(creditNote, company = {}) {
+    return this.render(() => {
+      this.addHeader(company);
+
+      this.addCustomerInfo(
+        creditNote.customer,
+        creditNote.creditNoteNumber,
+        creditNote.creditNoteDate || creditNote.createdAt,
+        null,
+        creditNote.placeOfSupply,
+        {
+          title: 'CREDIT NOTE',
+          numberLabel: 'Credit Note #',
+          reference: `Against Invoice: ${creditNote.invoiceNumber}`
+        }
+      );
+
+      this.addInvoiceTable(creditNote.items, creditNote.supplyType === 'inter_state');
+      this.addInvoiceTotals(creditNote);
+
+      this.addFooter({
+        ...company,
+        footer: `Reason for return: ${creditNote.reason}`
+      });
+    });
+  }
+
+  /**
+   * Generate an estimate (quotation) PDF
+   * @param {Object} estimate - Estimate data
+   * @param {Object} company - Company details
+   * @returns {Promise<Buffer>} - PDF buffer
+   */
+  async generateEstimate(estimate, company = {}) {
+    return this.render(() => {
+      this.addHeader(company);
+
+      this.addCustomerInfo(
+        estimate.customer,
+        estimate.estimateNumber,
+        estimate.estimateDate || estimate.createdAt,
+        null,
+        estimate.placeOfSupply,
+        {
+          title: 'ESTIMATE',
+          numberLabel: 'Estimate #',
+          reference: `Valid Until: ${format(new Date(estimate.validUntil), 'dd/MM/yyyy')}`
+        }
+      );
+
+      this.addInvoiceTable(estimate.items, estimate.supplyType === 'inter_state');
+      this.addInvoiceTotals(estimate);
+
+      this.addFooter({
+        ...company,
+        footer: estimate.terms || 'This is an estimate, not a tax invoice. Prices and stock are subject to availability.'
+      });
+    });
+  }
+
+  /**
+   * Generate a payment receipt PDF
+   * @param {Object} payment - Payment data
+   * @param {Object} company - Company details
+   * @returns {Promise<Buffer>} - PDF buffer
+   */
+  async generateReceipt(payment, company = {}) {
+    return this.render(() => {
+      this.addHeader(company);
+
+      const customer = payment.customer || {};
+      this.doc
+        .fontSize(20)
+        .text(payment.status === 'reversed' ? 'PAYMENT RECEIPT (REVERSED)' : 'PAYMENT RECEIPT', 50, 160)
+        .fontSize(10)
+        .text(`Receipt #: ${payment.receiptNumber}`, 50, 200)
+        .text(`Date: ${format(new Date(payment.paymentDate), 'dd/MM/yyyy')}`, 50, 215)
+        .text(`Mode: ${payment.paymentMethod.replace('_', ' ').toUpperCase()}`, 50, 230);
+
+      if (payment.reference) {
+        this.doc.text(`Reference: ${payment.reference}`, 50, 245);
+      }
+
+      this.doc
+        .text('Received From:', 350, 160)
+        .font('Helvetica-Bold')
+        .text(customer.name || '', 350, 180)
+        .font('Helvetica')
+        .text(this.formatAddress(customer.address), 350, 195, { width: 200 })
+        .text(`Phone: ${customer.phone || 'N/A'}`, 350, 230);
+
+      this.doc.moveTo(50, 280).lineTo(550, 280).stroke();
+
+      // Invoices settled by this payment
+      this.doc
+        .font('Helvetica-Bold')
+        .text('Invoice', 50, 300)
+        .text('Amount Applied', 400, 300, { width: 150, align: 'right' });
+
+      let y = 320;
+      this.doc.font('Helvetica');
+      payment.allocations.forEach(allocation => {
+        this.doc
+          .text(allocation.invoiceNumber, 50, y)
+          .text(this.formatCurrency(allocation.amount), 400, y, { width: 150, align: 'right' });
+        y += 20;
+      });
+
+      if (payment.unallocatedAmount > 0) {
+        this.doc
+          .text('Advance (not yet applied)', 50, y)
+          .text(this.formatCurrency(payment.unallocatedAmount), 400, y, { width: 150, align: 'right' });
+        y += 20;
+      }
+
+      this.doc.moveTo(50, y).lineTo(550, y).stroke();
+
+      y += 15;
+      this.doc
+        .font('Helvetica-Bold')
+        .text('Amount Received:', 300, y, { width: 150, align: 'right' })
+        .font('Helvetica')
+        .text(this.formatCurrency(payment.amount), 460, y, { width: 90, align: 'right' });
+
+      y += 30;
+      this.doc
+        .text('Amount in words:', 50, y)
+        .font('Helvetica-Oblique')
+        .text(this.numberToWords(payment.amount) + ' Rupees Only', 50, y + 15, { width: 500 })
+        .font('Helvetica');
+
+      this.addFooter({
+        ...company,
+        footer: 'This is a computer-generated receipt. No signature required.'
+      });
+    });
+  }
+
+  /**
+   * Generate a customer statement of account PDF
+   * @param {Object} statement - Statement built by the statement service
+   * @param {Object} company - Company details
+   * @returns {Promise<Buffer>} - PDF buffer
+   */
+  async generateStatement(statement, company = {}) {
+    return this.render(() => {
+      this.addHeader(company);
+
+      const { customer, period } = statement;
+      this.doc
+        .fontSize(20)
+        .text('STATEMENT OF ACCOUNT', 50, 160)
+        .fontSize(10)
+        .text(`Period: ${format(new Date(period.start), 'dd/MM/yyyy')} to ${format(new Date(period.end), 'dd/MM/yyyy')}`, 50, 200)
+        .text(`Generated: ${format(new Date(statement.generatedAt), 'dd/MM/yyyy')}`, 50, 215);
+
+      this.doc
+        .text('Account:', 350, 160)
+        .font('Helvetica-Bold')
+        .text(customer.name, 350, 180)
+        .font('Helvetica')
+        .text(this.formatAddress(customer.address), 350, 195, { width: 200 })
+        .text(`Phone: ${customer.phone || 'N/A'}`, 350, 230);
+
+      this.doc.moveTo(50, 260).lineTo(550, 260).stroke();
+
+      const columns = (y) => ({
+        date: [50, y, { width: 60 }],
+        reference: [112, y, { width: 110 }],
+        description: [224, y, { width: 120 }],
+        debit: [346, y, { width: 65, align: 'right' }],
+        credit: [413, y, { width: 65, align: 'right' }],
+        balance: [480, y, { width: 70, align: 'right' }]
+      });
+
+      const row = (y, values, bold = false) => {
+        const cols = columns(y);
+        this.doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        Object.keys(cols).forEach(key => {
+          const [x, top, options] = cols[key];
+          this.doc.text(values[key] || '', x, top, options);
         });
-        
-        writeStream.on('error', (error) => {
-          logger.error('Error writing PDF to file:', error);
-          reject(new InternalServerError('Failed to generate PDF'));
+      };
+
+      // A positive balance is owed by the customer (Dr), a negative one is an advance (Cr)
+      const balanceText = (amount) => `${this.formatCurrency(Math.abs(amount))} ${amount < 0 ? 'Cr' : 'Dr'}`;
+
+      row(275, {
+        date: 'Date', reference: 'Reference', description: 'Particulars',
+        debit: 'Debit', credit: 'Credit', balance: 'Balance'
+      }, true);
+
+      let y = 295;
+      row(y, {
+        date: format(new Date(period.start), 'dd/MM/yyyy'),
+        description: 'Opening balance',
+        balance: balanceText(statement.openingBalance)
+      });
+
+      statement.entries.forEach(entry => {
+        y += 18;
+        if (y > 720) {
+          this.doc.addPage();
+          y = 60;
+        }
+
+        row(y, {
+          date: format(new Date(entry.date), 'dd/MM/yyyy'),
+          reference: entry.reference,
+          description: entry.description,
+          debit: entry.debit ? this.formatCurrency(entry.debit) : '',
+          credit: entry.credit ? this.formatCurrency(entry.credit) : '',
+          balance: balanceText(entry.balance)
         });
-        
-      } catch (error) {
-        logger.error('Error generating PDF:', error);
-        reject(new InternalServerError('Failed to generate PDF'));
+      });
+
+      y += 20;
+      this.doc.moveTo(50, y - 4).lineTo(550, y - 4).stroke();
+      row(y, {
+        description: 'Total',
+        debit: this.formatCurrency(statement.totals.debit),
+        credit: this.formatCurrency(statement.totals.credit)
+      }, true);
+
+      y += 18;
+      row(y, {
+        description: 'Closing balance',
+        balance: balanceText(statement.closingBalance)
+      }, true);
+
+      if (statement.interest && statement.interest.total > 0) {
+        statement.interest.invoices.forEach(line => {
+          y += 18;
+          row(y, {
+            date: format(new Date(line.dueDate), 'dd/MM/yyyy'),
+            reference: line.invoiceNumber,
+            description: `Interest @ ${line.monthlyInterestRate}% p.m.`,
+            debit: this.formatCurrency(line.interest)
+          });
+        });
+
+        y += 18;
+        row(y, {
+          description: 'Total due incl. interest',
+          balance: balanceText(statement.totalDue)
+        }, true);
       }
+
+      this.doc.font('Helvetica').fontSize(10);
+      this.addFooter({
+        ...company,
+        footer: 'Please report any discrepancy within 7 days of receiving this statement.'
+      });
     });
   }
 
+  /**
+   * Generate a compact receipt for a 58mm or 80mm thermal printer
+   * @param {Object} invoice - Invoice data
+   * @param {Object} company - Company details
+   * @param {Object} options - Print options
+   * @param {number} options.width - Roll width in mm (58 or 80)
+   * @param {Buffer} options.upiQr - PNG of a UPI payment QR to print, if any
+   * @returns {Promise<Buffer>} - PDF buffer
+   */
+  async generateThermalReceipt(invoice, company = {}, { width = 80, upiQr = null } = {}) {
+    return this.renderThermal(width, (paper) => this.addThermalReceipt(invoice, company, paper, upiQr));
+  }
+
+  /**
+   * Render on a thermal roll, sized to the content
+   * @param {number} width - Roll width in mm (58 or 80)
+   * @param {Function} draw - Receives the paper and returns the Y position after the last line
+   * @returns {Promise<Buffer>} - PDF buffer
+   */
+  async renderThermal(width, draw) {
+    const paper = THERMAL_PAPER[width] || THERMAL_PAPER[80];
+
+    // A roll has no fixed page length, so lay the content out once to measure it
+    let height = 0;
+    await this.render(() => {
+      height = draw(paper);
+    }, { size: [paper.width, 10000], margin: paper.margin });
+
+    return this.render(() => {
+      draw(paper);
+    }, { size: [paper.width, Math.ceil(height) + paper.margin], margin: paper.margin });
+  }
+
+  /**
+   * Line helpers for drawing on a thermal roll
+   * @param {Object} paper - Page width and margin in points
+   * @returns {Object} `{ x, width, small, rule, pair }`
+   */
+  thermalLayout(paper) {
+    const doc = this.doc;
+    const x = paper.margin;
+    const width = paper.width - paper.margin * 2;
+    const small = paper.width < THERMAL_PAPER[80].width ? 6.5 : 7.5;
+
+    const rule = () => {
+      doc.moveDown(0.3);
+      doc.moveTo(x, doc.y).lineTo(x + width, doc.y).dash(2, { space: 2 }).stroke().undash();
+      doc.moveDown(0.3);
+    };
+    const pair = (left, right, bold = false) => {
+      const y = doc.y;
+      doc
+        .font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(right, x, y, { width, align: 'right' });
+      const after = doc.y;
+      doc.text(left, x, y, { width: width * 0.6 });
+      doc.y = Math.max(after, doc.y);
+      doc.font('Helvetica');
+    };
+
+    return { x, width, small, rule, pair };
+  }
+
+  /**
+   * Draw a thermal receipt on the current page
+   * @param {Object} invoice - Invoice data
+   * @param {Object} company - Company details
+   * @param {Object} paper - Page width and margin in points
+   * @param {Buffer} upiQr - PNG of a UPI payment QR, if any
+   * @returns {number} Y position after the last line
+   */
+  addThermalReceipt(invoice, company, paper, upiQr) {
+    const doc = this.doc;
+    const { x, width, small, rule, pair } = this.thermalLayout(paper);
+
+    // Shop header
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(small + 3)
+      .text(company.name || '', x, paper.margin, { width, align: 'center' })
+      .font('Helvetica')
+      .fontSize(small);
+    [company.address, company.phone && `Ph: ${company.phone}`, company.gstin && `GSTIN: ${company.gstin}`]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, { width, align: 'center' }));
+
+    doc
+      .moveDown(0.5)
+      .font('Helvetica-Bold')
+      .text('TAX INVOICE', { width, align: 'center' })
+      .font('Helvetica')
+      .moveDown(0.3);
+
+    pair(`Bill: ${invoice.invoiceNumber}`, format(new Date(invoice.invoiceDate || invoice.createdAt), 'dd/MM/yyyy'));
+    if (invoice.customer?.name) doc.text(`Customer: ${invoice.customer.name}`, x, doc.y, { width });
+    if (invoice.customer?.gstin) doc.text(`GSTIN: ${invoice.customer.gstin}`, x, doc.y, { width });
+    rule();
+
+    // Items: name on its own line, then quantity x rate and the line value
+    pair('Item', 'Amount', true);
+    invoice.items.forEach(item => {
+      doc.text(item.name, x, doc.y, { width });
+      pair(`  ${item.quantity} ${item.unit || ''} x ${item.price.toFixed(2)}`, (item.taxableValue || 0).toFixed(2));
+      (item.promotions || []).forEach(promotion => pair(`  Saved: ${promotion.name}`, promotion.amount.toFixed(2)));
+      if (item.subsidy) pair(`  Subsidy (ID ..${item.subsidy.farmer.idMasked.slice(-4)})`, item.subsidy.amount.toFixed(2));
+    });
+    rule();
+
+    // Totals
+    pair('Taxable value', this.formatCurrency(invoice.subtotal));
+    if (invoice.discount > 0) pair('Discount', `-${this.formatCurrency(invoice.discount)}`);
+    [['CGST', invoice.cgstAmount], ['SGST', invoice.sgstAmount], ['IGST', invoice.igstAmount]]
+      .filter(([, amount]) => amount > 0)
+      .forEach(([label, amount]) => pair(label, this.formatCurrency(amount)));
+    if (invoice.roundOff) pair('Round off', invoice.roundOff.toFixed(2));
+    doc.fontSize(small + 2);
+    pair('TOTAL', this.formatCurrency(invoice.finalTotal), true);
+    doc.fontSize(small);
+    if (invoice.tenders && invoice.tenders.length > 0) {
+      invoice.tenders.forEach(tender => {
+        pair(`Paid by ${tender.method.replace('_', ' ')}`, this.formatCurrency(tender.amount));
+        if (tender.change > 0) {
+          pair('  Cash tendered', this.formatCurrency(tender.tendered));
+          pair('  Change', this.formatCurrency(tender.change));
+        }
+      });
+    } else {
+      pair(`Paid (${invoice.paymentMethod.replace('_', ' ')})`, this.formatCurrency(invoice.paidAmount || 0));
+    }
+    if (invoice.balanceDue > 0) pair('Balance due', this.formatCurrency(invoice.balanceDue), true);
+    rule();
+
+    // GST summary by rate
+    const interState = invoice.supplyType === 'inter_state';
+    const columns = interState ? ['Rate', 'Taxable', 'IGST'] : ['Rate', 'Taxable', 'CGST', 'SGST'];
+    const columnWidth = width / columns.length;
+    const row = (cells, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      cells.forEach((cell, index) => {
+        doc.text(cell, x + index * columnWidth, y, { width: columnWidth, align: index === 0 ? 'left' : 'right' });
+      });
+      doc.font('Helvetica');
+    };
+
+    doc.font('Helvetica-Bold').text('GST Summary', x, doc.y, { width }).font('Helvetica');
+    row(columns, true);
+    summarizeByRate(invoice.items).forEach(summary => {
+      row([
+        `${summary.rate}%`,
+        summary.taxableValue.toFixed(2),
+        ...(interState
+          ? [summary.igstAmount.toFixed(2)]
+          : [summary.cgstAmount.toFixed(2), summary.sgstAmount.toFixed(2)])
+      ]);
+    });
+    rule();
+
+    if (upiQr) {
+      const size = Math.min(width, 120);
+      doc.text(`Scan to pay ${this.formatCurrency(invoice.balanceDue)} by UPI`, x, doc.y, { width, align: 'center' });
+      doc.image(upiQr, x + (width - size) / 2, doc.y + 4, { width: size });
+      doc.y += size + 8;
+      if (company.upiId) doc.text(company.upiId, x, doc.y, { width, align: 'center' });
+    }
+
+    doc.moveDown(0.5).text('Thank you! Visit again.', x, doc.y, { width, align: 'center' });
+
+    return doc.y;
+  }
+
+  /**
+   * Generate a shift close (Z) report for a thermal printer
+   * @param {Object} shift - Closed shift with `cashier` populated and its frozen `report`
+   * @param {Object} company - Company details
+   * @param {Object} options - Print options
+   * @param {number} options.width - Roll width in mm (58 or 80)
+   * @returns {Promise<Buffer>} - PDF buffer
+   */
+  async generateZReport(shift, company = {}, { width = 80 } = {}) {
+    return this.renderThermal(width, (paper) => {
+      const doc = this.doc;
+      const { x, width: lineWidth, small, rule, pair } = this.thermalLayout(paper);
+      const { report } = shift;
+      const dateTime = (date) => new Date(date).toLocaleString('en-IN', { dateStyle: 'short', timeStyle: 'short' });
+      const label = (method) => method.replace('_', ' ');
+
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(small + 3)
+        .text(company.name || '', x, paper.margin, { width: lineWidth, align: 'center' })
+        .fontSize(small + 1)
+        .text('Z-REPORT (SHIFT CLOSE)', { width: lineWidth, align: 'center' })
+        .font('Helvetica')
+        .fontSize(small)
+        .moveDown(0.3);
+
+      pair('Cashier', shift.cashier?.name || '');
+      pair('Opened', dateTime(shift.openedAt));
+      pair('Closed', dateTime(shift.closedAt));
+      rule();
+
+      // Sales
+      pair('Bills', String(report.sales.invoices));
+      pair('Gross sales', this.formatCurrency(report.sales.total), true);
+      pair('GST', this.formatCurrency(report.sales.tax));
+      if (report.sales.discount > 0) pair('Discount', this.formatCurrency(report.sales.discount));
+      rule();
+
+      // Takings by tender, then money collected on earlier bills and refunded on returns
+      pair('Tender', 'Amount', true);
+      report.tenders
+        .filter(row => row.count > 0)
+        .forEach(row => pair(`${label(row.method)} (${row.count})`, this.formatCurrency(row.amount)));
+      pair('On credit', this.formatCurrency(report.credit));
+      if (report.collections.some(row => row.count > 0)) {
+        doc.moveDown(0.3);
+        pair('Collections', '', true);
+        report.collections
+          .filter(row => row.count > 0)
+          .forEach(row => pair(`${label(row.method)} (${row.count})`, this.formatCurrency(row.amount)));
+      }
+      if (report.refunds?.some(row => row.count > 0)) {
+        doc.moveDown(0.3);
+        pair('Refunds', '', true);
+        report.refunds
+          .filter(row => row.count > 0)
+          .forEach(row => pair(`${label(row.method)} (${row.count})`, this.formatCurrency(row.amount)));
+      }
+      rule();
+
+      // Drawer reconciliation
+      const { drawer } = report;
+      pair('Cash drawer', '', true);
+      pair('Opening float', this.formatCurrency(drawer.openingFloat));
+      pair('+ Cash sales', this.formatCurrency(drawer.cashSales));
+      if (drawer.cashCollections > 0) pair('+ Cash collections', this.formatCurrency(drawer.cashCollections));
+      if (drawer.cashRefunds > 0) pair('- Cash refunds', this.formatCurrency(drawer.cashRefunds));
+      if (drawer.cashIn > 0) pair('+ Cash in', this.formatCurrency(drawer.cashIn));
+      if (drawer.cashOut > 0) pair('- Cash out', this.formatCurrency(drawer.cashOut));
+      if (drawer.cashExpenses > 0) pair('- Cash expenses', this.formatCurrency(drawer.cashExpenses));
+      pair('Expected', this.formatCurrency(drawer.expectedCash), true);
+      pair('Counted', this.formatCurrency(drawer.countedCash), true);
+      doc.fontSize(small + 2);
+      pair(drawer.variance < 0 ? 'SHORT' : drawer.variance > 0 ? 'OVER' : 'VARIANCE', this.formatCurrency(Math.abs(drawer.variance)), true);
+      doc.fontSize(small);
+
+      if (report.movements.length > 0) {
+        rule();
+        pair('Cash movements', '', true);
+        report.movements.forEach(movement => {
+          pair(`${movement.type === 'in' ? '+' : '-'} ${movement.reason}`, this.formatCurrency(movement.amount));
+        });
+      }
+
+      if (shift.notes) {
+        rule();
+        doc.text(shift.notes, x, doc.y, { width: lineWidth });
+      }
+
+      doc.moveDown(1.5).text('Cashier signature: ____________', x, doc.y, { width: lineWidth });
+      doc.moveDown(1).text('Manager signature: ____________', x, doc.y, { width: lineWidth });
+
+      return doc.y;
+    });
+  }
+
+  /**
+   * Generate a sheet of barcode labels (3 x 8 per A4 page)
+   * @param {Array} labels - [{ name, code, price, expiryDate, symbology }], one entry per label
+   * @param {Object} company - Company details
+   * @returns {Promise<Buffer>} - PDF buffer
+   */
+  async generateLabels(labels, company = {}) {
+    const columns = 3;
+    const rows = 8;
+    const margin = 20;
+
+    return this.render((doc) => {
+      const width = (doc.page.width - margin * 2) / columns;
+      const height = (doc.page.height - margin * 2) / rows;
+
+      labels.forEach((label, index) => {
+        const position = index % (columns * rows);
+        if (index > 0 && position === 0) {
+          doc.addPage();
+        }
+
+        const x = margin + (position % columns) * width;
+        const y = margin + Math.floor(position / columns) * height;
+        const inner = width - 16;
+
+        doc
+          .fontSize(7)
+          .font('Helvetica')
+          .text(company.name || '', x + 8, y + 6, { width: inner, lineBreak: false, ellipsis: true })
+          .fontSize(9)
+          .font('Helvetica-Bold')
+          .text(label.name, x + 8, y + 16, { width: inner, lineBreak: false, ellipsis: true })
+          .font('Helvetica');
+
+        const { modules } = barcode.encode(label.code, label.symbology);
+        this.addBarcode(modules, x + 8, y + 30, inner, height - 62);
+
+        doc
+          .fontSize(7)
+          .text(label.code, x + 8, y + height - 30, { width: inner, align: 'center' })
+          .fontSize(8)
+          .font('Helvetica-Bold')
+          .text(`MRP ${this.formatCurrency(label.price)}`, x + 8, y + height - 19, { width: inner / 2, lineBreak: false })
+          .font('Helvetica')
+          .text(
+            label.expiryDate ? `Exp: ${format(new Date(label.expiryDate), 'dd/MM/yyyy')}` : '',
+            x + 8 + inner / 2, y + height - 19, { width: inner / 2, align: 'right', lineBreak: false }
+          );
+      });
+    }, { size: 'A4', margin: 0 });
+  }
+
+  /**
+   * Draw a barcode from its module pattern, centred in the given box
+   * @param {string} modules - '1' for bar and '0' for space modules
+   * @param {number} x - Left of the box
+   * @param {number} y - Top of the box
+   * @param {number} width - Width of the box
+   * @param {number} height - Bar height
+   */
+  addBarcode(modules, x, y, width, height) {
+    const moduleWidth = Math.min(1.5, width / modules.length);
+    const left = x + (width - moduleWidth * modules.length) / 2;
+
+    let start = -1;
+    for (let i = 0; i <= modules.length; i++) {
+      if (modules[i] === '1' && start < 0) {
+        start = i;
+      } else if (modules[i] !== '1' && start >= 0) {
+        this.doc.rect(left + start * moduleWidth, y, (i - start) * moduleWidth, height).fill('#000000');
+        start = -1;
+      }
+    }
+  }
+
   /**
    * Add header to the PDF
    * @param {Object} company - Company details
@@ -129,16 +728,24 @@ class PDFGenerator {
    * @param {string} invoiceNumber - Invoice number
    * @param {Date} invoiceDate - Invoice date
    * @param {Date} dueDate - Due date
+   * @param {string} placeOfSupply - GST state code of the place of supply
+   * @param {Object} document - Title, number label and reference line for other document types
    */
-  addCustomerInfo(customer, invoiceNumber, invoiceDate, dueDate) {
+  addCustomerInfo(customer, invoiceNumber, invoiceDate, dueDate, placeOfSupply, document = {}) {
+    const { title = 'TAX INVOICE', numberLabel = 'Invoice #', reference } = document;
+
     // Invoice info
     this.doc
       .fontSize(20)
-      .text('INVOICE', 50, 160)
+      .text(title, 50, 160)
       .fontSize(10)
-      .text(`Invoice #: ${invoiceNumber}`, 50, 200)
+      .text(`${numberLabel}: ${invoiceNumber}`, 50, 200)
       .text(`Date: ${format(new Date(invoiceDate), 'dd/MM/yyyy')}`, 50, 215)
-      .text(`Due Date: ${format(new Date(dueDate), 'dd/MM/yyyy')}`, 50, 230);
+      .text(reference || `Due Date: ${format(new Date(dueDate), 'dd/MM/yyyy')}`, 50, 230);
+
+    if (placeOfSupply) {
+      this.doc.text(`Place of Supply: ${placeOfSupply} - ${getStateName(placeOfSupply) || ''}`, 50, 245);
+    }
     
     // Customer info
     this.doc
@@ -147,7 +754,7 @@ class PDFGenerator {
       .font('Helvetica-Bold')
       .text(customer.name, 350, 180)
       .font('Helvetica')
-      .text(customer.address, 350, 195, { width: 200 })
+      .text(this.formatAddress(customer.address), 350, 195, { width: 200 })
       .text(`Phone: ${customer.phone}`, 350, 230)
       .text(`Email: ${customer.email || 'N/A'}`, 350, 245);
     
@@ -162,18 +769,20 @@ class PDFGenerator {
   /**
    * Add invoice items table to the PDF
    * @param {Array} items - Invoice items
+   * @param {boolean} interState - Whether IGST applies instead of CGST + SGST
    */
-  addInvoiceTable(items) {
+  addInvoiceTable(items, interState = false) {
     // Table header
     this.doc
       .font('Helvetica-Bold')
       .fontSize(10)
       .text('Description', 50, 300)
-      .text('HSN', 200, 300, { width: 60, align: 'right' })
-      .text('Qty', 270, 300, { width: 50, align: 'right' })
-      .text('Rate', 330, 300, { width: 60, align: 'right' })
-      .text('Tax %', 400, 300, { width: 50, align: 'right' })
-      .text('Amount', 460, 300, { width: 90, align: 'right' });
+      .text('HSN', 180, 300, { width: 50, align: 'right' })
+      .text('Qty', 235, 300, { width: 35, align: 'right' })
+      .text('Rate', 275, 300, { width: 55, align: 'right' })
+      .text('Taxable', 335, 300, { width: 60, align: 'right' })
+      .text(interState ? 'IGST' : 'CGST/SGST', 400, 300, { width: 65, align: 'right' })
+      .text('Amount', 470, 300, { width: 80, align: 'right' });
     
     // Table rows
     let y = 320;
@@ -185,14 +794,19 @@ class PDFGenerator {
         this.doc.moveTo(50, y - 10).lineTo(550, y - 10).stroke();
         y += 10;
       }
+
+      const tax = interState
+        ? `${item.igstRate}%`
+        : `${item.cgstRate}%+${item.sgstRate}%`;
       
       this.doc
-        .text(item.description, 50, y, { width: 140, lineGap: 5 })
-        .text(item.hsn || 'N/A', 200, y, { width: 60, align: 'right' })
-        .text(item.quantity.toString(), 270, y, { width: 50, align: 'right' })
-        .text(this.formatCurrency(item.rate), 330, y, { width: 60, align: 'right' })
-        .text(`${item.taxRate}%`, 400, y, { width: 50, align: 'right' })
-        .text(this.formatCurrency(item.amount), 460, y, { width: 90, align: 'right' });
+        .text(item.name, 50, y, { width: 125, lineGap: 5 })
+        .text(item.hsnCode || 'N/A', 180, y, { width: 50, align: 'right' })
+        .text(item.quantity.toString(), 235, y, { width: 35, align: 'right' })
+        .text(this.formatCurrency(item.price), 275, y, { width: 55, align: 'right' })
+        .text(this.formatCurrency(item.taxableValue), 335, y, { width: 60, align: 'right' })
+        .text(tax, 400, y, { width: 65, align: 'right' })
+        .text(this.formatCurrency(item.total), 470, y, { width: 80, align: 'right' });
       
       y += 20;
       
@@ -207,21 +821,90 @@ class PDFGenerator {
     this.doc.moveTo(50, y).lineTo(550, y).stroke();
   }
 
+  /**
+   * List the promotions given on each line; their amounts are already out of the taxable values
+   * @param {Array} items - Invoice items
+   */
+  addPromotionLines(items) {
+    const lines = items.flatMap(item => (item.promotions || []).map(promotion => ({ item, promotion })));
+    if (lines.length === 0) return;
+
+    let y = this.doc.y + 20;
+    this.doc
+      .font('Helvetica-Bold')
+      .fontSize(10)
+      .text('Promotions & Subsidies (already deducted)', 50, y);
+    this.doc.font('Helvetica').fontSize(9);
+
+    lines.forEach(({ item, promotion }) => {
+      y += 15;
+      if (y > 700) {
+        this.doc.addPage();
+        y = 100;
+      }
+
+      const details = [
+        promotion.freeQuantity && `${promotion.freeQuantity} free`,
+        promotion.schemeReference
+      ].filter(Boolean).join(', ');
+
+      this.doc
+        .text(`${item.name}: ${promotion.name}${details ? ` (${details})` : ''}`, 50, y, { width: 400 })
+        .text(this.formatCurrency(promotion.amount), 470, y, { width: 80, align: 'right' });
+    });
+
+    this.doc.fontSize(10);
+    this.doc.y = y + 15;
+  }
+
+  /**
+   * List the government subsidy on subsidised lines, borne by the scheme on top of the price charged
+   * @param {Array} items - Invoice items
+   */
+  addSubsidyLines(items) {
+    const lines = items.filter(item => item.subsidy);
+    if (lines.length === 0) return;
+
+    let y = this.doc.y + 20;
+    this.doc
+      .font('Helvetica-Bold')
+      .fontSize(10)
+      .text('Government Subsidy (not charged to the farmer)', 50, y);
+    this.doc.font('Helvetica').fontSize(9);
+
+    lines.forEach(item => {
+      y += 15;
+      if (y > 700) {
+        this.doc.addPage();
+        y = 100;
+      }
+
+      const { subsidy } = item;
+      const farmer = [subsidy.farmer.name, subsidy.farmer.idMasked].filter(Boolean).join(' ');
+      this.doc
+        .text(`${item.name}${subsidy.scheme ? ` (${subsidy.scheme})` : ''}: ${item.quantity} x ${this.formatCurrency(subsidy.amountPerUnit)}, farmer ${farmer}`, 50, y, { width: 400 })
+        .text(this.formatCurrency(subsidy.amount), 470, y, { width: 80, align: 'right' });
+    });
+
+    this.doc.fontSize(10);
+    this.doc.y = y + 15;
+  }
+
   /**
    * Add invoice totals to the PDF
    * @param {Object} invoice - Invoice data
    */
   addInvoiceTotals(invoice) {
-    const subtotal = invoice.items.reduce((sum, item) => sum + item.amount, 0);
+    const subtotal = invoice.items.reduce((sum, item) => sum + (item.taxableValue || 0), 0);
     const taxAmount = invoice.taxAmount || 0;
     const discount = invoice.discount || 0;
-    const total = invoice.total || (subtotal + taxAmount - discount);
+    const total = invoice.finalTotal || invoice.total || (subtotal + taxAmount - discount);
     
     let y = this.doc.y + 30;
     
     this.doc
       .font('Helvetica-Bold')
-      .text('Subtotal:', 400, y, { width: 150, align: 'right' })
+      .text('Taxable Value:', 300, y, { width: 150, align: 'right' })
       .font('Helvetica')
       .text(this.formatCurrency(subtotal), 460, y, { width: 90, align: 'right' });
     
@@ -229,24 +912,31 @@ class PDFGenerator {
       y += 20;
       this.doc
         .font('Helvetica-Bold')
-        .text('Discount:', 400, y, { width: 150, align: 'right' })
+        .text('Discount:', 300, y, { width: 150, align: 'right' })
         .font('Helvetica')
         .text(`-${this.formatCurrency(discount)}`, 460, y, { width: 90, align: 'right' });
     }
-    
-    if (taxAmount > 0) {
+
+    // Print each GST component separately as required on a tax invoice
+    const taxLines = [
+      ['CGST', invoice.cgstAmount],
+      ['SGST', invoice.sgstAmount],
+      ['IGST', invoice.igstAmount]
+    ].filter(([, amount]) => amount > 0);
+
+    taxLines.forEach(([label, amount]) => {
       y += 20;
       this.doc
         .font('Helvetica-Bold')
-        .text('Tax:', 400, y, { width: 150, align: 'right' })
+        .text(`${label}:`, 300, y, { width: 150, align: 'right' })
         .font('Helvetica')
-        .text(this.formatCurrency(taxAmount), 460, y, { width: 90, align: 'right' });
-    }
+        .text(this.formatCurrency(amount), 460, y, { width: 90, align: 'right' });
+    });
     
     y += 20;
     this.doc
       .font('Helvetica-Bold')
-      .text('Total:', 400, y, { width: 150, align: 'right' })
+      .text('Total:', 300, y, { width: 150, align: 'right' })
       .font('Helvetica')
       .text(this.formatCurrency(total), 460, y, { width: 90, align: 'right' });
     
@@ -256,10 +946,37 @@ class PDFGenerator {
       .font('Helvetica')
       .fontSize(10)
       .text('Amount in words:', 50, y)
-      .font('Helvetica-Italic')
+      .font('Helvetica-Oblique')
       .text(this.numberToWords(total) + ' Rupees Only', 50, y + 15, { width: 500 });
   }
 
+  /**
+   * Add a UPI payment QR for the balance due below the totals
+   * @param {Buffer} upiQr - PNG of the UPI payment QR
+   * @param {Object} invoice - Invoice data
+   * @param {Object} company - Company details
+   */
+  addUpiQr(upiQr, invoice, company) {
+    const size = 90;
+    let y = this.doc.y + 20;
+
+    // Keep clear of the footer
+    if (y + size > this.doc.page.height - 110) {
+      this.doc.addPage();
+      y = 50;
+    }
+
+    this.doc.image(upiQr, 50, y, { width: size });
+    this.doc
+      .font('Helvetica-Bold')
+      .fontSize(11)
+      .text(`Scan to pay ${this.formatCurrency(invoice.balanceDue)} with any UPI app`, 155, y + 20)
+      .font('Helvetica')
+      .fontSize(10)
+      .text(`UPI ID: ${company.upiId}`, 155, y + 40)
+      .text(`Reference: ${invoice.invoiceNumber}`, 155, y + 55);
+  }
+
   /**
    * Add footer to the PDF
    * @param {Object} company - Company details
@@ -274,6 +991,19 @@ class PDFGenerator {
       .text(company.footer || 'This is a computer-generated invoice. No signature required.', 50, y + 30, { align: 'center', width: 500 });
   }
 
+  /**
+   * Format a customer address for printing
+   * @param {Object|string} address - Address object or preformatted string
+   * @returns {string} Single line address
+   */
+  formatAddress(address) {
+    if (!address) return '';
+    if (typeof address === 'string') return address;
+    return [address.street, address.city, address.state, address.pincode]
+      .filter(Boolean)
+      .join(', ');
+  }
+
   /**
    * Format currency
    * @param {number} amount - Amount to format
@@ -4,11 +4,23 @@ const { InternalServerError } = require('./errorResponse');
 
 class SMSService {
   constructor() {
-    this.client = twilio(
-      process.env.TWILIO_ACCOUNT_SID,
-      process.env.TWILIO_AUTH_TOKEN
-    );
+    this.twilioClient = null;
     this.from = process.env.TWILIO_PHONE_NUMBER;
+    this.whatsappFrom = process.env.TWILIO_WHATSAPP_NUMBER || this.from;
+  }
+
+  /**
+   * Twilio client, created on first use so the app can start without credentials
+   * @returns {Object} - Twilio client
+   */
+  get client() {
+    if (!this.twilioClient) {
+      this.twilioClient = twilio(
+        process.env.TWILIO_ACCOUNT_SID,
+        process.env.TWILIO_AUTH_TOKEN
+      );
+    }
+    return this.twilioClient;
   }
 
   /**
@@ -44,6 +56,39 @@ class SMSService {
     }
   }
 
+  /**
+   * Send a WhatsApp message through the Twilio WhatsApp sender
+   * @param {string} to - Recipient phone number
+   * @param {string} message - Message content
+   * @returns {Promise<Object>} - Result of sending the message
+   */
+  async sendWhatsApp(to, message) {
+    try {
+      if (!this.isValidPhoneNumber(to)) {
+        throw new Error('Invalid phone number format');
+      }
+
+      const response = await this.client.messages.create({
+        body: message,
+        from: `whatsapp:${this.formatPhoneNumber(this.whatsappFrom)}`,
+        to: `whatsapp:${this.formatPhoneNumber(to)}`,
+      });
+
+      logger.info(`WhatsApp message sent to ${to}: ${response.sid}`);
+
+      return {
+        success: true,
+        messageId: response.sid,
+        status: response.status,
+        to: response.to,
+        dateCreated: response.dateCreated,
+      };
+    } catch (error) {
+      logger.error('Error sending WhatsApp message:', error);
+      throw new InternalServerError('Failed to send WhatsApp message');
+    }
+  }
+
   /**
    * Send an OTP (One-Time Password) via SMS
    * @param {string} to - Recipient phone number
@@ -89,6 +134,33 @@ class SMSService {
     return this.sendSMS(to, message);
   }
 
+  /**
+   * Send a statement of account summary via SMS or WhatsApp
+   * @param {string} to - Recipient phone number
+   * @param {Object} statement - Statement built by the statement service
+   * @param {string} channel - 'sms' or 'whatsapp'
+   * @returns {Promise<Object>} - Result of sending the message
+   */
+  async sendStatement(to, statement, channel = 'sms') {
+    const { customer, period } = statement;
+    const date = (value) => new Date(value).toLocaleDateString('en-GB');
+    const amount = (value) => `₹${Math.abs(value).toFixed(2)}${value < 0 ? ' Cr' : ''}`;
+
+    const message = [
+      `Hi ${customer.name}, your account statement from ${date(period.start)} to ${date(period.end)}:`,
+      `Opening balance: ${amount(statement.openingBalance)}`,
+      `Purchases: ₹${statement.totals.debit.toFixed(2)}`,
+      `Payments & returns: ₹${statement.totals.credit.toFixed(2)}`,
+      `Balance due: ${amount(statement.closingBalance)}`,
+      statement.interest?.total > 0 && `Overdue interest: ₹${statement.interest.total.toFixed(2)}`,
+      'Thank you for your business!'
+    ].filter(Boolean).join('\n');
+
+    return channel === 'whatsapp'
+      ? this.sendWhatsApp(to, message)
+      : this.sendSMS(to, message);
+  }
+
   /**
    * Send a low stock alert to admin/staff
    * @param {string} to - Recipient phone number (admin/staff)
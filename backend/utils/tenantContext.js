@@ -0,0 +1,39 @@
+/**
+ * The shop (organization) the current request works for, and who is making it.
+ * The auth middleware opens the context and everything awaited from the route
+ * handler sees it, which is how the tenant plugin scopes queries and the audit
+ * plugin names the actor without routes passing either on.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function for an organization
+ * @param {ObjectId} organization - Organization id
+ * @param {Function} fn - Function to run; its async work keeps the organization
+ * @param {Object} [actor] - Who is acting, for the audit trail
+ * @param {ObjectId} [actor.user] - Signed-in user, if any
+ * @param {string} [actor.ip] - Client IP address
+ * @returns {*} Whatever `fn` returns
+ */
+const runWithTenant = (organization, fn, actor = null) => storage.run({ organization, actor }, fn);
+
+/**
+ * Organization of the running request
+ * @returns {ObjectId|null} Organization id, or null outside a request (migrations, seeding)
+ */
+const currentTenant = () => storage.getStore()?.organization || null;
+
+/**
+ * Who is making the running request
+ * @returns {Object|null} `{ user, ip }`, or null for background work such as webhooks and seeding
+ */
+const currentActor = () => storage.getStore()?.actor || null;
+
+module.exports = {
+  runWithTenant,
+  currentTenant,
+  currentActor
+};
@@ -0,0 +1,79 @@
+const QRCode = require('qrcode');
+
+/**
+ * UPI payment links (the `upi://pay` deep link every UPI app understands)
+ * and QR codes for them, printed on bills so customers can pay by scanning.
+ */
+
+/**
+ * Build a UPI payment link
+ * @param {Object} payment - Payment details
+ * @param {string} payment.vpa - Payee virtual payment address, e.g. shop@okbank
+ * @param {string} payment.payeeName - Name shown to the payer
+ * @param {number} payment.amount - Amount in rupees
+ * @param {string} payment.reference - Transaction reference, e.g. the invoice number
+ * @param {string} payment.note - Note shown to the payer
+ * @returns {string} UPI deep link
+ */
+const buildUpiLink = ({ vpa, payeeName, amount, reference, note }) => {
+  const params = [
+    ['pa', vpa],
+    ['pn', payeeName],
+    ['am', amount !== undefined ? Number(amount).toFixed(2) : undefined],
+    ['cu', 'INR'],
+    ['tr', reference],
+    ['tn', note]
+  ].filter(([, value]) => value);
+
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+};
+
+/**
+ * UPI link for the amount still due on an invoice
+ * @param {Object} invoice - Invoice document
+ * @param {Object} company - Company details with `upiId` and `upiPayeeName`
+ * @returns {string|null} Link, or null when nothing is due or no VPA is configured
+ */
+const getInvoicePaymentLink = (invoice, company = {}) => {
+  const amount = invoice.balanceDue;
+  if (!company.upiId || !(amount > 0)) return null;
+
+  return buildUpiLink({
+    vpa: company.upiId,
+    payeeName: company.upiPayeeName || company.name,
+    amount,
+    reference: invoice.invoiceNumber,
+    note: invoice.invoiceNumber
+  });
+};
+
+/**
+ * Render a QR code as a PNG
+ * @param {string} text - Content to encode
+ * @param {number} width - Image width in pixels
+ * @returns {Promise<Buffer>} PNG buffer
+ */
+const generateQrPng = (text, width = 300) => QRCode.toBuffer(text, {
+  errorCorrectionLevel: 'M',
+  margin: 1,
+  width
+});
+
+/**
+ * Render a QR code as a PNG data URL for display in the browser
+ * @param {string} text - Content to encode
+ * @param {number} width - Image width in pixels
+ * @returns {Promise<string>} Data URL
+ */
+const generateQrDataUrl = (text, width = 300) => QRCode.toDataURL(text, {
+  errorCorrectionLevel: 'M',
+  margin: 1,
+  width
+});
+
+module.exports = {
+  buildUpiLink,
+  getInvoicePaymentLink,
+  generateQrPng,
+  generateQrDataUrl
+};
@@ -9,6 +9,8 @@ import DiseaseDetection from './pages/DiseaseDetection';
 import Weather from './pages/Weather';
 import POSBilling from './pages/POSBilling';
 import ProductManagement from './pages/ProductManagement';
+import AuditTrail from './pages/AuditTrail';
+import RoleManagement from './pages/RoleManagement';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
 import AdminDashboard from './pages/AdminDashboard';
@@ -79,11 +81,27 @@ function App() {
             <Route
               path="/admin/products"
               element={
-                <ProtectedRoute roles={['admin']}>
+                <ProtectedRoute roles={['admin']} permission="product.update">
                   <ProductManagement />
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/admin/audit-logs"
+              element={
+                <ProtectedRoute roles={['admin']} permission="audit.view">
+                  <AuditTrail />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/roles"
+              element={
+                <ProtectedRoute roles={['admin']} permission="role.manage">
+                  <RoleManagement />
+                </ProtectedRoute>
+              }
+            />
             
             {/* Staff Routes */}
             <Route
@@ -97,7 +115,7 @@ function App() {
             <Route
               path="/pos"
               element={
-                <ProtectedRoute roles={['admin', 'staff']}>
+                <ProtectedRoute roles={['admin', 'staff']} permission="invoice.create">
                   <POSBilling />
                 </ProtectedRoute>
               }
@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import Dialog from './ui/Dialog';
+import EmptyState from './ui/EmptyState';
+import { SkeletonTable } from './ui/Skeleton';
+import { Badge } from './ui/badge';
+import { History } from 'lucide-react';
+
+const actionVariants = {
+  create: 'success',
+  update: 'warning',
+  delete: 'destructive'
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Who changed a record, when, from where and which fields, oldest change first
+const AuditHistory = ({ isOpen, onClose, model, record, title }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !record) return;
+
+    setLoading(true);
+    axios.get(`/audit-logs/${model}/${record._id}`)
+      .then(response => setEntries(response.data.data))
+      .catch(error => {
+        console.error('Error fetching history:', error);
+        toast.error(error.response?.data?.message || 'Failed to load history');
+      })
+      .finally(() => setLoading(false));
+  }, [isOpen, model, record]);
+
+  return (
+    <Dialog isOpen={isOpen} onClose={onClose} title={title || 'History'} size="xl">
+      {loading ? (
+        <SkeletonTable rows={4} columns={3} />
+      ) : entries.length === 0 ? (
+        <EmptyState icon={History} title="No history yet" description="Changes made from now on will show here." />
+      ) : (
+        <div className="space-y-4 max-h-[60vh] overflow-y-auto">
+          {entries.map(entry => (
+            <div key={entry._id} className="p-4 border border-gray-200 rounded-lg">
+              <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center space-x-2">
+                  <Badge variant={actionVariants[entry.action]} className="capitalize">{entry.action}</Badge>
+                  <span className="text-sm font-medium text-gray-900">{entry.user?.name || 'System'}</span>
+                  {entry.ip && <span className="text-xs text-gray-500">{entry.ip}</span>}
+                </div>
+                <span className="text-xs text-gray-500">{new Date(entry.createdAt).toLocaleString()}</span>
+              </div>
+              {entry.action === 'update' && (
+                <table className="w-full text-sm">
+                  <tbody>
+                    {entry.changes.map(change => (
+                      <tr key={change.field} className="border-t border-gray-100">
+                        <td className="py-1 pr-4 text-gray-600">{change.field}</td>
+                        <td className="py-1 pr-4 text-red-700 line-through break-all">{formatValue(change.before)}</td>
+                        <td className="py-1 text-green-700 break-all">{formatValue(change.after)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </Dialog>
+  );
+};
+
+export default AuditHistory;
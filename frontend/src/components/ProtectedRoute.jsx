@@ -2,8 +2,8 @@ import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-const ProtectedRoute = ({ children, roles }) => {
-  const { user, loading } = useAuth();
+const ProtectedRoute = ({ children, roles, permission }) => {
+  const { user, loading, can } = useAuth();
 
   if (loading) {
     return <div className="min-h-screen flex items-center justify-center">Loading...</div>;
@@ -17,6 +17,10 @@ const ProtectedRoute = ({ children, roles }) => {
     return <Navigate to="/login" />;
   }
 
+  if (permission && !can(permission)) {
+    return <Navigate to="/login" />;
+  }
+
   return children;
 };
 
@@ -2,52 +2,37 @@ import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Hop as Home, Users, Package, FileText, ChartBar as BarChart3, CreditCard, Bell, Settings, Menu, X, User, LogOut, ShoppingCart, Camera, Sun } from 'lucide-react';
+import { Hop as Home, Users, Package, FileText, ChartBar as BarChart3, CreditCard, Bell, Settings, Menu, X, User, LogOut, ShoppingCart, Camera, Sun, Shield, History } from 'lucide-react';
 
+// Each item shows when the user holds its permission; items without one show for everyone
 const getMenuItems = (role) => {
-  const baseItems = [
-    { icon: Home, label: 'Dashboard', path: role === 'admin' ? '/admin' : role === 'staff' ? '/staff' : '/customer', roles: ['admin', 'staff', 'customer'] },
-  ];
-
-  const adminItems = [
-    { icon: Package, label: 'Products', path: '/admin/products', roles: ['admin'] },
-    { icon: Users, label: 'Customers', path: '/admin/customers', roles: ['admin'] },
-    { icon: FileText, label: 'Invoices', path: '/admin/invoices', roles: ['admin'] },
-    { icon: ShoppingCart, label: 'POS Billing', path: '/pos', roles: ['admin'] },
-    { icon: BarChart3, label: 'Reports', path: '/admin/reports', roles: ['admin'] },
-    { icon: CreditCard, label: 'Expenses', path: '/admin/expenses', roles: ['admin'] },
-    { icon: Bell, label: 'Notifications', path: '/admin/notifications', roles: ['admin'] },
-    { icon: Settings, label: 'Settings', path: '/admin/settings', roles: ['admin'] },
-  ];
+  const base = role === 'admin' ? '/admin' : role === 'staff' ? '/staff' : '/customer';
 
-  const staffItems = [
-    { icon: ShoppingCart, label: 'POS Billing', path: '/pos', roles: ['staff'] },
-    { icon: Package, label: 'Products', path: '/staff/products', roles: ['staff'] },
-    { icon: Users, label: 'Customers', path: '/staff/customers', roles: ['staff'] },
-    { icon: FileText, label: 'Invoices', path: '/staff/invoices', roles: ['staff'] },
-    { icon: Bell, label: 'Notifications', path: '/staff/notifications', roles: ['staff'] },
+  return [
+    { icon: Home, label: 'Dashboard', path: base },
+    { icon: ShoppingCart, label: 'POS Billing', path: '/pos', permission: 'invoice.create' },
+    { icon: Package, label: 'Products', path: `${base}/products`, permission: 'product.view' },
+    { icon: Users, label: 'Customers', path: `${base}/customers`, permission: 'customer.view' },
+    { icon: FileText, label: 'Invoices', path: `${base}/invoices`, permission: 'invoice.view' },
+    { icon: BarChart3, label: 'Reports', path: `${base}/reports`, permission: 'report.sales.view' },
+    { icon: CreditCard, label: 'Expenses', path: `${base}/expenses`, permission: 'expense.view' },
+    { icon: FileText, label: 'My Orders', path: '/customer/orders', permission: 'portal.view', roles: ['customer'] },
+    { icon: Bell, label: 'Notifications', path: `${base}/notifications` },
+    { icon: User, label: 'Profile', path: '/customer/profile', permission: 'portal.view', roles: ['customer'] },
+    { icon: History, label: 'Audit Trail', path: '/admin/audit-logs', permission: 'audit.view', roles: ['admin'] },
+    { icon: Shield, label: 'Roles', path: '/admin/roles', permission: 'role.manage', roles: ['admin'] },
+    { icon: Settings, label: 'Settings', path: `${base}/settings`, permission: 'settings.manage' },
   ];
-
-  const customerItems = [
-    { icon: FileText, label: 'My Orders', path: '/customer/orders', roles: ['customer'] },
-    { icon: Bell, label: 'Notifications', path: '/customer/notifications', roles: ['customer'] },
-    { icon: User, label: 'Profile', path: '/customer/profile', roles: ['customer'] },
-  ];
-
-  if (role === 'admin') return [...baseItems, ...adminItems];
-  if (role === 'staff') return [...baseItems, ...staffItems];
-  if (role === 'customer') return [...baseItems, ...customerItems];
-  return baseItems;
 };
 
 const Sidebar = ({ isOpen, onClose }) => {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   const location = useLocation();
   const [collapsed, setCollapsed] = useState(false);
 
   const menuItems = getMenuItems(user?.role);
-  const filteredMenuItems = menuItems.filter(item => 
-    item.roles.includes(user?.role)
+  const filteredMenuItems = menuItems.filter(item =>
+    (!item.permission || can(item.permission)) && (!item.roles || item.roles.includes(user?.role))
   );
 
   const handleLogout = () => {
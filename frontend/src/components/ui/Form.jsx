@@ -149,6 +149,20 @@ export const FormTextarea = ({
   );
 };
 
+export const FormCheckbox = ({ name, className = '', ...props }) => {
+  const { register } = useFormContext();
+
+  return (
+    <input
+      id={name}
+      type="checkbox"
+      className={`h-4 w-4 rounded border-input ${className}`}
+      {...register(name)}
+      {...props}
+    />
+  );
+};
+
 // Common schemas
 export const loginSchema = z.object({
   email: z.string().email('Invalid email address'),
@@ -160,6 +174,7 @@ export const signupSchema = z.object({
   email: z.string().email('Invalid email address'),
   password: z.string().min(6, 'Password must be at least 6 characters'),
   role: z.enum(['admin', 'staff', 'customer'], 'Please select a role'),
+  shopName: z.string().optional(),
 });
 
 export const customerSchema = z.object({
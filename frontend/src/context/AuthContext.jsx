@@ -17,6 +17,10 @@ export const AuthProvider = ({ children }) => {
 
   useEffect(() => {
     axios.defaults.baseURL = 'http://localhost:5000/api';
+    // Public pages show the shop this frontend is deployed for
+    if (import.meta.env.VITE_SHOP) {
+      axios.defaults.headers.common['X-Shop'] = import.meta.env.VITE_SHOP;
+    }
     const token = localStorage.getItem('token');
     if (token) {
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
@@ -70,11 +74,15 @@ export const AuthProvider = ({ children }) => {
     setUser(null);
   };
 
+  // Whether the signed-in user holds a permission, e.g. can('invoice.cancel')
+  const can = (permission) => Boolean(user?.permissions?.includes(permission));
+
   const value = {
     user,
     login,
     signup,
     logout,
+    can,
     loading,
   };
 
@@ -1,17 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { DollarSign, Package, Users, TrendingUp, FileText, BarChart3 } from 'lucide-react';
+import { DollarSign, Package, Users, TrendingUp, FileText, BarChart3, Link, History, TriangleAlert as AlertTriangle } from 'lucide-react';
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 import Layout from '../components/layout/Layout';
 import StatCard from '../components/ui/StatCard';
 import DataTable from '../components/ui/DataTable';
+import AuditHistory from '../components/AuditHistory';
 import { Button } from '../components/ui/button';
 import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 
 const AdminDashboard = () => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const [stats, setStats] = useState({
     todaySales: 0,
     monthlyRevenue: 0,
@@ -20,8 +21,10 @@ const AdminDashboard = () => {
   });
   const [chartData, setChartData] = useState([]);
   const [invoices, setInvoices] = useState([]);
+  const [expiringLicenses, setExpiringLicenses] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [historyInvoice, setHistoryInvoice] = useState(null);
 
   useEffect(() => {
     if (!user) return;
@@ -47,6 +50,9 @@ const AdminDashboard = () => {
         const invoicesRes = await axios.get('/invoices?limit=10');
         const recentInvoices = invoicesRes.data.data || [];
 
+        // Dealer licenses due for renewal
+        const licensesRes = await axios.get('/licenses/expiring');
+
         // Calculate today and monthly sales from invoice data
         const today = new Date();
         const todayStart = new Date(today.setHours(0, 0, 0, 0));
@@ -89,6 +95,7 @@ const AdminDashboard = () => {
         });
         setChartData(chartData);
         setInvoices(recentInvoices);
+        setExpiringLicenses(licensesRes.data.data || []);
       } catch (err) {
         console.error('Error fetching data:', err);
         setError('Failed to load dashboard data');
@@ -117,6 +124,19 @@ const AdminDashboard = () => {
     { key: 'createdAt', label: 'Date', render: (value) => new Date(value).toLocaleDateString() },
   ];
 
+  // Payment links are sent to the customer by the gateway; the URL is copied to share it too
+  const createPaymentLink = async (invoice) => {
+    try {
+      const response = await axios.post('/payment-links', { invoice: invoice._id });
+      const { shortUrl } = response.data.data;
+      await navigator.clipboard?.writeText(shortUrl);
+      toast.success(`Payment link copied: ${shortUrl}`);
+    } catch (err) {
+      console.error('Error creating payment link:', err);
+      toast.error(err.response?.data?.message || 'Failed to create payment link');
+    }
+  };
+
   const invoiceActions = [
     {
       label: 'View',
@@ -126,7 +146,19 @@ const AdminDashboard = () => {
       },
       icon: FileText,
       variant: 'ghost'
-    }
+    },
+    {
+      label: 'Payment Link',
+      onClick: createPaymentLink,
+      icon: Link,
+      variant: 'ghost'
+    },
+    ...(can('audit.view') ? [{
+      label: 'History',
+      onClick: setHistoryInvoice,
+      icon: History,
+      variant: 'ghost'
+    }] : [])
   ];
 
   if (loading) {
@@ -164,6 +196,24 @@ const AdminDashboard = () => {
           </Button>
         </div>
 
+        {/* License renewals */}
+        {expiringLicenses.length > 0 && (
+          <div className="p-4 bg-red-50 text-red-800 rounded-lg space-y-1">
+            <div className="flex items-center font-medium">
+              <AlertTriangle className="w-4 h-4 mr-2" />
+              Dealer licenses due for renewal
+            </div>
+            {expiringLicenses.map(license => (
+              <p key={license._id} className="text-sm">
+                {license.licenseType.charAt(0).toUpperCase() + license.licenseType.slice(1)} license {license.licenseNumber}:{' '}
+                {license.daysToExpiry < 0
+                  ? `expired on ${new Date(license.expiryDate).toLocaleDateString()}, restricted products cannot be billed`
+                  : `expires on ${new Date(license.expiryDate).toLocaleDateString()} (${license.daysToExpiry} days left)`}
+              </p>
+            ))}
+          </div>
+        )}
+
         {/* Stats Cards */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
           <StatCard
@@ -285,6 +335,15 @@ const AdminDashboard = () => {
             </Button>
           </div>
         </motion.div>
+
+        {/* Change history */}
+        <AuditHistory
+          isOpen={Boolean(historyInvoice)}
+          onClose={() => setHistoryInvoice(null)}
+          model="Invoice"
+          record={historyInvoice}
+          title={historyInvoice ? `History of ${historyInvoice.invoiceNumber}` : 'History'}
+        />
       </div>
     </Layout>
   );
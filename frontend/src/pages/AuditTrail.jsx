@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { History } from 'lucide-react';
+import Layout from '../components/layout/Layout';
+import AuditHistory from '../components/AuditHistory';
+import DataTable from '../components/ui/DataTable';
+import { Card, CardContent } from '../components/ui/card';
+import { Badge } from '../components/ui/badge';
+import { SkeletonTable } from '../components/ui/Skeleton';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const models = [
+  { value: '', label: 'All Records' },
+  { value: 'Invoice', label: 'Invoices' },
+  { value: 'Product', label: 'Products' },
+  { value: 'Customer', label: 'Customers' },
+  { value: 'Expense', label: 'Expenses' },
+  { value: 'User', label: 'Users' }
+];
+
+const actions = [
+  { value: '', label: 'All Actions' },
+  { value: 'create', label: 'Created' },
+  { value: 'update', label: 'Updated' },
+  { value: 'delete', label: 'Deleted' }
+];
+
+const actionVariants = {
+  create: 'success',
+  update: 'warning',
+  delete: 'destructive'
+};
+
+// Latest changes across the shop; customers, expenses and users have no screen
+// of their own, so their history is opened from here
+const AuditTrail = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [model, setModel] = useState('');
+  const [action, setAction] = useState('');
+  const [historyEntry, setHistoryEntry] = useState(null);
+
+  // The history dialog reloads when its record changes, so keep one per entry
+  const historyRecord = useMemo(() => (historyEntry ? { _id: historyEntry.documentId } : null), [historyEntry]);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { limit: 100 };
+      if (model) params.model = model;
+      if (action) params.action = action;
+
+      const response = await axios.get('/audit-logs', { params });
+      setEntries(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching audit trail:', error);
+      toast.error(error.response?.data?.message || 'Failed to load audit trail');
+    } finally {
+      setLoading(false);
+    }
+  }, [model, action]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const columns = [
+    {
+      key: 'createdAt',
+      label: 'When',
+      sortable: true,
+      render: (value) => new Date(value).toLocaleString()
+    },
+    { key: 'model', label: 'Record', sortable: true },
+    {
+      key: 'label',
+      label: 'Name',
+      render: (value, entry) => value || String(entry.documentId)
+    },
+    {
+      key: 'action',
+      label: 'Action',
+      sortable: true,
+      render: (value) => <Badge variant={actionVariants[value]} className="capitalize">{value}</Badge>
+    },
+    {
+      key: 'user',
+      label: 'By',
+      render: (value) => value?.name || 'System'
+    },
+    { key: 'ip', label: 'IP' }
+  ];
+
+  const entryActions = [
+    {
+      label: 'History',
+      onClick: setHistoryEntry,
+      icon: History,
+      variant: 'ghost'
+    }
+  ];
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Audit Trail</h1>
+          <p className="text-gray-600 mt-1">Who changed invoices, products, customers, expenses and users</p>
+        </div>
+
+        {/* Filters */}
+        <Card>
+          <CardContent className="p-6">
+            <div className="flex flex-col md:flex-row gap-4">
+              <select
+                value={model}
+                onChange={(e) => setModel(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                {models.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={action}
+                onChange={(e) => setAction(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                {actions.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Entries */}
+        {loading ? (
+          <SkeletonTable rows={8} columns={6} />
+        ) : (
+          <DataTable
+            columns={columns}
+            data={entries}
+            searchPlaceholder="Search changes..."
+            emptyMessage="No changes recorded"
+            actions={entryActions}
+          />
+        )}
+
+        {/* Change history of the chosen record */}
+        <AuditHistory
+          isOpen={Boolean(historyEntry)}
+          onClose={() => setHistoryEntry(null)}
+          model={historyEntry?.model}
+          record={historyRecord}
+          title={historyEntry ? `History of ${historyEntry.label || historyEntry.model}` : 'History'}
+        />
+      </div>
+    </Layout>
+  );
+};
+
+export default AuditTrail;
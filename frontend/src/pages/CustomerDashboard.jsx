@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { DollarSign, FileText, Download, Receipt } from 'lucide-react';
+import { DollarSign, FileText, Download, Receipt, QrCode, Smartphone } from 'lucide-react';
 import Layout from '../components/layout/Layout';
 import StatCard from '../components/ui/StatCard';
 import DataTable from '../components/ui/DataTable';
+import Dialog from '../components/ui/Dialog';
 import { Button } from '../components/ui/button';
 import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
@@ -14,6 +15,7 @@ const CustomerDashboard = () => {
   const [invoices, setInvoices] = useState([]);
   const [balance, setBalance] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [upiPayment, setUpiPayment] = useState(null);
 
   useEffect(() => {
     if (!user) return;
@@ -55,6 +57,16 @@ const CustomerDashboard = () => {
     }
   };
 
+  const showUpiQr = async (invoiceId) => {
+    try {
+      const response = await axios.get(`/invoices/${invoiceId}/upi`);
+      setUpiPayment(response.data.data);
+    } catch (err) {
+      console.error('Error loading UPI QR:', err);
+      toast.error(err.response?.data?.message || 'Failed to load UPI QR code');
+    }
+  };
+
   const invoiceColumns = [
     { key: 'invoiceNumber', label: 'Invoice #', render: (value) => value || 'N/A' },
     { key: 'invoiceDate', label: 'Date', render: (value) => new Date(value).toLocaleDateString() },
@@ -77,6 +89,12 @@ const CustomerDashboard = () => {
       onClick: (invoice) => downloadInvoice(invoice._id),
       icon: Download,
       variant: 'ghost'
+    },
+    {
+      label: 'Pay by UPI',
+      onClick: (invoice) => showUpiQr(invoice._id),
+      icon: QrCode,
+      variant: 'ghost'
     }
   ];
 
@@ -151,6 +169,36 @@ const CustomerDashboard = () => {
             actions={invoiceActions}
           />
         </motion.div>
+
+        {/* UPI Payment QR */}
+        <Dialog
+          isOpen={Boolean(upiPayment)}
+          onClose={() => setUpiPayment(null)}
+          title="Pay by UPI"
+        >
+          {upiPayment && (
+            <div className="flex flex-col items-center space-y-4 text-center">
+              <img
+                src={upiPayment.qrCode}
+                alt={`UPI QR for ${upiPayment.invoiceNumber}`}
+                className="w-60 h-60"
+              />
+              <div>
+                <p className="text-2xl font-bold text-gray-900">₹{upiPayment.amount.toLocaleString()}</p>
+                <p className="text-sm text-gray-600">
+                  To {upiPayment.payeeName} ({upiPayment.vpa}) for invoice {upiPayment.invoiceNumber}
+                </p>
+              </div>
+              <p className="text-sm text-gray-600">Scan with any UPI app, or on your phone:</p>
+              <a href={upiPayment.upiLink}>
+                <Button>
+                  <Smartphone size={16} className="mr-2" />
+                  Open UPI App
+                </Button>
+              </a>
+            </div>
+          )}
+        </Dialog>
       </div>
     </Layout>
   );
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { 
   ShoppingCart, 
@@ -12,7 +12,14 @@ import {
   Calculator,
   CreditCard,
   Banknote,
-  Smartphone
+  Smartphone,
+  Wallet,
+  ShieldAlert,
+  PauseCircle,
+  PlayCircle,
+  ScanBarcode,
+  Split,
+  Clock
 } from 'lucide-react';
 import Layout from '../components/layout/Layout';
 import Dialog from '../components/ui/Dialog';
@@ -35,6 +42,21 @@ const POSBilling = () => {
   const [customerSearchTerm, setCustomerSearchTerm] = useState('');
   const [paymentMethod, setPaymentMethod] = useState('cash');
   const [discount, setDiscount] = useState(0);
+  const [amountPaid, setAmountPaid] = useState(0);
+  const [cashReceived, setCashReceived] = useState(0);
+  const [tenders, setTenders] = useState([{ method: 'cash', amount: 0 }]);
+  const [creditInfo, setCreditInfo] = useState(null);
+  const [promotionPreview, setPromotionPreview] = useState(null);
+  const [creditOverride, setCreditOverride] = useState({ approverEmail: '', pin: '', reason: '' });
+  const [farmer, setFarmer] = useState({ idType: 'aadhaar', idNumber: '', name: '' });
+  const [restrictedSale, setRestrictedSale] = useState({ buyerName: '', village: '', crop: '', purpose: '' });
+  const [creditRejection, setCreditRejection] = useState(null);
+  const [parkedCarts, setParkedCarts] = useState([]);
+  const [scanMode, setScanMode] = useState(false);
+  const [printFormat, setPrintFormat] = useState(localStorage.getItem('posPrintFormat') || 'a4');
+  const [lastInvoiceId, setLastInvoiceId] = useState(null);
+  const [scanCode, setScanCode] = useState('');
+  const scanInputRef = useRef(null);
   const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(false);
 
@@ -42,11 +64,60 @@ const POSBilling = () => {
   const [customerModalOpen, setCustomerModalOpen] = useState(false);
   const [productModalOpen, setProductModalOpen] = useState(false);
   const [checkoutModalOpen, setCheckoutModalOpen] = useState(false);
+  const [overrideModalOpen, setOverrideModalOpen] = useState(false);
+  const [parkedModalOpen, setParkedModalOpen] = useState(false);
+  const [shiftModalOpen, setShiftModalOpen] = useState(false);
+
+  // Cashier shift and drawer
+  const [shift, setShift] = useState(null);
+  const [openingFloat, setOpeningFloat] = useState(0);
+  const [cashMovement, setCashMovement] = useState({ type: 'out', amount: 0, reason: '' });
+  const [shiftClose, setShiftClose] = useState({ countedCash: 0, notes: '' });
 
   useEffect(() => {
     fetchData();
+    fetchParkedCarts();
+    fetchShift();
   }, []);
 
+  useEffect(() => {
+    if (selectedCustomer) {
+      fetchCreditInfo(selectedCustomer._id);
+    } else {
+      setCreditInfo(null);
+    }
+  }, [selectedCustomer]);
+
+  // Promotions are decided server-side; preview them as the bill changes
+  useEffect(() => {
+    if (cart.length === 0) {
+      setPromotionPreview(null);
+      return;
+    }
+
+    let cancelled = false;
+    axios.post('/promotions/evaluate', {
+      customer: selectedCustomer?._id || null,
+      items: cart.map(item => ({
+        product: item.product._id,
+        quantity: item.quantity,
+        price: item.price,
+        discount: item.discount
+      }))
+    })
+      .then(response => {
+        if (!cancelled) setPromotionPreview(response.data.data);
+      })
+      .catch(error => {
+        console.error('Error evaluating promotions:', error);
+        if (!cancelled) setPromotionPreview(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cart, selectedCustomer]);
+
   const fetchData = async () => {
     try {
       setLoading(true);
@@ -65,6 +136,34 @@ const POSBilling = () => {
     }
   };
 
+  const fetchParkedCarts = async () => {
+    try {
+      const response = await axios.get('/parked-carts');
+      setParkedCarts(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching parked bills:', error);
+    }
+  };
+
+  const fetchShift = async () => {
+    try {
+      const response = await axios.get('/shifts/current');
+      setShift(response.data.data);
+    } catch (error) {
+      console.error('Error fetching shift:', error);
+    }
+  };
+
+  const fetchCreditInfo = async (customerId) => {
+    try {
+      const response = await axios.get(`/customers/${customerId}/balance`);
+      setCreditInfo(response.data.data);
+    } catch (error) {
+      console.error('Error fetching credit info:', error);
+      setCreditInfo(null);
+    }
+  };
+
   const filteredProducts = products.filter(product =>
     product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
     product.sku.toLowerCase().includes(searchTerm.toLowerCase())
@@ -75,9 +174,17 @@ const POSBilling = () => {
     customer.phone.includes(customerSearchTerm)
   );
 
+  // Users on a branch sell from that branch's stock
+  const stockOf = (product) => {
+    if (!user?.branch) return product.stock;
+    const branchId = user.branch._id || user.branch;
+    const level = product.branchStock?.find(entry => entry.branch === branchId);
+    return level ? level.quantity : 0;
+  };
+
   const addToCart = (product, quantity = 1) => {
-    if (quantity > product.stock) {
-      toast.error(`Only ${product.stock} items available`);
+    if (quantity > stockOf(product)) {
+      toast.error(`Only ${stockOf(product)} items available`);
       return;
     }
 
@@ -95,6 +202,24 @@ const POSBilling = () => {
     toast.success('Added to cart');
   };
 
+  // Scanners type the code and press Enter; weighed-item labels also carry the quantity
+  const handleScan = async (e) => {
+    e.preventDefault();
+    const code = scanCode.trim();
+    if (!code) return;
+
+    try {
+      const response = await axios.get(`/products/barcode/${encodeURIComponent(code)}`);
+      const { product, quantity } = response.data.data;
+      addToCart(product, quantity || 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || `No product found for barcode ${code}`);
+    } finally {
+      setScanCode('');
+      scanInputRef.current?.focus();
+    }
+  };
+
   const updateCartQuantity = (productId, newQuantity) => {
     if (newQuantity <= 0) {
       removeFromCart(productId);
@@ -102,8 +227,8 @@ const POSBilling = () => {
     }
 
     const item = cart.find(item => item.product._id === productId);
-    if (item && newQuantity > item.product.stock) {
-      toast.error(`Only ${item.product.stock} items available`);
+    if (item && newQuantity > stockOf(item.product)) {
+      toast.error(`Only ${stockOf(item.product)} items available`);
       return;
     }
 
@@ -121,17 +246,20 @@ const POSBilling = () => {
   const calculateItemTotal = (item) => {
     const subtotal = item.price * item.quantity;
     const discountAmount = subtotal * (item.discount / 100);
-    const afterDiscount = subtotal - discountAmount;
+    const afterDiscount = subtotal - discountAmount - (promotionsFor(item)?.discount || 0);
     const gstAmount = afterDiscount * ((item.product.taxRate || 0) / 100);
     return afterDiscount + gstAmount;
   };
 
+  const promotionsFor = (item) => promotionPreview?.lines.find(line => line.product === item.product._id);
+
   const calculateCartTotals = () => {
     const subtotal = cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     const totalDiscount = cart.reduce((sum, item) => sum + (item.price * item.quantity * item.discount / 100), 0);
-    const afterDiscount = subtotal - totalDiscount - (subtotal * discount / 100);
+    const promotionDiscount = promotionPreview?.totalDiscount || 0;
+    const afterDiscount = subtotal - totalDiscount - promotionDiscount - (subtotal * discount / 100);
     const gstAmount = cart.reduce((sum, item) => {
-      const itemSubtotal = item.price * item.quantity * (1 - item.discount / 100);
+      const itemSubtotal = item.price * item.quantity * (1 - item.discount / 100) - (promotionsFor(item)?.discount || 0);
       return sum + (itemSubtotal * ((item.product.taxRate || 0) / 100));
     }, 0);
     const total = afterDiscount + gstAmount;
@@ -139,12 +267,13 @@ const POSBilling = () => {
     return {
       subtotal,
       totalDiscount: totalDiscount + (subtotal * discount / 100),
+      promotionDiscount,
       gstAmount,
       total: Math.round(total)
     };
   };
 
-  const processPayment = async () => {
+  const processPayment = async (override = null) => {
     if (!selectedCustomer) {
       toast.error('Please select a customer');
       return;
@@ -159,8 +288,12 @@ const POSBilling = () => {
       setProcessing(true);
 
       const totals = calculateCartTotals();
+      const paidTenders = checkoutTenders?.filter(tender => tender.amount > 0);
       const invoiceData = {
         customer: selectedCustomer._id,
+        invoiceDate: new Date().toISOString(),
+        paymentTerms: creditRequested > 0 || paymentMethod === 'credit' ? '30days' : 'cod',
+        taxInclusive: false,
         items: cart.map(item => ({
           product: item.product._id,
           quantity: item.quantity,
@@ -168,8 +301,13 @@ const POSBilling = () => {
           discount: item.discount
         })),
         discount,
-        paymentMethod,
+        ...(paymentMethod !== 'split' && { paymentMethod }),
         total: totals.total,
+        ...(paymentMethod === 'credit' && { amountPaid }),
+        ...(paidTenders?.length > 0 && { tenders: paidTenders }),
+        ...(override && { creditOverride: override }),
+        ...(needsFarmerId && { farmer }),
+        ...(needsRegister && { restrictedSale }),
         notes: 'POS Sale'
       };
 
@@ -181,22 +319,243 @@ const POSBilling = () => {
       setCart([]);
       setSelectedCustomer(null);
       setDiscount(0);
+      setAmountPaid(0);
+      setCashReceived(0);
+      setTenders([{ method: 'cash', amount: 0 }]);
       setCheckoutModalOpen(false);
+      setOverrideModalOpen(false);
+      setCreditOverride({ approverEmail: '', pin: '', reason: '' });
+      setCreditRejection(null);
+      setFarmer({ idType: 'aadhaar', idNumber: '', name: '' });
+      setRestrictedSale({ buyerName: '', village: '', crop: '', purpose: '' });
 
       // Print/Download invoice
       if (response.data.data?._id) {
-        window.open(`http://localhost:5000/api/invoices/${response.data.data._id}/download`, '_blank');
+        setLastInvoiceId(response.data.data._id);
+        printInvoice(response.data.data._id);
       }
 
     } catch (error) {
       console.error('Error processing payment:', error);
       toast.error(error.response?.data?.message || 'Payment failed');
+
+      // Over the credit limit: ask an admin to approve the sale
+      if (error.response?.data?.overrideRequired) {
+        setCreditRejection(error.response.data.credit);
+        setOverrideModalOpen(true);
+      }
     } finally {
       setProcessing(false);
     }
   };
 
+  // Print formats: A4 invoice, thermal receipt PDF, or raw ESC/POS for the counter printer
+  const changePrintFormat = (value) => {
+    setPrintFormat(value);
+    localStorage.setItem('posPrintFormat', value);
+  };
+
+  const printInvoice = async (invoiceId) => {
+    const [format, output] = printFormat.split(':');
+
+    try {
+      const response = await axios.get(`/invoices/${invoiceId}/download`, {
+        params: { format, output: output || 'pdf' },
+        responseType: 'blob'
+      });
+
+      const url = window.URL.createObjectURL(response.data);
+      if (output === 'escpos') {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `invoice-${format}.bin`;
+        link.click();
+      } else {
+        window.open(url, '_blank');
+      }
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      console.error('Error printing invoice:', error);
+      toast.error('Failed to print invoice');
+    }
+  };
+
+  const resetBill = () => {
+    setCart([]);
+    setSelectedCustomer(null);
+    setDiscount(0);
+    setAmountPaid(0);
+    setCashReceived(0);
+    setTenders([{ method: 'cash', amount: 0 }]);
+    setPaymentMethod('cash');
+  };
+
+  const updateTender = (index, changes) => {
+    setTenders(tenders.map((tender, i) => (i === index ? { ...tender, ...changes } : tender)));
+  };
+
+  const holdBill = async () => {
+    if (cart.length === 0) {
+      toast.error('Cart is empty');
+      return;
+    }
+
+    try {
+      await axios.post('/parked-carts', {
+        customer: selectedCustomer?._id || null,
+        items: cart.map(item => ({
+          product: item.product._id,
+          quantity: item.quantity,
+          price: item.price,
+          discount: item.discount
+        })),
+        discount,
+        paymentMethod
+      });
+
+      toast.success('Bill parked');
+      resetBill();
+      fetchParkedCarts();
+    } catch (error) {
+      console.error('Error parking bill:', error);
+      toast.error(error.response?.data?.message || 'Failed to park bill');
+    }
+  };
+
+  const resumeBill = async (parked) => {
+    if (cart.length > 0) {
+      toast.error('Park or clear the current bill first');
+      return;
+    }
+
+    try {
+      const response = await axios.post(`/parked-carts/${parked._id}/resume`);
+      const resumed = response.data.data;
+
+      setCart(resumed.items
+        .filter(item => item.product)
+        .map(item => ({
+          product: item.product,
+          quantity: item.quantity,
+          price: item.price,
+          discount: item.discount
+        })));
+      setSelectedCustomer(resumed.customer || null);
+      setDiscount(resumed.discount || 0);
+      setPaymentMethod(resumed.paymentMethod || 'cash');
+      setParkedModalOpen(false);
+      toast.success('Bill resumed');
+    } catch (error) {
+      console.error('Error resuming bill:', error);
+      toast.error(error.response?.data?.message || 'Failed to resume bill');
+    } finally {
+      fetchParkedCarts();
+    }
+  };
+
+  const discardBill = async (parked) => {
+    try {
+      await axios.delete(`/parked-carts/${parked._id}`);
+      toast.success('Parked bill discarded');
+    } catch (error) {
+      console.error('Error discarding bill:', error);
+      toast.error(error.response?.data?.message || 'Failed to discard bill');
+    } finally {
+      fetchParkedCarts();
+    }
+  };
+
+  // Card, UPI and bank transfers are applied first, then cash with change; whatever is left goes on credit
+  const planTenders = (tenderList, total) => {
+    const nonCash = tenderList
+      .filter(tender => tender.method !== 'cash')
+      .reduce((sum, tender) => sum + Number(tender.amount || 0), 0);
+    const cashGiven = tenderList
+      .filter(tender => tender.method === 'cash')
+      .reduce((sum, tender) => sum + Number(tender.amount || 0), 0);
+    const cash = Math.min(cashGiven, Math.max(0, total - nonCash));
+
+    return {
+      nonCash,
+      cashGiven,
+      change: cashGiven - cash,
+      remaining: Math.max(0, total - nonCash - cash),
+      overpaid: nonCash > total
+    };
+  };
+
+  const openShift = async () => {
+    try {
+      await axios.post('/shifts/open', { openingFloat });
+      toast.success('Shift opened');
+      setOpeningFloat(0);
+      fetchShift();
+    } catch (error) {
+      console.error('Error opening shift:', error);
+      toast.error(error.response?.data?.message || 'Failed to open shift');
+    }
+  };
+
+  const recordCashMovement = async () => {
+    try {
+      const response = await axios.post(`/shifts/${shift._id}/cash`, cashMovement);
+      toast.success(response.data.message);
+      setCashMovement({ type: 'out', amount: 0, reason: '' });
+      fetchShift();
+    } catch (error) {
+      console.error('Error recording cash movement:', error);
+      toast.error(error.response?.data?.message || 'Failed to record cash movement');
+    }
+  };
+
+  const closeShift = async () => {
+    try {
+      const response = await axios.post(`/shifts/${shift._id}/close`, shiftClose);
+      const closed = response.data.data;
+
+      if (closed.variance === 0) {
+        toast.success(response.data.message);
+      } else {
+        toast.error(`Drawer ${closed.variance < 0 ? 'short' : 'over'} by ₹${Math.abs(closed.variance).toFixed(2)}; admins have been notified`);
+      }
+
+      setShift(null);
+      setShiftClose({ countedCash: 0, notes: '' });
+      setShiftModalOpen(false);
+      printZReport(closed._id);
+    } catch (error) {
+      console.error('Error closing shift:', error);
+      toast.error(error.response?.data?.message || 'Failed to close shift');
+    }
+  };
+
+  const printZReport = async (shiftId) => {
+    try {
+      const response = await axios.get(`/shifts/${shiftId}/z-report`, {
+        params: { format: printFormat.startsWith('58mm') ? '58mm' : '80mm' },
+        responseType: 'blob'
+      });
+      window.open(window.URL.createObjectURL(response.data), '_blank');
+    } catch (error) {
+      console.error('Error printing Z-report:', error);
+      toast.error('Failed to print Z-report');
+    }
+  };
+
   const totals = calculateCartTotals();
+  const checkoutTenders = paymentMethod === 'split'
+    ? tenders
+    : paymentMethod === 'cash' && cashReceived > 0 ? [{ method: 'cash', amount: cashReceived }] : null;
+  const tenderPlan = checkoutTenders ? planTenders(checkoutTenders, totals.total) : null;
+  const creditRequested = paymentMethod === 'credit'
+    ? Math.max(0, totals.total - amountPaid)
+    : tenderPlan ? tenderPlan.remaining : 0;
+  const exceedsCredit = creditInfo && creditRequested > creditInfo.availableCredit;
+  // Subsidised fertilisers are sold only against the farmer's ID
+  const needsFarmerId = cart.some(item => item.product.subsidy?.isSubsidized);
+  // Restricted categories (pesticides, medicines) are entered in the statutory sale register
+  const needsRegister = cart.some(item => item.product.restricted);
+  const registerComplete = Object.values(restrictedSale).every(value => value.trim());
 
   if (loading) {
     return (
@@ -218,6 +577,26 @@ const POSBilling = () => {
             <p className="text-gray-600 mt-1">Quick billing and invoice generation</p>
           </div>
           <div className="flex items-center space-x-4">
+            <Button
+              variant={shift ? 'outline' : 'destructive'}
+              onClick={() => {
+                fetchShift();
+                setShiftModalOpen(true);
+              }}
+              className="flex items-center space-x-2"
+            >
+              <Clock size={16} />
+              <span>{shift ? `Shift since ${new Date(shift.openedAt).toLocaleTimeString()}` : 'Open Shift'}</span>
+            </Button>
+            <Button
+              variant="outline"
+              onClick={() => setParkedModalOpen(true)}
+              className="flex items-center space-x-2"
+            >
+              <PlayCircle size={16} />
+              <span>Parked Bills</span>
+              {parkedCarts.length > 0 && <Badge>{parkedCarts.length}</Badge>}
+            </Button>
             <Button
               variant="outline"
               onClick={() => setCustomerModalOpen(true)}
@@ -226,6 +605,14 @@ const POSBilling = () => {
               <User size={16} />
               <span>{selectedCustomer ? selectedCustomer.name : 'Select Customer'}</span>
             </Button>
+            <Button
+              variant={scanMode ? 'default' : 'outline'}
+              onClick={() => setScanMode(!scanMode)}
+              className="flex items-center space-x-2"
+            >
+              <ScanBarcode size={16} />
+              <span>Scan Mode</span>
+            </Button>
             <Button
               onClick={() => setProductModalOpen(true)}
               className="flex items-center space-x-2"
@@ -262,6 +649,21 @@ const POSBilling = () => {
                 </CardTitle>
               </CardHeader>
               <CardContent>
+                {scanMode && (
+                  <form onSubmit={handleScan} className="relative mb-4">
+                    <ScanBarcode className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={16} />
+                    <Input
+                      ref={scanInputRef}
+                      type="text"
+                      placeholder="Scan a barcode..."
+                      value={scanCode}
+                      onChange={(e) => setScanCode(e.target.value)}
+                      className="pl-10"
+                      autoFocus
+                    />
+                  </form>
+                )}
+
                 {cart.length === 0 ? (
                   <div className="text-center py-12">
                     <ShoppingCart size={48} className="text-gray-300 mx-auto mb-4" />
@@ -284,6 +686,12 @@ const POSBilling = () => {
                             ₹{item.price} each | GST: {item.product.taxRate || 0}%
                           </p>
                           <p className="text-sm text-gray-500">SKU: {item.product.sku}</p>
+                          {promotionsFor(item)?.applied.map(promotion => (
+                            <p key={promotion.promotion} className="text-sm text-green-700">
+                              {promotion.name}
+                              {promotion.freeQuantity ? ` (${promotion.freeQuantity} free)` : ''}: -₹{promotion.amount.toFixed(2)}
+                            </p>
+                          ))}
                         </div>
 
                         <div className="flex items-center space-x-4">
@@ -348,6 +756,24 @@ const POSBilling = () => {
                     {selectedCustomer.gstin && (
                       <p className="text-sm text-gray-600">GSTIN: {selectedCustomer.gstin}</p>
                     )}
+                    {creditInfo && (
+                      <div className="pt-2 border-t space-y-1 text-sm">
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Outstanding:</span>
+                          <span>₹{creditInfo.outstandingBalance.toFixed(2)}</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Credit Limit:</span>
+                          <span>₹{creditInfo.creditLimit.toFixed(2)}</span>
+                        </div>
+                        <div className="flex justify-between font-medium">
+                          <span>Available Credit:</span>
+                          <span className={creditInfo.availableCredit > 0 ? 'text-green-600' : 'text-red-600'}>
+                            ₹{creditInfo.availableCredit.toFixed(2)}
+                          </span>
+                        </div>
+                      </div>
+                    )}
                   </div>
                 </CardContent>
               </Card>
@@ -371,6 +797,12 @@ const POSBilling = () => {
                     <span>Discount:</span>
                     <span>-₹{totals.totalDiscount.toFixed(2)}</span>
                   </div>
+                  {totals.promotionDiscount > 0 && (
+                    <div className="flex justify-between text-green-700">
+                      <span>Promotions:</span>
+                      <span>-₹{totals.promotionDiscount.toFixed(2)}</span>
+                    </div>
+                  )}
                   <div className="flex justify-between">
                     <span>GST:</span>
                     <span>₹{totals.gstAmount.toFixed(2)}</span>
@@ -420,6 +852,35 @@ const POSBilling = () => {
                           <span>UPI</span>
                         </div>
                       </SelectItem>
+                      <SelectItem value="credit">
+                        <div className="flex items-center space-x-2">
+                          <Wallet size={16} />
+                          <span>Credit</span>
+                        </div>
+                      </SelectItem>
+                      <SelectItem value="split">
+                        <div className="flex items-center space-x-2">
+                          <Split size={16} />
+                          <span>Split</span>
+                        </div>
+                      </SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+
+                {/* Print Format */}
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Print Format</label>
+                  <Select value={printFormat} onValueChange={changePrintFormat}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="a4">A4 Invoice</SelectItem>
+                      <SelectItem value="80mm">Thermal 80mm</SelectItem>
+                      <SelectItem value="58mm">Thermal 58mm</SelectItem>
+                      <SelectItem value="80mm:escpos">ESC/POS 80mm</SelectItem>
+                      <SelectItem value="58mm:escpos">ESC/POS 58mm</SelectItem>
                     </SelectContent>
                   </Select>
                 </div>
@@ -436,11 +897,22 @@ const POSBilling = () => {
                   </Button>
                   
                   <div className="grid grid-cols-2 gap-2">
-                    <Button variant="outline" size="sm">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => printInvoice(lastInvoiceId)}
+                      disabled={!lastInvoiceId}
+                    >
                       <Printer className="mr-1" size={14} />
-                      Print
+                      Reprint Last
                     </Button>
-                    <Button variant="outline" size="sm">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={holdBill}
+                      disabled={cart.length === 0}
+                    >
+                      <PauseCircle className="mr-1" size={14} />
                       Hold Bill
                     </Button>
                   </div>
@@ -547,8 +1019,8 @@ const POSBilling = () => {
                       <p className="text-sm text-gray-600">SKU: {product.sku}</p>
                       <div className="flex items-center justify-between mt-2">
                         <span className="font-semibold text-primary">₹{product.price}</span>
-                        <Badge variant={product.stock > 10 ? 'default' : 'destructive'}>
-                          Stock: {product.stock}
+                        <Badge variant={stockOf(product) > 10 ? 'default' : 'destructive'}>
+                          Stock: {stockOf(product)}
                         </Badge>
                       </div>
                     </div>
@@ -583,6 +1055,65 @@ const POSBilling = () => {
               </div>
             )}
 
+            {/* Farmer ID for subsidised products */}
+            {needsFarmerId && (
+              <div className="p-4 bg-amber-50 rounded-lg space-y-3">
+                <h4 className="font-medium text-amber-900">Farmer ID (subsidised products)</h4>
+                <div className="flex items-center space-x-2">
+                  <Select value={farmer.idType} onValueChange={(value) => setFarmer({ ...farmer, idType: value })}>
+                    <SelectTrigger className="w-44">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="aadhaar">Aadhaar</SelectItem>
+                      <SelectItem value="kisan_card">Kisan Card</SelectItem>
+                      <SelectItem value="farmer_registry">Farmer Registry ID</SelectItem>
+                      <SelectItem value="other">Other</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <Input
+                    value={farmer.idNumber}
+                    onChange={(e) => setFarmer({ ...farmer, idNumber: e.target.value })}
+                    placeholder={farmer.idType === 'aadhaar' ? '12-digit Aadhaar number' : 'ID number'}
+                  />
+                </div>
+                <Input
+                  value={farmer.name}
+                  onChange={(e) => setFarmer({ ...farmer, name: e.target.value })}
+                  placeholder={selectedCustomer?.name || 'Farmer name'}
+                />
+              </div>
+            )}
+
+            {/* Sale register details for restricted products */}
+            {needsRegister && (
+              <div className="p-4 bg-orange-50 rounded-lg space-y-3">
+                <h4 className="font-medium text-orange-900">Sale Register (restricted products)</h4>
+                <div className="grid grid-cols-2 gap-2">
+                  <Input
+                    value={restrictedSale.buyerName}
+                    onChange={(e) => setRestrictedSale({ ...restrictedSale, buyerName: e.target.value })}
+                    placeholder={selectedCustomer?.name || 'Buyer name'}
+                  />
+                  <Input
+                    value={restrictedSale.village}
+                    onChange={(e) => setRestrictedSale({ ...restrictedSale, village: e.target.value })}
+                    placeholder="Village"
+                  />
+                  <Input
+                    value={restrictedSale.crop}
+                    onChange={(e) => setRestrictedSale({ ...restrictedSale, crop: e.target.value })}
+                    placeholder="Crop"
+                  />
+                  <Input
+                    value={restrictedSale.purpose}
+                    onChange={(e) => setRestrictedSale({ ...restrictedSale, purpose: e.target.value })}
+                    placeholder="Purpose (pest / disease)"
+                  />
+                </div>
+              </div>
+            )}
+
             {/* Bill Summary */}
             <div className="space-y-3">
               <h4 className="font-medium text-gray-900">Bill Summary</h4>
@@ -595,6 +1126,12 @@ const POSBilling = () => {
                   <span>Discount:</span>
                   <span>-₹{totals.totalDiscount.toFixed(2)}</span>
                 </div>
+                {totals.promotionDiscount > 0 && (
+                  <div className="flex justify-between text-green-700">
+                    <span>Promotions:</span>
+                    <span>-₹{totals.promotionDiscount.toFixed(2)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
                   <span>GST:</span>
                   <span>₹{totals.gstAmount.toFixed(2)}</span>
@@ -609,11 +1146,13 @@ const POSBilling = () => {
             {/* Payment Method */}
             <div className="space-y-2">
               <label className="text-sm font-medium">Payment Method</label>
-              <div className="grid grid-cols-3 gap-2">
+              <div className="grid grid-cols-5 gap-2">
                 {[
                   { value: 'cash', label: 'Cash', icon: Banknote },
                   { value: 'card', label: 'Card', icon: CreditCard },
-                  { value: 'upi', label: 'UPI', icon: Smartphone }
+                  { value: 'upi', label: 'UPI', icon: Smartphone },
+                  { value: 'credit', label: 'Credit', icon: Wallet },
+                  { value: 'split', label: 'Split', icon: Split }
                 ].map((method) => (
                   <Button
                     key={method.value}
@@ -628,6 +1167,140 @@ const POSBilling = () => {
               </div>
             </div>
 
+            {/* Cash Received */}
+            {paymentMethod === 'cash' && (
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Cash Received</label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={cashReceived}
+                  onChange={(e) => setCashReceived(Number(e.target.value))}
+                  placeholder={String(totals.total)}
+                />
+                {tenderPlan && tenderPlan.change > 0 && (
+                  <div className="p-3 bg-green-50 text-green-800 rounded-lg flex justify-between font-medium">
+                    <span>Change due:</span>
+                    <span>₹{tenderPlan.change.toFixed(2)}</span>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Split Tender */}
+            {paymentMethod === 'split' && (
+              <div className="space-y-3">
+                <label className="text-sm font-medium">Tenders</label>
+                {tenders.map((tender, index) => (
+                  <div key={index} className="flex items-center space-x-2">
+                    <Select value={tender.method} onValueChange={(value) => updateTender(index, { method: value })}>
+                      <SelectTrigger className="w-40">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="cash">Cash</SelectItem>
+                        <SelectItem value="card">Card</SelectItem>
+                        <SelectItem value="upi">UPI</SelectItem>
+                        <SelectItem value="bank_transfer">Bank Transfer</SelectItem>
+                      </SelectContent>
+                    </Select>
+                    <Input
+                      type="number"
+                      min="0"
+                      value={tender.amount}
+                      onChange={(e) => updateTender(index, { amount: Number(e.target.value) })}
+                      placeholder="0"
+                    />
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setTenders(tenders.filter((_, i) => i !== index))}
+                      disabled={tenders.length === 1}
+                    >
+                      <Trash2 size={16} />
+                    </Button>
+                  </div>
+                ))}
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setTenders([...tenders, { method: 'upi', amount: Math.max(0, tenderPlan.remaining) }])}
+                  className="flex items-center space-x-1"
+                >
+                  <Plus size={14} />
+                  <span>Add Tender</span>
+                </Button>
+                <div className={`p-4 rounded-lg text-sm space-y-1 ${tenderPlan.overpaid ? 'bg-red-50 text-red-800' : 'bg-gray-50 text-gray-800'}`}>
+                  <div className="flex justify-between">
+                    <span>Card / UPI / bank:</span>
+                    <span>₹{tenderPlan.nonCash.toFixed(2)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span>Cash received:</span>
+                    <span>₹{tenderPlan.cashGiven.toFixed(2)}</span>
+                  </div>
+                  {tenderPlan.change > 0 && (
+                    <div className="flex justify-between font-medium">
+                      <span>Change due:</span>
+                      <span>₹{tenderPlan.change.toFixed(2)}</span>
+                    </div>
+                  )}
+                  {tenderPlan.overpaid && (
+                    <p className="font-medium pt-1">Card, UPI and bank payments cannot exceed the bill total.</p>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Balance left on the customer's account */}
+            {paymentMethod !== 'credit' && creditRequested > 0 && creditInfo && (
+              <div className={`p-4 rounded-lg text-sm space-y-1 ${exceedsCredit ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'}`}>
+                <div className="flex justify-between">
+                  <span>On credit:</span>
+                  <span>₹{creditRequested.toFixed(2)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>Available credit:</span>
+                  <span>₹{creditInfo.availableCredit.toFixed(2)}</span>
+                </div>
+                {exceedsCredit && (
+                  <p className="font-medium pt-1">This sale exceeds the credit limit and needs admin approval.</p>
+                )}
+              </div>
+            )}
+
+            {/* Credit Sale */}
+            {paymentMethod === 'credit' && (
+              <div className="space-y-3">
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Amount Paid Now</label>
+                  <Input
+                    type="number"
+                    min="0"
+                    max={totals.total}
+                    value={amountPaid}
+                    onChange={(e) => setAmountPaid(Number(e.target.value))}
+                    placeholder="0"
+                  />
+                </div>
+                {creditInfo && (
+                  <div className={`p-4 rounded-lg text-sm space-y-1 ${exceedsCredit ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'}`}>
+                    <div className="flex justify-between">
+                      <span>On credit:</span>
+                      <span>₹{creditRequested.toFixed(2)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span>Available credit:</span>
+                      <span>₹{creditInfo.availableCredit.toFixed(2)}</span>
+                    </div>
+                    {exceedsCredit && (
+                      <p className="font-medium pt-1">This sale exceeds the credit limit and needs admin approval.</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Action Buttons */}
             <div className="flex space-x-3">
               <Button
@@ -638,8 +1311,14 @@ const POSBilling = () => {
                 Cancel
               </Button>
               <Button
-                onClick={processPayment}
+                onClick={() => (exceedsCredit ? setOverrideModalOpen(true) : processPayment())}
                 loading={processing}
+                disabled={
+                  tenderPlan?.overpaid
+                  || (paymentMethod === 'split' && tenderPlan.nonCash + tenderPlan.cashGiven === 0)
+                  || (needsFarmerId && !farmer.idNumber.trim())
+                  || (needsRegister && !registerComplete)
+                }
                 className="flex-1"
               >
                 {processing ? 'Processing...' : `Pay ₹${totals.total}`}
@@ -647,6 +1326,255 @@ const POSBilling = () => {
             </div>
           </div>
         </Dialog>
+
+        {/* Parked Bills Modal */}
+        <Dialog
+          isOpen={parkedModalOpen}
+          onClose={() => setParkedModalOpen(false)}
+          title="Parked Bills"
+          size="lg"
+        >
+          <div className="space-y-3 max-h-96 overflow-y-auto">
+            {parkedCarts.map((parked) => (
+              <div
+                key={parked._id}
+                className="flex items-center justify-between p-4 border border-gray-200 rounded-lg"
+              >
+                <div>
+                  <h4 className="font-medium text-gray-900">
+                    {parked.customer?.name || 'Walk-in customer'}
+                  </h4>
+                  <p className="text-sm text-gray-600">
+                    {parked.items.length} items | Parked at {new Date(parked.createdAt).toLocaleTimeString()}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    Held until {new Date(parked.expiresAt).toLocaleTimeString()}
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  <Button size="sm" onClick={() => resumeBill(parked)}>
+                    <PlayCircle className="mr-1" size={14} />
+                    Resume
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => discardBill(parked)}
+                    className="text-red-600 hover:text-red-700"
+                  >
+                    <Trash2 size={14} />
+                  </Button>
+                </div>
+              </div>
+            ))}
+
+            {parkedCarts.length === 0 && (
+              <div className="text-center py-8">
+                <PauseCircle size={48} className="text-gray-300 mx-auto mb-4" />
+                <p className="text-gray-600">No parked bills</p>
+              </div>
+            )}
+          </div>
+        </Dialog>
+
+        {/* Shift Modal */}
+        <Dialog
+          isOpen={shiftModalOpen}
+          onClose={() => setShiftModalOpen(false)}
+          title={shift ? 'Current Shift' : 'Open Shift'}
+          size="lg"
+        >
+          {!shift ? (
+            <div className="space-y-4">
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Opening Float (cash in drawer)</label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={openingFloat}
+                  onChange={(e) => setOpeningFloat(Number(e.target.value))}
+                  placeholder="0"
+                />
+              </div>
+              <Button onClick={openShift} className="w-full">
+                Open Shift
+              </Button>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {/* Running drawer */}
+              <div className="p-4 bg-blue-50 rounded-lg text-sm space-y-1 text-blue-900">
+                <div className="flex justify-between">
+                  <span>Opened:</span>
+                  <span>{new Date(shift.openedAt).toLocaleString()}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>Bills / sales:</span>
+                  <span>{shift.report.sales.invoices} / ₹{shift.report.sales.total.toFixed(2)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>Opening float:</span>
+                  <span>₹{shift.report.drawer.openingFloat.toFixed(2)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>Cash sales and collections:</span>
+                  <span>₹{(shift.report.drawer.cashSales + shift.report.drawer.cashCollections).toFixed(2)}</span>
+                </div>
+                {shift.report.drawer.cashRefunds > 0 && (
+                  <div className="flex justify-between">
+                    <span>Cash refunds:</span>
+                    <span>₹{shift.report.drawer.cashRefunds.toFixed(2)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between">
+                  <span>Cash in / out / expenses:</span>
+                  <span>
+                    ₹{shift.report.drawer.cashIn.toFixed(2)} / ₹{shift.report.drawer.cashOut.toFixed(2)} / ₹{shift.report.drawer.cashExpenses.toFixed(2)}
+                  </span>
+                </div>
+                <div className="border-t border-blue-200 pt-1 flex justify-between font-semibold">
+                  <span>Expected in drawer:</span>
+                  <span>₹{shift.report.drawer.expectedCash.toFixed(2)}</span>
+                </div>
+              </div>
+
+              {/* Cash in / out */}
+              <div className="space-y-2">
+                <label className="text-sm font-medium">Cash In / Out</label>
+                <div className="flex items-center space-x-2">
+                  <Select value={cashMovement.type} onValueChange={(value) => setCashMovement({ ...cashMovement, type: value })}>
+                    <SelectTrigger className="w-32">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="in">Cash In</SelectItem>
+                      <SelectItem value="out">Cash Out</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={cashMovement.amount}
+                    onChange={(e) => setCashMovement({ ...cashMovement, amount: Number(e.target.value) })}
+                    className="w-32"
+                  />
+                  <Input
+                    value={cashMovement.reason}
+                    onChange={(e) => setCashMovement({ ...cashMovement, reason: e.target.value })}
+                    placeholder="Reason, e.g. safe drop"
+                  />
+                  <Button
+                    variant="outline"
+                    onClick={recordCashMovement}
+                    disabled={!cashMovement.amount || !cashMovement.reason}
+                  >
+                    Record
+                  </Button>
+                </div>
+              </div>
+
+              {/* Close */}
+              <div className="space-y-2 border-t pt-4">
+                <label className="text-sm font-medium">Counted Cash</label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={shiftClose.countedCash}
+                  onChange={(e) => setShiftClose({ ...shiftClose, countedCash: Number(e.target.value) })}
+                />
+                <Input
+                  value={shiftClose.notes}
+                  onChange={(e) => setShiftClose({ ...shiftClose, notes: e.target.value })}
+                  placeholder="Notes (optional)"
+                />
+                <Button onClick={closeShift} className="w-full">
+                  Close Shift and Print Z-Report
+                </Button>
+              </div>
+            </div>
+          )}
+        </Dialog>
+
+        {/* Credit Limit Override Modal */}
+        <Dialog
+          isOpen={overrideModalOpen}
+          onClose={() => setOverrideModalOpen(false)}
+          title="Credit Limit Override"
+          size="md"
+        >
+          <div className="space-y-4">
+            <div className="p-4 bg-red-50 rounded-lg text-sm text-red-800 space-y-1">
+              <p className="flex items-center font-medium">
+                <ShieldAlert className="mr-2" size={16} />
+                Credit limit exceeded for {selectedCustomer?.name}
+              </p>
+              {(creditRejection || creditInfo) && (
+                <>
+                  <p>Credit limit: ₹{(creditRejection || creditInfo).creditLimit.toFixed(2)}</p>
+                  <p>Available credit: ₹{(creditRejection || creditInfo).availableCredit.toFixed(2)}</p>
+                  <p>This sale on credit: ₹{(creditRejection?.requested ?? creditRequested).toFixed(2)}</p>
+                </>
+              )}
+            </div>
+
+            {user?.role !== 'admin' && (
+              <>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Approving Admin Email</label>
+                  <Input
+                    type="email"
+                    value={creditOverride.approverEmail}
+                    onChange={(e) => setCreditOverride({ ...creditOverride, approverEmail: e.target.value })}
+                    placeholder="admin@example.com"
+                  />
+                </div>
+                <div className="space-y-2">
+                  <label className="text-sm font-medium">Admin PIN</label>
+                  <Input
+                    type="password"
+                    inputMode="numeric"
+                    maxLength={6}
+                    value={creditOverride.pin}
+                    onChange={(e) => setCreditOverride({ ...creditOverride, pin: e.target.value })}
+                    placeholder="••••"
+                  />
+                </div>
+              </>
+            )}
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Reason</label>
+              <Input
+                type="text"
+                value={creditOverride.reason}
+                onChange={(e) => setCreditOverride({ ...creditOverride, reason: e.target.value })}
+                placeholder="e.g. Regular customer, harvest due next month"
+              />
+            </div>
+
+            <div className="flex space-x-3">
+              <Button
+                variant="outline"
+                onClick={() => setOverrideModalOpen(false)}
+                className="flex-1"
+              >
+                Cancel
+              </Button>
+              <Button
+                onClick={() => processPayment(
+                  user?.role === 'admin'
+                    ? { reason: creditOverride.reason }
+                    : creditOverride
+                )}
+                loading={processing}
+                disabled={!creditOverride.reason || (user?.role !== 'admin' && (!creditOverride.approverEmail || !creditOverride.pin))}
+                className="flex-1"
+              >
+                {processing ? 'Processing...' : 'Approve & Bill'}
+              </Button>
+            </div>
+          </div>
+        </Dialog>
       </div>
     </Layout>
   );
@@ -1,14 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
-import { Plus, CreditCard as Edit, Trash2, Package, Search, ListFilter as Filter, Download, Upload, TriangleAlert as AlertTriangle, TrendingUp, TrendingDown } from 'lucide-react';
+import { Plus, CreditCard as Edit, Trash2, Package, Search, ListFilter as Filter, Download, Upload, TriangleAlert as AlertTriangle, TrendingUp, TrendingDown, Tag, History } from 'lucide-react';
 import Layout from '../components/layout/Layout';
 import Dialog from '../components/ui/Dialog';
+import AuditHistory from '../components/AuditHistory';
 import DataTable from '../components/ui/DataTable';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card';
 import { Badge } from '../components/ui/badge';
-import { Form, FormField, FormSelect, FormTextarea } from '../components/ui/Form';
+import { Form, FormCheckbox, FormField, FormSelect, FormTextarea } from '../components/ui/Form';
 import { z } from 'zod';
 import { useAuth } from '../context/AuthContext';
 import axios from 'axios';
@@ -19,6 +20,7 @@ const productSchema = z.object({
   description: z.string().optional(),
   category: z.string().min(1, 'Category is required'),
   sku: z.string().min(1, 'SKU is required'),
+  barcode: z.string().optional(),
   hsnCode: z.string().min(1, 'HSN code is required'),
   price: z.number().min(0, 'Price must be positive'),
   costPrice: z.number().min(0, 'Cost price must be positive').optional(),
@@ -29,10 +31,16 @@ const productSchema = z.object({
   taxRate: z.number().min(0).max(100, 'Tax rate must be between 0-100'),
   manufacturer: z.string().optional(),
   batchNumber: z.string().optional(),
+  subsidy: z.object({
+    isSubsidized: z.boolean().optional(),
+    amountPerUnit: z.coerce.number().min(0, 'Subsidy per unit must be positive').optional(),
+    seasonCap: z.coerce.number().min(0, 'Season cap must be positive').optional(),
+    scheme: z.string().optional(),
+  }).optional(),
 });
 
 const ProductManagement = () => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -42,6 +50,9 @@ const ProductManagement = () => {
   const [deleteModalOpen, setDeleteModalOpen] = useState(false);
   const [productToDelete, setProductToDelete] = useState(null);
   const [submitting, setSubmitting] = useState(false);
+  const [labelSelection, setLabelSelection] = useState([]);
+  const [printingLabels, setPrintingLabels] = useState(false);
+  const [historyProduct, setHistoryProduct] = useState(null);
 
   useEffect(() => {
     fetchProducts();
@@ -103,6 +114,37 @@ const ProductManagement = () => {
     }
   };
 
+  const toggleLabelSelection = (productId) => {
+    setLabelSelection(labelSelection.includes(productId)
+      ? labelSelection.filter(id => id !== productId)
+      : [...labelSelection, productId]);
+  };
+
+  const handlePrintLabels = async () => {
+    try {
+      setPrintingLabels(true);
+      const response = await axios.post('/products/labels', {
+        items: labelSelection.map(product => ({ product, copies: 1 }))
+      }, { responseType: 'blob' });
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'barcode-labels.pdf';
+      link.click();
+      window.URL.revokeObjectURL(url);
+      setLabelSelection([]);
+    } catch (error) {
+      console.error('Error printing labels:', error);
+      const message = error.response?.data instanceof Blob
+        ? JSON.parse(await error.response.data.text()).message
+        : null;
+      toast.error(message || 'Failed to generate labels');
+    } finally {
+      setPrintingLabels(false);
+    }
+  };
+
   const openDeleteModal = (product) => {
     setProductToDelete(product);
     setDeleteModalOpen(true);
@@ -139,6 +181,18 @@ const ProductManagement = () => {
   });
 
   const productColumns = [
+    {
+      key: 'label',
+      label: 'Label',
+      render: (_, product) => (
+        <input
+          type="checkbox"
+          checked={labelSelection.includes(product._id)}
+          onChange={() => toggleLabelSelection(product._id)}
+          className="h-4 w-4"
+        />
+      )
+    },
     { 
       key: 'name', 
       label: 'Product Name', 
@@ -210,7 +264,13 @@ const ProductManagement = () => {
       onClick: openDeleteModal,
       icon: Trash2,
       variant: 'ghost'
-    }
+    },
+    ...(can('audit.view') ? [{
+      label: 'History',
+      onClick: setHistoryProduct,
+      icon: History,
+      variant: 'ghost'
+    }] : [])
   ];
 
   // Calculate stats
@@ -237,6 +297,14 @@ const ProductManagement = () => {
               <Upload size={16} className="mr-2" />
               Import
             </Button>
+            <Button
+              variant="outline"
+              onClick={handlePrintLabels}
+              disabled={labelSelection.length === 0 || printingLabels}
+            >
+              <Tag size={16} className="mr-2" />
+              Print Labels{labelSelection.length > 0 && ` (${labelSelection.length})`}
+            </Button>
             <Button onClick={() => {
               setEditingProduct(null);
               setProductModalOpen(true);
@@ -429,6 +497,12 @@ const ProductManagement = () => {
                   required
                 />
 
+                <FormField
+                  name="barcode"
+                  label="Barcode"
+                  placeholder="Scan or enter EAN-13 / item code"
+                />
+
                 <FormField
                   name="hsnCode"
                   label="HSN Code"
@@ -468,6 +542,33 @@ const ProductManagement = () => {
                   placeholder="0"
                 />
 
+                <label className="flex items-center space-x-2 text-sm font-medium">
+                  <FormCheckbox name="subsidy.isSubsidized" />
+                  <span>Government subsidised (sold against farmer ID)</span>
+                </label>
+
+                <div className="grid grid-cols-3 gap-4">
+                  <FormField
+                    name="subsidy.amountPerUnit"
+                    label="Subsidy / Unit"
+                    type="number"
+                    placeholder="0"
+                  />
+
+                  <FormField
+                    name="subsidy.seasonCap"
+                    label="Season Cap / Farmer"
+                    type="number"
+                    placeholder="0 = no cap"
+                  />
+
+                  <FormField
+                    name="subsidy.scheme"
+                    label="Scheme"
+                    placeholder="e.g. NBS"
+                  />
+                </div>
+
                 <div className="grid grid-cols-2 gap-4">
                   <FormField
                     name="stock"
@@ -555,6 +656,15 @@ const ProductManagement = () => {
             )}
           </div>
         </Dialog>
+
+        {/* Change history */}
+        <AuditHistory
+          isOpen={Boolean(historyProduct)}
+          onClose={() => setHistoryProduct(null)}
+          model="Product"
+          record={historyProduct}
+          title={historyProduct ? `History of ${historyProduct.name}` : 'History'}
+        />
       </div>
     </Layout>
   );
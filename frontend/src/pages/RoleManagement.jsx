@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, CreditCard as Edit, Trash2, TriangleAlert as AlertTriangle } from 'lucide-react';
+import Layout from '../components/layout/Layout';
+import Dialog from '../components/ui/Dialog';
+import DataTable from '../components/ui/DataTable';
+import { Button } from '../components/ui/button';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Badge } from '../components/ui/badge';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const emptyRole = { name: '', description: '', permissions: [] };
+
+// Permissions are named screen.action, so the screen groups them in the editor
+const groupPermissions = (permissions) => Object.entries(permissions).reduce((groups, [key, description]) => {
+  const group = key.split('.')[0];
+  groups[group] = [...(groups[group] || []), { key, description }];
+  return groups;
+}, {});
+
+const RoleManagement = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [editingRole, setEditingRole] = useState(null);
+  const [roleModalOpen, setRoleModalOpen] = useState(false);
+  const [roleForm, setRoleForm] = useState(emptyRole);
+  const [roleToDelete, setRoleToDelete] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchRoles();
+    fetchPermissions();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/roles');
+      setRoles(response.data.data || []);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      toast.error('Failed to load roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPermissions = async () => {
+    try {
+      const response = await axios.get('/roles/permissions');
+      setPermissions(response.data.data.permissions || {});
+    } catch (error) {
+      console.error('Error fetching permissions:', error);
+      toast.error('Failed to load permissions');
+    }
+  };
+
+  const openRoleModal = (role = null) => {
+    setEditingRole(role);
+    setRoleForm(role
+      ? { name: role.name, description: role.description || '', permissions: role.permissions }
+      : emptyRole);
+    setRoleModalOpen(true);
+  };
+
+  const closeRoleModal = () => {
+    setRoleModalOpen(false);
+    setEditingRole(null);
+  };
+
+  const togglePermission = (permission) => {
+    setRoleForm(form => ({
+      ...form,
+      permissions: form.permissions.includes(permission)
+        ? form.permissions.filter(key => key !== permission)
+        : [...form.permissions, permission]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+
+      if (editingRole) {
+        await axios.put(`/roles/${editingRole._id}`, roleForm);
+        toast.success('Role updated successfully');
+      } else {
+        await axios.post('/roles', roleForm);
+        toast.success('Role created successfully');
+      }
+
+      closeRoleModal();
+      fetchRoles();
+    } catch (error) {
+      console.error('Error saving role:', error);
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save role');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!roleToDelete) return;
+
+    try {
+      await axios.delete(`/roles/${roleToDelete._id}`);
+      toast.success('Role deleted successfully');
+      setRoleToDelete(null);
+      fetchRoles();
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete role');
+    }
+  };
+
+  const roleColumns = [
+    { key: 'name', label: 'Role', sortable: true },
+    {
+      key: 'description',
+      label: 'Description',
+      render: (value) => value || '—'
+    },
+    {
+      key: 'permissions',
+      label: 'Permissions',
+      render: (value) => <Badge variant="secondary">{value.length}</Badge>
+    }
+  ];
+
+  const roleActions = [
+    {
+      label: 'Edit',
+      onClick: openRoleModal,
+      icon: Edit,
+      variant: 'ghost'
+    },
+    {
+      label: 'Delete',
+      onClick: setRoleToDelete,
+      icon: Trash2,
+      variant: 'ghost'
+    }
+  ];
+
+  const permissionGroups = groupPermissions(permissions);
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Roles</h1>
+            <p className="text-gray-600 mt-1">Give staff exactly the permissions their job needs</p>
+          </div>
+          <Button onClick={() => openRoleModal()}>
+            <Plus size={16} className="mr-2" />
+            Add Role
+          </Button>
+        </div>
+
+        {/* Roles Table */}
+        <DataTable
+          columns={roleColumns}
+          data={roles}
+          searchPlaceholder="Search roles..."
+          emptyMessage={loading ? 'Loading roles...' : 'No custom roles yet'}
+          actions={roleActions}
+        />
+
+        {/* Add/Edit Role Modal */}
+        <Dialog
+          isOpen={roleModalOpen}
+          onClose={closeRoleModal}
+          title={editingRole ? 'Edit Role' : 'Add Role'}
+          size="xl"
+        >
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="role-name">Name</Label>
+                <Input
+                  id="role-name"
+                  value={roleForm.name}
+                  onChange={(e) => setRoleForm({ ...roleForm, name: e.target.value })}
+                  maxLength={50}
+                  required
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="role-description">Description</Label>
+                <Input
+                  id="role-description"
+                  value={roleForm.description}
+                  onChange={(e) => setRoleForm({ ...roleForm, description: e.target.value })}
+                  maxLength={200}
+                />
+              </div>
+            </div>
+
+            <div className="space-y-4 max-h-[50vh] overflow-y-auto">
+              {Object.entries(permissionGroups).map(([group, groupPermissionList]) => (
+                <div key={group}>
+                  <h4 className="text-sm font-semibold text-gray-900 capitalize mb-2">{group}</h4>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {groupPermissionList.map(({ key, description }) => (
+                      <label key={key} className="flex items-center space-x-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={roleForm.permissions.includes(key)}
+                          onChange={() => togglePermission(key)}
+                          className="rounded border-gray-300"
+                        />
+                        <span>{description}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Button type="button" variant="outline" onClick={closeRoleModal}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={submitting}>
+                {submitting ? 'Saving...' : editingRole ? 'Update Role' : 'Create Role'}
+              </Button>
+            </div>
+          </form>
+        </Dialog>
+
+        {/* Delete Confirmation Modal */}
+        <Dialog
+          isOpen={Boolean(roleToDelete)}
+          onClose={() => setRoleToDelete(null)}
+          title="Delete Role"
+          footer={
+            <>
+              <Button variant="outline" onClick={() => setRoleToDelete(null)}>
+                Cancel
+              </Button>
+              <Button variant="destructive" onClick={handleDelete}>
+                Delete
+              </Button>
+            </>
+          }
+        >
+          <div className="flex items-center space-x-3 p-4 bg-red-50 rounded-lg">
+            <AlertTriangle size={24} className="text-red-600" />
+            <p className="text-sm text-red-800">
+              Delete the role {roleToDelete?.name}? Users holding it must be moved to another role first.
+            </p>
+          </div>
+        </Dialog>
+      </div>
+    </Layout>
+  );
+};
+
+export default RoleManagement;
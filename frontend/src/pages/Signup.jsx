@@ -108,6 +108,13 @@ const Signup = () => {
               placeholder="Select your role"
               required
             />
+
+            <FormField
+              name="shopName"
+              label="Shop Name"
+              type="text"
+              placeholder="Only when registering a new shop"
+            />
           </Form>
 
           {/* Links */}